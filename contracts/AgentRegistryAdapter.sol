@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/introspection/IERC165.sol";
+import {IAgentRegistryAdapter} from "./interfaces/IAgentRegistryAdapter.sol";
+import {IEligibilityRule} from "./interfaces/IEligibilityRule.sol";
+
+/**
+ * @title AgentRegistryAdapter — who may mine, beyond owning an agent
+ * @notice Sits between aBTC_PoW and its agent registry (see aBTC_PoW.queueAddress).
+ *         Owning or operating an agent still comes from the registry's ERC-721
+ *         ownerOf / approvals; the adapter adds the eligibility rules on top.
+ *
+ * [Registries]
+ *   - Any ERC-721 agent registry works, including an ERC-8004 Identity
+ *     Registry (ERC-721 agents, registered through register(tokenURI)).
+ *   - Neither records when an agent was created, so the adapter keeps its own
+ *     registeredAt, set once by enroll(). Agent age counts from enrollment.
+ *
+ * [Rules]
+ *   - An agent is eligible when every rule says so; no rules = every agent.
+ *   - Rules are separate contracts (see contracts/eligibility): minimum age,
+ *     allow/deny list, ERC-8004 reputation threshold. The owner plugs them in
+ *     and out; a rule's own settings change by deploying a new one.
+ */
+contract AgentRegistryAdapter is IAgentRegistryAdapter, Ownable2Step {
+    // ══════════════════════════════════════════════════════════
+    //                      CONSTANTS
+    // ══════════════════════════════════════════════════════════
+
+    /// @dev Every commit and reveal runs all rules — keep that bounded.
+    uint256 public constant MAX_RULES = 8;
+
+    // ══════════════════════════════════════════════════════════
+    //                        STATE
+    // ══════════════════════════════════════════════════════════
+
+    IERC721 public immutable registry;
+
+    mapping(uint256 => uint256) public registeredAt;
+
+    IEligibilityRule[] internal _rules;
+
+    // ══════════════════════════════════════════════════════════
+    //                      CONSTRUCTOR
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * @param _registry ERC-721 (or ERC-8004 identity) registry — must be aBTC_PoW's agentRegistry
+     * @param _owner    Adds and removes rules
+     */
+    constructor(address _registry, address _owner) Ownable(_owner) {
+        require(
+            _registry != address(0) && IERC165(_registry).supportsInterface(type(IERC721).interfaceId),
+            "Invalid registry"
+        );
+        registry = IERC721(_registry);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function getRules() external view override returns (IEligibilityRule[] memory) {
+        return _rules;
+    }
+
+    /// @notice Whether `agentId` passes every rule. Ownership is aBTC_PoW's check, not this one.
+    function isEligible(uint256 agentId) external view override returns (bool) {
+        for (uint256 i = 0; i < _rules.length; i++) {
+            if (!_rules[i].isEligible(this, agentId)) return false;
+        }
+        return true;
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                       ACTIONS
+    // ══════════════════════════════════════════════════════════
+
+    /// @notice Start `agentId`'s age clock. Permissionless; once per agent, which must exist.
+    function enroll(uint256 agentId) external override {
+        if (registeredAt[agentId] != 0) revert AlreadyEnrolled();
+        registry.ownerOf(agentId); // reverts for unknown agents
+
+        registeredAt[agentId] = block.timestamp;
+        emit AgentEnrolled(agentId, block.timestamp);
+    }
+
+    function addRule(IEligibilityRule rule) external override onlyOwner {
+        if (_rules.length >= MAX_RULES) revert TooManyRules();
+        for (uint256 i = 0; i < _rules.length; i++) {
+            if (_rules[i] == rule) revert RuleExists();
+        }
+
+        _rules.push(rule);
+        emit RuleAdded(address(rule));
+    }
+
+    function removeRule(IEligibilityRule rule) external override onlyOwner {
+        for (uint256 i = 0; i < _rules.length; i++) {
+            if (_rules[i] == rule) {
+                _rules[i] = _rules[_rules.length - 1];
+                _rules.pop();
+                emit RuleRemoved(address(rule));
+                return;
+            }
+        }
+        revert RuleNotFound();
+    }
+}
@@ -0,0 +1,302 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {IaBTC_PoW} from "./interfaces/IaBTC_PoW.sol";
+import {IAgentStaking} from "./interfaces/IAgentStaking.sol";
+
+/**
+ * @title AgentStaking — delegate mined aBTC to registry agents
+ * @notice Holders lock aBTC against an agent ID. aBTC_PoW reads the agent's
+ *         terms when it wins a round (see aBTC_PoW.queueAddress).
+ *
+ * [Warm-up]
+ *   - Stake deposited in round R counts from round R + 1 on: no bonus, no
+ *     delegator cut and no reward share for R itself. Staking in front of a
+ *     winning reveal seen in the mempool earns nothing.
+ *
+ * [Mining Benefit — bounded]
+ *   - bonusBps grows linearly with the agent's active stake up to
+ *     MAX_BONUS_BPS at fullBonusStake, and stays there.
+ *   - aBTC_PoW adds that many bps of the round reward to the miner share,
+ *     taken out of the platform share — emission is unchanged.
+ *
+ * [Delegator Rewards]
+ *   - The agent owner offers delegatorShare bps (at most MAX_DELEGATOR_SHARE)
+ *     of every future miner share to the agent's stakers, split pro rata to
+ *     stake. Agents nobody stakes on pay nothing.
+ *   - Raising the share takes effect at once; lowering it only after
+ *     unbondingPeriod, so delegators can leave on the old terms first.
+ *
+ * [Unbonding]
+ *   - unstake() stops weight and rewards immediately; the aBTC can be
+ *     withdrawn once unbondingPeriod has passed.
+ */
+contract AgentStaking is IAgentStaking, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ══════════════════════════════════════════════════════════
+    //                      CONSTANTS
+    // ══════════════════════════════════════════════════════════
+
+    uint256 public constant MAX_BONUS_BPS = 300; // 3% of the round reward
+    uint256 public constant MAX_DELEGATOR_SHARE = 5000; // 50% of the miner share
+    uint256 public constant MAX_UNBONDING_PERIOD = 30 days;
+
+    uint256 internal constant PRECISION = 1e18;
+
+    // ══════════════════════════════════════════════════════════
+    //                        STATE
+    // ══════════════════════════════════════════════════════════
+
+    IaBTC_PoW public immutable abtc;
+    uint256 public immutable fullBonusStake;
+    uint256 public immutable unbondingPeriod;
+
+    mapping(uint256 => AgentPool) public agents;
+
+    /// @dev agentId => staker => Position
+    mapping(uint256 => mapping(address => Position)) public positions;
+
+    /// @dev staker => unstaked aBTC waiting out the unbonding period
+    mapping(address => Unbonding[]) internal _unbondings;
+
+    /// @dev agentId => round => rewardPerStake when stake deposited in that round started earning
+    mapping(uint256 => mapping(uint256 => uint256)) internal _warmupEndRewardPerStake;
+
+    // ══════════════════════════════════════════════════════════
+    //                      CONSTRUCTOR
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * @param _abtc            aBTC_PoW whose token is staked and whose rounds pay rewards
+     * @param _fullBonusStake  Stake at which an agent reaches MAX_BONUS_BPS
+     * @param _unbondingPeriod Seconds between unstake() and withdraw()
+     */
+    constructor(address _abtc, uint256 _fullBonusStake, uint256 _unbondingPeriod) {
+        require(_abtc != address(0), "Invalid aBTC");
+        require(_fullBonusStake > 0, "Invalid bonus stake");
+        require(_unbondingPeriod > 0 && _unbondingPeriod <= MAX_UNBONDING_PERIOD, "Invalid unbonding period");
+
+        abtc = IaBTC_PoW(_abtc);
+        fullBonusStake = _fullBonusStake;
+        unbondingPeriod = _unbondingPeriod;
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    /// @notice Share of the miner share paid to stakers right now, in bps.
+    function delegatorShare(uint256 agentId) public view override returns (uint256) {
+        AgentPool storage p = agents[agentId];
+        if (p.shareEffectiveAt != 0 && block.timestamp >= p.shareEffectiveAt) return p.pendingDelegatorShare;
+        return p.delegatorShare;
+    }
+
+    /// @notice Stake on `agentId` past its warm-up — what bonus and delegator rewards are computed on.
+    function activeStake(uint256 agentId) public view override returns (uint256) {
+        AgentPool storage p = agents[agentId];
+        if (p.warmupRound == abtc.currentRound()) return p.totalStaked - p.warmupStake;
+        return p.totalStaked;
+    }
+
+    /// @notice Extra miner share the agent's stake earns it, in bps of the round reward.
+    function bonusBps(uint256 agentId) public view override returns (uint256) {
+        uint256 staked = activeStake(agentId);
+        if (staked >= fullBonusStake) return MAX_BONUS_BPS;
+        return (MAX_BONUS_BPS * staked) / fullBonusStake;
+    }
+
+    /// @notice What aBTC_PoW applies when the agent wins: (bonus bps of reward, cut bps of miner share).
+    function rewardTerms(uint256 agentId) external view override returns (uint256 bonus, uint256 cut) {
+        if (activeStake(agentId) == 0) return (0, 0);
+        return (bonusBps(agentId), delegatorShare(agentId));
+    }
+
+    function pendingRewards(uint256 agentId, address staker) public view override returns (uint256) {
+        Position storage pos = positions[agentId][staker];
+        uint256 rewardPerStake = agents[agentId].rewardPerStake;
+        uint256 earned = ((pos.amount - pos.warmupAmount) * rewardPerStake) / PRECISION - pos.rewardDebt;
+        if (pos.warmupAmount != 0 && pos.warmupRound < abtc.currentRound()) {
+            earned += (pos.warmupAmount * (rewardPerStake - _warmupEnd(agentId, pos.warmupRound))) / PRECISION;
+        }
+        return pos.unclaimed + earned;
+    }
+
+    function getUnbondings(address staker) external view override returns (Unbonding[] memory) {
+        return _unbondings[staker];
+    }
+
+    /// @notice Unstaked aBTC of `staker` past its unbonding period.
+    function withdrawable(address staker) external view override returns (uint256 total) {
+        Unbonding[] storage list = _unbondings[staker];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (block.timestamp >= list[i].releaseTime) total += list[i].amount;
+        }
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                      DELEGATORS
+    // ══════════════════════════════════════════════════════════
+
+    /// @notice Lock `amount` aBTC against `agentId`; it starts earning next round. Needs an allowance for this contract.
+    function stake(uint256 agentId, uint256 amount) external override nonReentrant {
+        if (amount == 0) revert ZeroAmount();
+        abtc.agentRegistry().ownerOf(agentId); // reverts for unknown agents
+
+        uint256 round = abtc.currentRound();
+        AgentPool storage p = _endWarmup(agentId, round);
+        Position storage pos = _accrue(agentId, msg.sender);
+        pos.amount += amount;
+        pos.warmupAmount += amount;
+        pos.warmupRound = uint64(round);
+        p.totalStaked += amount;
+        p.warmupStake += amount;
+        p.warmupRound = uint64(round);
+
+        IERC20(address(abtc)).safeTransferFrom(msg.sender, address(this), amount);
+        emit Staked(agentId, msg.sender, amount);
+    }
+
+    /// @notice Stop staking `amount` on `agentId` (stake still warming up goes first); withdraw() it after the unbonding period.
+    function unstake(uint256 agentId, uint256 amount) external override nonReentrant {
+        if (amount == 0) revert ZeroAmount();
+        AgentPool storage p = _endWarmup(agentId, abtc.currentRound());
+        Position storage pos = _accrue(agentId, msg.sender);
+        if (pos.amount < amount) revert InsufficientStake();
+
+        // Whatever is left in warm-up after _accrue belongs to this round, as does the agent's
+        uint256 fromWarmup = amount < pos.warmupAmount ? amount : pos.warmupAmount;
+        pos.warmupAmount -= fromWarmup;
+        p.warmupStake -= fromWarmup;
+        pos.amount -= amount;
+        pos.rewardDebt = ((pos.amount - pos.warmupAmount) * p.rewardPerStake) / PRECISION;
+        p.totalStaked -= amount;
+
+        uint256 releaseTime = block.timestamp + unbondingPeriod;
+        _unbondings[msg.sender].push(Unbonding({agentId: agentId, amount: amount, releaseTime: uint64(releaseTime)}));
+        emit Unstaked(agentId, msg.sender, amount, releaseTime);
+    }
+
+    /// @notice Withdraw every unbonding entry whose period has passed.
+    function withdraw() external override nonReentrant {
+        Unbonding[] storage list = _unbondings[msg.sender];
+        uint256 total;
+        uint256 i = 0;
+        while (i < list.length) {
+            if (block.timestamp >= list[i].releaseTime) {
+                total += list[i].amount;
+                list[i] = list[list.length - 1];
+                list.pop();
+            } else {
+                i++;
+            }
+        }
+        if (total == 0) revert NothingToWithdraw();
+
+        IERC20(address(abtc)).safeTransfer(msg.sender, total);
+        emit Withdrawn(msg.sender, total);
+    }
+
+    /// @notice Claim delegator rewards earned on `agentIds`.
+    function claimRewards(uint256[] calldata agentIds) external override nonReentrant {
+        uint256 total;
+        for (uint256 i = 0; i < agentIds.length; i++) {
+            Position storage pos = _accrue(agentIds[i], msg.sender);
+            uint256 amount = pos.unclaimed;
+            if (amount == 0) continue;
+
+            pos.unclaimed = 0;
+            total += amount;
+            emit RewardClaimed(agentIds[i], msg.sender, amount);
+        }
+        if (total == 0) revert NothingToClaim();
+
+        IERC20(address(abtc)).safeTransfer(msg.sender, total);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                      AGENT OWNER
+    // ══════════════════════════════════════════════════════════
+
+    /// @notice Set the bps of future miner shares offered to the agent's stakers.
+    function setDelegatorShare(uint256 agentId, uint256 share) external override {
+        if (abtc.agentRegistry().ownerOf(agentId) != msg.sender) revert NotAgentOwner();
+        if (share > MAX_DELEGATOR_SHARE) revert ShareTooHigh();
+
+        AgentPool storage p = agents[agentId];
+        uint256 current = delegatorShare(agentId);
+        uint256 effectiveAt = block.timestamp;
+
+        if (share >= current) {
+            p.delegatorShare = uint16(share);
+            p.pendingDelegatorShare = 0;
+            p.shareEffectiveAt = 0;
+        } else {
+            effectiveAt += unbondingPeriod;
+            p.delegatorShare = uint16(current);
+            p.pendingDelegatorShare = uint16(share);
+            p.shareEffectiveAt = uint64(effectiveAt);
+        }
+        emit DelegatorShareQueued(agentId, share, effectiveAt);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                        aBTC
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * @notice Credit `amount` aBTC, already minted to this contract, to the agent's stakers.
+     * @dev    Only called by aBTC_PoW in the same transaction as rewardTerms(),
+     *         which returns no cut while the agent has no active stake.
+     *         Stake still warming up this round gets no part of it.
+     */
+    function notifyReward(uint256 agentId, uint256 amount) external override {
+        if (msg.sender != address(abtc)) revert NotAbtc();
+
+        AgentPool storage p = _endWarmup(agentId, abtc.currentRound());
+        uint256 active = p.totalStaked - p.warmupStake;
+        if (active == 0) return;
+
+        p.rewardPerStake += (amount * PRECISION) / active;
+        p.totalRewarded += amount;
+        emit RewardAccrued(agentId, amount);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                     INTERNAL
+    // ══════════════════════════════════════════════════════════
+
+    /// @dev Move rewards earned so far into `unclaimed` and reset the debt, ending a finished warm-up.
+    function _accrue(uint256 agentId, address staker) internal returns (Position storage pos) {
+        pos = positions[agentId][staker];
+        uint256 rewardPerStake = agents[agentId].rewardPerStake;
+        uint256 earned = ((pos.amount - pos.warmupAmount) * rewardPerStake) / PRECISION - pos.rewardDebt;
+        if (pos.warmupAmount != 0 && pos.warmupRound < abtc.currentRound()) {
+            earned += (pos.warmupAmount * (rewardPerStake - _warmupEnd(agentId, pos.warmupRound))) / PRECISION;
+            pos.warmupAmount = 0;
+        }
+        pos.unclaimed += earned;
+        pos.rewardDebt = ((pos.amount - pos.warmupAmount) * rewardPerStake) / PRECISION;
+    }
+
+    /// @dev Make the agent's stake from before `round` active, remembering where its rewards start.
+    function _endWarmup(uint256 agentId, uint256 round) internal returns (AgentPool storage p) {
+        p = agents[agentId];
+        if (p.warmupStake != 0 && p.warmupRound < round) {
+            _warmupEndRewardPerStake[agentId][p.warmupRound] = p.rewardPerStake;
+            p.warmupStake = 0;
+        }
+    }
+
+    /// @dev rewardPerStake at which stake deposited in `round` (now over) started earning.
+    function _warmupEnd(uint256 agentId, uint256 round) internal view returns (uint256) {
+        AgentPool storage p = agents[agentId];
+        // Not folded yet: no reward has been credited since, so it is the current value
+        if (p.warmupStake != 0 && p.warmupRound == round) return p.rewardPerStake;
+        return _warmupEndRewardPerStake[agentId][round];
+    }
+}
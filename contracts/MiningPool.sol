@@ -0,0 +1,257 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {IaBTC_PoW} from "./interfaces/IaBTC_PoW.sol";
+import {IMiningPool} from "./interfaces/IMiningPool.sol";
+
+/**
+ * @title MiningPool — shared hashing for aBTC_PoW
+ * @notice Holds one registry agent and mines with it on behalf of its members.
+ *
+ * [Work]
+ *   - The operator commits for the pool agent and publishes the resulting
+ *     enhancedSeed. The secret stays off-chain, so only the operator can reveal.
+ *   - Members search nonces for the pool agent and submit every hash below the
+ *     (easier) share target. A share that also beats the network target is a
+ *     block solution: BlockFound is emitted and the operator reveals it.
+ *
+ * [Payout — proportional]
+ *   - A pool round spans every aBTC round from the pool's last win to its next.
+ *   - Each share counts its pool round's share difficulty, fixed when the
+ *     round opens. Every share of a pool round therefore weighs the same, and
+ *     payouts are per pool round, so a member's cut is simply its share
+ *     count over the round's; the weight only records the difficulty the
+ *     shares were found at. setShareDifficulty applies from the next pool
+ *     round, so the operator cannot move the share target mid-round.
+ *   - On a win, the miner share received minus the operator fee is split over
+ *     the pool round's shares; members claim whenever they like. Leaving stops
+ *     new shares but keeps earned ones.
+ */
+contract MiningPool is IMiningPool, IERC721Receiver, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ══════════════════════════════════════════════════════════
+    //                      CONSTANTS
+    // ══════════════════════════════════════════════════════════
+
+    uint256 public constant MAX_FEE_BPS = 1000; // 10%
+
+    // ══════════════════════════════════════════════════════════
+    //                        STATE
+    // ══════════════════════════════════════════════════════════
+
+    IaBTC_PoW public immutable abtc;
+    address public immutable operator;
+    uint256 public immutable agentId;
+    uint256 public immutable feeBps;
+
+    /// @dev Share difficulty the next pool round opens with
+    uint256 public shareDifficulty;
+    uint256 public poolRound;
+    Work public currentWork;
+    uint256 public operatorBalance;
+
+    mapping(address => bool) public members;
+
+    /// @dev poolRound => member => weighted shares
+    mapping(uint256 => mapping(address => uint256)) public shares;
+    mapping(uint256 => uint256) public totalShares;
+    /// @dev poolRound => share difficulty every share of that round is checked and weighted at
+    mapping(uint256 => uint256) public roundShareDifficulty;
+    mapping(uint256 => uint256) public poolRewards;
+    mapping(uint256 => mapping(address => bool)) public claimed;
+
+    /// @dev hashVal => already credited (a nonce is only unique per seed)
+    mapping(uint256 => bool) public usedShares;
+
+    // ══════════════════════════════════════════════════════════
+    //                      CONSTRUCTOR
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * @param _abtc            aBTC_PoW to mine on
+     * @param _agentId         Registry agent the pool mines with — transfer it to the pool after deployment
+     * @param _operator        Commits, reveals and tunes the share difficulty
+     * @param _shareDifficulty Initial share difficulty (lower than the network's)
+     * @param _feeBps          Operator cut of each win's miner share
+     */
+    constructor(
+        address _abtc,
+        uint256 _agentId,
+        address _operator,
+        uint256 _shareDifficulty,
+        uint256 _feeBps
+    ) {
+        require(_abtc != address(0), "Invalid aBTC");
+        require(_operator != address(0), "Invalid operator");
+        if (_shareDifficulty == 0) revert InvalidShareDifficulty();
+        if (_feeBps > MAX_FEE_BPS) revert FeeTooHigh();
+
+        abtc = IaBTC_PoW(_abtc);
+        agentId = _agentId;
+        operator = _operator;
+        shareDifficulty = _shareDifficulty;
+        feeBps = _feeBps;
+        poolRound = 1;
+        roundShareDifficulty[1] = _shareDifficulty;
+    }
+
+    modifier onlyOperator() {
+        if (msg.sender != operator) revert NotOperator();
+        _;
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function getShareTarget() public view override returns (uint256) {
+        return type(uint256).max / roundShareDifficulty[poolRound];
+    }
+
+    /// @notice Unclaimed payout of `member` for a closed pool round.
+    function pendingReward(uint256 round, address member) public view override returns (uint256) {
+        if (round >= poolRound || claimed[round][member] || totalShares[round] == 0) return 0;
+        return (poolRewards[round] * shares[round][member]) / totalShares[round];
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                       MEMBERS
+    // ══════════════════════════════════════════════════════════
+
+    /// @notice Join the pool. Open to anyone holding a registry agent.
+    function join() external override {
+        if (members[msg.sender]) revert AlreadyMember();
+        if (abtc.agentRegistry().balanceOf(msg.sender) == 0) revert NotAgentHolder();
+
+        members[msg.sender] = true;
+        emit MemberJoined(msg.sender);
+    }
+
+    /// @notice Stop contributing. Shares already accepted stay claimable once their pool round closes.
+    function leave() external override {
+        if (!members[msg.sender]) revert NotMember();
+
+        members[msg.sender] = false;
+        emit MemberLeft(msg.sender);
+    }
+
+    /**
+     * @notice Submit a share: hashVal = computeHash(agentId, nonce, enhancedSeed) below the share target.
+     * @param nonce Nonce found against the current work
+     */
+    function submitShare(uint256 nonce) external override nonReentrant {
+        if (!members[msg.sender]) revert NotMember();
+
+        Work memory work = currentWork;
+        if (work.round != abtc.currentRound()) revert StaleWork();
+
+        uint256 hashVal = abtc.computeHash(agentId, nonce, work.enhancedSeed);
+        if (hashVal >= getShareTarget()) revert LowDifficultyShare();
+        if (usedShares[hashVal]) revert DuplicateShare();
+        usedShares[hashVal] = true;
+
+        uint256 weight = roundShareDifficulty[poolRound];
+        shares[poolRound][msg.sender] += weight;
+        totalShares[poolRound] += weight;
+
+        emit ShareAccepted(poolRound, msg.sender, nonce, weight);
+
+        if (hashVal < abtc.getTarget()) {
+            emit BlockFound(work.round, msg.sender, nonce, hashVal);
+        }
+    }
+
+    /// @notice Claim payouts of closed pool rounds.
+    function claim(uint256[] calldata rounds) external override nonReentrant {
+        uint256 total;
+        for (uint256 i = 0; i < rounds.length; i++) {
+            if (rounds[i] >= poolRound) revert PoolRoundOpen();
+
+            uint256 amount = pendingReward(rounds[i], msg.sender);
+            if (amount == 0) continue;
+
+            claimed[rounds[i]][msg.sender] = true;
+            total += amount;
+            emit RewardClaimed(rounds[i], msg.sender, amount);
+        }
+        if (total == 0) revert NothingToClaim();
+
+        IERC20(address(abtc)).safeTransfer(msg.sender, total);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                       OPERATOR
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * @notice Commit for the pool agent and publish the work members hash on.
+     * @param commitHash   keccak256(abi.encode(agentId, secret, address(this)))
+     * @param enhancedSeed keccak256(abi.encode(roundSeed ^ secret)) — safe to publish, it does not reveal the secret
+     */
+    function commit(bytes32 commitHash, uint256 enhancedSeed) external override onlyOperator {
+        abtc.commit(agentId, commitHash);
+
+        uint256 round = abtc.currentRound();
+        currentWork = Work({round: round, enhancedSeed: enhancedSeed});
+
+        emit WorkPublished(round, enhancedSeed, roundShareDifficulty[poolRound]);
+    }
+
+    /**
+     * @notice Reveal a block solution and close the pool round.
+     * @dev    The pool owns the agent, so it receives the miner share; the fee
+     *         goes to the operator.
+     *         Payout accounting needs the round to close in the reveal itself, so
+     *         the pool cannot mine while aBTC runs with a reveal window.
+     */
+    function reveal(uint256 nonce, uint256 secret) external override onlyOperator nonReentrant {
+        if (abtc.REVEAL_WINDOW() != 0) revert RevealWindowUnsupported();
+
+        IERC20 token = IERC20(address(abtc));
+        uint256 balanceBefore = token.balanceOf(address(this));
+        abtc.revealAndMine(agentId, nonce, secret);
+        uint256 received = token.balanceOf(address(this)) - balanceBefore;
+
+        uint256 closing = poolRound;
+        // What actually arrived — staking may have added a bonus or taken a delegator cut
+        uint256 distributable = received - (received * feeBps) / 10000;
+        // Nobody submitted shares — the operator found it alone
+        if (totalShares[closing] == 0) distributable = 0;
+
+        poolRewards[closing] = distributable;
+        operatorBalance += received - distributable;
+        poolRound = closing + 1;
+        roundShareDifficulty[closing + 1] = shareDifficulty;
+
+        emit PoolRoundClosed(closing, currentWork.round, distributable, totalShares[closing]);
+        delete currentWork;
+    }
+
+    /// @notice Set the share difficulty from the next pool round on; the open round keeps its own.
+    function setShareDifficulty(uint256 newDifficulty) external override onlyOperator {
+        if (newDifficulty == 0) revert InvalidShareDifficulty();
+
+        emit ShareDifficultyUpdated(shareDifficulty, newDifficulty);
+        shareDifficulty = newDifficulty;
+    }
+
+    function withdrawOperatorBalance(address to) external override onlyOperator nonReentrant {
+        uint256 amount = operatorBalance;
+        operatorBalance = 0;
+        IERC20(address(abtc)).safeTransfer(to, amount);
+    }
+
+    /// @notice Hand the pool agent back, e.g. when shutting the pool down.
+    function releaseAgent(address to) external override onlyOperator {
+        abtc.agentRegistry().safeTransferFrom(address(this), to, agentId);
+    }
+
+    function onERC721Received(address, address, uint256, bytes calldata) external pure override returns (bytes4) {
+        return IERC721Receiver.onERC721Received.selector;
+    }
+}
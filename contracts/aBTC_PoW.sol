@@ -1,11 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
-import {IaBTC_PoW} from "./interfaces/IaBTC_PoW.sol";
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import {aBTC_PoWBase} from "./aBTC_PoWBase.sol";
+import {IaBTC_PoWBase, IaBTC_PoW} from "./interfaces/IaBTC_PoW.sol";
 
 /**
  * @title aBTC_PoW — Agent Bitcoin Proof-of-Work Mining
@@ -16,89 +15,166 @@ import {IaBTC_PoW} from "./interfaces/IaBTC_PoW.sol";
  *   - enhancedSeed = keccak256(roundSeed XOR secret)
  *     Neither the validator nor the miner can unilaterally control the seed.
  *   - Fallback: forceAdvanceRound if the round gets stuck.
+ *   - roundSeed comes from the seed provider fixed at deployment (see
+ *     contracts/seed), given the winning hashVal of the round just closed.
+ *     Round 1's seed is derived here instead, so a stateful provider can be
+ *     bound to this contract after it is deployed:
+ *       PrevrandaoSeedProvider — block.prevrandao / blockhash; the block
+ *                                producer (an L2 sequencer) can steer it
+ *       OracleSeedProvider     — VRF-style oracle callback, one word per round
+ *       BeaconSeedProvider     — hash chain fed by each winner's hashVal
+ *     The last two mix in the winning hashVal, so the winner knows the next
+ *     seed before revealing; with them no commitment is taken for a round
+ *     before it is a block old (no pre-commits, CommitTooEarly).
+ *
+ * [Reveal Window]
+ *   - With revealWindow = 0 the first valid reveal wins and closes the round.
+ *   - Otherwise the first valid reveal opens a window of revealWindow blocks;
+ *     every valid reveal in it competes, the lowest hashVal wins (ties broken
+ *     by keccak256(roundSeed, agentId)), and finalizeRound() settles it once
+ *     the window has closed. Reordering reveals inside the window gains nothing.
+ *   - If finalizeRound() cannot settle it (the best agent was burned, or the
+ *     registry reverts), forceAdvanceRound() orphans the round
+ *     once revealDeadline blocks have passed since the window closed.
  *
  * [Difficulty Adjustment]
- *   - Epoch-based (every EPOCH_LENGTH rounds), proportional like Bitcoin.
+ *   - Epoch-based (every epochLength rounds), proportional like Bitcoin.
  *   - Clamped to 4x per epoch, timestamp-based.
  *   - Emergency reset in case of death spiral.
  *
  * [Reward]
  *   - 50 aBTC initial, halving every 210k rounds, max 21M supply.
- *   - Split: 90% miner, 5% validator (tx sender), 5% treasury.
+ *   - Once emission is over (MAX_SUPPLY reached, or the halved reward is 0)
+ *     rounds keep running as fee-only rounds: each pays 1/TIP_PAYOUT_DIVISOR
+ *     of the tip pool, which anyone funds with tip(), split like a reward.
+ *     Difficulty keeps adjusting; tips never mint.
+ *   - Split: 90% miner, 5% validator, 5% treasury.
+ *   - The miner share goes to the agent owner, or to the payout address the
+ *     owner registered (dropped automatically when the agent changes hands).
+ *   - The validator share goes to feeRecipient when set (e.g. a relayer),
+ *     otherwise to block.coinbase — never to the revealer by default.
+ *   - Every closed round leaves a RoundRecord (winner, payees, reward,
+ *     difficulty, seed), readable page by page via getRoundHistory().
+ *
+ * [Staking]
+ *   - With a staking contract set (see AgentStaking), a winning agent's stake
+ *     moves up to its bonus bps of the reward from the platform share to the
+ *     miner share, and the agent's delegator cut of the miner share is minted
+ *     to the staking contract for its stakers.
+ *   - The staking contract is not trusted: its terms are clamped to
+ *     MAX_STAKING_BONUS_BPS / MAX_STAKING_CUT_BPS (AgentStaking's own caps),
+ *     and if rewardTerms or notifyReward reverts the round closes on the
+ *     plain split instead.
+ *
+ * [Eligibility]
+ *   - With an agent adapter set (see AgentRegistryAdapter), an agent must
+ *     also pass the adapter's rules — minimum age, allow/deny list,
+ *     reputation — to commit or reveal. Without one, owning it is enough.
+ *
+ * [Token]
+ *   - ERC20Permit: approvals by EIP-2612 signature, same EIP-712 domain as
+ *     relayed mining but a separate nonce sequence.
+ *   - ERC20Votes: checkpointed voting power (block-number clock) for a
+ *     governor. Holders must delegate, to themselves or others, before their
+ *     balance counts; mined rewards then move the delegatee's votes.
+ *
+ * [Parameters]
+ *   - Round timing, commit-reveal windows and the reward split are bounded
+ *     storage parameters. PARAMETER_ROLE queues a change, executes it after
+ *     PARAMS_TIMELOCK, and it takes effect at the next epoch boundary.
+ *   - The addresses that steer rewards and eligibility — feeRecipient,
+ *     staking and the agent adapter — change the same way: queueAddress, then
+ *     executeAddress after PARAMS_TIMELOCK (cancelAddress drops it), applied
+ *     at once.
+ *
+ * [Operators]
+ *   - The agent owner, or anyone it approved through the registry's ERC-721
+ *     approvals (getApproved / isApprovedForAll), may commit and reveal for
+ *     the agent. Rewards still follow the owner's payout address.
+ *
+ * [Relayed Mining]
+ *   - commitWithSig / revealAndMineWithSig take an EIP-712 payload signed by
+ *     the owner (or an approved operator), so a cold wallet never needs gas.
+ *     Any relayer may submit it; the signer is the committer.
+ *   - Each signer has a sequential nonce and every payload a deadline.
+ *   - The relayer of a winning reveal takes the validator share as its fee.
+ *   - ERC-1271 signers (smart-contract wallets) are supported.
+ *
+ * [Access Control]
+ *   - admin holds DEFAULT_ADMIN_ROLE and grants the operational roles:
+ *       PAUSER_ROLE    — pause on exploit detection
+ *       PARAMETER_ROLE — queue/execute/cancel parameter changes, queue address changes
+ *       RECOVERY_ROLE  — unpause, rotate the treasury
+ *   - admin and treasury change hands in two steps (transfer, then accept
+ *     from the new address), so a typo cannot strand either.
+ *   - Accepting the admin handover also moves whichever operational roles
+ *     the old admin held, so a replaced (e.g. compromised) key keeps none.
+ *
+ * [Layout]
+ *   - The full contract does not fit in the EIP-170 code size limit, so the
+ *     rarely used paths (history and commitment views, batch and signed
+ *     commits, forced advance and emergency reset, admin and pause) live in
+ *     aBTC_PoWExtension and are forwarded to it by delegatecall. Both share
+ *     aBTC_PoWBase's storage layout; the ABI is this contract's alone.
+ *   - The split came with ERC20Permit + ERC20Votes: their code alone pushed the
+ *     single contract past the limit. The extension is compiled with
+ *     optimizer runs = 1 and without viaIR (hardhat.config.js) since none of
+ *     its paths are hot, which keeps both halves over 700 bytes under 24,576. New cold paths go
+ *     in the extension; check both sizes before adding to either.
  *
  * [Security]
  *   - ReentrancyGuard on all external mutative functions.
- *   - Pausable by admin upon exploit detection.
- *   - prevrandao validation against zero-seed on pre-merge/L2 chains.
+ *   - Pausable upon exploit detection.
+ *   - PrevrandaoSeedProvider refuses a zero seed on pre-merge/L2 chains.
  *   - abi.encode instead of abi.encodePacked to prevent hash collisions.
  */
-contract aBTC_PoW is ERC20, IaBTC_PoW, ReentrancyGuard, Pausable {
-    // ══════════════════════════════════════════════════════════
-    //                      CONSTANTS
-    // ══════════════════════════════════════════════════════════
-
-    // --- Supply & Reward ---
-    uint256 public constant MAX_SUPPLY = 21_000_000 * 1e8;
-    uint256 public constant INITIAL_REWARD = 50 * 1e8;
-    uint256 public constant HALVING_INTERVAL = 210_000;
-
-    // --- Difficulty ---
-    uint256 public constant MIN_DIFFICULTY = 1000;
-    uint256 public constant MAX_DIFFICULTY = type(uint256).max / 2;
-    uint256 public constant TARGET_TIME = 60; // seconds per round
-    uint256 public constant MAX_ADJUSTMENT_FACTOR = 4; // clamp 4x per epoch
-    uint256 public constant EPOCH_LENGTH = 10; // rounds per epoch
-
-    // --- Reward Split (basis points, 10000 = 100%) ---
-    uint256 public constant MINER_SHARE = 9000;  // 90%
-    uint256 public constant VALIDATOR_SHARE = 500; // 5%
-    uint256 public constant PLATFORM_SHARE = 500;  // 5%
-
-    // --- Commit-Reveal ---
-    uint256 public constant COMMIT_COOLDOWN = 1;  // must wait at least 1 block after commit before reveal
-    uint256 public constant REVEAL_DEADLINE = 256; // blocks — if no reveal within 256 blocks, round is force-advanced
-
-    // ══════════════════════════════════════════════════════════
-    //                        STATE
-    // ══════════════════════════════════════════════════════════
-
-    IERC721 public immutable agentRegistry;
-    address public immutable treasury;
-    address public immutable admin;
-
-    uint256 public currentRound;
-    uint256 public roundStartTime;
-    uint256 public roundStartBlock;
-    uint256 public epochStartTime;
-    uint256 public epochStartRound;
-    uint256 public roundDifficulty;
-    uint256 public roundSeed;
-    uint256 public totalMined;
-
-    /// @dev round => agentId => Commitment
-    mapping(uint256 => mapping(uint256 => Commitment)) public commitments;
-
-    mapping(uint256 => AgentStats) public agentStats;
+contract aBTC_PoW is aBTC_PoWBase, IaBTC_PoW {
+    /// @dev Runs the functions forwarded in the EXTENSION section, in this contract's storage.
+    address public immutable extension;
 
     // ══════════════════════════════════════════════════════════
     //                      CONSTRUCTOR
     // ══════════════════════════════════════════════════════════
 
+    /**
+     * @param _extension    aBTC_PoWExtension deployment the cold paths are forwarded to
+     * @param _seedProvider ISeedProvider for every roundSeed after round 1; a stateful one must be bound to this contract
+     */
     constructor(
         address _agentRegistry,
         address _treasury,
-        address _admin
-    ) ERC20("Agent Bitcoin", "aBTC") {
-        require(_agentRegistry != address(0), "Invalid registry");
+        address _admin,
+        address _extension,
+        address _seedProvider
+    ) aBTC_PoWBase(_agentRegistry) {
         require(_treasury != address(0), "Invalid treasury");
         require(_admin != address(0), "Invalid admin");
+        require(
+            _extension.code.length > 0 && address(IaBTC_PoWBase(_extension).agentRegistry()) == _agentRegistry,
+            "Invalid extension"
+        );
+        require(_seedProvider.code.length > 0, "Invalid seed provider");
 
-        // Compile-time share validation
-        assert(MINER_SHARE + VALIDATOR_SHARE + PLATFORM_SHARE == 10000);
-
-        agentRegistry = IERC721(_agentRegistry);
+        extension = _extension;
+        seedProvider = _seedProvider;
         treasury = _treasury;
         admin = _admin;
+        _grantRole(DEFAULT_ADMIN_ROLE, _admin);
+        _grantRole(PAUSER_ROLE, _admin);
+        _grantRole(PARAMETER_ROLE, _admin);
+        _grantRole(RECOVERY_ROLE, _admin);
+
+        params = MiningParams({
+            targetTime: 60,
+            epochLength: 10,
+            revealDeadline: 256,
+            commitCooldown: 1,
+            minerShare: 9000,
+            validatorShare: 500,
+            platformShare: 500,
+            revealWindow: 0
+        });
+        _validateParams(params);
 
         currentRound = 1;
         roundStartTime = block.timestamp;
@@ -106,40 +182,63 @@ contract aBTC_PoW is ERC20, IaBTC_PoW, ReentrancyGuard, Pausable {
         epochStartTime = block.timestamp;
         epochStartRound = 1;
         roundDifficulty = MIN_DIFFICULTY;
-        roundSeed = _generateSeed();
-    }
-
-    function decimals() public pure override(ERC20, IaBTC_PoW) returns (uint8) {
-        return 8;
+        roundSeed = uint256(keccak256(abi.encode(block.prevrandao, blockhash(block.number - 1), address(this))));
     }
 
     // ══════════════════════════════════════════════════════════
     //                    VIEW FUNCTIONS
     // ══════════════════════════════════════════════════════════
 
-    function getReward() public view override returns (uint256) {
-        uint256 era = currentRound / HALVING_INTERVAL;
-        if (era >= 64) return 0;
-        return INITIAL_REWARD >> era;
+    function TARGET_TIME() public view override returns (uint256) {
+        return params.targetTime;
     }
 
-    function getTarget() public view override returns (uint256) {
-        uint256 diff = roundDifficulty < MIN_DIFFICULTY ? MIN_DIFFICULTY : roundDifficulty;
-        return type(uint256).max / diff;
+    function EPOCH_LENGTH() public view override returns (uint256) {
+        return params.epochLength;
     }
 
-    function computeHash(
-        uint256 agentId,
-        uint256 nonce,
-        uint256 seed
-    ) public pure override returns (uint256) {
-        return uint256(keccak256(abi.encode(agentId, nonce, seed)));
+    function REVEAL_DEADLINE() public view override returns (uint256) {
+        return params.revealDeadline;
+    }
+
+    function REVEAL_WINDOW() public view override returns (uint256) {
+        return params.revealWindow;
+    }
+
+    function COMMIT_COOLDOWN() public view override returns (uint256) {
+        return params.commitCooldown;
+    }
+
+    function MINER_SHARE() public view override returns (uint256) {
+        return params.minerShare;
+    }
+
+    function VALIDATOR_SHARE() public view override returns (uint256) {
+        return params.validatorShare;
+    }
+
+    function PLATFORM_SHARE() public view override returns (uint256) {
+        return params.platformShare;
+    }
+
+    function getParams() external view override returns (MiningParams memory) {
+        return params;
+    }
+
+    function decimals() public pure override(ERC20, IaBTC_PoW) returns (uint8) {
+        return 8;
+    }
+
+    /// @notice EIP-712 domain separator, shared by permit and Commit / Reveal signatures.
+    function DOMAIN_SEPARATOR() external view override(ERC20Permit, IaBTC_PoW) returns (bytes32) {
+        return _domainSeparatorV4();
     }
 
     function roundsUntilAdjustment() external view override returns (uint256) {
         uint256 roundsInEpoch = currentRound - epochStartRound;
-        if (roundsInEpoch >= EPOCH_LENGTH) return 0;
-        return EPOCH_LENGTH - roundsInEpoch;
+        uint256 epochLength = params.epochLength;
+        if (roundsInEpoch >= epochLength) return 0;
+        return epochLength - roundsInEpoch;
     }
 
     /// @notice Helper for miners to compute commitHash off-chain before calling commit().
@@ -157,29 +256,35 @@ contract aBTC_PoW is ERC20, IaBTC_PoW, ReentrancyGuard, Pausable {
 
     /**
      * @notice Phase 1: Commit — miner submits hash(agentId, secret, msg.sender).
-     * @param agentId    NFT agent ID owned by the miner
+     * @param agentId    NFT agent ID owned by the miner, or one it is approved to operate
      * @param commitHash keccak256(abi.encode(agentId, secret, msg.sender))
      */
     function commit(
         uint256 agentId,
         bytes32 commitHash
     ) external override whenNotPaused {
-        if (totalMined >= MAX_SUPPLY) revert MiningFinished();
-        if (agentRegistry.ownerOf(agentId) != msg.sender) revert NotAgentOwner();
-        if (commitHash == bytes32(0)) revert EmptyCommit();
-
-        // Allow overwriting previous commit in the same round (miner changed their mind)
-        commitments[currentRound][agentId] = Commitment({
-            commitHash: commitHash,
-            commitBlock: block.number,
-            committer: msg.sender
-        });
+        _commit(currentRound, agentId, commitHash, msg.sender);
+    }
 
-        emit Committed(currentRound, agentId, msg.sender);
+    /**
+     * @notice Pre-commit for a future round (up to MAX_PRECOMMIT_ROUNDS ahead), so the
+     *         commitment is already on-chain when that round's RoundStarted fires.
+     *         Safe: the round's seed is unknown at commit time, so nothing can be precomputed.
+     *         Refused (CommitTooEarly) when the seed provider's winnerKnowsNextSeed() is true.
+     * @param round Target round, currentRound <= round <= currentRound + MAX_PRECOMMIT_ROUNDS
+     */
+    function commitFor(
+        uint256 round,
+        uint256 agentId,
+        bytes32 commitHash
+    ) external override whenNotPaused {
+        _checkCommitRound(round);
+        _commit(round, agentId, commitHash, msg.sender);
     }
 
     /**
      * @notice Phase 2: Reveal secret + submit PoW nonce.
+     *         Closes the round immediately, or enters the reveal window when revealWindow > 0.
      * @dev    enhancedSeed = keccak256(roundSeed XOR secret)
      *         hashVal = keccak256(agentId, nonce, enhancedSeed) must be < target
      * @param agentId NFT agent ID
@@ -191,220 +296,223 @@ contract aBTC_PoW is ERC20, IaBTC_PoW, ReentrancyGuard, Pausable {
         uint256 nonce,
         uint256 secret
     ) external override nonReentrant whenNotPaused {
-        if (totalMined >= MAX_SUPPLY) revert MiningFinished();
-
-        // --- Verify Commitment ---
-        Commitment storage c = commitments[currentRound][agentId];
-        if (c.committer != msg.sender) revert NoValidCommit();
-        if (block.number <= c.commitBlock + COMMIT_COOLDOWN) revert RevealTooEarly();
-
-        bytes32 expectedHash = keccak256(abi.encode(agentId, secret, msg.sender));
-        if (c.commitHash != expectedHash) revert CommitMismatch();
-
-        // --- Verify Agent Ownership (may have been transferred after commit) ---
-        if (agentRegistry.ownerOf(agentId) != msg.sender) revert NotAgentOwner();
-
-        // --- Enhanced Seed ---
-        // XOR roundSeed with secret before hashing:
-        // - Validator knows prevrandao but not the miner's secret
-        // - Miner knows the secret but not prevrandao at commit time
-        uint256 enhancedSeed = uint256(keccak256(abi.encode(roundSeed ^ secret)));
-
-        // --- PoW Verification ---
-        uint256 hashVal = computeHash(agentId, nonce, enhancedSeed);
-        uint256 target = getTarget();
-        if (hashVal >= target) revert InvalidNonce();
-
-        // --- Invalidate commitment ---
-        delete commitments[currentRound][agentId];
-
-        emit MineSuccess(currentRound, agentId, nonce, hashVal);
-
-        _finalizeRound(agentId);
+        _reveal(agentId, nonce, secret, msg.sender, address(0));
     }
 
     /**
-     * @notice Force-advance the round if no one reveals within REVEAL_DEADLINE blocks.
-     *         The round becomes orphaned — no reward is minted.
+     * @notice Settle a round whose reveal window has closed, paying the best reveal.
+     *         Permissionless. The validator share goes to the winning reveal's
+     *         relayer if it was relayed, otherwise to validatorRecipient().
      */
-    function forceAdvanceRound() external override nonReentrant whenNotPaused {
-        if (block.number <= roundStartBlock + REVEAL_DEADLINE) revert DeadlineNotReached();
+    function finalizeRound() external override nonReentrant whenNotPaused {
+        PendingReveal memory best = pendingReveal;
+        if (best.closesAt == 0) revert NoPendingReveal();
+        if (block.number <= best.closesAt) revert RevealWindowOpen();
 
-        emit RoundForceAdvanced(currentRound, msg.sender);
+        delete pendingReveal;
 
-        // Run difficulty adjustment if at epoch boundary
-        uint256 roundsInEpoch = currentRound - epochStartRound;
-        if (roundsInEpoch >= EPOCH_LENGTH) {
-            _adjustDifficulty();
-        }
+        emit MineSuccess(currentRound, best.agentId, best.nonce, best.hashVal);
 
-        // Advance round without minting rewards
-        currentRound++;
-        roundStartTime = block.timestamp;
-        roundStartBlock = block.number;
-        roundSeed = _generateSeed();
+        _finalizeRound(best.agentId, agentRegistry.ownerOf(best.agentId), best.relayer, best.hashVal);
+    }
 
-        emit RoundStarted(currentRound, roundDifficulty, roundSeed);
+    /**
+     * @notice revealAndMine() on behalf of `signer`, who signed an EIP-712 Reveal.
+     *         The relayer (msg.sender) takes the validator share if this reveal wins.
+     * @param powNonce PoW nonce found off-chain by the miner
+     */
+    function revealAndMineWithSig(
+        uint256 agentId,
+        uint256 powNonce,
+        uint256 secret,
+        address signer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external override nonReentrant whenNotPaused {
+        _useSignature(
+            signer,
+            deadline,
+            signature,
+            abi.encode(REVEAL_TYPEHASH, agentId, powNonce, secret, relayNonces[signer], deadline)
+        );
+        _reveal(agentId, powNonce, secret, signer, msg.sender);
     }
 
     // ══════════════════════════════════════════════════════════
-    //                    ADMIN FUNCTIONS
+    //                     EXTENSION
     // ══════════════════════════════════════════════════════════
 
-    /// @notice Pause mining upon exploit detection or for maintenance.
-    function pause() external {
-        if (msg.sender != admin) revert NotAdmin();
-        _pause();
+    // Implemented in aBTC_PoWExtension — see there for documentation.
+
+    function payoutAddress(uint256) external view override returns (address) {
+        _delegateView();
     }
 
-    /// @notice Unpause mining to resume normal operations.
-    function unpause() external {
-        if (msg.sender != admin) revert NotAdmin();
-        _unpause();
+    function isAuthorizedMiner(uint256, address) external view override returns (bool) {
+        _delegateView();
     }
 
-    // ══════════════════════════════════════════════════════════
-    //                     EMERGENCY
-    // ══════════════════════════════════════════════════════════
+    function getRoundRecord(uint256) external view override returns (RoundRecord memory) {
+        _delegateView();
+    }
 
-    /**
-     * @notice Emergency reset in case of a death spiral — difficulty too high, no one can mine.
-     *         Requires: 10x the expected epoch time has elapsed without epoch completion.
-     *         Permissionless — anyone can call.
-     */
-    function emergencyDifficultyReset() external override nonReentrant {
-        uint256 elapsed = block.timestamp - epochStartTime;
-        uint256 threshold = TARGET_TIME * EPOCH_LENGTH * 10;
-        if (elapsed <= threshold) revert TooEarlyForEmergency();
+    function getRoundHistory(uint256, uint256) external view override returns (RoundRecord[] memory) {
+        _delegateView();
+    }
 
-        uint256 oldDifficulty = roundDifficulty;
-        roundDifficulty = MIN_DIFFICULTY;
-        epochStartTime = block.timestamp;
-        epochStartRound = currentRound;
-        roundStartTime = block.timestamp;
-        roundStartBlock = block.number;
-        roundSeed = _generateSeed();
+    function roundCommitCount(uint256) external view override returns (uint256) {
+        _delegateView();
+    }
 
-        emit DifficultyAdjusted(0, oldDifficulty, MIN_DIFFICULTY, elapsed, TARGET_TIME * EPOCH_LENGTH);
-        emit RoundStarted(currentRound, roundDifficulty, roundSeed);
+    function getRoundCommitments(
+        uint256,
+        uint256,
+        uint256
+    ) external view override returns (uint256[] memory, Commitment[] memory) {
+        _delegateView();
     }
 
-    // ══════════════════════════════════════════════════════════
-    //                     INTERNAL
-    // ══════════════════════════════════════════════════════════
+    function getCurrentCommitments(
+        uint256,
+        uint256
+    ) external view override returns (uint256[] memory, Commitment[] memory) {
+        _delegateView();
+    }
 
-    function _finalizeRound(uint256 winningAgentId) internal {
-        uint256 reward = getReward();
+    function pendingAddress(AddressSetting) external view override returns (address, uint256) {
+        _delegateView();
+    }
 
-        // Cap reward if it would exceed max supply
-        if (totalMined + reward > MAX_SUPPLY) {
-            reward = MAX_SUPPLY - totalMined;
-        }
+    function setPayoutAddress(uint256, address) external override {
+        _delegate();
+    }
 
-        if (reward > 0) {
-            // Cache ownerOf — single external call, reuse result
-            address agentOwner = agentRegistry.ownerOf(winningAgentId);
+    function commitWithSig(uint256, uint256, bytes32, address, uint256, bytes calldata) external override {
+        _delegate();
+    }
 
-            uint256 minerAmt = (reward * MINER_SHARE) / 10000;
-            uint256 validatorAmt = (reward * VALIDATOR_SHARE) / 10000;
-            uint256 platformAmt = reward - minerAmt - validatorAmt; // Remainder avoids rounding loss
+    function commitBatch(uint256[] calldata, bytes32[] calldata) external override {
+        _delegate();
+    }
 
-            _mint(agentOwner, minerAmt);
-            _mint(msg.sender, validatorAmt);
-            _mint(treasury, platformAmt);
+    function commitBatchFor(uint256, uint256[] calldata, bytes32[] calldata) external override {
+        _delegate();
+    }
 
-            totalMined += reward;
+    function clearStaleCommitments(uint256, uint256) external override returns (uint256) {
+        _delegate();
+    }
 
-            // Safe cast for totalEarned
-            if (minerAmt > type(uint128).max) revert EarnedOverflow();
+    function forceAdvanceRound() external override {
+        _delegate();
+    }
 
-            AgentStats storage stats = agentStats[winningAgentId];
-            stats.totalWins++;
-            stats.totalEarned += uint128(minerAmt);
-            stats.lastWinRound = uint64(currentRound);
-        }
+    function emergencyDifficultyReset() external override {
+        _delegate();
+    }
 
-        // --- Difficulty Adjustment ---
-        uint256 roundsInEpoch = currentRound - epochStartRound;
-        if (roundsInEpoch >= EPOCH_LENGTH) {
-            _adjustDifficulty();
-        }
+    function pause() external override {
+        _delegate();
+    }
 
-        // --- New Round ---
-        currentRound++;
-        roundStartTime = block.timestamp;
-        roundStartBlock = block.number;
-        roundSeed = _generateSeed();
+    function unpause() external override {
+        _delegate();
+    }
 
-        emit RoundStarted(currentRound, roundDifficulty, roundSeed);
+    function transferAdmin(address) external override {
+        _delegate();
     }
 
-    /**
-     * @dev Proportional difficulty adjustment with clamp bounds.
-     *      newDifficulty = oldDifficulty * expectedTime / actualTime
-     *      Clamp: [old/4, old*4], bounded by [MIN_DIFFICULTY, MAX_DIFFICULTY]
-     */
-    function _adjustDifficulty() internal {
-        uint256 elapsed = block.timestamp - epochStartTime;
-        uint256 roundsInEpoch = currentRound - epochStartRound;
-        uint256 expectedTime = roundsInEpoch * TARGET_TIME;
+    function acceptAdmin() external override {
+        _delegate();
+    }
 
-        uint256 oldDifficulty = roundDifficulty;
-        uint256 newDifficulty;
+    function transferTreasury(address) external override {
+        _delegate();
+    }
 
-        if (elapsed == 0) {
-            // All rounds mined within the same second — increase to max
-            newDifficulty = oldDifficulty * MAX_ADJUSTMENT_FACTOR;
-        } else {
-            newDifficulty = (oldDifficulty * expectedTime) / elapsed;
+    function acceptTreasury() external override {
+        _delegate();
+    }
 
-            // Clamp bounds
-            uint256 maxDiff = oldDifficulty * MAX_ADJUSTMENT_FACTOR;
-            uint256 minDiff = oldDifficulty / MAX_ADJUSTMENT_FACTOR;
+    function queueParams(MiningParams calldata) external override {
+        _delegate();
+    }
 
-            if (newDifficulty > maxDiff) {
-                newDifficulty = maxDiff;
-            } else if (newDifficulty < minDiff) {
-                newDifficulty = minDiff;
-            }
-        }
+    function cancelParams() external override {
+        _delegate();
+    }
+
+    function executeParams() external override {
+        _delegate();
+    }
 
-        // Enforce global bounds
-        if (newDifficulty < MIN_DIFFICULTY) newDifficulty = MIN_DIFFICULTY;
-        if (newDifficulty > MAX_DIFFICULTY) newDifficulty = MAX_DIFFICULTY;
+    function queueAddress(AddressSetting, address) external override {
+        _delegate();
+    }
 
-        roundDifficulty = newDifficulty;
+    function cancelAddress(AddressSetting) external override {
+        _delegate();
+    }
 
-        emit DifficultyAdjusted(
-            currentRound / EPOCH_LENGTH,
-            oldDifficulty,
-            newDifficulty,
-            elapsed,
-            expectedTime
-        );
+    function executeAddress(AddressSetting) external override {
+        _delegate();
+    }
 
-        // Reset epoch
-        epochStartTime = block.timestamp;
-        epochStartRound = currentRound;
+    function tip(uint256) external override {
+        _delegate();
     }
 
     /**
-     * @dev Generate seed for the new round.
-     *      Uses prevrandao as the base. Reverts if no randomness source is available
-     *      (pre-merge chain or L2 without prevrandao support).
-     *      Fallback: blockhash if prevrandao is 0 but blockhash is available.
+     * @notice Plumbing for the forwarded views, only callable by this contract:
+     *         runs `data` on the extension and returns its raw result.
      */
-    function _generateSeed() internal view returns (uint256) {
-        if (block.prevrandao != 0) {
-            return block.prevrandao;
+    function delegateView(bytes calldata data) external {
+        if (msg.sender != address(this)) revert NotSelf();
+        address target = extension;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, data.offset, data.length)
+            let ok := delegatecall(gas(), target, ptr, data.length, 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(ok) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
         }
+    }
 
-        // Fallback for pre-merge chains or L2s
-        uint256 fallbackSeed = uint256(blockhash(block.number - 1));
-        if (fallbackSeed != 0) {
-            return fallbackSeed;
+    // ══════════════════════════════════════════════════════════
+    //                     INTERNAL
+    // ══════════════════════════════════════════════════════════
+
+    /// @dev Run the current call on the extension in this contract's storage and return its result.
+    function _delegate() internal {
+        address target = extension;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let ok := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(ok) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
         }
+    }
 
-        revert NoRandomnessSource();
+    /**
+     * @dev _delegate() for view functions, which cannot delegatecall: re-enter
+     *      through delegateView() under staticcall, so the extension code can
+     *      read this contract's storage but any write reverts.
+     */
+    function _delegateView() internal view {
+        (bool ok, bytes memory result) = address(this).staticcall(abi.encodeCall(this.delegateView, (msg.data)));
+        assembly ("memory-safe") {
+            if iszero(ok) {
+                revert(add(result, 32), mload(result))
+            }
+            return(add(result, 32), mload(result))
+        }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,532 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import {IaBTC_PoWBase} from "./interfaces/IaBTC_PoW.sol";
+import {IAgentStaking} from "./interfaces/IAgentStaking.sol";
+import {IAgentRegistryAdapter} from "./interfaces/IAgentRegistryAdapter.sol";
+import {ISeedProvider} from "./interfaces/ISeedProvider.sol";
+
+/**
+ * @title aBTC_PoWBase — storage and shared logic of aBTC_PoW
+ * @notice Everything aBTC_PoW and aBTC_PoWExtension have in common: constants,
+ *         the whole storage layout, and the internal mining logic both call.
+ * @dev    aBTC_PoWExtension runs by delegatecall in aBTC_PoW's storage, so
+ *         neither may declare state of its own — add new state here only.
+ */
+abstract contract aBTC_PoWBase is ERC20, ERC20Permit, ERC20Votes, IaBTC_PoWBase, ReentrancyGuard, Pausable, AccessControl {
+    // ══════════════════════════════════════════════════════════
+    //                      CONSTANTS
+    // ══════════════════════════════════════════════════════════
+
+    // --- Supply & Reward ---
+    uint256 public constant MAX_SUPPLY = 21_000_000 * 1e8;
+    uint256 public constant INITIAL_REWARD = 50 * 1e8;
+    uint256 public constant HALVING_INTERVAL = 210_000;
+    uint256 public constant TIP_PAYOUT_DIVISOR = 100; // fee-only rounds pay 1% of the tip pool
+
+    // --- Difficulty ---
+    uint256 public constant MIN_DIFFICULTY = 1000;
+    uint256 public constant MAX_DIFFICULTY = type(uint256).max / 2;
+    uint256 public constant MAX_ADJUSTMENT_FACTOR = 4; // clamp 4x per epoch
+
+    // --- Commit-Reveal ---
+    uint256 public constant MAX_PRECOMMIT_ROUNDS = 16;
+    uint256 public constant MAX_REVEAL_WINDOW = 64; // and below revealDeadline
+
+    // --- Relayed Mining (EIP-712) ---
+    bytes32 public constant COMMIT_TYPEHASH =
+        keccak256("Commit(uint256 round,uint256 agentId,bytes32 commitHash,uint256 nonce,uint256 deadline)");
+    bytes32 public constant REVEAL_TYPEHASH =
+        keccak256("Reveal(uint256 agentId,uint256 powNonce,uint256 secret,uint256 nonce,uint256 deadline)");
+
+    // --- Roles ---
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant PARAMETER_ROLE = keccak256("PARAMETER_ROLE");
+    bytes32 public constant RECOVERY_ROLE = keccak256("RECOVERY_ROLE");
+
+    // --- Parameter Governance ---
+    uint256 public constant PARAMS_TIMELOCK = 2 days;
+    uint256 public constant MIN_TARGET_TIME = 10;
+    uint256 public constant MAX_TARGET_TIME = 1 hours;
+    uint256 public constant MIN_EPOCH_LENGTH = 5;
+    uint256 public constant MAX_EPOCH_LENGTH = 2016;
+    uint256 public constant MIN_REVEAL_DEADLINE = 32;
+    uint256 public constant MAX_REVEAL_DEADLINE = 1024;
+    uint256 public constant MAX_COMMIT_COOLDOWN = 16; // and at least 1
+    uint256 public constant MIN_MINER_SHARE = 8000;
+    uint256 public constant MAX_VALIDATOR_SHARE = 1000;
+    uint256 public constant MAX_PLATFORM_SHARE = 1000;
+
+    // --- Staking (AgentStaking's MAX_BONUS_BPS / MAX_DELEGATOR_SHARE, enforced here too) ---
+    uint256 internal constant MAX_STAKING_BONUS_BPS = 300;
+    uint256 internal constant MAX_STAKING_CUT_BPS = 5000;
+
+    // ══════════════════════════════════════════════════════════
+    //                        STATE
+    // ══════════════════════════════════════════════════════════
+
+    IERC721 public immutable agentRegistry;
+    address public treasury;
+    address public pendingTreasury;
+    address public admin;
+    address public pendingAdmin;
+
+    uint256 public currentRound;
+    uint256 public roundStartTime;
+    uint256 public roundStartBlock;
+    uint256 public epochStartTime;
+    uint256 public epochStartRound;
+    uint256 public roundDifficulty;
+    uint256 public roundSeed;
+    uint256 public totalMined;
+
+    /// @dev Receives the validator share; address(0) = block.coinbase.
+    address public feeRecipient;
+
+    /// @dev aBTC held by this contract for fee-only rounds, funded by tip().
+    uint256 public tipPool;
+
+    /// @dev AgentStaking consulted on every win; address(0) = no staking.
+    address public staking;
+
+    /// @dev AgentRegistryAdapter whose rules gate every commit and reveal; address(0) = no rules.
+    address public agentAdapter;
+
+    /// @dev ISeedProvider every roundSeed comes from; fixed at deployment.
+    address public seedProvider;
+
+    /// @dev Parameters in force. Defaults: 60s rounds, 10-round epochs, 1-block cooldown,
+    ///      256-block reveal deadline, 90/5/5 split, no reveal window.
+    MiningParams public params;
+
+    /// @dev Queued by admin, executable once pendingParamsEta has passed.
+    MiningParams public pendingParams;
+    uint256 public pendingParamsEta;
+
+    /// @dev Executed, waiting for the next epoch boundary.
+    MiningParams public scheduledParams;
+    bool public paramsScheduled;
+
+    /// @dev Leading reveal of the current round while its reveal window is open.
+    PendingReveal public pendingReveal;
+
+    /// @dev round => agentId => Commitment
+    mapping(uint256 => mapping(uint256 => Commitment)) public commitments;
+
+    /// @dev round => agentIds with a commitment in that round, in first-commit order.
+    ///      Lets views list committers without scanning events, and cleanup find stale entries.
+    mapping(uint256 => uint256[]) internal _roundCommitAgents;
+
+    mapping(uint256 => AgentStats) public agentStats;
+
+    /// @dev signer => next nonce for commitWithSig / revealAndMineWithSig
+    mapping(address => uint256) public relayNonces;
+
+    /// @dev agentId => payout address registered by its owner
+    mapping(uint256 => PayoutConfig) internal _payouts;
+
+    /// @dev round => what happened in it, written when the round closes
+    mapping(uint256 => RoundRecord) internal _roundHistory;
+
+    /// @dev Address changes queued behind PARAMS_TIMELOCK, one per setting.
+    mapping(AddressSetting => PendingAddress) internal _pendingAddresses;
+
+    // ══════════════════════════════════════════════════════════
+    //                      CONSTRUCTOR
+    // ══════════════════════════════════════════════════════════
+
+    constructor(address _agentRegistry) ERC20("Agent Bitcoin", "aBTC") ERC20Permit("Agent Bitcoin") {
+        require(_agentRegistry != address(0), "Invalid registry");
+        agentRegistry = IERC721(_agentRegistry);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function getReward() public view override returns (uint256) {
+        uint256 era = currentRound / HALVING_INTERVAL;
+        if (era >= 64) return 0;
+        return INITIAL_REWARD >> era;
+    }
+
+    function getTarget() public view virtual override returns (uint256) {
+        uint256 diff = roundDifficulty < MIN_DIFFICULTY ? MIN_DIFFICULTY : roundDifficulty;
+        return type(uint256).max / diff;
+    }
+
+    function computeHash(
+        uint256 agentId,
+        uint256 nonce,
+        uint256 seed
+    ) public pure override returns (uint256) {
+        return uint256(keccak256(abi.encode(agentId, nonce, seed)));
+    }
+
+    /// @notice Where the validator share goes right now.
+    function validatorRecipient() public view override returns (address) {
+        if (feeRecipient != address(0)) return feeRecipient;
+        // Some L2s report a zero coinbase — fall back to the treasury rather than burn-mint
+        if (block.coinbase != address(0)) return block.coinbase;
+        return treasury;
+    }
+
+    /// @notice Permit nonce of `owner` — independent of relayNonces.
+    function nonces(address owner) public view override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                   ACCESS CONTROL
+    // ══════════════════════════════════════════════════════════
+
+    /// @dev DEFAULT_ADMIN_ROLE only moves through transferAdmin/acceptAdmin, keeping `admin` in sync.
+    function grantRole(bytes32 role, address account) public override onlyRole(getRoleAdmin(role)) {
+        if (role == DEFAULT_ADMIN_ROLE) revert AdminRoleTransferOnly();
+        _grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) public override onlyRole(getRoleAdmin(role)) {
+        if (role == DEFAULT_ADMIN_ROLE) revert AdminRoleTransferOnly();
+        _revokeRole(role, account);
+    }
+
+    function renounceRole(bytes32 role, address callerConfirmation) public override {
+        if (role == DEFAULT_ADMIN_ROLE) revert AdminRoleTransferOnly();
+        super.renounceRole(role, callerConfirmation);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                     INTERNAL
+    // ══════════════════════════════════════════════════════════
+
+    /// @dev Every balance change — including the three mints in _finalizeRound — moves voting checkpoints.
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Votes) {
+        super._update(from, to, value);
+    }
+
+    function _commit(uint256 round, uint256 agentId, bytes32 commitHash, address committer) internal {
+        _requireAuthorized(agentId, committer);
+        if (commitHash == bytes32(0)) revert EmptyCommit();
+        // A winner-fed seed is known to the last winner first: no commitment may be
+        // waiting for it, neither pre-committed nor bundled behind the winning reveal
+        if (
+            (round > currentRound || block.number == roundStartBlock) &&
+            ISeedProvider(seedProvider).winnerKnowsNextSeed()
+        ) revert CommitTooEarly();
+
+        // Allow overwriting previous commit in the same round (miner changed their mind)
+        if (commitments[round][agentId].committer == address(0)) _roundCommitAgents[round].push(agentId);
+        commitments[round][agentId] = Commitment({
+            commitHash: commitHash,
+            commitBlock: block.number,
+            committer: committer
+        });
+
+        emit Committed(round, agentId, committer);
+    }
+
+    function _commitBatch(uint256 round, uint256[] calldata agentIds, bytes32[] calldata commitHashes) internal {
+        if (agentIds.length == 0 || agentIds.length != commitHashes.length) revert InvalidBatch();
+
+        for (uint256 i = 0; i < agentIds.length; i++) {
+            _commit(round, agentIds[i], commitHashes[i], msg.sender);
+        }
+    }
+
+    /// @dev Shared reveal path. `miner` is the committer; `relayer` is address(0) for direct reveals.
+    function _reveal(uint256 agentId, uint256 nonce, uint256 secret, address miner, address relayer) internal {
+        // --- Verify Commitment ---
+        Commitment storage c = commitments[currentRound][agentId];
+        if (c.committer != miner) revert NoValidCommit();
+        if (block.number <= c.commitBlock + params.commitCooldown) revert RevealTooEarly();
+
+        bytes32 expectedHash = keccak256(abi.encode(agentId, secret, miner));
+        if (c.commitHash != expectedHash) revert CommitMismatch();
+
+        // --- Verify Agent Ownership (may have been transferred or approval revoked after commit) ---
+        address agentOwner = _requireAuthorized(agentId, miner);
+
+        // --- Enhanced Seed ---
+        // XOR roundSeed with secret before hashing:
+        // - Block producer may know or steer roundSeed, but not the miner's secret
+        // - Miner knows the secret but not roundSeed at commit time
+        uint256 enhancedSeed = uint256(keccak256(abi.encode(roundSeed ^ secret)));
+
+        // --- PoW Verification ---
+        uint256 hashVal = computeHash(agentId, nonce, enhancedSeed);
+        uint256 target = getTarget();
+        if (hashVal >= target) revert InvalidNonce();
+
+        // --- Invalidate commitment (one reveal per agent per round) ---
+        delete commitments[currentRound][agentId];
+
+        if (params.revealWindow != 0) {
+            _collectReveal(agentId, nonce, hashVal, relayer);
+            return;
+        }
+
+        emit MineSuccess(currentRound, agentId, nonce, hashVal);
+
+        _finalizeRound(agentId, agentOwner, relayer, hashVal);
+    }
+
+    /// @dev Record a reveal in the window, opening the window on the first one.
+    function _collectReveal(uint256 agentId, uint256 nonce, uint256 hashVal, address relayer) internal {
+        PendingReveal storage best = pendingReveal;
+        bool leading;
+
+        if (best.closesAt == 0) {
+            best.closesAt = uint64(block.number + params.revealWindow);
+            emit RevealWindowOpened(currentRound, best.closesAt);
+            leading = true;
+        } else {
+            if (block.number > best.closesAt) revert RevealWindowClosed();
+            leading =
+                hashVal < best.hashVal ||
+                (hashVal == best.hashVal && _tiebreak(agentId) < _tiebreak(best.agentId));
+        }
+
+        if (leading) {
+            best.agentId = agentId;
+            best.nonce = nonce;
+            best.hashVal = hashVal;
+            best.relayer = relayer;
+        }
+
+        emit RevealSubmitted(currentRound, agentId, hashVal, leading);
+    }
+
+    /// @dev Unknown until the round starts, so no agent ID is favoured ahead of time.
+    function _tiebreak(uint256 agentId) internal view returns (uint256) {
+        return uint256(keccak256(abi.encode(roundSeed, agentId)));
+    }
+
+    function _checkCommitRound(uint256 round) internal view {
+        if (round < currentRound || round > currentRound + MAX_PRECOMMIT_ROUNDS) revert InvalidCommitRound();
+    }
+
+    /// @dev Reverts NotAgentOwner unless `account` may mine for the agent. Returns the owner.
+    function _requireAuthorized(uint256 agentId, address account) internal view returns (address owner) {
+        owner = agentRegistry.ownerOf(agentId);
+        if (
+            account != owner &&
+            agentRegistry.getApproved(agentId) != account &&
+            !agentRegistry.isApprovedForAll(owner, account)
+        ) revert NotAgentOwner();
+        if (agentAdapter != address(0) && !IAgentRegistryAdapter(agentAdapter).isEligible(agentId)) {
+            revert AgentNotEligible();
+        }
+    }
+
+    /// @dev Check deadline and signature over `structData`, then consume the signer's nonce.
+    function _useSignature(address signer, uint256 deadline, bytes calldata signature, bytes memory structData) internal {
+        if (block.timestamp > deadline) revert ExpiredSignature();
+        bytes32 digest = _hashTypedDataV4(keccak256(structData));
+        if (!_isValidSignature(signer, digest, signature)) revert InvalidSignature();
+        relayNonces[signer]++;
+    }
+
+    /// @dev ECDSA for EOAs, ERC-1271 for contract wallets.
+    function _isValidSignature(address signer, bytes32 digest, bytes calldata signature) internal view returns (bool) {
+        if (signer.code.length == 0) {
+            (address recovered, ECDSA.RecoverError err, ) = ECDSA.tryRecover(digest, signature);
+            return err == ECDSA.RecoverError.NoError && recovered == signer;
+        }
+        try IERC1271(signer).isValidSignature(digest, signature) returns (bytes4 magic) {
+            return magic == IERC1271.isValidSignature.selector;
+        } catch {
+            return false;
+        }
+    }
+
+    function _payoutOf(uint256 agentId, address owner) internal view returns (address) {
+        PayoutConfig memory payout = _payouts[agentId];
+        if (payout.owner == owner && payout.recipient != address(0)) return payout.recipient;
+        return owner;
+    }
+
+    /// @param agentOwner Owner of the winning agent, looked up once by the caller
+    /// @param relayer    Relayer of the winning reveal (takes the validator share), or address(0)
+    /// @param hashVal    Winning hashVal, handed to the seed provider as entropy
+    function _finalizeRound(uint256 winningAgentId, address agentOwner, address relayer, uint256 hashVal) internal {
+        uint256 reward = getReward();
+
+        // Cap reward if it would exceed max supply
+        if (totalMined + reward > MAX_SUPPLY) {
+            reward = MAX_SUPPLY - totalMined;
+        }
+
+        // Emission over: fee-only round, paid out of the tip pool (the last of it once it is dust)
+        bool feeOnly = reward == 0;
+        if (feeOnly) {
+            reward = tipPool / TIP_PAYOUT_DIVISOR;
+            if (reward == 0) reward = tipPool;
+            tipPool -= reward;
+            if (reward > 0) emit TipsPaid(currentRound, reward);
+        }
+
+        address minerRecipient = _payoutOf(winningAgentId, agentOwner);
+        address validator = relayer != address(0) ? relayer : validatorRecipient();
+
+        if (reward > 0) {
+            uint256 minerAmt = (reward * params.minerShare) / 10000;
+            uint256 validatorAmt = (reward * params.validatorShare) / 10000;
+            uint256 platformAmt = reward - minerAmt - validatorAmt; // Remainder avoids rounding loss
+            uint256 delegatorAmt;
+
+            // Staking is trusted with neither the terms nor staying up: terms are clamped
+            // to AgentStaking's own bounds, and a revert leaves the plain split
+            if (staking != address(0)) {
+                try IAgentStaking(staking).rewardTerms(winningAgentId) returns (uint256 bonusBps, uint256 cutBps) {
+                    if (bonusBps > MAX_STAKING_BONUS_BPS) bonusBps = MAX_STAKING_BONUS_BPS;
+                    if (cutBps > MAX_STAKING_CUT_BPS) cutBps = MAX_STAKING_CUT_BPS;
+                    uint256 bonus = (reward * bonusBps) / 10000;
+                    if (bonus > platformAmt) bonus = platformAmt;
+                    minerAmt += bonus;
+                    platformAmt -= bonus;
+                    delegatorAmt = (minerAmt * cutBps) / 10000;
+                } catch {}
+            }
+            if (delegatorAmt > 0) {
+                try IAgentStaking(staking).notifyReward(winningAgentId, delegatorAmt) {} catch {
+                    delegatorAmt = 0;
+                }
+            }
+
+            _pay(minerRecipient, minerAmt - delegatorAmt, feeOnly);
+            _pay(validator, validatorAmt, feeOnly);
+            _pay(treasury, platformAmt, feeOnly);
+            if (delegatorAmt > 0) _pay(staking, delegatorAmt, feeOnly);
+
+            if (!feeOnly) totalMined += reward;
+
+            // Safe cast for totalEarned
+            if (minerAmt > type(uint128).max) revert EarnedOverflow();
+
+            AgentStats storage stats = agentStats[winningAgentId];
+            stats.totalWins++;
+            stats.totalEarned += uint128(minerAmt);
+            stats.lastWinRound = uint64(currentRound);
+        }
+
+        _roundHistory[currentRound] = RoundRecord({
+            agentId: winningAgentId,
+            difficulty: roundDifficulty,
+            seed: roundSeed,
+            miner: minerRecipient,
+            reward: uint64(reward),
+            forced: false,
+            validator: validator,
+            closedAt: uint64(block.timestamp)
+        });
+
+        // --- Difficulty Adjustment ---
+        uint256 roundsInEpoch = currentRound - epochStartRound;
+        if (roundsInEpoch >= params.epochLength) {
+            _adjustDifficulty();
+        }
+
+        // --- New Round ---
+        currentRound++;
+        roundStartTime = block.timestamp;
+        roundStartBlock = block.number;
+        roundSeed = _generateSeed(hashVal);
+
+        emit RoundStarted(currentRound, roundDifficulty, roundSeed);
+    }
+
+    /// @dev Mint a reward share, or hand it out of the tip pool (held by this contract) in a fee-only round.
+    function _pay(address to, uint256 amount, bool fromTips) internal {
+        if (fromTips) _transfer(address(this), to, amount);
+        else _mint(to, amount);
+    }
+
+    /**
+     * @dev Proportional difficulty adjustment with clamp bounds.
+     *      newDifficulty = oldDifficulty * expectedTime / actualTime
+     *      Clamp: [old/4, old*4], bounded by [MIN_DIFFICULTY, MAX_DIFFICULTY]
+     *      Scheduled parameter changes are applied here, after the finished
+     *      epoch has been measured.
+     */
+    function _adjustDifficulty() internal {
+        uint256 elapsed = block.timestamp - epochStartTime;
+        uint256 roundsInEpoch = currentRound - epochStartRound;
+        uint256 expectedTime = roundsInEpoch * params.targetTime;
+
+        uint256 oldDifficulty = roundDifficulty;
+        uint256 newDifficulty;
+
+        if (elapsed == 0) {
+            // All rounds mined within the same second — increase to max
+            newDifficulty = oldDifficulty * MAX_ADJUSTMENT_FACTOR;
+        } else {
+            newDifficulty = (oldDifficulty * expectedTime) / elapsed;
+
+            // Clamp bounds
+            uint256 maxDiff = oldDifficulty * MAX_ADJUSTMENT_FACTOR;
+            uint256 minDiff = oldDifficulty / MAX_ADJUSTMENT_FACTOR;
+
+            if (newDifficulty > maxDiff) {
+                newDifficulty = maxDiff;
+            } else if (newDifficulty < minDiff) {
+                newDifficulty = minDiff;
+            }
+        }
+
+        // Enforce global bounds
+        if (newDifficulty < MIN_DIFFICULTY) newDifficulty = MIN_DIFFICULTY;
+        if (newDifficulty > MAX_DIFFICULTY) newDifficulty = MAX_DIFFICULTY;
+
+        roundDifficulty = newDifficulty;
+
+        emit DifficultyAdjusted(
+            currentRound / params.epochLength,
+            oldDifficulty,
+            newDifficulty,
+            elapsed,
+            expectedTime
+        );
+
+        // Reset epoch
+        epochStartTime = block.timestamp;
+        epochStartRound = currentRound;
+
+        _applyScheduledParams();
+    }
+
+    function _applyScheduledParams() internal {
+        if (!paramsScheduled) return;
+
+        params = scheduledParams;
+        paramsScheduled = false;
+        delete scheduledParams;
+
+        emit ParamsApplied(currentRound, params);
+    }
+
+    function _validateParams(MiningParams memory p) internal pure {
+        if (p.targetTime < MIN_TARGET_TIME || p.targetTime > MAX_TARGET_TIME) revert InvalidParams();
+        if (p.epochLength < MIN_EPOCH_LENGTH || p.epochLength > MAX_EPOCH_LENGTH) revert InvalidParams();
+        if (p.revealDeadline < MIN_REVEAL_DEADLINE || p.revealDeadline > MAX_REVEAL_DEADLINE) revert InvalidParams();
+        if (p.commitCooldown == 0 || p.commitCooldown > MAX_COMMIT_COOLDOWN) revert InvalidParams();
+        if (p.minerShare < MIN_MINER_SHARE) revert InvalidParams();
+        if (p.validatorShare > MAX_VALIDATOR_SHARE || p.platformShare > MAX_PLATFORM_SHARE) revert InvalidParams();
+        if (uint256(p.minerShare) + p.validatorShare + p.platformShare != 10000) revert InvalidParams();
+        if (p.revealWindow > MAX_REVEAL_WINDOW || p.revealWindow >= p.revealDeadline) revert InvalidParams();
+    }
+
+    /// @dev Seed for currentRound from the seed provider; `entropy` is the winning hashVal, or 0 if there was none.
+    function _generateSeed(uint256 entropy) internal returns (uint256) {
+        return ISeedProvider(seedProvider).nextSeed(currentRound, entropy);
+    }
+}
@@ -0,0 +1,417 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {aBTC_PoWBase} from "./aBTC_PoWBase.sol";
+import {IaBTC_PoWExtension} from "./interfaces/IaBTC_PoW.sol";
+import {IAgentRegistryAdapter} from "./interfaces/IAgentRegistryAdapter.sol";
+
+/**
+ * @title aBTC_PoWExtension — the part of aBTC_PoW that does not fit in it
+ * @notice Views over history and commitments, batch and relayed mining,
+ *         and parameter / role administration.
+ * @dev    Deployed once, before aBTC_PoW, and only ever run through
+ *         aBTC_PoW's forwarding (delegatecall), in aBTC_PoW's storage. Called
+ *         directly it only sees its own, empty storage.
+ */
+contract aBTC_PoWExtension is aBTC_PoWBase, IaBTC_PoWExtension {
+    /// @param _agentRegistry Must be aBTC_PoW's registry: immutables are read from this contract's code
+    constructor(address _agentRegistry) aBTC_PoWBase(_agentRegistry) {}
+
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    /// @notice Where the miner share for `agentId` goes: the registered payout address, else the owner.
+    function payoutAddress(uint256 agentId) external view override returns (address) {
+        return _payoutOf(agentId, agentRegistry.ownerOf(agentId));
+    }
+
+    /// @notice Whether `account` may commit and reveal for `agentId` (owner or ERC-721 approved).
+    function isAuthorizedMiner(uint256 agentId, address account) public view override returns (bool) {
+        address owner = agentRegistry.ownerOf(agentId);
+        return
+            account == owner ||
+            agentRegistry.getApproved(agentId) == account ||
+            agentRegistry.isApprovedForAll(owner, account);
+    }
+
+    /// @notice Record of a closed round; all zero for the current or a future round.
+    function getRoundRecord(uint256 round) external view override returns (RoundRecord memory) {
+        return _roundHistory[round];
+    }
+
+    /**
+     * @notice Records of up to `limit` closed rounds starting at `fromRound`, oldest first.
+     *         Stops at the last closed round (currentRound - 1).
+     */
+    function getRoundHistory(
+        uint256 fromRound,
+        uint256 limit
+    ) external view override returns (RoundRecord[] memory records) {
+        if (fromRound == 0) fromRound = 1;
+        uint256 end = fromRound + limit;
+        if (end > currentRound) end = currentRound;
+        uint256 count = end > fromRound ? end - fromRound : 0;
+
+        records = new RoundRecord[](count);
+        for (uint256 i = 0; i < count; i++) {
+            records[i] = _roundHistory[fromRound + i];
+        }
+    }
+
+    /// @notice Number of agents that committed in `round` (the winner's entry is already deleted).
+    function roundCommitCount(uint256 round) public view override returns (uint256) {
+        return _roundCommitAgents[round].length;
+    }
+
+    /**
+     * @notice Page through the commitments of `round` in first-commit order.
+     * @return agentIds Agent IDs in the page
+     * @return entries  Their commitments (zeroed for a round winner, whose entry is deleted on reveal)
+     */
+    function getRoundCommitments(
+        uint256 round,
+        uint256 offset,
+        uint256 limit
+    ) public view override returns (uint256[] memory agentIds, Commitment[] memory entries) {
+        uint256[] storage agents = _roundCommitAgents[round];
+        uint256 end = offset + limit;
+        if (end > agents.length) end = agents.length;
+        uint256 count = end > offset ? end - offset : 0;
+
+        agentIds = new uint256[](count);
+        entries = new Commitment[](count);
+        for (uint256 i = 0; i < count; i++) {
+            agentIds[i] = agents[offset + i];
+            entries[i] = commitments[round][agentIds[i]];
+        }
+    }
+
+    /// @notice getRoundCommitments() for the current round.
+    function getCurrentCommitments(
+        uint256 offset,
+        uint256 limit
+    ) external view override returns (uint256[] memory agentIds, Commitment[] memory entries) {
+        return getRoundCommitments(currentRound, offset, limit);
+    }
+
+    /// @notice Address queued for `setting` and when it becomes executable; eta 0 = nothing queued.
+    function pendingAddress(AddressSetting setting) external view override returns (address value, uint256 eta) {
+        PendingAddress memory pending = _pendingAddresses[setting];
+        return (pending.value, pending.eta);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                 COMMIT-REVEAL MINING
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * @notice Send the miner share of `agentId`'s wins to `recipient` instead of the owner.
+     *         address(0) resets to the owner. Owner only — operators cannot redirect rewards.
+     */
+    function setPayoutAddress(uint256 agentId, address recipient) external override {
+        if (agentRegistry.ownerOf(agentId) != msg.sender) revert NotAgentOwner();
+
+        _payouts[agentId] = PayoutConfig({owner: msg.sender, recipient: recipient});
+
+        emit PayoutAddressSet(agentId, msg.sender, recipient);
+    }
+
+    /**
+     * @notice commitFor() on behalf of `signer`, who signed an EIP-712 Commit.
+     *         The commitment is the signer's: commitHash must bind the signer's address.
+     */
+    function commitWithSig(
+        uint256 round,
+        uint256 agentId,
+        bytes32 commitHash,
+        address signer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external override whenNotPaused {
+        _checkCommitRound(round);
+        _useSignature(
+            signer,
+            deadline,
+            signature,
+            abi.encode(COMMIT_TYPEHASH, round, agentId, commitHash, relayNonces[signer], deadline)
+        );
+        _commit(round, agentId, commitHash, signer);
+    }
+
+    /// @notice commit() for many agents owned by the sender in one transaction.
+    function commitBatch(
+        uint256[] calldata agentIds,
+        bytes32[] calldata commitHashes
+    ) external override whenNotPaused {
+        _commitBatch(currentRound, agentIds, commitHashes);
+    }
+
+    /// @notice commitFor() for many agents owned by the sender in one transaction.
+    function commitBatchFor(
+        uint256 round,
+        uint256[] calldata agentIds,
+        bytes32[] calldata commitHashes
+    ) external override whenNotPaused {
+        _checkCommitRound(round);
+        _commitBatch(round, agentIds, commitHashes);
+    }
+
+    /**
+     * @notice Delete up to `maxCount` commitments left over from a finished round.
+     *         Permissionless: past-round commitments can never be revealed, and
+     *         zeroing their slots earns the caller the EVM storage refund (capped
+     *         at a fifth of the transaction's gas).
+     * @return cleared Number of entries removed
+     */
+    function clearStaleCommitments(
+        uint256 round,
+        uint256 maxCount
+    ) external override nonReentrant returns (uint256 cleared) {
+        if (round >= currentRound) revert RoundNotStale();
+
+        uint256[] storage agents = _roundCommitAgents[round];
+        while (cleared < maxCount && agents.length > 0) {
+            delete commitments[round][agents[agents.length - 1]];
+            agents.pop();
+            cleared++;
+        }
+        if (cleared == 0) revert NothingToClear();
+
+        emit StaleCommitmentsCleared(round, cleared, msg.sender);
+    }
+
+    /**
+     * @notice Add `amount` of the caller's aBTC to the tip pool. Tips are only
+     *         paid out once emission is over, 1/TIP_PAYOUT_DIVISOR per round.
+     */
+    function tip(uint256 amount) external override nonReentrant {
+        _transfer(msg.sender, address(this), amount);
+        tipPool += amount;
+        emit Tipped(msg.sender, amount);
+    }
+
+    /**
+     * @notice Force-advance the round if no one reveals within revealDeadline blocks.
+     *         The round becomes orphaned — no reward is minted.
+     *         A closed reveal window that finalizeRound() still has not settled
+     *         revealDeadline blocks later (e.g. the best agent was burned and
+     *         ownerOf reverts) is dropped the same way.
+     */
+    function forceAdvanceRound() external override nonReentrant whenNotPaused {
+        uint256 closesAt = pendingReveal.closesAt;
+        if (closesAt != 0) {
+            if (block.number <= closesAt + params.revealDeadline) revert RevealPending();
+            delete pendingReveal;
+        } else if (block.number <= roundStartBlock + params.revealDeadline) {
+            revert DeadlineNotReached();
+        }
+
+        emit RoundForceAdvanced(currentRound, msg.sender);
+
+        _roundHistory[currentRound] = RoundRecord({
+            agentId: 0,
+            difficulty: roundDifficulty,
+            seed: roundSeed,
+            miner: address(0),
+            reward: 0,
+            forced: true,
+            validator: msg.sender,
+            closedAt: uint64(block.timestamp)
+        });
+
+        // Run difficulty adjustment if at epoch boundary
+        uint256 roundsInEpoch = currentRound - epochStartRound;
+        if (roundsInEpoch >= params.epochLength) {
+            _adjustDifficulty();
+        }
+
+        // Advance round without minting rewards
+        currentRound++;
+        roundStartTime = block.timestamp;
+        roundStartBlock = block.number;
+        roundSeed = _generateSeed(0);
+
+        emit RoundStarted(currentRound, roundDifficulty, roundSeed);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                     EMERGENCY
+    // ══════════════════════════════════════════════════════════
+
+    /**
+     * @notice Emergency reset in case of a death spiral — difficulty too high, no one can mine.
+     *         Requires: 10x the expected epoch time has elapsed without epoch completion.
+     *         Permissionless — anyone can call.
+     */
+    function emergencyDifficultyReset() external override nonReentrant {
+        // A valid reveal exists — settle it with finalizeRound(), or forceAdvanceRound() if that keeps failing
+        if (pendingReveal.closesAt != 0) revert RevealPending();
+
+        uint256 elapsed = block.timestamp - epochStartTime;
+        uint256 expectedEpochTime = uint256(params.targetTime) * params.epochLength;
+        uint256 threshold = expectedEpochTime * 10;
+        if (elapsed <= threshold) revert TooEarlyForEmergency();
+
+        uint256 oldDifficulty = roundDifficulty;
+        roundDifficulty = MIN_DIFFICULTY;
+        epochStartTime = block.timestamp;
+        epochStartRound = currentRound;
+        roundStartTime = block.timestamp;
+        roundStartBlock = block.number;
+        roundSeed = _generateSeed(0);
+
+        emit DifficultyAdjusted(0, oldDifficulty, MIN_DIFFICULTY, elapsed, expectedEpochTime);
+        _applyScheduledParams();
+        emit RoundStarted(currentRound, roundDifficulty, roundSeed);
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                    ADMIN FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    /// @notice Pause mining upon exploit detection or for maintenance.
+    function pause() external override onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /// @notice Unpause mining to resume normal operations.
+    function unpause() external override onlyRole(RECOVERY_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Step 1 of the admin handover. address(0) cancels a pending transfer.
+     *         On accept, DEFAULT_ADMIN_ROLE and every operational role the old admin holds move to the new one.
+     */
+    function transferAdmin(address newAdmin) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        pendingAdmin = newAdmin;
+        emit AdminTransferStarted(admin, newAdmin);
+    }
+
+    /// @notice Step 2 of the admin handover, called by the pending admin.
+    function acceptAdmin() external override {
+        if (msg.sender != pendingAdmin) revert NotPendingAdmin();
+
+        address previousAdmin = admin;
+        admin = msg.sender;
+        pendingAdmin = address(0);
+        _revokeRole(DEFAULT_ADMIN_ROLE, previousAdmin);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+
+        // Operational roles the old key holds go with it; ones it gave up stay unassigned
+        bytes32[3] memory roles = [PAUSER_ROLE, PARAMETER_ROLE, RECOVERY_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            if (_revokeRole(roles[i], previousAdmin)) _grantRole(roles[i], msg.sender);
+        }
+
+        emit AdminTransferred(previousAdmin, msg.sender);
+    }
+
+    /// @notice Step 1 of a treasury rotation. address(0) cancels a pending rotation.
+    function transferTreasury(address newTreasury) external override onlyRole(RECOVERY_ROLE) {
+        pendingTreasury = newTreasury;
+        emit TreasuryTransferStarted(treasury, newTreasury);
+    }
+
+    /// @notice Step 2 of a treasury rotation, called by the new treasury.
+    function acceptTreasury() external override {
+        if (msg.sender != pendingTreasury) revert NotPendingTreasury();
+
+        address previousTreasury = treasury;
+        treasury = msg.sender;
+        pendingTreasury = address(0);
+
+        emit TreasuryTransferred(previousTreasury, msg.sender);
+    }
+
+    /**
+     * @notice Queue new mining parameters. Replaces anything already queued
+     *         and restarts the timelock.
+     */
+    function queueParams(MiningParams calldata newParams) external override onlyRole(PARAMETER_ROLE) {
+        _validateParams(newParams);
+
+        pendingParams = newParams;
+        pendingParamsEta = block.timestamp + PARAMS_TIMELOCK;
+
+        emit ParamsQueued(newParams, pendingParamsEta);
+    }
+
+    /// @notice Drop the queued parameters.
+    function cancelParams() external override onlyRole(PARAMETER_ROLE) {
+        if (pendingParamsEta == 0) revert NoPendingParams();
+
+        delete pendingParams;
+        pendingParamsEta = 0;
+
+        emit ParamsCancelled();
+    }
+
+    /**
+     * @notice Execute the queued parameters once the timelock has passed.
+     *         They are applied when the current epoch ends, so an epoch is
+     *         always measured against the parameters it started with.
+     */
+    function executeParams() external override onlyRole(PARAMETER_ROLE) {
+        if (pendingParamsEta == 0) revert NoPendingParams();
+        if (block.timestamp < pendingParamsEta) revert TimelockNotExpired();
+
+        scheduledParams = pendingParams;
+        paramsScheduled = true;
+        delete pendingParams;
+        pendingParamsEta = 0;
+
+        emit ParamsExecuted(scheduledParams);
+    }
+
+    /**
+     * @notice Queue `value` for `setting`, executable after PARAMS_TIMELOCK like a
+     *         parameter change, so miners and stakers see where their share will
+     *         go before it does. Replaces whatever was queued for that setting.
+     *           FeeRecipient — validator share (e.g. a relayer); address(0) = block.coinbase
+     *           Staking      — AgentStaking contract; address(0) turns staking off
+     *           AgentAdapter — AgentRegistryAdapter for this registry; address(0) turns eligibility rules off
+     */
+    function queueAddress(AddressSetting setting, address value) external override onlyRole(PARAMETER_ROLE) {
+        if (
+            setting == AddressSetting.AgentAdapter &&
+            value != address(0) &&
+            address(IAgentRegistryAdapter(value).registry()) != address(agentRegistry)
+        ) revert AdapterRegistryMismatch();
+
+        uint256 eta = block.timestamp + PARAMS_TIMELOCK;
+        _pendingAddresses[setting] = PendingAddress({value: value, eta: uint64(eta)});
+
+        emit AddressQueued(setting, value, eta);
+    }
+
+    /// @notice Drop the address queued for `setting`.
+    function cancelAddress(AddressSetting setting) external override onlyRole(PARAMETER_ROLE) {
+        if (_pendingAddresses[setting].eta == 0) revert NoPendingAddress();
+
+        delete _pendingAddresses[setting];
+
+        emit AddressCancelled(setting);
+    }
+
+    /// @notice Apply the address queued for `setting` once the timelock has passed.
+    function executeAddress(AddressSetting setting) external override onlyRole(PARAMETER_ROLE) {
+        PendingAddress memory pending = _pendingAddresses[setting];
+        if (pending.eta == 0) revert NoPendingAddress();
+        if (block.timestamp < pending.eta) revert TimelockNotExpired();
+
+        delete _pendingAddresses[setting];
+
+        if (setting == AddressSetting.FeeRecipient) {
+            emit FeeRecipientUpdated(feeRecipient, pending.value);
+            feeRecipient = pending.value;
+        } else if (setting == AddressSetting.Staking) {
+            emit StakingUpdated(staking, pending.value);
+            staking = pending.value;
+        } else {
+            emit AgentAdapterUpdated(agentAdapter, pending.value);
+            agentAdapter = pending.value;
+        }
+    }
+}
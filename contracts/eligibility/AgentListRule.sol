@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import {IAgentRegistryAdapter} from "../interfaces/IAgentRegistryAdapter.sol";
+import {IEligibilityRule} from "../interfaces/IEligibilityRule.sol";
+
+/**
+ * @title AgentListRule — allow list and deny list of agent IDs
+ * @notice A denied agent is never eligible. With allowListOnly set, only
+ *         allowed agents are; otherwise the allow list is ignored.
+ */
+contract AgentListRule is IEligibilityRule, Ownable2Step {
+    event AllowListOnlyUpdated(bool allowListOnly);
+    event AllowedUpdated(uint256 indexed agentId, bool allowed);
+    event DeniedUpdated(uint256 indexed agentId, bool denied);
+
+    bool public allowListOnly;
+    mapping(uint256 => bool) public allowed;
+    mapping(uint256 => bool) public denied;
+
+    /**
+     * @param _owner         Maintains both lists
+     * @param _allowListOnly Start in allow-list mode
+     */
+    constructor(address _owner, bool _allowListOnly) Ownable(_owner) {
+        allowListOnly = _allowListOnly;
+    }
+
+    function isEligible(IAgentRegistryAdapter, uint256 agentId) external view override returns (bool) {
+        if (denied[agentId]) return false;
+        return !allowListOnly || allowed[agentId];
+    }
+
+    function setAllowListOnly(bool _allowListOnly) external onlyOwner {
+        allowListOnly = _allowListOnly;
+        emit AllowListOnlyUpdated(_allowListOnly);
+    }
+
+    function setAllowed(uint256[] calldata agentIds, bool _allowed) external onlyOwner {
+        for (uint256 i = 0; i < agentIds.length; i++) {
+            allowed[agentIds[i]] = _allowed;
+            emit AllowedUpdated(agentIds[i], _allowed);
+        }
+    }
+
+    function setDenied(uint256[] calldata agentIds, bool _denied) external onlyOwner {
+        for (uint256 i = 0; i < agentIds.length; i++) {
+            denied[agentIds[i]] = _denied;
+            emit DeniedUpdated(agentIds[i], _denied);
+        }
+    }
+}
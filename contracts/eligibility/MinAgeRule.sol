@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IAgentRegistryAdapter} from "../interfaces/IAgentRegistryAdapter.sol";
+import {IEligibilityRule} from "../interfaces/IEligibilityRule.sol";
+
+/**
+ * @title MinAgeRule — agents must be enrolled for minAge seconds
+ * @notice Makes sybil agents cost time: a freshly minted agent cannot mine
+ *         until minAge after AgentRegistryAdapter.enroll(). Never-enrolled
+ *         agents are not eligible.
+ */
+contract MinAgeRule is IEligibilityRule {
+    uint256 public immutable minAge;
+
+    constructor(uint256 _minAge) {
+        require(_minAge > 0, "Invalid min age");
+        minAge = _minAge;
+    }
+
+    function isEligible(IAgentRegistryAdapter adapter, uint256 agentId) external view override returns (bool) {
+        uint256 registeredAt = adapter.registeredAt(agentId);
+        return registeredAt != 0 && block.timestamp >= registeredAt + minAge;
+    }
+}
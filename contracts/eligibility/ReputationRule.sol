@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IAgentRegistryAdapter} from "../interfaces/IAgentRegistryAdapter.sol";
+import {IEligibilityRule} from "../interfaces/IEligibilityRule.sol";
+import {IERC8004ReputationRegistry} from "../interfaces/IERC8004.sol";
+
+/**
+ * @title ReputationRule — ERC-8004 reputation threshold
+ * @notice An agent is eligible once it has at least minCount feedback entries
+ *         averaging minScore or more in an ERC-8004 Reputation Registry.
+ * @dev    Feedback is only as good as its authors: pass the clients whose
+ *         feedback counts, or anyone can rate their own sybils up.
+ */
+contract ReputationRule is IEligibilityRule {
+    IERC8004ReputationRegistry public immutable reputationRegistry;
+    uint8 public immutable minScore;
+    uint64 public immutable minCount;
+    bytes32 public immutable tag;
+
+    address[] public clients;
+
+    /**
+     * @param _reputationRegistry ERC-8004 Reputation Registry to read
+     * @param _clients            Clients whose feedback counts; empty = everyone's
+     * @param _minScore           Minimum average score, 0-100
+     * @param _minCount           Minimum number of feedback entries
+     * @param _tag                Only count feedback tagged so (tag1); bytes32(0) = any
+     */
+    constructor(
+        address _reputationRegistry,
+        address[] memory _clients,
+        uint8 _minScore,
+        uint64 _minCount,
+        bytes32 _tag
+    ) {
+        require(_reputationRegistry != address(0), "Invalid reputation registry");
+        require(_minScore <= 100, "Invalid min score");
+        require(_minCount > 0, "Invalid min count");
+
+        reputationRegistry = IERC8004ReputationRegistry(_reputationRegistry);
+        clients = _clients;
+        minScore = _minScore;
+        minCount = _minCount;
+        tag = _tag;
+    }
+
+    function getClients() external view returns (address[] memory) {
+        return clients;
+    }
+
+    function isEligible(IAgentRegistryAdapter, uint256 agentId) external view override returns (bool) {
+        (uint64 count, uint8 averageScore) = reputationRegistry.getSummary(agentId, clients, tag, bytes32(0));
+        return count >= minCount && averageScore >= minScore;
+    }
+}
@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
+import {IEligibilityRule} from "./IEligibilityRule.sol";
+
+interface IAgentRegistryAdapter {
+    // ══════════════════════════════════════════════════════════
+    //                        EVENTS
+    // ══════════════════════════════════════════════════════════
+
+    event AgentEnrolled(uint256 indexed agentId, uint256 registeredAt);
+    event RuleAdded(address indexed rule);
+    event RuleRemoved(address indexed rule);
+
+    // ══════════════════════════════════════════════════════════
+    //                        ERRORS
+    // ══════════════════════════════════════════════════════════
+
+    error AlreadyEnrolled();
+    error RuleExists();
+    error RuleNotFound();
+    error TooManyRules();
+
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function MAX_RULES() external view returns (uint256);
+    function registry() external view returns (IERC721);
+    function registeredAt(uint256 agentId) external view returns (uint256);
+    function getRules() external view returns (IEligibilityRule[] memory);
+    function isEligible(uint256 agentId) external view returns (bool);
+
+    // ══════════════════════════════════════════════════════════
+    //                       ACTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function enroll(uint256 agentId) external;
+    function addRule(IEligibilityRule rule) external;
+    function removeRule(IEligibilityRule rule) external;
+}
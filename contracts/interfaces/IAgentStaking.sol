@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IaBTC_PoW} from "./IaBTC_PoW.sol";
+
+interface IAgentStaking {
+    // ══════════════════════════════════════════════════════════
+    //                        STRUCTS
+    // ══════════════════════════════════════════════════════════
+
+    /// @dev Per-agent totals. rewardPerStake is scaled by 1e18.
+    ///      warmupStake is the part of totalStaked deposited in warmupRound.
+    struct AgentPool {
+        uint256 totalStaked;
+        uint256 rewardPerStake;
+        uint256 totalRewarded;
+        uint16 delegatorShare;
+        uint16 pendingDelegatorShare;
+        uint64 shareEffectiveAt;
+        uint64 warmupRound;
+        uint256 warmupStake;
+    }
+
+    /// @dev One delegator's stake on one agent. rewardDebt covers amount - warmupAmount.
+    struct Position {
+        uint256 amount;
+        uint256 rewardDebt;
+        uint256 unclaimed;
+        uint256 warmupAmount;
+        uint64 warmupRound;
+    }
+
+    /// @dev Unstaked aBTC, withdrawable from releaseTime on.
+    struct Unbonding {
+        uint256 agentId;
+        uint256 amount;
+        uint64 releaseTime;
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                        EVENTS
+    // ══════════════════════════════════════════════════════════
+
+    event Staked(uint256 indexed agentId, address indexed staker, uint256 amount);
+    event Unstaked(uint256 indexed agentId, address indexed staker, uint256 amount, uint256 releaseTime);
+    event Withdrawn(address indexed staker, uint256 amount);
+    event RewardAccrued(uint256 indexed agentId, uint256 amount);
+    event RewardClaimed(uint256 indexed agentId, address indexed staker, uint256 amount);
+    event DelegatorShareQueued(uint256 indexed agentId, uint256 share, uint256 effectiveAt);
+
+    // ══════════════════════════════════════════════════════════
+    //                        ERRORS
+    // ══════════════════════════════════════════════════════════
+
+    error NotAbtc();
+    error NotAgentOwner();
+    error ZeroAmount();
+    error InsufficientStake();
+    error ShareTooHigh();
+    error NothingToWithdraw();
+    error NothingToClaim();
+
+    // ══════════════════════════════════════════════════════════
+    //                    STATE GETTERS
+    // ══════════════════════════════════════════════════════════
+
+    function abtc() external view returns (IaBTC_PoW);
+    function fullBonusStake() external view returns (uint256);
+    function unbondingPeriod() external view returns (uint256);
+    function agents(uint256 agentId) external view returns (
+        uint256 totalStaked,
+        uint256 rewardPerStake,
+        uint256 totalRewarded,
+        uint16 delegatorShare,
+        uint16 pendingDelegatorShare,
+        uint64 shareEffectiveAt,
+        uint64 warmupRound,
+        uint256 warmupStake
+    );
+    function positions(uint256 agentId, address staker) external view returns (
+        uint256 amount,
+        uint256 rewardDebt,
+        uint256 unclaimed,
+        uint256 warmupAmount,
+        uint64 warmupRound
+    );
+
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function delegatorShare(uint256 agentId) external view returns (uint256);
+    function activeStake(uint256 agentId) external view returns (uint256);
+    function bonusBps(uint256 agentId) external view returns (uint256);
+    function rewardTerms(uint256 agentId) external view returns (uint256 bonus, uint256 cut);
+    function pendingRewards(uint256 agentId, address staker) external view returns (uint256);
+    function getUnbondings(address staker) external view returns (Unbonding[] memory);
+    function withdrawable(address staker) external view returns (uint256);
+
+    // ══════════════════════════════════════════════════════════
+    //                      DELEGATORS
+    // ══════════════════════════════════════════════════════════
+
+    function stake(uint256 agentId, uint256 amount) external;
+    function unstake(uint256 agentId, uint256 amount) external;
+    function withdraw() external;
+    function claimRewards(uint256[] calldata agentIds) external;
+
+    // ══════════════════════════════════════════════════════════
+    //                      AGENT OWNER
+    // ══════════════════════════════════════════════════════════
+
+    function setDelegatorShare(uint256 agentId, uint256 share) external;
+
+    // ══════════════════════════════════════════════════════════
+    //                        aBTC
+    // ══════════════════════════════════════════════════════════
+
+    function notifyReward(uint256 agentId, uint256 amount) external;
+}
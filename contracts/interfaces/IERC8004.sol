@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @dev ERC-8004 Identity Registry registration. The registry itself is an ERC-721 of agents.
+interface IERC8004IdentityRegistry {
+    event Registered(uint256 indexed agentId, string tokenURI, address indexed owner);
+
+    function register(string calldata tokenURI) external returns (uint256 agentId);
+}
+
+/// @dev The part of an ERC-8004 Reputation Registry aBTC relies on. Scores are 0-100.
+interface IERC8004ReputationRegistry {
+    /**
+     * @param clientAddresses Only count feedback from these clients; empty = every client
+     * @param tag1            Only count feedback with this tag; bytes32(0) = any
+     * @param tag2            Only count feedback with this tag; bytes32(0) = any
+     */
+    function getSummary(
+        uint256 agentId,
+        address[] calldata clientAddresses,
+        bytes32 tag1,
+        bytes32 tag2
+    ) external view returns (uint64 count, uint8 averageScore);
+}
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IAgentRegistryAdapter} from "./IAgentRegistryAdapter.sol";
+
+/// @dev One pluggable condition an agent must meet to mine (see AgentRegistryAdapter).
+interface IEligibilityRule {
+    function isEligible(IAgentRegistryAdapter adapter, uint256 agentId) external view returns (bool);
+}
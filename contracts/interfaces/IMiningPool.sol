@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IaBTC_PoW} from "./IaBTC_PoW.sol";
+
+interface IMiningPool {
+    // ══════════════════════════════════════════════════════════
+    //                        STRUCTS
+    // ══════════════════════════════════════════════════════════
+
+    /// @dev What members are hashing on: the pool agent's enhancedSeed for an aBTC_PoW round.
+    struct Work {
+        uint256 round;
+        uint256 enhancedSeed;
+    }
+
+    // ══════════════════════════════════════════════════════════
+    //                        EVENTS
+    // ══════════════════════════════════════════════════════════
+
+    event MemberJoined(address indexed member);
+    event MemberLeft(address indexed member);
+    event WorkPublished(uint256 indexed round, uint256 enhancedSeed, uint256 shareDifficulty);
+    event ShareAccepted(uint256 indexed poolRound, address indexed member, uint256 nonce, uint256 weight);
+    event BlockFound(uint256 indexed round, address indexed member, uint256 nonce, uint256 hashVal);
+    event PoolRoundClosed(uint256 indexed poolRound, uint256 indexed round, uint256 reward, uint256 totalShares);
+    event RewardClaimed(uint256 indexed poolRound, address indexed member, uint256 amount);
+    event ShareDifficultyUpdated(uint256 oldDifficulty, uint256 newDifficulty);
+
+    // ══════════════════════════════════════════════════════════
+    //                        ERRORS
+    // ══════════════════════════════════════════════════════════
+
+    error NotOperator();
+    error NotMember();
+    error AlreadyMember();
+    error NotAgentHolder();
+    error StaleWork();
+    error LowDifficultyShare();
+    error DuplicateShare();
+    error InvalidShareDifficulty();
+    error FeeTooHigh();
+    error PoolRoundOpen();
+    error NothingToClaim();
+    error RevealWindowUnsupported();
+
+    // ══════════════════════════════════════════════════════════
+    //                    STATE GETTERS
+    // ══════════════════════════════════════════════════════════
+
+    function abtc() external view returns (IaBTC_PoW);
+    function operator() external view returns (address);
+    function agentId() external view returns (uint256);
+    function feeBps() external view returns (uint256);
+    function shareDifficulty() external view returns (uint256);
+    function poolRound() external view returns (uint256);
+    function currentWork() external view returns (uint256 round, uint256 enhancedSeed);
+    function members(address account) external view returns (bool);
+    function shares(uint256 poolRound, address member) external view returns (uint256);
+    function totalShares(uint256 poolRound) external view returns (uint256);
+    function roundShareDifficulty(uint256 poolRound) external view returns (uint256);
+    function poolRewards(uint256 poolRound) external view returns (uint256);
+    function claimed(uint256 poolRound, address member) external view returns (bool);
+    function operatorBalance() external view returns (uint256);
+
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function getShareTarget() external view returns (uint256);
+    function pendingReward(uint256 poolRound, address member) external view returns (uint256);
+
+    // ══════════════════════════════════════════════════════════
+    //                       MEMBERS
+    // ══════════════════════════════════════════════════════════
+
+    function join() external;
+    function leave() external;
+    function submitShare(uint256 nonce) external;
+    function claim(uint256[] calldata poolRounds) external;
+
+    // ══════════════════════════════════════════════════════════
+    //                       OPERATOR
+    // ══════════════════════════════════════════════════════════
+
+    function commit(bytes32 commitHash, uint256 enhancedSeed) external;
+    function reveal(uint256 nonce, uint256 secret) external;
+    function setShareDifficulty(uint256 newDifficulty) external;
+    function withdrawOperatorBalance(address to) external;
+    function releaseAgent(address to) external;
+}
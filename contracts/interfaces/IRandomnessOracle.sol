@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @dev VRF-style randomness oracle: request now, get called back later.
+interface IRandomnessOracle {
+    event RandomnessRequested(uint256 indexed requestId, address indexed consumer);
+
+    /// @return requestId Never 0; passed back to the consumer's fulfillRandomness
+    function requestRandomness() external returns (uint256 requestId);
+}
+
+/// @dev Callback the oracle delivers a request's randomness to.
+interface IRandomnessConsumer {
+    function fulfillRandomness(uint256 requestId, uint256 randomness) external;
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @dev Source of aBTC_PoW's roundSeed, chosen at deployment (see contracts/seed).
+interface ISeedProvider {
+    /**
+     * @notice Seed for `round`. Called by aBTC_PoW whenever a round after the
+     *         first starts, and again when emergencyDifficultyReset restarts the
+     *         current one. Round 1's seed is aBTC_PoW's own.
+     * @param entropy Winning hashVal of the round just closed; 0 after a
+     *                force-advance or emergency reset
+     */
+    function nextSeed(uint256 round, uint256 entropy) external returns (uint256);
+
+    /**
+     * @notice True when the next seed follows from the winning hashVal, which
+     *         the winner knows as soon as it finds its solution — before it
+     *         reveals. aBTC_PoW then takes no commitment for a round before
+     *         everyone can see that round's seed: none for a future round, and
+     *         none in the block the round opened in.
+     */
+    function winnerKnowsNextSeed() external view returns (bool);
+}
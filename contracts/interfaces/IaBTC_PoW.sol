@@ -3,11 +3,28 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/IERC721.sol";
 
-interface IaBTC_PoW {
+/**
+ * @dev Types, constants, state getters and the views both halves of aBTC_PoW
+ *      implement (see aBTC_PoWBase).
+ */
+interface IaBTC_PoWBase {
     // ══════════════════════════════════════════════════════════
     //                        STRUCTS
     // ══════════════════════════════════════════════════════════
 
+    /// @dev Addresses changed through the params timelock (queueAddress / executeAddress).
+    enum AddressSetting {
+        FeeRecipient,
+        Staking,
+        AgentAdapter
+    }
+
+    /// @dev A queued address change; eta 0 = none.
+    struct PendingAddress {
+        address value;
+        uint64 eta;
+    }
+
     struct Commitment {
         bytes32 commitHash;
         uint256 commitBlock;
@@ -20,6 +37,45 @@ interface IaBTC_PoW {
         uint64 lastWinRound;
     }
 
+    /// @dev Governed parameters, packed into one slot. Shares are basis points summing to 10000.
+    struct MiningParams {
+        uint32 targetTime;     // seconds per round
+        uint32 epochLength;    // rounds per difficulty epoch
+        uint32 revealDeadline; // blocks before a round can be force-advanced
+        uint32 commitCooldown; // blocks between commit and reveal
+        uint16 minerShare;
+        uint16 validatorShare;
+        uint16 platformShare;
+        uint32 revealWindow;   // blocks reveals are collected after the first one; 0 = first valid reveal wins
+    }
+
+    /// @dev What happened in a closed round. Zero agentId/miner/reward for a force-advanced round.
+    struct RoundRecord {
+        uint256 agentId;    // winning agent
+        uint256 difficulty; // difficulty the round was mined at
+        uint256 seed;       // roundSeed the round was mined against
+        address miner;      // received the miner share
+        uint64 reward;      // total minted for the round (all shares)
+        bool forced;        // closed by forceAdvanceRound
+        address validator;  // received the validator share; the caller for a force-advanced round
+        uint64 closedAt;    // block timestamp the round closed
+    }
+
+    /// @dev Payout address an agent's owner registered. Only honoured while `owner` still owns the agent.
+    struct PayoutConfig {
+        address owner;
+        address recipient;
+    }
+
+    /// @dev Best reveal of the current round while a reveal window is open.
+    struct PendingReveal {
+        uint256 agentId;
+        uint256 nonce;
+        uint256 hashVal;
+        uint64 closesAt; // last block accepting reveals; 0 = no window open
+        address relayer; // submitted the reveal for its signer; address(0) if sent directly
+    }
+
     // ══════════════════════════════════════════════════════════
     //                        EVENTS
     // ══════════════════════════════════════════════════════════
@@ -29,12 +85,30 @@ interface IaBTC_PoW {
     event DifficultyAdjusted(uint256 indexed epochNumber, uint256 oldDifficulty, uint256 newDifficulty, uint256 elapsed, uint256 expected);
     event Committed(uint256 indexed round, uint256 indexed agentId, address committer);
     event RoundForceAdvanced(uint256 indexed round, address caller);
+    event RevealWindowOpened(uint256 indexed round, uint256 closesAt);
+    event RevealSubmitted(uint256 indexed round, uint256 indexed agentId, uint256 hashVal, bool leading);
+    event PayoutAddressSet(uint256 indexed agentId, address indexed owner, address recipient);
+    event FeeRecipientUpdated(address indexed previousRecipient, address indexed newRecipient);
+    event StakingUpdated(address indexed previousStaking, address indexed newStaking);
+    event AgentAdapterUpdated(address indexed previousAdapter, address indexed newAdapter);
+    event Tipped(address indexed from, uint256 amount);
+    event TipsPaid(uint256 indexed round, uint256 amount);
+    event StaleCommitmentsCleared(uint256 indexed round, uint256 count, address caller);
+    event ParamsQueued(MiningParams params, uint256 eta);
+    event ParamsCancelled();
+    event ParamsExecuted(MiningParams params);
+    event ParamsApplied(uint256 indexed round, MiningParams params);
+    event AddressQueued(AddressSetting indexed setting, address value, uint256 eta);
+    event AddressCancelled(AddressSetting indexed setting);
+    event AdminTransferStarted(address indexed previousAdmin, address indexed newAdmin);
+    event AdminTransferred(address indexed previousAdmin, address indexed newAdmin);
+    event TreasuryTransferStarted(address indexed previousTreasury, address indexed newTreasury);
+    event TreasuryTransferred(address indexed previousTreasury, address indexed newTreasury);
 
     // ══════════════════════════════════════════════════════════
     //                        ERRORS
     // ══════════════════════════════════════════════════════════
 
-    error MiningFinished();
     error NotAgentOwner();
     error EmptyCommit();
     error NoValidCommit();
@@ -43,9 +117,28 @@ interface IaBTC_PoW {
     error InvalidNonce();
     error DeadlineNotReached();
     error TooEarlyForEmergency();
-    error NoRandomnessSource();
-    error NotAdmin();
+    error NotPendingAdmin();
+    error NotPendingTreasury();
+    error AdminRoleTransferOnly();
+    error InvalidBatch();
+    error InvalidCommitRound();
+    error CommitTooEarly();
+    error RoundNotStale();
+    error RevealWindowClosed();
+    error RevealWindowOpen();
+    error NoPendingReveal();
+    error RevealPending();
+    error ExpiredSignature();
+    error InvalidSignature();
+    error NothingToClear();
     error EarnedOverflow();
+    error InvalidParams();
+    error NoPendingParams();
+    error TimelockNotExpired();
+    error NoPendingAddress();
+    error NotSelf();
+    error AgentNotEligible();
+    error AdapterRegistryMismatch();
 
     // ══════════════════════════════════════════════════════════
     //                       CONSTANTS
@@ -54,16 +147,18 @@ interface IaBTC_PoW {
     function MAX_SUPPLY() external view returns (uint256);
     function INITIAL_REWARD() external view returns (uint256);
     function HALVING_INTERVAL() external view returns (uint256);
+    function TIP_PAYOUT_DIVISOR() external view returns (uint256);
     function MIN_DIFFICULTY() external view returns (uint256);
     function MAX_DIFFICULTY() external view returns (uint256);
-    function TARGET_TIME() external view returns (uint256);
     function MAX_ADJUSTMENT_FACTOR() external view returns (uint256);
-    function EPOCH_LENGTH() external view returns (uint256);
-    function MINER_SHARE() external view returns (uint256);
-    function VALIDATOR_SHARE() external view returns (uint256);
-    function PLATFORM_SHARE() external view returns (uint256);
-    function COMMIT_COOLDOWN() external view returns (uint256);
-    function REVEAL_DEADLINE() external view returns (uint256);
+    function PARAMS_TIMELOCK() external view returns (uint256);
+    function MAX_PRECOMMIT_ROUNDS() external view returns (uint256);
+    function MAX_REVEAL_WINDOW() external view returns (uint256);
+    function PAUSER_ROLE() external view returns (bytes32);
+    function PARAMETER_ROLE() external view returns (bytes32);
+    function RECOVERY_ROLE() external view returns (bytes32);
+    function COMMIT_TYPEHASH() external view returns (bytes32);
+    function REVEAL_TYPEHASH() external view returns (bytes32);
 
     // ══════════════════════════════════════════════════════════
     //                    STATE GETTERS
@@ -71,7 +166,9 @@ interface IaBTC_PoW {
 
     function agentRegistry() external view returns (IERC721);
     function treasury() external view returns (address);
+    function pendingTreasury() external view returns (address);
     function admin() external view returns (address);
+    function pendingAdmin() external view returns (address);
     function currentRound() external view returns (uint256);
     function roundStartTime() external view returns (uint256);
     function roundStartBlock() external view returns (uint256);
@@ -80,6 +177,14 @@ interface IaBTC_PoW {
     function roundDifficulty() external view returns (uint256);
     function roundSeed() external view returns (uint256);
     function totalMined() external view returns (uint256);
+    function tipPool() external view returns (uint256);
+    function feeRecipient() external view returns (address);
+    function staking() external view returns (address);
+    function agentAdapter() external view returns (address);
+    function seedProvider() external view returns (address);
+    function relayNonces(address signer) external view returns (uint256);
+    function pendingParamsEta() external view returns (uint256);
+    function paramsScheduled() external view returns (bool);
 
     function commitments(uint256 round, uint256 agentId) external view returns (
         bytes32 commitHash,
@@ -87,6 +192,14 @@ interface IaBTC_PoW {
         address committer
     );
 
+    function pendingReveal() external view returns (
+        uint256 agentId,
+        uint256 nonce,
+        uint256 hashVal,
+        uint64 closesAt,
+        address relayer
+    );
+
     function agentStats(uint256 agentId) external view returns (
         uint64 totalWins,
         uint128 totalEarned,
@@ -97,19 +210,46 @@ interface IaBTC_PoW {
     //                    VIEW FUNCTIONS
     // ══════════════════════════════════════════════════════════
 
-    function decimals() external pure returns (uint8);
     function getReward() external view returns (uint256);
     function getTarget() external view returns (uint256);
     function computeHash(uint256 agentId, uint256 nonce, uint256 seed) external pure returns (uint256);
-    function roundsUntilAdjustment() external view returns (uint256);
-    function computeCommitHash(uint256 agentId, uint256 secret, address miner) external pure returns (bytes32);
+    function validatorRecipient() external view returns (address);
+}
+
+/// @dev What aBTC_PoW forwards to aBTC_PoWExtension. Part of the aBTC_PoW ABI like everything else.
+interface IaBTC_PoWExtension is IaBTC_PoWBase {
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function payoutAddress(uint256 agentId) external view returns (address);
+    function isAuthorizedMiner(uint256 agentId, address account) external view returns (bool);
+    function getRoundRecord(uint256 round) external view returns (RoundRecord memory);
+    function getRoundHistory(uint256 fromRound, uint256 limit) external view returns (RoundRecord[] memory records);
+    function roundCommitCount(uint256 round) external view returns (uint256);
+    function getRoundCommitments(uint256 round, uint256 offset, uint256 limit)
+        external view returns (uint256[] memory agentIds, Commitment[] memory entries);
+    function getCurrentCommitments(uint256 offset, uint256 limit)
+        external view returns (uint256[] memory agentIds, Commitment[] memory entries);
+    function pendingAddress(AddressSetting setting) external view returns (address value, uint256 eta);
 
     // ══════════════════════════════════════════════════════════
     //                    MINING ACTIONS
     // ══════════════════════════════════════════════════════════
 
-    function commit(uint256 agentId, bytes32 commitHash) external;
-    function revealAndMine(uint256 agentId, uint256 nonce, uint256 secret) external;
+    function setPayoutAddress(uint256 agentId, address recipient) external;
+    function commitBatch(uint256[] calldata agentIds, bytes32[] calldata commitHashes) external;
+    function commitBatchFor(uint256 round, uint256[] calldata agentIds, bytes32[] calldata commitHashes) external;
+    function commitWithSig(
+        uint256 round,
+        uint256 agentId,
+        bytes32 commitHash,
+        address signer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external;
+    function clearStaleCommitments(uint256 round, uint256 maxCount) external returns (uint256 cleared);
+    function tip(uint256 amount) external;
     function forceAdvanceRound() external;
     function emergencyDifficultyReset() external;
 
@@ -119,4 +259,60 @@ interface IaBTC_PoW {
 
     function pause() external;
     function unpause() external;
-}
\ No newline at end of file
+    function transferAdmin(address newAdmin) external;
+    function acceptAdmin() external;
+    function transferTreasury(address newTreasury) external;
+    function acceptTreasury() external;
+    function queueParams(MiningParams calldata newParams) external;
+    function cancelParams() external;
+    function executeParams() external;
+    function queueAddress(AddressSetting setting, address value) external;
+    function cancelAddress(AddressSetting setting) external;
+    function executeAddress(AddressSetting setting) external;
+}
+
+interface IaBTC_PoW is IaBTC_PoWExtension {
+    function extension() external view returns (address);
+
+    // ══════════════════════════════════════════════════════════
+    //                 GOVERNED PARAMETERS
+    // ══════════════════════════════════════════════════════════
+
+    // Kept under their former constant names so existing integrations keep working
+    function TARGET_TIME() external view returns (uint256);
+    function EPOCH_LENGTH() external view returns (uint256);
+    function MINER_SHARE() external view returns (uint256);
+    function VALIDATOR_SHARE() external view returns (uint256);
+    function PLATFORM_SHARE() external view returns (uint256);
+    function COMMIT_COOLDOWN() external view returns (uint256);
+    function REVEAL_DEADLINE() external view returns (uint256);
+    function REVEAL_WINDOW() external view returns (uint256);
+
+    function getParams() external view returns (MiningParams memory);
+
+    // ══════════════════════════════════════════════════════════
+    //                    VIEW FUNCTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function decimals() external pure returns (uint8);
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
+    function roundsUntilAdjustment() external view returns (uint256);
+    function computeCommitHash(uint256 agentId, uint256 secret, address miner) external pure returns (bytes32);
+
+    // ══════════════════════════════════════════════════════════
+    //                    MINING ACTIONS
+    // ══════════════════════════════════════════════════════════
+
+    function commit(uint256 agentId, bytes32 commitHash) external;
+    function commitFor(uint256 round, uint256 agentId, bytes32 commitHash) external;
+    function revealAndMine(uint256 agentId, uint256 nonce, uint256 secret) external;
+    function finalizeRound() external;
+    function revealAndMineWithSig(
+        uint256 agentId,
+        uint256 powNonce,
+        uint256 secret,
+        address signer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external;
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import {IERC8004IdentityRegistry} from "../interfaces/IERC8004.sol";
+
+/// @dev ERC-8004 Identity Registry stand-in: anyone registers an agent card URI and owns the agent.
+contract MockIdentityRegistry is ERC721URIStorage, IERC8004IdentityRegistry {
+    uint256 public nextAgentId = 1;
+
+    constructor() ERC721("Mock Agent Identity", "AGENT") {}
+
+    function register(string calldata tokenURI) external override returns (uint256 agentId) {
+        agentId = nextAgentId++;
+        _safeMint(msg.sender, agentId);
+        _setTokenURI(agentId, tokenURI);
+        emit Registered(agentId, tokenURI, msg.sender);
+    }
+}
@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IRandomnessOracle, IRandomnessConsumer} from "../interfaces/IRandomnessOracle.sol";
+
+/// @dev VRF oracle stand-in: records requests, anyone delivers the answer (no proof). Requests can be made to revert.
+contract MockRandomnessOracle is IRandomnessOracle {
+    uint256 public lastRequestId;
+    mapping(uint256 => address) public requesters;
+    bool public reverts;
+
+    function setReverts(bool _reverts) external {
+        reverts = _reverts;
+    }
+
+    function requestRandomness() external override returns (uint256 requestId) {
+        require(!reverts, "Oracle unavailable");
+        requestId = ++lastRequestId;
+        requesters[requestId] = msg.sender;
+        emit RandomnessRequested(requestId, msg.sender);
+    }
+
+    /// @notice Deliver `randomness` for `requestId`, as the oracle's off-chain node would.
+    function fulfill(uint256 requestId, uint256 randomness) external {
+        address consumer = requesters[requestId];
+        require(consumer != address(0), "Unknown request");
+        delete requesters[requestId];
+        IRandomnessConsumer(consumer).fulfillRandomness(requestId, randomness);
+    }
+}
@@ -13,4 +13,9 @@ contract MockRegistry is ERC721 {
         _mint(to, tokenId);
         return tokenId;
     }
+
+    /// @notice Owner (or approved) destroys the agent; ownerOf reverts from then on.
+    function burn(uint256 tokenId) external {
+        _update(address(0), tokenId, msg.sender);
+    }
 }
\ No newline at end of file
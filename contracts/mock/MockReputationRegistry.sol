@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IERC8004ReputationRegistry} from "../interfaces/IERC8004.sol";
+
+/// @dev ERC-8004 Reputation Registry stand-in: unauthenticated feedback, summarised on read.
+contract MockReputationRegistry is IERC8004ReputationRegistry {
+    struct Feedback {
+        address client;
+        uint8 score;
+        bytes32 tag1;
+        bytes32 tag2;
+    }
+
+    mapping(uint256 => Feedback[]) internal _feedback;
+
+    function giveFeedback(uint256 agentId, uint8 score, bytes32 tag1, bytes32 tag2) external {
+        require(score <= 100, "Invalid score");
+        _feedback[agentId].push(Feedback({client: msg.sender, score: score, tag1: tag1, tag2: tag2}));
+    }
+
+    function getSummary(
+        uint256 agentId,
+        address[] calldata clientAddresses,
+        bytes32 tag1,
+        bytes32 tag2
+    ) external view override returns (uint64 count, uint8 averageScore) {
+        Feedback[] storage list = _feedback[agentId];
+        uint256 total;
+        for (uint256 i = 0; i < list.length; i++) {
+            Feedback storage f = list[i];
+            if (tag1 != bytes32(0) && f.tag1 != tag1) continue;
+            if (tag2 != bytes32(0) && f.tag2 != tag2) continue;
+            if (clientAddresses.length > 0 && !_contains(clientAddresses, f.client)) continue;
+            count++;
+            total += f.score;
+        }
+        if (count > 0) averageScore = uint8(total / count);
+    }
+
+    function _contains(address[] calldata list, address account) internal pure returns (bool) {
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == account) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @dev Staking stand-in for aBTC_PoW's payout path: terms are set directly, and either call can be made to revert.
+contract MockStaking {
+    uint256 public bonusBps;
+    uint256 public cutBps;
+    bool public termsReverts;
+    bool public notifyReverts;
+    uint256 public notified;
+
+    function setTerms(uint256 _bonusBps, uint256 _cutBps) external {
+        bonusBps = _bonusBps;
+        cutBps = _cutBps;
+    }
+
+    function setReverts(bool _termsReverts, bool _notifyReverts) external {
+        termsReverts = _termsReverts;
+        notifyReverts = _notifyReverts;
+    }
+
+    function rewardTerms(uint256) external view returns (uint256, uint256) {
+        require(!termsReverts, "Terms unavailable");
+        return (bonusBps, cutBps);
+    }
+
+    function notifyReward(uint256, uint256 amount) external {
+        require(!notifyReverts, "Notify unavailable");
+        notified += amount;
+    }
+}
@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {aBTC_PoW} from "../aBTC_PoW.sol";
+import {aBTC_PoWBase} from "../aBTC_PoWBase.sol";
+import {IaBTC_PoWBase} from "../interfaces/IaBTC_PoW.sol";
+
+/**
+ * @dev Test-only aBTC_PoW with setters for state that real mining takes many
+ *      rounds or a lot of hashing to reach: the PoW target, roundDifficulty,
+ *      roundSeed, currentRound and totalMined. Same logic otherwise, so a
+ *      scenario run here runs the contract's own code paths. Never deploy.
+ *
+ *      testTarget sits after aBTC_PoWBase's whole layout, where the extension
+ *      never writes.
+ */
+contract aBTC_PoWHarness is aBTC_PoW {
+    /// @dev Replaces getTarget() while non-zero; type(uint256).max lets every nonce win.
+    uint256 public testTarget;
+
+    constructor(
+        address _agentRegistry,
+        address _treasury,
+        address _admin,
+        address _extension,
+        address _seedProvider
+    ) aBTC_PoW(_agentRegistry, _treasury, _admin, _extension, _seedProvider) {}
+
+    /// @notice Mine against `target` regardless of roundDifficulty; 0 = back to the real target.
+    ///         Difficulty adjustment keeps running on roundDifficulty either way.
+    function setTestTarget(uint256 target) external {
+        testTarget = target;
+    }
+
+    function setDifficulty(uint256 difficulty) external {
+        roundDifficulty = difficulty;
+    }
+
+    function setSeed(uint256 seed) external {
+        roundSeed = seed;
+    }
+
+    /// @notice Start a fresh round and epoch at `round`, so the next close does not adjust difficulty.
+    function jumpToRound(uint256 round) public {
+        currentRound = round;
+        roundStartTime = block.timestamp;
+        roundStartBlock = block.number;
+        epochStartTime = block.timestamp;
+        epochStartRound = round;
+    }
+
+    /// @notice jumpToRound() to the first round of halving era `era` — round 1 for era 0,
+    ///         as on the real contract, where round 0 never exists.
+    function jumpToEra(uint256 era) external {
+        jumpToRound(era == 0 ? 1 : era * HALVING_INTERVAL);
+    }
+
+    /// @notice Pretend `amount` has been mined without minting it (totalSupply is left alone).
+    function setTotalMined(uint256 amount) external {
+        totalMined = amount;
+    }
+
+    function getTarget() public view override(IaBTC_PoWBase, aBTC_PoWBase) returns (uint256) {
+        return testTarget != 0 ? testTarget : super.getTarget();
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {BoundSeedProvider} from "./BoundSeedProvider.sol";
+
+/**
+ * @title BeaconSeedProvider — commit-reveal beacon fed by the miners
+ * @notice beacon = keccak256(beacon, round, entropy), where entropy is the
+ *         previous round's winning hashVal. That hashVal comes from the
+ *         winner's secret, committed before the round's seed was known, so
+ *         the block producer can neither predict nor steer the next seed.
+ *
+ *         The winner knows it, though — from the moment it finds its
+ *         solution, before it reveals. winnerKnowsNextSeed() is true, so
+ *         aBTC_PoW takes no commitment for the next round until that round is
+ *         a block old, and everyone commits from the same block on. What the
+ *         winner keeps is the time it spends hashing the next round while
+ *         sitting on its solution, during which anyone else can take the
+ *         current round. It could also withhold a solution to reroll, giving
+ *         up the reward and re-mining at full difficulty. Rounds with no
+ *         winner (forced, emergency reset) fall back to the parent blockhash.
+ */
+contract BeaconSeedProvider is BoundSeedProvider {
+    event BeaconUpdated(uint256 indexed round, uint256 beacon, bool fromWinner);
+
+    uint256 public beacon;
+
+    constructor() {
+        beacon = uint256(keccak256(abi.encode(blockhash(block.number - 1), address(this))));
+    }
+
+    function nextSeed(uint256 round, uint256 entropy) external override onlyConsumer returns (uint256) {
+        bool fromWinner = entropy != 0;
+        uint256 input = fromWinner ? entropy : uint256(blockhash(block.number - 1));
+
+        beacon = uint256(keccak256(abi.encode(beacon, round, input)));
+        emit BeaconUpdated(round, beacon, fromWinner);
+        return beacon;
+    }
+
+    function winnerKnowsNextSeed() external pure override returns (bool) {
+        return true;
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ISeedProvider} from "../interfaces/ISeedProvider.sol";
+
+/**
+ * @title BoundSeedProvider — a stateful provider serving one aBTC_PoW
+ * @notice nextSeed advances the provider's state, so only its aBTC_PoW may call
+ *         it. The deployer binds it once with bind(), right after deploying that
+ *         aBTC_PoW (the Ignition modules and scripts/deploy.js do it in the same
+ *         run). Until then nextSeed reverts, so round 1 cannot close unbound.
+ */
+abstract contract BoundSeedProvider is ISeedProvider {
+    event ConsumerBound(address indexed consumer);
+
+    error NotOwner();
+    error AlreadyBound();
+    error InvalidConsumer();
+    error NotConsumer();
+
+    /// @dev Deployer; its only power is the one bind() call.
+    address public immutable owner;
+
+    address public consumer;
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    modifier onlyConsumer() {
+        if (msg.sender != consumer) revert NotConsumer();
+        _;
+    }
+
+    /// @notice Serve `_consumer` (an aBTC_PoW) from now on. Once only, by the deployer.
+    function bind(address _consumer) external {
+        if (msg.sender != owner) revert NotOwner();
+        if (consumer != address(0)) revert AlreadyBound();
+        if (_consumer.code.length == 0) revert InvalidConsumer();
+
+        consumer = _consumer;
+        emit ConsumerBound(_consumer);
+    }
+}
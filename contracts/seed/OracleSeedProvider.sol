@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {BoundSeedProvider} from "./BoundSeedProvider.sol";
+import {IRandomnessOracle, IRandomnessConsumer} from "../interfaces/IRandomnessOracle.sol";
+
+/**
+ * @title OracleSeedProvider — VRF-style oracle randomness
+ * @notice Each seed consumes one word from the oracle and requests the next,
+ *         so the oracle has a whole round to answer before it is needed:
+ *         seed = keccak256(randomness, round, entropy). The word lands on-chain
+ *         before the round closes; mixing in the previous round's winning
+ *         hashVal hides the seed from everyone but that round's winner, who
+ *         knows it once it has a solution (winnerKnowsNextSeed(), as with
+ *         BeaconSeedProvider).
+ *
+ *         Rounds never wait on the oracle. Without a fresh word the seed
+ *         chains from the last one instead — keccak256(lastSeed, round,
+ *         entropy), a miner-fed beacon — and OracleFallback is emitted. The
+ *         first seed it serves (round 2) always takes this path. A request
+ *         that reverts (or runs out of gas) is dropped with OracleRequestFailed
+ *         and retried when the next round closes, so the oracle cannot stall
+ *         finalizeRound, forceAdvanceRound or emergencyDifficultyReset.
+ */
+contract OracleSeedProvider is BoundSeedProvider, IRandomnessConsumer {
+    event RandomnessFulfilled(uint256 indexed requestId, uint256 randomness);
+    event OracleFallback(uint256 indexed round);
+    event OracleRequestFailed(uint256 indexed round);
+
+    error NotOracle();
+    error UnknownRequest();
+
+    IRandomnessOracle public immutable oracle;
+
+    /// @dev Outstanding request; 0 = none.
+    uint256 public pendingRequest;
+
+    /// @dev Latest delivered word, usable once while fresh.
+    uint256 public randomness;
+    bool public fresh;
+
+    uint256 public lastSeed;
+
+    constructor(address _oracle) {
+        require(_oracle.code.length > 0, "Invalid oracle");
+        oracle = IRandomnessOracle(_oracle);
+        lastSeed = uint256(keccak256(abi.encode(blockhash(block.number - 1), address(this))));
+    }
+
+    function nextSeed(uint256 round, uint256 entropy) external override onlyConsumer returns (uint256 seed) {
+        if (fresh) {
+            fresh = false;
+            seed = uint256(keccak256(abi.encode(randomness, round, entropy)));
+        } else {
+            seed = uint256(keccak256(abi.encode(lastSeed, round, entropy)));
+            emit OracleFallback(round);
+        }
+        lastSeed = seed;
+
+        if (pendingRequest == 0) {
+            try oracle.requestRandomness() returns (uint256 requestId) {
+                pendingRequest = requestId;
+            } catch {
+                emit OracleRequestFailed(round);
+            }
+        }
+    }
+
+    function winnerKnowsNextSeed() external pure override returns (bool) {
+        return true;
+    }
+
+    function fulfillRandomness(uint256 requestId, uint256 _randomness) external override {
+        if (msg.sender != address(oracle)) revert NotOracle();
+        if (requestId == 0 || requestId != pendingRequest) revert UnknownRequest();
+
+        pendingRequest = 0;
+        randomness = _randomness;
+        fresh = true;
+        emit RandomnessFulfilled(requestId, _randomness);
+    }
+}
@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ISeedProvider} from "../interfaces/ISeedProvider.sol";
+
+/**
+ * @title PrevrandaoSeedProvider — the block's own randomness
+ * @notice roundSeed = block.prevrandao, or the parent blockhash where prevrandao
+ *         is 0 (pre-merge chains, some L2s). Stateless and free, but whoever
+ *         produces the block — an L2 sequencer in particular — can steer it.
+ */
+contract PrevrandaoSeedProvider is ISeedProvider {
+    error NoRandomnessSource();
+
+    function nextSeed(uint256, uint256) external view override returns (uint256) {
+        if (block.prevrandao != 0) {
+            return block.prevrandao;
+        }
+
+        // Fallback for pre-merge chains or L2s
+        uint256 fallbackSeed = uint256(blockhash(block.number - 1));
+        if (fallbackSeed != 0) {
+            return fallbackSeed;
+        }
+
+        revert NoRandomnessSource();
+    }
+
+    /// @dev The winner's reveal does not feed the seed; the block producer's randomness does.
+    function winnerKnowsNextSeed() external pure override returns (bool) {
+        return false;
+    }
+}
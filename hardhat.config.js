@@ -1,20 +1,35 @@
 require("dotenv").config();
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/abtc");
 
 // Lấy Private Key từ .env, nếu không có thì để mảng rỗng để tránh lỗi crash
 const PRIVATE_KEY = process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [];
 
 module.exports = {
   solidity: {
-    version: "0.8.20",
-    settings: {
-      optimizer: {
-        enabled: true,
-        // Với Mining Contract, số runs càng cao (VD: 1000000) thì deploy càng đắt 
-        // nhưng gas khi chạy (đào) càng rẻ. 800 là mức cân bằng.
-        runs: 800, 
+    compilers: [
+      {
+        version: "0.8.20",
+        settings: {
+          optimizer: {
+            enabled: true,
+            // Với Mining Contract, số runs càng cao (VD: 1000000) thì deploy càng đắt 
+            // nhưng gas khi chạy (đào) càng rẻ. 800 là mức cân bằng.
+            runs: 800, 
+          },
+          viaIR: true, // Bật cái này là chuẩn để fix lỗi "Stack too deep"
+        },
+      },
+    ],
+    overrides: {
+      // Extension chỉ chứa đường lạnh (view, admin, batch) → tối ưu theo kích thước
+      // bytecode thay vì gas, để còn chỗ dưới giới hạn 24KB (EIP-170). Nó không cần
+      // viaIR (không dính "Stack too deep") và pipeline cũ cho bytecode nhỏ hơn ~1KB;
+      // layout storage giống hệt nên delegatecall từ aBTC_PoW vẫn đúng
+      "contracts/aBTC_PoWExtension.sol": {
+        version: "0.8.20",
+        settings: { optimizer: { enabled: true, runs: 1 }, viaIR: false },
       },
-      viaIR: true, // Bật cái này là chuẩn để fix lỗi "Stack too deep"
     },
   },
   
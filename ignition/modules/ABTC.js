@@ -0,0 +1,32 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * aBTC_PoW against an existing ERC-721 agent registry, seeded by a
+ * PrevrandaoSeedProvider deployed alongside it. For the other seed providers
+ * use ABTCWithBeacon.js or ABTCWithOracle.js, which take the same parameters.
+ *
+ * Parameters (ignition/parameters/<network>.json, start from example.json):
+ *   agentRegistry — address of the registry to import (required)
+ *   treasury      — receives the platform share (default: deployer)
+ *   admin         — can pause/unpause (default: deployer)
+ *
+ *   npx hardhat ignition deploy ignition/modules/ABTC.js \
+ *     --network sepolia --parameters ignition/parameters/sepolia.json
+ *
+ * Ignition journals every step under ignition/deployments/, so re-running the
+ * same command resumes an interrupted deployment and is a no-op once complete.
+ */
+module.exports = buildModule("ABTCModule", (m) => {
+  const registry = m.contractAt(
+    "@openzeppelin/contracts/token/ERC721/IERC721.sol:IERC721",
+    m.getParameter("agentRegistry")
+  );
+  const treasury = m.getParameter("treasury", m.getAccount(0));
+  const admin = m.getParameter("admin", m.getAccount(0));
+
+  const extension = m.contract("aBTC_PoWExtension", [registry]);
+  const seedProvider = m.contract("PrevrandaoSeedProvider");
+  const abtc = m.contract("aBTC_PoW", [registry, treasury, admin, extension, seedProvider]);
+
+  return { abtc, registry, extension, seedProvider };
+});
@@ -0,0 +1,25 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * aBTC_PoW plus a freshly deployed MockRegistry — for local nodes, testnets
+ * without a real agent registry, and the test suite fixtures. Seeds come from
+ * a PrevrandaoSeedProvider.
+ *
+ * Parameters (ignition/parameters/<network>.json):
+ *   treasury — receives the platform share (default: deployer)
+ *   admin    — can pause/unpause (default: deployer)
+ *
+ *   npx hardhat ignition deploy ignition/modules/ABTCWithMockRegistry.js \
+ *     --network localhost --parameters ignition/parameters/localhost.json
+ */
+module.exports = buildModule("ABTCWithMockRegistryModule", (m) => {
+  const registry = m.contract("MockRegistry");
+  const treasury = m.getParameter("treasury", m.getAccount(0));
+  const admin = m.getParameter("admin", m.getAccount(0));
+
+  const extension = m.contract("aBTC_PoWExtension", [registry]);
+  const seedProvider = m.contract("PrevrandaoSeedProvider");
+  const abtc = m.contract("aBTC_PoW", [registry, treasury, admin, extension, seedProvider]);
+
+  return { abtc, registry, extension, seedProvider };
+});
@@ -0,0 +1,28 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+/**
+ * ABTC.js with an OracleSeedProvider: roundSeed mixes in one word per round
+ * from a VRF-style oracle. The provider is bound to this aBTC_PoW in the same
+ * deployment; round 1 cannot close before that.
+ *
+ * Parameters: as ABTC.js, under ABTCWithOracleModule, plus
+ *   oracle — IRandomnessOracle to request words from (required)
+ *
+ *   npx hardhat ignition deploy ignition/modules/ABTCWithOracle.js \
+ *     --network sepolia --parameters ignition/parameters/sepolia.json
+ */
+module.exports = buildModule("ABTCWithOracleModule", (m) => {
+  const registry = m.contractAt(
+    "@openzeppelin/contracts/token/ERC721/IERC721.sol:IERC721",
+    m.getParameter("agentRegistry")
+  );
+  const treasury = m.getParameter("treasury", m.getAccount(0));
+  const admin = m.getParameter("admin", m.getAccount(0));
+
+  const extension = m.contract("aBTC_PoWExtension", [registry]);
+  const seedProvider = m.contract("OracleSeedProvider", [m.getParameter("oracle")]);
+  const abtc = m.contract("aBTC_PoW", [registry, treasury, admin, extension, seedProvider]);
+  m.call(seedProvider, "bind", [abtc]);
+
+  return { abtc, registry, extension, seedProvider };
+});
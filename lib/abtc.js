@@ -0,0 +1,192 @@
+const { AbiCoder, keccak256, MaxUint256 } = require("ethers");
+
+/**
+ * aBTC SDK — off-chain mirror of the hashing, seed and reward math in aBTC_PoW.sol.
+ * Every function here must produce exactly what the contract computes;
+ * test/abtc.sdk.test.js checks them against the on-chain views.
+ * All amounts are bigint in 8-decimal base units.
+ */
+
+const abi = AbiCoder.defaultAbiCoder();
+
+// ══════════════════════════════════════════════════════════
+//                      CONSTANTS
+// ══════════════════════════════════════════════════════════
+
+// --- Supply & Reward ---
+const DECIMALS = 8;
+const MAX_SUPPLY = 21_000_000n * 10n ** 8n;
+const INITIAL_REWARD = 50n * 10n ** 8n;
+const HALVING_INTERVAL = 210_000n;
+const TIP_PAYOUT_DIVISOR = 100n;
+
+// --- Difficulty ---
+const MIN_DIFFICULTY = 1000n;
+const MAX_DIFFICULTY = MaxUint256 / 2n;
+const MAX_ADJUSTMENT_FACTOR = 4n;
+
+// --- Governed parameters: deployment defaults ---
+// The contract can change these through queueParams/executeParams;
+// read getParams() when talking to a live deployment.
+const TARGET_TIME = 60n;
+const EPOCH_LENGTH = 10n;
+
+// --- Reward Split (basis points) ---
+const BPS = 10_000n;
+const MINER_SHARE = 9000n;
+const VALIDATOR_SHARE = 500n;
+const PLATFORM_SHARE = 500n;
+const MAX_STAKING_BONUS_BPS = 300n; // staking terms above these are clamped
+const MAX_STAKING_CUT_BPS = 5000n;
+
+// --- Commit-Reveal ---
+const COMMIT_COOLDOWN = 1n;
+const REVEAL_DEADLINE = 256n;
+const REVEAL_WINDOW = 0n; // blocks; 0 = first valid reveal wins
+
+// --- Timelocked addresses: IaBTC_PoWBase.AddressSetting, for queueAddress/executeAddress ---
+const ADDRESS_SETTING = { FEE_RECIPIENT: 0, STAKING: 1, AGENT_ADAPTER: 2 };
+
+// ══════════════════════════════════════════════════════════
+//                    HASHING & SEED
+// ══════════════════════════════════════════════════════════
+
+/**
+ * keccak256(abi.encode(agentId, secret, miner)) — the value passed to commit().
+ * @returns {string} bytes32 hex
+ */
+function computeCommitHash(agentId, secret, minerAddress) {
+  return keccak256(abi.encode(["uint256", "uint256", "address"], [agentId, secret, minerAddress]));
+}
+
+/**
+ * uint256(keccak256(abi.encode(roundSeed ^ secret))) — the seed a reveal is checked against.
+ * @returns {bigint}
+ */
+function computeEnhancedSeed(roundSeed, secret) {
+  return BigInt(keccak256(abi.encode(["uint256"], [BigInt(roundSeed) ^ BigInt(secret)])));
+}
+
+/**
+ * uint256(keccak256(abi.encode(agentId, nonce, seed))) — must be < getTarget() to win.
+ * @returns {bigint}
+ */
+function computeHash(agentId, nonce, seed) {
+  return BigInt(keccak256(abi.encode(["uint256", "uint256", "uint256"], [agentId, nonce, seed])));
+}
+
+/**
+ * Single-threaded nonce search from `start`. For real mining use lib/miner.js.
+ * @returns {{ nonce: bigint, hashVal: bigint } | null} null if nothing found within maxTries
+ */
+function findNonce(agentId, enhancedSeed, target, { start = 0n, maxTries = 10_000_000 } = {}) {
+  let nonce = BigInt(start);
+  for (let i = 0; i < maxTries; i++, nonce++) {
+    const hashVal = computeHash(agentId, nonce, enhancedSeed);
+    if (hashVal < target) return { nonce, hashVal };
+  }
+  return null;
+}
+
+// ══════════════════════════════════════════════════════════
+//                  DIFFICULTY & REWARD
+// ══════════════════════════════════════════════════════════
+
+/** Mirrors getTarget(): type(uint256).max / max(difficulty, MIN_DIFFICULTY). */
+function difficultyToTarget(difficulty) {
+  const diff = BigInt(difficulty) < MIN_DIFFICULTY ? MIN_DIFFICULTY : BigInt(difficulty);
+  return MaxUint256 / diff;
+}
+
+/** Mirrors getReward(): INITIAL_REWARD halved every HALVING_INTERVAL rounds, 0 from era 64. */
+function getReward(round) {
+  const era = BigInt(round) / HALVING_INTERVAL;
+  if (era >= 64n) return 0n;
+  return INITIAL_REWARD >> era;
+}
+
+/** Mirrors the MAX_SUPPLY cap at the top of _finalizeRound. */
+function capReward(reward, totalMined) {
+  reward = BigInt(reward);
+  totalMined = BigInt(totalMined);
+  if (totalMined + reward > MAX_SUPPLY) return MAX_SUPPLY - totalMined;
+  return reward;
+}
+
+/** Mirrors the fee-only payout in _finalizeRound: 1/TIP_PAYOUT_DIVISOR of the pool, or all of it once it is dust. */
+function tipPayout(tipPool) {
+  tipPool = BigInt(tipPool);
+  const amount = tipPool / TIP_PAYOUT_DIVISOR;
+  return amount === 0n ? tipPool : amount;
+}
+
+/**
+ * Mirrors the split in _finalizeRound — the platform takes the rounding remainder.
+ * @param {object} [shares] { minerShare, validatorShare } from getParams(); defaults to 90/5/5.
+ *                          With staking, also { bonusBps, delegatorShare } from AgentStaking.rewardTerms():
+ *                          minerAmt then includes the bonus and delegatorAmt is the stakers' part of it.
+ *                          Terms above MAX_STAKING_BONUS_BPS / MAX_STAKING_CUT_BPS are clamped, as on-chain.
+ */
+function splitReward(reward, { minerShare = MINER_SHARE, validatorShare = VALIDATOR_SHARE, bonusBps = 0n, delegatorShare = 0n } = {}) {
+  reward = BigInt(reward);
+  let minerAmt = (reward * BigInt(minerShare)) / BPS;
+  const validatorAmt = (reward * BigInt(validatorShare)) / BPS;
+  let platformAmt = reward - minerAmt - validatorAmt;
+
+  if (BigInt(bonusBps) > MAX_STAKING_BONUS_BPS) bonusBps = MAX_STAKING_BONUS_BPS;
+  if (BigInt(delegatorShare) > MAX_STAKING_CUT_BPS) delegatorShare = MAX_STAKING_CUT_BPS;
+
+  let bonus = (reward * BigInt(bonusBps)) / BPS;
+  if (bonus > platformAmt) bonus = platformAmt;
+  minerAmt += bonus;
+  platformAmt -= bonus;
+  const delegatorAmt = (minerAmt * BigInt(delegatorShare)) / BPS;
+
+  return { minerAmt, validatorAmt, platformAmt, delegatorAmt };
+}
+
+/**
+ * Everything _finalizeRound pays for a win in `round` given the current totalMined.
+ * Once emission is over the round is fee-only (feeOnly = true) and pays out of `tipPool`.
+ */
+function computeRoundPayout(round, totalMined, shares, tipPool = 0n) {
+  let reward = capReward(getReward(round), totalMined);
+  const feeOnly = reward === 0n;
+  if (feeOnly) reward = tipPayout(tipPool);
+  return { reward, feeOnly, ...splitReward(reward, shares) };
+}
+
+module.exports = {
+  DECIMALS,
+  MAX_SUPPLY,
+  INITIAL_REWARD,
+  HALVING_INTERVAL,
+  TIP_PAYOUT_DIVISOR,
+  MIN_DIFFICULTY,
+  MAX_DIFFICULTY,
+  TARGET_TIME,
+  MAX_ADJUSTMENT_FACTOR,
+  EPOCH_LENGTH,
+  BPS,
+  MINER_SHARE,
+  VALIDATOR_SHARE,
+  PLATFORM_SHARE,
+  MAX_STAKING_BONUS_BPS,
+  MAX_STAKING_CUT_BPS,
+  COMMIT_COOLDOWN,
+  REVEAL_DEADLINE,
+  REVEAL_WINDOW,
+  ADDRESS_SETTING,
+
+  computeCommitHash,
+  computeEnhancedSeed,
+  computeHash,
+  findNonce,
+
+  difficultyToTarget,
+  getReward,
+  capReward,
+  tipPayout,
+  splitReward,
+  computeRoundPayout,
+};
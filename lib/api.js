@@ -0,0 +1,292 @@
+const http = require("http");
+const { Contract, ZeroHash } = require("ethers");
+const { MAX_SUPPLY, HALVING_INTERVAL, DECIMALS } = require("./abtc");
+
+/**
+ * Read-only HTTP/JSON API over aBTC_PoW.
+ *
+ *   GET /round          current round, seed, target, reward, estimated hash rate
+ *   GET /epoch          difficulty epoch progress and hash rate over the epoch
+ *   GET /agents/:id     agentStats + owner + win history (if an indexer is attached)
+ *   GET /leaderboard    agents by on-chain totalWins (needs an indexer to know the agents)
+ *   GET /supply         emission progress vs MAX_SUPPLY, halving schedule and tip pool
+ *   GET /rounds         closed rounds from on-chain history; ?from=&limit= (default: latest 20)
+ *
+ * All uint256 values are serialized as decimal strings.
+ */
+
+const MAX_PAGE = 100; // rounds per /rounds request
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+/**
+ * Network hash rate over the current epoch.
+ * Each win takes `difficulty` hashes on average (target = 2^256 / difficulty),
+ * so hashes/s ≈ difficulty × completed rounds / elapsed seconds.
+ * @returns {number|null} null until a round of the epoch has completed
+ */
+function estimateHashRate(difficulty, roundsCompleted, elapsed) {
+  if (roundsCompleted === 0n || elapsed === 0n) return null;
+  return Number(difficulty * roundsCompleted) / Number(elapsed);
+}
+
+/**
+ * @param {object}   opts
+ * @param {Contract} opts.contract        aBTC_PoW
+ * @param {Indexer} [opts.indexer]        lib/indexer.js instance; enables /leaderboard and win history
+ * @param {number}  [opts.indexerMaxAge]  ms between indexer syncs triggered by requests
+ */
+function createApi({ contract, indexer, indexerMaxAge = 5000 }) {
+  const provider = contract.runner.provider || contract.runner;
+  let registry;
+  let lastSync = 0;
+  let pendingSync = null;
+
+  async function getRegistry() {
+    if (!registry) {
+      registry = new Contract(
+        await contract.agentRegistry(),
+        ["function ownerOf(uint256) view returns (address)"],
+        provider
+      );
+    }
+    return registry;
+  }
+
+  // Requests arriving while the cache is stale share one sync.
+  function syncIndexer() {
+    if (!indexer || Date.now() - lastSync < indexerMaxAge) return;
+    if (!pendingSync) {
+      pendingSync = indexer
+        .sync()
+        .then(() => {
+          lastSync = Date.now();
+        })
+        .finally(() => {
+          pendingSync = null;
+        });
+    }
+    return pendingSync;
+  }
+
+  async function now() {
+    const block = await provider.getBlock("latest");
+    return { blockNumber: BigInt(block.number), timestamp: BigInt(block.timestamp) };
+  }
+
+  // ──────────────────────────────────────────────────────────
+
+  async function getRound() {
+    const [round, difficulty, target, seed, reward, startTime, startBlock, epochStartRound, epochStartTime, params, head] =
+      await Promise.all([
+        contract.currentRound(),
+        contract.roundDifficulty(),
+        contract.getTarget(),
+        contract.roundSeed(),
+        contract.getReward(),
+        contract.roundStartTime(),
+        contract.roundStartBlock(),
+        contract.epochStartRound(),
+        contract.epochStartTime(),
+        contract.getParams(),
+        now(),
+      ]);
+
+    return {
+      round,
+      difficulty,
+      target,
+      seed,
+      reward,
+      startTime,
+      startBlock,
+      elapsed: head.timestamp - startTime,
+      forceAdvanceBlock: startBlock + params.revealDeadline + 1n,
+      estimatedHashRate: estimateHashRate(difficulty, round - epochStartRound, head.timestamp - epochStartTime),
+      blockNumber: head.blockNumber,
+      timestamp: head.timestamp,
+    };
+  }
+
+  async function getEpoch() {
+    const [round, difficulty, epochStartRound, epochStartTime, roundsUntilAdjustment, params, paramsScheduled, head] =
+      await Promise.all([
+        contract.currentRound(),
+        contract.roundDifficulty(),
+        contract.epochStartRound(),
+        contract.epochStartTime(),
+        contract.roundsUntilAdjustment(),
+        contract.getParams(),
+        contract.paramsScheduled(),
+        now(),
+      ]);
+    const { epochLength, targetTime } = params;
+
+    const roundsCompleted = round - epochStartRound;
+    const elapsed = head.timestamp - epochStartTime;
+
+    return {
+      epoch: round / epochLength,
+      epochStartRound,
+      epochStartTime,
+      epochLength,
+      targetTime,
+      paramsChangeAtBoundary: paramsScheduled,
+      roundsCompleted,
+      roundsUntilAdjustment,
+      difficulty,
+      elapsed,
+      expected: roundsCompleted * targetTime,
+      averageRoundTime: roundsCompleted === 0n ? null : Number(elapsed) / Number(roundsCompleted),
+      estimatedHashRate: estimateHashRate(difficulty, roundsCompleted, elapsed),
+      blockNumber: head.blockNumber,
+      timestamp: head.timestamp,
+    };
+  }
+
+  async function getAgent(agentId) {
+    await syncIndexer();
+    const reg = await getRegistry();
+
+    const [stats, owner, round] = await Promise.all([
+      contract.agentStats(agentId),
+      reg.ownerOf(agentId).catch(() => null), // nonexistent token reverts
+      contract.currentRound(),
+    ]);
+    const commitment = await contract.commitments(round, agentId);
+
+    return {
+      agentId,
+      owner,
+      totalWins: stats.totalWins,
+      totalEarned: stats.totalEarned,
+      lastWinRound: stats.lastWinRound,
+      committedThisRound: commitment.commitHash !== ZeroHash,
+      wins: indexer ? indexer.getAgentWins(agentId) : null,
+    };
+  }
+
+  async function getLeaderboard(limit) {
+    if (!indexer) throw new HttpError(503, "Leaderboard needs an indexer");
+    await syncIndexer();
+
+    const agentIds = indexer.getLeaderboard().map((entry) => entry.agentId);
+    const stats = await Promise.all(agentIds.map((id) => contract.agentStats(id)));
+
+    return agentIds
+      .map((agentId, i) => ({
+        agentId,
+        totalWins: stats[i].totalWins,
+        totalEarned: stats[i].totalEarned,
+        lastWinRound: stats[i].lastWinRound,
+      }))
+      .sort((a, b) => {
+        if (a.totalWins !== b.totalWins) return a.totalWins > b.totalWins ? -1 : 1;
+        if (a.totalEarned !== b.totalEarned) return a.totalEarned > b.totalEarned ? -1 : 1;
+        return BigInt(a.agentId) < BigInt(b.agentId) ? -1 : 1;
+      })
+      .slice(0, limit)
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+  }
+
+  async function getSupply() {
+    const [totalMined, totalSupply, round, reward, tipPool] = await Promise.all([
+      contract.totalMined(),
+      contract.totalSupply(),
+      contract.currentRound(),
+      contract.getReward(),
+      contract.tipPool(),
+    ]);
+    const era = round / HALVING_INTERVAL;
+    const nextHalvingRound = (era + 1n) * HALVING_INTERVAL;
+
+    return {
+      decimals: DECIMALS,
+      maxSupply: MAX_SUPPLY,
+      totalMined,
+      totalSupply,
+      remaining: MAX_SUPPLY - totalMined,
+      percentMined: Number((totalMined * 1_000_000n) / MAX_SUPPLY) / 10_000,
+      currentReward: reward,
+      era,
+      nextHalvingRound,
+      roundsUntilHalving: nextHalvingRound - round,
+      emissionOver: totalMined >= MAX_SUPPLY || reward === 0n,
+      tipPool,
+    };
+  }
+
+  /** Closed rounds [from, from + limit), oldest first; without `from`, the latest `limit` rounds. */
+  async function getHistory({ from, limit = 20 } = {}) {
+    const round = await contract.currentRound();
+    if (from === undefined) from = round > BigInt(limit) ? round - BigInt(limit) : 1n;
+
+    const records = await contract.getRoundHistory(from, limit);
+    return records.map((r, i) => ({
+      round: BigInt(from) + BigInt(i),
+      agentId: r.forced ? null : r.agentId,
+      miner: r.forced ? null : r.miner,
+      validator: r.validator,
+      reward: r.reward,
+      difficulty: r.difficulty,
+      seed: r.seed,
+      forced: r.forced,
+      closedAt: r.closedAt,
+    }));
+  }
+
+  // ──────────────────────────────────────────────────────────
+
+  async function route(req) {
+    if (req.method !== "GET") throw new HttpError(405, "Method not allowed");
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    if (parts.length === 1 && parts[0] === "round") return getRound();
+    if (parts.length === 1 && parts[0] === "epoch") return getEpoch();
+    if (parts.length === 1 && parts[0] === "supply") return getSupply();
+    if (parts.length === 1 && parts[0] === "leaderboard") {
+      const limit = Number(url.searchParams.get("limit") || 20);
+      if (!Number.isInteger(limit) || limit < 1) throw new HttpError(400, "Invalid limit");
+      return getLeaderboard(limit);
+    }
+    if (parts.length === 1 && parts[0] === "rounds") {
+      const limit = Number(url.searchParams.get("limit") || 20);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE) throw new HttpError(400, "Invalid limit");
+      const from = url.searchParams.get("from");
+      if (from !== null && !/^\d+$/.test(from)) throw new HttpError(400, "Invalid from");
+      return getHistory({ from: from === null ? undefined : BigInt(from), limit });
+    }
+    if (parts.length === 2 && parts[0] === "agents") {
+      if (!/^\d+$/.test(parts[1])) throw new HttpError(400, "Invalid agent id");
+      return getAgent(BigInt(parts[1]));
+    }
+    throw new HttpError(404, "Not found");
+  }
+
+  const server = http.createServer(async (req, res) => {
+    let status = 200;
+    let body;
+    try {
+      body = await route(req);
+    } catch (err) {
+      status = err instanceof HttpError ? err.status : 500;
+      body = { error: err.shortMessage || err.message };
+    }
+    res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+    res.end(toJson(body));
+  });
+
+  return { server, getRound, getEpoch, getAgent, getLeaderboard, getSupply, getHistory };
+}
+
+module.exports = { createApi, estimateHashRate };
@@ -0,0 +1,83 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Per-chain deployment manifests: deployments/<chainId>.json
+ *
+ * {
+ *   "network": "sepolia",
+ *   "chainId": 11155111,
+ *   "deployer": "0x...",
+ *   "updatedAt": "2026-01-01T00:00:00.000Z",
+ *   "contracts": {
+ *     "aBTC_PoW": { "address": "0x...", "constructorArgs": [...], "txHash": "0x...", "blockNumber": 123 }
+ *   }
+ * }
+ *
+ * Written by scripts/deploy.js, read by verification and every script that
+ * needs a contract address.
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+function manifestPath(chainId, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${chainId}.json`);
+}
+
+/** @returns {object|null} the manifest, or null if nothing was deployed on this chain yet */
+function readDeployment(chainId, dir = DEPLOYMENTS_DIR) {
+  const file = manifestPath(chainId, dir);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeDeployment(manifest, dir = DEPLOYMENTS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = manifestPath(manifest.chainId, dir);
+  fs.writeFileSync(file, JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * @returns {string} address of `name` on this chain
+ * @throws if the manifest or the contract entry is missing
+ */
+function getDeployedAddress(chainId, name, dir = DEPLOYMENTS_DIR) {
+  const manifest = readDeployment(chainId, dir);
+  const entry = manifest && manifest.contracts[name];
+  if (!entry) {
+    throw new Error(`No ${name} deployment recorded for chain ${chainId} (${manifestPath(chainId, dir)})`);
+  }
+  return entry.address;
+}
+
+/**
+ * Verify every contract in the manifest on the block explorer.
+ * Failures are reported, not thrown — verification can always be retried with scripts/verify.js.
+ */
+async function verifyDeployment(hre, manifest) {
+  const results = {};
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    try {
+      await hre.run("verify:verify", {
+        address: entry.address,
+        constructorArguments: entry.constructorArgs,
+      });
+      results[name] = true;
+    } catch (error) {
+      // Already verified is fine — redeploys of identical bytecode hit this
+      results[name] = /already verified/i.test(error.message);
+      if (!results[name]) console.log(`⚠️ Lỗi Verify ${name}:`, error.message);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  manifestPath,
+  readDeployment,
+  writeDeployment,
+  getDeployedAddress,
+  verifyDeployment,
+};
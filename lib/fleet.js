@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const { Contract } = require("ethers");
+const { Miner } = require("./miner");
+const { computeCommitHash, computeEnhancedSeed } = require("./abtc");
+
+/**
+ * Miner for a fleet of agents owned by one wallet.
+ *
+ * Per round:
+ *   1. Make sure every agent has a commitment for the round — normally already
+ *      there from the previous round's pre-commit, otherwise one commitBatchFor()
+ *   2. Pre-commit every agent for round + 1 in one commitBatchFor(), in parallel
+ *      with the search, so the next round needs no commit before hashing starts
+ *      (skipped when the seed provider's winnerKnowsNextSeed() is true — the
+ *      contract refuses pre-commits then)
+ *   3. Search all agents at once (workers dealt round-robin over agents)
+ *   4. Reveal with whichever agent found a nonce (and settle the reveal window, if any)
+ *
+ * Secrets live in the SecretStore under (round, agentId), written before each
+ * batch is broadcast; prune() drops rounds that can no longer be revealed.
+ */
+class FleetMiner extends Miner {
+  /**
+   * @param {object}      opts
+   * @param {Contract}    opts.contract     aBTC_PoW connected to a wallet owning (or approved for) every agent
+   * @param {bigint[]}    opts.agentIds     NFT agent IDs
+   * @param {SecretStore} opts.store
+   * @param {boolean}    [opts.pipeline]    Pre-commit for the next round (default: true)
+   * @param {number}     [opts.workers]     Number of worker threads (default: CPU count)
+   * @param {number}     [opts.pollInterval]
+   * @param {Function}   [opts.log]
+   */
+  constructor({ agentIds, pipeline = true, ...opts }) {
+    if (!agentIds || agentIds.length === 0) throw new Error("FleetMiner needs at least one agent");
+    super({ ...opts, agentId: agentIds[0] });
+    this.agentIds = agentIds.map(BigInt);
+    this.pipeline = pipeline;
+  }
+
+  /**
+   * Try to win the current round with any agent of the fleet.
+   * @returns {Promise<object|null>} { round, agentId, nonce, hashVal, receipt } — or null if the round moved on first
+   */
+  async mineRound() {
+    const { contract } = this;
+    const minerAddress = await contract.runner.getAddress();
+
+    const round = await contract.currentRound();
+    this.store.prune(round);
+
+    let roundOver = false;
+    const aborted = new Promise((resolve) => {
+      this._abort = () => {
+        roundOver = true;
+        resolve(null);
+      };
+    });
+    const onRoundStarted = (newRound, difficulty, seed) => {
+      if (newRound > round) {
+        if (this._abort) this._abort();
+      } else if (this._restart) {
+        this._restart(seed, difficulty);
+      }
+    };
+    await contract.on("RoundStarted", onRoundStarted);
+
+    try {
+      let entries;
+      try {
+        entries = await this.ensureCommitments(round, minerAddress);
+      } catch (err) {
+        if (err.revert?.name === "InvalidCommitRound") return this._lost(round);
+        throw err;
+      }
+
+      // Next round's commitments go out while this round is being searched
+      const precommit = this.pipeline && (await this._precommitAllowed())
+        ? this.ensureCommitments(round + 1n, minerAddress).catch((err) => {
+            this.log(`⚠️  Round ${round + 1n}: pre-commit thất bại (${err.shortMessage || err.message})`);
+          })
+        : null;
+
+      const cooldown = await contract.COMMIT_COOLDOWN();
+      const jobsFor = (roundSeed) =>
+        this.agentIds.map((agentId) => ({
+          agentId,
+          enhancedSeed: computeEnhancedSeed(roundSeed, entries.get(agentId).secret),
+        }));
+
+      let found, entry;
+      for (;;) {
+        this.log(`⛏️  Round ${round}: tìm nonce cho ${this.agentIds.length} agents trên ${this.workers} workers...`);
+        found = await this._searchRound(round, jobsFor, () => roundOver, aborted);
+        await precommit;
+        if (!found) return this._lost(round);
+        this.log(`✅ Round ${round}: agent ${found.agentId} nonce=${found.nonce} (${found.hashes} hashes)`);
+
+        entry = entries.get(found.agentId);
+        const ready = await Promise.race([this._waitForBlock(BigInt(entry.commitBlock) + cooldown + 1n, () => roundOver), aborted]);
+        if (!ready || roundOver) return this._lost(round);
+        if ((await contract.currentRound()) !== round) return this._lost(round);
+        if (!(await this._seedChanged(round, found))) break;
+      }
+
+      let receipt;
+      try {
+        const tx = await contract.revealAndMine(found.agentId, found.nonce, entry.secret);
+        receipt = await tx.wait();
+      } catch (err) {
+        if ((await contract.currentRound()) !== round || err.revert?.name === "RevealWindowClosed") return this._lost(round);
+        throw err;
+      }
+
+      this.store.delete(round, found.agentId);
+      receipt = await this._settle(round, found.agentId, receipt, () => roundOver);
+      if (!receipt) return this._lost(round);
+      this.log(`🏆 Round ${round}: agent ${found.agentId} đào thành công (tx ${receipt.hash})`);
+      return { round, agentId: found.agentId, nonce: BigInt(found.nonce), hashVal: BigInt(found.hashVal), receipt };
+    } finally {
+      await contract.off("RoundStarted", onRoundStarted);
+      this._abort = null;
+    }
+  }
+
+  /** False once the seed provider turns out to feed on the winner's hashVal; checked once. */
+  async _precommitAllowed() {
+    if (this._canPrecommit === undefined) {
+      const seedProvider = new Contract(
+        await this.contract.seedProvider(),
+        ["function winnerKnowsNextSeed() view returns (bool)"],
+        this.contract.runner
+      );
+      this._canPrecommit = !(await seedProvider.winnerKnowsNextSeed());
+      if (!this._canPrecommit) this.log("ℹ️  Seed provider dùng hashVal của người thắng → không pre-commit, commit khi round mở");
+    }
+    return this._canPrecommit;
+  }
+
+  /**
+   * Commit every agent for `round`, reusing saved secrets still on-chain.
+   * Missing ones go out in a single commitBatchFor — pinned to `round`, so a
+   * round change in flight reverts instead of committing to the wrong round.
+   * @returns {Promise<Map<bigint, object>>} agentId → { secret, commitHash, commitBlock }
+   */
+  async ensureCommitments(round, minerAddress) {
+    const { contract } = this;
+    const entries = new Map();
+    const missing = [];
+
+    for (const agentId of this.agentIds) {
+      const saved = this.store.get(round, agentId);
+      if (saved) {
+        const onChain = await contract.commitments(round, agentId);
+        if (onChain.commitHash === saved.commitHash && onChain.committer === minerAddress) {
+          entries.set(agentId, { ...saved, commitBlock: Number(onChain.commitBlock) });
+          continue;
+        }
+      }
+      missing.push(agentId);
+    }
+    if (missing.length === 0) return entries;
+
+    const fresh = missing.map((agentId) => {
+      const secret = BigInt("0x" + crypto.randomBytes(32).toString("hex")).toString();
+      return { agentId, secret, commitHash: computeCommitHash(agentId, secret, minerAddress) };
+    });
+
+    // Persist before sending — a crash after broadcast must not lose the secrets
+    for (const { agentId, secret, commitHash } of fresh) this.store.set(round, agentId, { secret, commitHash });
+
+    const tx = await contract.commitBatchFor(
+      round,
+      fresh.map((f) => f.agentId),
+      fresh.map((f) => f.commitHash)
+    );
+    const receipt = await tx.wait();
+
+    for (const { agentId, secret, commitHash } of fresh) {
+      const entry = { secret, commitHash, commitBlock: receipt.blockNumber };
+      this.store.set(round, agentId, entry);
+      entries.set(agentId, entry);
+    }
+    this.log(`📝 Round ${round}: commit ${fresh.length} agents tại block ${receipt.blockNumber}`);
+    return entries;
+  }
+}
+
+module.exports = { FleetMiner };
@@ -0,0 +1,203 @@
+const { createRng } = require("./simulator");
+
+/**
+ * Stateful property-based testing: run random action sequences against a
+ * system, check invariants after every step, and shrink the first failing
+ * sequence to a minimal reproduction.
+ *
+ * Arguments are drawn up front from a seeded PRNG and interpreted by the
+ * action against the live state (e.g. `pick` chooses among the agents that
+ * currently hold a commitment), so a sequence replays on its own and stays
+ * meaningful after steps around it are deleted. setup() must return the
+ * system to the same starting state every time — on Hardhat, loadFixture.
+ */
+
+const DEFAULT_RUNS = 10;
+const DEFAULT_STEPS = 50;
+const DEFAULT_MAX_SHRINKS = 200;
+
+class FuzzFailure extends Error {
+  /**
+   * @param {object}   failure    { index, invariant, error } of the shrunk sequence
+   * @param {object[]} sequence   shrunk steps [{ action, args }]
+   * @param {object}   info       { seed, run, originalLength, shrinks }
+   */
+  constructor(failure, sequence, { seed, run, originalLength, shrinks }) {
+    const lines = sequence.map((step, i) => `  ${i + 1}. ${formatStep(step)}${i === failure.index ? "   <-- fails" : ""}`);
+    super(
+      `Invariant "${failure.invariant}" violated after step ${failure.index + 1} ` +
+        `(seed ${seed}, run ${run}; shrunk from ${originalLength} steps in ${shrinks} replays):\n` +
+        `${lines.join("\n") || "  (initial state)"}\n` +
+        `  ${failure.error.message}`
+    );
+    this.name = "FuzzFailure";
+    this.invariant = failure.invariant;
+    this.index = failure.index;
+    this.cause = failure.error;
+    this.sequence = sequence;
+    this.seed = seed;
+    this.run = run;
+    this.originalLength = originalLength;
+  }
+}
+
+function formatStep({ action, args }) {
+  const shown = Object.entries(args || {}).map(
+    ([key, value]) => `${key}=${typeof value === "number" && !Number.isInteger(value) ? value.toFixed(3) : value}`
+  );
+  return shown.length ? `${action}(${shown.join(", ")})` : `${action}()`;
+}
+
+/** Weighted choice over `actions`; returns one generated step. */
+function generateStep(rng, actions, names, totalWeight) {
+  let roll = rng() * totalWeight;
+  const action = names.find((name) => (roll -= actions[name].weight ?? 1) < 0) || names[names.length - 1];
+  return { action, args: actions[action].gen ? actions[action].gen(rng) : {} };
+}
+
+/**
+ * Run `sequence` from a fresh setup(); stop at the first broken invariant.
+ * An action throwing is itself a failure, reported as invariant "<action> threw".
+ * @returns {Promise<{ failure: object | null, outcomes: string[] }>}
+ */
+async function replay({ setup, actions, snapshot, invariants }, sequence) {
+  const ctx = await setup();
+  const outcomes = [];
+
+  const checkAll = async (index, prev) => {
+    const state = await snapshot(ctx);
+    for (const [name, invariant] of Object.entries(invariants)) {
+      try {
+        invariant(state, prev, ctx);
+      } catch (error) {
+        return { state, failure: { index, invariant: name, error } };
+      }
+    }
+    return { state, failure: null };
+  };
+
+  let { state, failure } = await checkAll(-1, null);
+  if (failure) return { failure, outcomes };
+
+  for (let i = 0; i < sequence.length; i++) {
+    const { action, args } = sequence[i];
+    try {
+      outcomes.push((await actions[action].run(ctx, args)) ?? "ok");
+    } catch (error) {
+      return { failure: { index: i, invariant: `${action} threw`, error }, outcomes };
+    }
+
+    const prev = state;
+    ({ state, failure } = await checkAll(i, prev));
+    if (failure) return { failure, outcomes };
+  }
+
+  return { failure: null, outcomes };
+}
+
+/**
+ * Shrink a failing sequence: delete ever smaller chunks of steps, then try
+ * each action's simpler arguments, keeping any change that still breaks the
+ * same invariant. Repeats until nothing shrinks or the replay budget runs out.
+ */
+async function shrink(system, sequence, failure, maxShrinks) {
+  let best = sequence.slice(0, failure.index + 1);
+  let bestFailure = failure;
+  let replays = 0;
+
+  const attempt = async (candidate) => {
+    if (replays >= maxShrinks) return false;
+    replays++;
+    const { failure: f } = await replay(system, candidate);
+    if (!f || f.invariant !== failure.invariant) return false;
+    best = candidate.slice(0, f.index + 1);
+    bestFailure = f;
+    return true;
+  };
+
+  let progress = true;
+  while (progress && replays < maxShrinks) {
+    progress = false;
+
+    for (let size = Math.max(1, best.length >> 1); size >= 1; size >>= 1) {
+      for (let start = 0; start + size <= best.length; ) {
+        if (await attempt([...best.slice(0, start), ...best.slice(start + size)])) progress = true;
+        else start += size;
+      }
+    }
+
+    for (let i = 0; i < best.length; i++) {
+      const { action, args } = best[i];
+      for (const simpler of system.actions[action].shrink ? system.actions[action].shrink(args) : []) {
+        if (await attempt([...best.slice(0, i), { action, args: simpler }, ...best.slice(i + 1)])) {
+          progress = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { sequence: best, failure: bestFailure, replays };
+}
+
+/**
+ * Fuzz `actions` against `invariants` for `runs` sequences of `steps` steps.
+ *
+ * @param {object}   opts
+ * @param {Function} opts.setup        async () => ctx — a fresh system; called for every run and replay
+ * @param {object}   opts.actions      { name: { weight?, gen?(rng) => args, run(ctx, args) => outcome?, shrink?(args) => args[] } }
+ * @param {Function} opts.snapshot     async (ctx) => state, read after every step
+ * @param {object}   opts.invariants   { name: (state, prev, ctx) => void } — throw to fail; prev is null initially
+ * @param {number}  [opts.seed]        PRNG seed; run r uses seed + r
+ * @param {number}  [opts.runs]
+ * @param {number}  [opts.steps]
+ * @param {number}  [opts.maxShrinks]  replay budget for shrinking
+ * @returns {Promise<{ runs: number, steps: number, outcomes: object }>} outcome counts per action
+ * @throws {FuzzFailure} with the shrunk sequence
+ */
+async function fuzz({
+  setup,
+  actions,
+  snapshot,
+  invariants,
+  seed = 1,
+  runs = DEFAULT_RUNS,
+  steps = DEFAULT_STEPS,
+  maxShrinks = DEFAULT_MAX_SHRINKS,
+}) {
+  const system = { setup, actions, snapshot, invariants };
+  const names = Object.keys(actions);
+  const totalWeight = names.reduce((sum, name) => sum + (actions[name].weight ?? 1), 0);
+  const outcomes = Object.fromEntries(names.map((name) => [name, {}]));
+
+  for (let run = 0; run < runs; run++) {
+    const rng = createRng(seed + run);
+    const sequence = Array.from({ length: steps }, () => generateStep(rng, actions, names, totalWeight));
+
+    const result = await replay(system, sequence);
+    result.outcomes.forEach((outcome, i) => {
+      const counts = outcomes[sequence[i].action];
+      counts[outcome] = (counts[outcome] || 0) + 1;
+    });
+
+    if (result.failure) {
+      const shrunk = await shrink(system, sequence, result.failure, maxShrinks);
+      throw new FuzzFailure(shrunk.failure, shrunk.sequence, {
+        seed,
+        run,
+        originalLength: result.failure.index + 1,
+        shrinks: shrunk.replays,
+      });
+    }
+  }
+
+  return { runs, steps, outcomes };
+}
+
+module.exports = {
+  FuzzFailure,
+  fuzz,
+  replay,
+  shrink,
+  formatStep,
+};
@@ -0,0 +1,228 @@
+const { readJson, writeJsonAtomic } = require("./json-file");
+
+/**
+ * Event indexer for aBTC_PoW.
+ *
+ * Replays RoundStarted, MineSuccess, DifficultyAdjusted, Committed and
+ * RoundForceAdvanced logs into a local JSON store so that history the contract
+ * does not keep (who won round N, at which difficulty, which rounds were
+ * orphaned) can be queried without an archive node.
+ *
+ * The store records the last processed block; a restarted indexer resumes
+ * from there. uint256 values are kept as decimal strings.
+ */
+
+const STORE_VERSION = 1;
+const INDEXED_EVENTS = ["RoundStarted", "MineSuccess", "DifficultyAdjusted", "Committed", "RoundForceAdvanced"];
+
+function emptyState(address, startBlock) {
+  return {
+    version: STORE_VERSION,
+    address: address.toLowerCase(),
+    lastBlock: startBlock - 1,
+    rounds: {},
+    agents: {},
+    epochs: [],
+  };
+}
+
+class Indexer {
+  /**
+   * @param {object}   opts
+   * @param {Contract} opts.contract       aBTC_PoW (any runner with a provider)
+   * @param {string}   opts.file           JSON store path
+   * @param {number}  [opts.startBlock]    First block to scan on a fresh store (the deployment block)
+   * @param {number}  [opts.batchSize]     Blocks per eth_getLogs call
+   * @param {number}  [opts.confirmations] Stay this many blocks behind head to avoid reorged logs
+   */
+  constructor({ contract, file, startBlock = 0, batchSize = 2000, confirmations = 0 }) {
+    this.contract = contract;
+    this.provider = contract.runner.provider || contract.runner;
+    this.file = file;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.address = contract.target.toLowerCase();
+
+    this.state = readJson(file, null) || emptyState(this.address, startBlock);
+    if (this.state.address !== this.address) {
+      throw new Error(`Store ${file} belongs to ${this.state.address}, not ${this.address}`);
+    }
+
+    const topics = INDEXED_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+    this._topics = [topics];
+    this._syncing = Promise.resolve(); // tail of the sync queue
+  }
+
+  get lastBlock() {
+    return this.state.lastBlock;
+  }
+
+  // ══════════════════════════════════════════════════════════
+  //                        SYNC
+  // ══════════════════════════════════════════════════════════
+
+  /**
+   * Process logs up to `toBlock` (default: head - confirmations). Persists after every batch.
+   * Calls are queued: a sync starts from where the previous one stopped, so
+   * overlapping callers never apply the same logs twice.
+   * @returns {Promise<number>} number of logs processed
+   */
+  sync(toBlock) {
+    const run = this._syncing.then(() => this._sync(toBlock));
+    this._syncing = run.catch(() => {});
+    return run;
+  }
+
+  async _sync(toBlock) {
+    if (toBlock === undefined) {
+      toBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+    }
+
+    let processed = 0;
+    while (this.state.lastBlock < toBlock) {
+      const fromBlock = this.state.lastBlock + 1;
+      const batchEnd = Math.min(fromBlock + this.batchSize - 1, toBlock);
+
+      const logs = await this.provider.getLogs({
+        address: this.contract.target,
+        topics: this._topics,
+        fromBlock,
+        toBlock: batchEnd,
+      });
+
+      const timestamps = new Map();
+      for (const log of logs) {
+        if (!timestamps.has(log.blockNumber)) {
+          const block = await this.provider.getBlock(log.blockNumber);
+          timestamps.set(log.blockNumber, block.timestamp);
+        }
+        this._apply(this.contract.interface.parseLog(log), log, timestamps.get(log.blockNumber));
+      }
+
+      this.state.lastBlock = batchEnd;
+      writeJsonAtomic(this.file, this.state);
+      processed += logs.length;
+    }
+    return processed;
+  }
+
+  _round(round) {
+    const key = round.toString();
+    if (!this.state.rounds[key]) {
+      this.state.rounds[key] = {
+        round: Number(round),
+        difficulty: null,
+        seed: null,
+        startBlock: null,
+        startTime: null,
+        winner: null,
+        forced: false,
+        commits: {},
+      };
+    }
+    return this.state.rounds[key];
+  }
+
+  _apply(event, log, timestamp) {
+    const { args } = event;
+    const at = { blockNumber: log.blockNumber, txHash: log.transactionHash, timestamp };
+
+    switch (event.name) {
+      case "RoundStarted": {
+        // Also emitted by emergencyDifficultyReset for the same round — the re-seed wins
+        const r = this._round(args.round);
+        r.difficulty = args.difficulty.toString();
+        r.seed = args.seed.toString();
+        r.startBlock = log.blockNumber;
+        r.startTime = timestamp;
+        break;
+      }
+      case "Committed": {
+        const r = this._round(args.round);
+        r.commits[args.agentId.toString()] = { committer: args.committer, ...at };
+        break;
+      }
+      case "MineSuccess": {
+        const r = this._round(args.round);
+        const agentId = args.agentId.toString();
+        r.winner = {
+          agentId,
+          nonce: args.nonce.toString(),
+          hashVal: args.hashVal.toString(),
+          ...at,
+        };
+        r.endBlock = log.blockNumber;
+        if (!this.state.agents[agentId]) this.state.agents[agentId] = [];
+        this.state.agents[agentId].push(r.round);
+        break;
+      }
+      case "RoundForceAdvanced": {
+        const r = this._round(args.round);
+        r.forced = true;
+        r.forcedBy = args.caller;
+        r.endBlock = log.blockNumber;
+        break;
+      }
+      case "DifficultyAdjusted": {
+        this.state.epochs.push({
+          epoch: Number(args.epochNumber),
+          // epochNumber 0 is only used by emergencyDifficultyReset
+          emergency: args.epochNumber === 0n,
+          oldDifficulty: args.oldDifficulty.toString(),
+          newDifficulty: args.newDifficulty.toString(),
+          elapsed: Number(args.elapsed),
+          expected: Number(args.expected),
+          ...at,
+        });
+        break;
+      }
+    }
+  }
+
+  // ══════════════════════════════════════════════════════════
+  //                       QUERIES
+  // ══════════════════════════════════════════════════════════
+
+  /** @returns {object|null} full record of a round */
+  getRound(round) {
+    return this.state.rounds[round.toString()] || null;
+  }
+
+  /** @returns {object|null} { agentId, nonce, hashVal, blockNumber, txHash, timestamp } */
+  getRoundWinner(round) {
+    const r = this.getRound(round);
+    return r ? r.winner : null;
+  }
+
+  /** @returns {number[]} rounds won by the agent, ascending */
+  getAgentWins(agentId) {
+    return [...(this.state.agents[agentId.toString()] || [])];
+  }
+
+  /** @returns {{ agentId: string, wins: number }[]} agents sorted by wins, most first */
+  getLeaderboard(limit = Infinity) {
+    return Object.entries(this.state.agents)
+      .map(([agentId, rounds]) => ({ agentId, wins: rounds.length }))
+      .sort((a, b) => b.wins - a.wins || (BigInt(a.agentId) < BigInt(b.agentId) ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  /** @returns {{ finished: number, won: number, orphaned: number, rate: number }} over finished rounds */
+  getOrphanRate() {
+    let won = 0;
+    let orphaned = 0;
+    for (const r of Object.values(this.state.rounds)) {
+      if (r.winner) won++;
+      else if (r.forced) orphaned++;
+    }
+    const finished = won + orphaned;
+    return { finished, won, orphaned, rate: finished === 0 ? 0 : orphaned / finished };
+  }
+
+  /** @returns {object[]} every DifficultyAdjusted in order (epoch adjustments and emergency resets) */
+  getDifficultyCurve() {
+    return [...this.state.epochs];
+  }
+}
+
+module.exports = { Indexer, INDEXED_EVENTS };
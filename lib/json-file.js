@@ -0,0 +1,18 @@
+const fs = require("fs");
+const path = require("path");
+
+/** @returns {any} parsed file contents, or `fallback` if the file does not exist */
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/** Write-then-rename so a crash never leaves a truncated file behind. */
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { readJson, writeJsonAtomic };
@@ -0,0 +1,290 @@
+const ops = require("./ops");
+
+/**
+ * Keeper: keeps aBTC_PoW moving when nobody mines.
+ *
+ *   - forceAdvanceRound once REVEAL_DEADLINE blocks pass without a winner, or
+ *     without finalizeRound() settling a closed reveal window
+ *   - emergencyDifficultyReset once an epoch has run 10x over its target time
+ *
+ * Any number of keepers can watch the same contract. Each call is checked
+ * (lib/ops) and simulated before it is sent. A keeper that finds the round or
+ * epoch already moved — another keeper won the race — drops the call instead
+ * of retrying it. Optional grace periods let a backup keeper give the primary
+ * a head start.
+ *
+ * Transactions carry a locally tracked nonce, fees capped at maxFeePerGas, and
+ * are replaced with bumped fees when they sit unmined past confirmTimeout.
+ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Replacement fee bump; nodes reject replacements under +10%. */
+const FEE_BUMP_NUM = 9n;
+const FEE_BUMP_DEN = 8n;
+
+/** Reverts that only mean "not (or no longer) due" — someone else got there first. */
+const TIMING_ERRORS = ["DeadlineNotReached()", "TooEarlyForEmergency()", "RevealPending()"];
+
+const bump = (fee) => (fee * FEE_BUMP_NUM) / FEE_BUMP_DEN + 1n;
+const min = (a, b) => (a < b ? a : b);
+
+function isNonceError(err) {
+  return err.code === "NONCE_EXPIRED" || /nonce too low|nonce has already been used/i.test(err.message || "");
+}
+
+function isUnderpriced(err) {
+  return err.code === "REPLACEMENT_UNDERPRICED" || /underpriced/i.test(err.message || "");
+}
+
+function isRevert(err) {
+  return err.code === "CALL_EXCEPTION" || err.revert != null || /revert/i.test(err.message || "");
+}
+
+class Keeper {
+  /**
+   * @param {object}   opts
+   * @param {Contract} opts.contract          aBTC_PoW connected to the keeper's (funded) signer
+   * @param {bigint}  [opts.maxFeePerGas]     Never pay more per gas than this (wei); default: no cap
+   * @param {bigint}  [opts.gasLimit]         Fixed gas limit (default: estimated)
+   * @param {number}  [opts.graceBlocks]      Wait this many blocks past the reveal deadline before forcing
+   * @param {number}  [opts.graceSeconds]     Wait this long past the emergency threshold before resetting
+   * @param {number}  [opts.maxRetries]       Resends of one call (fee bumps / transient errors)
+   * @param {number}  [opts.retryDelay]       Base backoff in ms, doubled per retry
+   * @param {number}  [opts.confirmTimeout]   ms to wait for a receipt before replacing the transaction
+   * @param {number}  [opts.pollInterval]     ms between steps in run() and receipt polls
+   * @param {Function}[opts.log]              Logger (default: console.log)
+   */
+  constructor({
+    contract,
+    maxFeePerGas,
+    gasLimit,
+    graceBlocks = 0,
+    graceSeconds = 0,
+    maxRetries = 3,
+    retryDelay = 1000,
+    confirmTimeout = 60_000,
+    pollInterval = 2000,
+    log = console.log,
+  }) {
+    this.contract = contract;
+    this.provider = contract.runner.provider;
+    this.maxFeePerGas = maxFeePerGas === undefined ? undefined : BigInt(maxFeePerGas);
+    this.gasLimit = gasLimit;
+    this.graceBlocks = BigInt(graceBlocks);
+    this.graceSeconds = BigInt(graceSeconds);
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.confirmTimeout = confirmTimeout;
+    this.pollInterval = pollInterval;
+    this.log = log;
+    this._nonce = null;
+    this._stopped = false;
+  }
+
+  /** Step until stop() is called. */
+  async run() {
+    let sent = 0;
+    this._stopped = false;
+
+    while (!this._stopped) {
+      try {
+        const results = await this.step();
+        sent += results.filter((r) => r.action === "submitted").length;
+      } catch (err) {
+        // RPC hiccups must not kill a long-running keeper
+        this.log(`⚠️ Keeper lỗi: ${err.shortMessage || err.message}`);
+      }
+      await sleep(this.pollInterval);
+    }
+    return sent;
+  }
+
+  stop() {
+    this._stopped = true;
+  }
+
+  /**
+   * Send whatever is due. An emergency reset restarts the round too, so it goes
+   * first and a force-advance is only considered when no reset was due.
+   * @returns {Promise<object[]>} [{ call, action: "submitted" | "waiting" | "preempted" | "failed" | "pending", ... }]
+   */
+  async step() {
+    const reset = await this._attempt("emergencyDifficultyReset");
+    if (reset.action !== "waiting") return [reset];
+    return [reset, await this._attempt("forceAdvanceRound")];
+  }
+
+  // ──────────────────────────────────────────────────────────
+
+  /** What the call's validity depends on; any change means someone else acted. */
+  async _snapshot() {
+    const { contract } = this;
+    const [round, roundStartBlock, epochStartTime] = await Promise.all([
+      contract.currentRound(),
+      contract.roundStartBlock(),
+      contract.epochStartTime(),
+    ]);
+    return { round, roundStartBlock, epochStartTime };
+  }
+
+  async _moved(snapshot) {
+    const now = await this._snapshot();
+    return Object.keys(snapshot).some((key) => now[key] !== snapshot[key]);
+  }
+
+  async _attempt(call) {
+    const { contract } = this;
+    const snapshot = await this._snapshot();
+
+    const refused = await ops.check(contract, call, await contract.runner.getAddress());
+    if (refused) return { call, action: "waiting", reason: refused.error, detail: refused.detail };
+
+    const timers = await ops.getTimers(contract);
+    if (call === "forceAdvanceRound" && timers.head.number + 1n < timers.forceAdvanceBlock + this.graceBlocks) {
+      return { call, action: "waiting", reason: "grace period" };
+    }
+    if (call === "emergencyDifficultyReset" && timers.head.timestamp + 1n < timers.emergencyTime + this.graceSeconds) {
+      return { call, action: "waiting", reason: "grace period" };
+    }
+
+    return this._submit(call, snapshot);
+  }
+
+  /** Next nonce of the keeper account, fetched once and tracked locally after that. */
+  async _nextNonce() {
+    if (this._nonce === null) {
+      this._nonce = await this.provider.getTransactionCount(await this.contract.runner.getAddress(), "pending");
+    }
+    return this._nonce;
+  }
+
+  /** Network fee suggestion clamped to the cap, or null if even the base fee is above it. */
+  async _fees() {
+    const data = await this.provider.getFeeData();
+    const cap = this.maxFeePerGas;
+
+    if (data.maxFeePerGas != null) {
+      const block = await this.provider.getBlock("latest");
+      if (cap !== undefined && block.baseFeePerGas != null && block.baseFeePerGas >= cap) return null;
+      const maxFeePerGas = cap === undefined ? data.maxFeePerGas : min(data.maxFeePerGas, cap);
+      return { maxFeePerGas, maxPriorityFeePerGas: min(data.maxPriorityFeePerGas, maxFeePerGas) };
+    }
+
+    if (cap !== undefined && data.gasPrice > cap) return null;
+    return { gasPrice: data.gasPrice };
+  }
+
+  /** Fees for a replacement, or null when the cap leaves no room for the required bump. */
+  _bumped(fees) {
+    const cap = this.maxFeePerGas;
+    const next = Object.fromEntries(Object.entries(fees).map(([key, fee]) => [key, bump(fee)]));
+    if (cap === undefined) return next;
+    if ((next.maxFeePerGas ?? next.gasPrice) > cap) return null;
+    return next;
+  }
+
+  /** First receipt among `hashes` (all share one nonce), or null after confirmTimeout. */
+  async _waitReceipt(hashes) {
+    const until = Date.now() + this.confirmTimeout;
+    for (;;) {
+      for (const hash of hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+      }
+      if (Date.now() >= until) return null;
+      await sleep(this.pollInterval);
+    }
+  }
+
+  _preempted(call, snapshot) {
+    this._nonce = null; // a transaction may still be pending — resync from the node
+    this.log(`🤝 ${call}: keeper khác đã xử lý round ${snapshot.round}, bỏ qua`);
+    return { call, action: "preempted", round: snapshot.round };
+  }
+
+  async _submit(call, snapshot) {
+    const { contract } = this;
+
+    let fees = await this._fees();
+    if (!fees) return { call, action: "waiting", reason: "gas price above cap" };
+
+    // Checks passed against the latest block; a timing revert against the pending
+    // one means a competing call is already in the mempool
+    try {
+      await contract[call].staticCall({ blockTag: "pending" });
+    } catch (err) {
+      const reason = ops.decodeError(contract, err);
+      if (TIMING_ERRORS.includes(reason) || (await this._moved(snapshot))) return this._preempted(call, snapshot);
+      return { call, action: "waiting", reason };
+    }
+
+    const hashes = [];
+    let nonce = await this._nextNonce();
+
+    for (let attempt = 0; ; attempt++) {
+      if (attempt > 0 && (await this._moved(snapshot))) return this._preempted(call, snapshot);
+
+      let sent = false;
+      try {
+        const overrides = { nonce, ...fees };
+        if (this.gasLimit !== undefined) overrides.gasLimit = this.gasLimit;
+        const tx = await contract[call](overrides);
+        hashes.push(tx.hash);
+        sent = true;
+        this.log(`📤 ${call} (nonce ${nonce}, lần ${attempt + 1}): tx ${tx.hash}`);
+      } catch (err) {
+        if (isNonceError(err) && hashes.length === 0) {
+          // Account used elsewhere — pick up the node's count and go again
+          this._nonce = null;
+          nonce = await this._nextNonce();
+        } else if (isNonceError(err) || isUnderpriced(err)) {
+          // An earlier attempt at this nonce is mined or still outbids us — fall through to waiting on it
+        } else if (isRevert(err)) {
+          if (await this._moved(snapshot)) return this._preempted(call, snapshot);
+          return this._fail(call, ops.decodeError(contract, err));
+        } else if (attempt >= this.maxRetries) {
+          return this._fail(call, err.shortMessage || err.message);
+        } else {
+          await sleep(this.retryDelay * 2 ** attempt);
+          continue;
+        }
+      }
+
+      if (hashes.length > 0) {
+        const receipt = await this._waitReceipt(hashes);
+        if (receipt) {
+          this._nonce = nonce + 1;
+          if (receipt.status === 1) {
+            this.log(`✅ ${call}: round ${snapshot.round} xong (tx ${receipt.hash})`);
+            return { call, action: "submitted", round: snapshot.round, receipt };
+          }
+          if (await this._moved(snapshot)) return this._preempted(call, snapshot);
+          return this._fail(call, `tx ${receipt.hash} reverted`);
+        }
+      }
+
+      if (attempt >= this.maxRetries) {
+        this._nonce = null;
+        this.log(`⏳ ${call}: chưa được đào sau ${attempt + 1} lần gửi, để lại trong mempool`);
+        return { call, action: "pending", hashes };
+      }
+
+      // Unmined: replace it at the same nonce with higher fees, if the cap allows
+      if (sent) {
+        const next = this._bumped(fees);
+        if (next) fees = next;
+      } else if (hashes.length === 0) {
+        // Refused with nothing of ours in flight to wait on — give the node a moment before resending
+        await sleep(this.pollInterval);
+      }
+    }
+  }
+
+  _fail(call, reason) {
+    this.log(`❌ ${call} thất bại: ${reason}`);
+    return { call, action: "failed", reason };
+  }
+}
+
+module.exports = { Keeper };
@@ -0,0 +1,50 @@
+const { parentPort, workerData } = require("worker_threads");
+const { keccak256, toBeArray } = require("ethers");
+
+/**
+ * Nonce search worker.
+ * Hashes abi.encode(agentId, nonce, enhancedSeed) — the same layout as
+ * computeHash in lib/abtc.js, inlined on a reused buffer for speed — for nonces start, start + stride, start + 2*stride, ...
+ * and reports the first one below target.
+ *
+ * workerData: { agentId, enhancedSeed, target, start, stride, reportEvery }
+ * messages:   { type: "progress", hashes } | { type: "found", nonce, hashVal, hashes }
+ */
+
+const { agentId, enhancedSeed, target, start, stride, reportEvery } = workerData;
+
+// 3 × 32-byte words; only the nonce word changes between attempts
+const buf = new Uint8Array(96);
+const agentWord = toBeArray(BigInt(agentId));
+const seedWord = toBeArray(BigInt(enhancedSeed));
+buf.set(agentWord, 32 - agentWord.length);
+buf.set(seedWord, 96 - seedWord.length);
+const view = new DataView(buf.buffer);
+
+const targetBig = BigInt(target);
+const strideBig = BigInt(stride);
+let nonce = BigInt(start);
+let hashes = 0;
+
+for (;;) {
+  // Nonces stay within uint64 — more than enough search space per round
+  view.setBigUint64(56, nonce);
+  const hashVal = BigInt(keccak256(buf));
+  hashes++;
+
+  if (hashVal < targetBig) {
+    parentPort.postMessage({
+      type: "found",
+      nonce: nonce.toString(),
+      hashVal: hashVal.toString(),
+      hashes,
+    });
+    break;
+  }
+
+  if (hashes % reportEvery === 0) {
+    parentPort.postMessage({ type: "progress", hashes });
+  }
+
+  nonce += strideBig;
+}
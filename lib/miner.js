@@ -0,0 +1,384 @@
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { Worker } = require("worker_threads");
+const { computeCommitHash, computeEnhancedSeed } = require("./abtc");
+const { readJson, writeJsonAtomic } = require("./json-file");
+
+const WORKER_PATH = path.join(__dirname, "miner-worker.js");
+
+// ══════════════════════════════════════════════════════════
+//                      SECRET STORE
+// ══════════════════════════════════════════════════════════
+
+/**
+ * Persists commit secrets to disk so a restarted miner can still reveal
+ * a commitment it already paid gas for.
+ * One JSON file per (chainId, contract), entries keyed by "round:agentId".
+ */
+class SecretStore {
+  constructor(file) {
+    this.file = file;
+    this.entries = readJson(file, {});
+  }
+
+  static forContract(dir, chainId, contractAddress) {
+    return new SecretStore(path.join(dir, `${chainId}-${contractAddress.toLowerCase()}.json`));
+  }
+
+  get(round, agentId) {
+    return this.entries[`${round}:${agentId}`];
+  }
+
+  set(round, agentId, entry) {
+    this.entries[`${round}:${agentId}`] = entry;
+    this._save();
+  }
+
+  delete(round, agentId) {
+    delete this.entries[`${round}:${agentId}`];
+    this._save();
+  }
+
+  /** Drop secrets of rounds that can no longer be revealed. */
+  prune(currentRound) {
+    for (const key of Object.keys(this.entries)) {
+      if (BigInt(key.split(":")[0]) < BigInt(currentRound)) delete this.entries[key];
+    }
+    this._save();
+  }
+
+  _save() {
+    writeJsonAtomic(this.file, this.entries);
+  }
+}
+
+// ══════════════════════════════════════════════════════════
+//                       NONCE SEARCH
+// ══════════════════════════════════════════════════════════
+
+/**
+ * Fan the nonce space out over worker threads; resolves with the first hit.
+ *
+ * Each job is one (agentId, enhancedSeed) pair. Workers are dealt to jobs
+ * round-robin and stride through that job's nonces. With fewer workers than
+ * jobs only the first jobs are searched — every hash has the same odds
+ * whichever agent it is for, so this costs nothing.
+ *
+ * @param {object[]} jobs       [{ agentId, enhancedSeed }]
+ * @param {bigint}   target
+ * @param {number}   workers
+ * @param {Function} isAborted  polled every 100ms; resolves null once it returns true
+ * @returns {Promise<object|null>} { agentId, nonce, hashVal, hashes }
+ */
+function searchNonce(jobs, target, workers, isAborted) {
+  return new Promise((resolve, reject) => {
+    const threads = [];
+    const counts = new Array(workers).fill(0);
+    let done = false;
+
+    const finish = (result, err) => {
+      if (done) return;
+      done = true;
+      clearInterval(watchdog);
+      for (const t of threads) t.terminate();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const watchdog = setInterval(() => {
+      if (isAborted()) finish(null);
+    }, 100);
+
+    for (let i = 0; i < workers; i++) {
+      const job = jobs[i % jobs.length];
+      // Workers sharing a job interleave its nonces
+      const slot = Math.floor(i / jobs.length);
+      const stride = Math.floor((workers - 1 - (i % jobs.length)) / jobs.length) + 1;
+
+      const worker = new Worker(WORKER_PATH, {
+        workerData: {
+          agentId: job.agentId.toString(),
+          enhancedSeed: job.enhancedSeed.toString(),
+          target: target.toString(),
+          start: slot,
+          stride,
+          reportEvery: 100_000,
+        },
+      });
+
+      worker.on("message", (msg) => {
+        counts[i] = msg.hashes;
+        if (msg.type === "found") {
+          const hashes = counts.reduce((a, b) => a + b, 0);
+          finish({ agentId: BigInt(job.agentId), nonce: msg.nonce, hashVal: msg.hashVal, hashes });
+        }
+      });
+      worker.on("error", (err) => finish(null, err));
+      threads.push(worker);
+    }
+  });
+}
+
+// ══════════════════════════════════════════════════════════
+//                          MINER
+// ══════════════════════════════════════════════════════════
+
+/**
+ * Off-chain miner for a single agent.
+ *
+ * Per round:
+ *   1. Generate + persist a secret, call commitFor(round)
+ *   2. Search nonces across worker_threads against getTarget()
+ *      (runs while waiting out COMMIT_COOLDOWN)
+ *   3. Submit revealAndMine() — with a reveal window, wait for it to close
+ *      and finalizeRound() unless someone else already did
+ * A RoundStarted event for a newer round (someone else won, or the round
+ * was force-advanced) aborts the search and the miner starts over. One for
+ * the same round with a new seed or difficulty (emergencyDifficultyReset)
+ * restarts the search against the new values, keeping the commitment.
+ */
+class Miner {
+  /**
+   * @param {object}   opts
+   * @param {Contract} opts.contract     aBTC_PoW connected to the mining signer
+   * @param {bigint}   opts.agentId      NFT agent ID owned by the signer, or approved to it
+   * @param {SecretStore} opts.store     Where secrets are persisted
+   * @param {number}  [opts.workers]     Number of worker threads (default: CPU count)
+   * @param {number}  [opts.pollInterval] ms between block-number polls while waiting for cooldown
+   * @param {Function}[opts.log]         Logger (default: console.log)
+   */
+  constructor({ contract, agentId, store, workers = os.cpus().length, pollInterval = 1000, log = console.log }) {
+    this.contract = contract;
+    this.agentId = BigInt(agentId);
+    this.store = store;
+    this.workers = Math.max(1, workers);
+    this.pollInterval = pollInterval;
+    this.log = log;
+
+    this._stopped = false;
+    this._abort = null;
+    this._restart = null;
+  }
+
+  /** Mine until stop() is called or `rounds` rounds were won. */
+  async run({ rounds = Infinity } = {}) {
+    let won = 0;
+    this._stopped = false;
+
+    while (!this._stopped && won < rounds) {
+      const result = await this.mineRound();
+      if (result) won++;
+    }
+    return won;
+  }
+
+  stop() {
+    this._stopped = true;
+    if (this._abort) this._abort();
+  }
+
+  /**
+   * Try to win the current round.
+   * @returns {Promise<object|null>} { round, nonce, hashVal, receipt } — or null if the round moved on first
+   */
+  async mineRound() {
+    const { contract, agentId } = this;
+    const minerAddress = await contract.runner.getAddress();
+
+    const round = await contract.currentRound();
+    this.store.prune(round);
+
+    // Listen before committing so a RoundStarted in between is not missed
+    let roundOver = false;
+    const aborted = new Promise((resolve) => {
+      this._abort = () => {
+        roundOver = true;
+        resolve(null);
+      };
+    });
+    const onRoundStarted = (newRound, difficulty, seed) => {
+      if (newRound > round) {
+        if (this._abort) this._abort();
+      } else if (this._restart) {
+        this._restart(seed, difficulty);
+      }
+    };
+    await contract.on("RoundStarted", onRoundStarted);
+
+    try {
+      let entry;
+      try {
+        entry = await this._ensureCommitment(round, minerAddress);
+      } catch (err) {
+        if (err.revert?.name === "InvalidCommitRound") return this._lost(round);
+        throw err;
+      }
+      const cooldown = await contract.COMMIT_COOLDOWN();
+
+      let found;
+      for (;;) {
+        this.log(`⛏️  Round ${round}: tìm nonce cho agent ${agentId} trên ${this.workers} workers...`);
+        found = await this._searchRound(
+          round,
+          (roundSeed) => [{ agentId, enhancedSeed: computeEnhancedSeed(roundSeed, entry.secret) }],
+          () => roundOver,
+          aborted
+        );
+        if (!found) return this._lost(round);
+        this.log(`✅ Round ${round}: nonce=${found.nonce} (${found.hashes} hashes)`);
+
+        const ready = await Promise.race([this._waitForBlock(BigInt(entry.commitBlock) + cooldown + 1n, () => roundOver), aborted]);
+        if (!ready || roundOver) return this._lost(round);
+
+        // Final check — the round may have ended, or been reset, between polls
+        if ((await contract.currentRound()) !== round) return this._lost(round);
+        if (!(await this._seedChanged(round, found))) break;
+      }
+
+      let receipt;
+      try {
+        const tx = await contract.revealAndMine(agentId, found.nonce, entry.secret);
+        receipt = await tx.wait();
+      } catch (err) {
+        if ((await contract.currentRound()) !== round || err.revert?.name === "RevealWindowClosed") return this._lost(round);
+        throw err;
+      }
+
+      this.store.delete(round, agentId);
+      receipt = await this._settle(round, agentId, receipt, () => roundOver);
+      if (!receipt) return this._lost(round);
+      this.log(`🏆 Round ${round}: đào thành công (tx ${receipt.hash})`);
+      return { round, nonce: BigInt(found.nonce), hashVal: BigInt(found.hashVal), receipt };
+    } finally {
+      await contract.off("RoundStarted", onRoundStarted);
+      this._abort = null;
+      this._restart = null;
+    }
+  }
+
+  // ──────────────────────────────────────────────────────────
+
+  /**
+   * Search against the round's current seed and target. A RoundStarted for
+   * the same round with another seed or difficulty restarts the search.
+   * @param {Function} jobsFor    roundSeed → [{ agentId, enhancedSeed }]
+   * @param {Function} isAborted  true once the round is over
+   * @param {Promise}  aborted    resolves once the round is over
+   * @returns {Promise<object|null>} searchNonce's result plus the { seed, difficulty } it holds for — null if the round ended
+   */
+  async _searchRound(round, jobsFor, isAborted, aborted) {
+    const { contract } = this;
+    for (;;) {
+      const [seed, difficulty, target] = await Promise.all([
+        contract.roundSeed(),
+        contract.roundDifficulty(),
+        contract.getTarget(),
+      ]);
+
+      let stale = false;
+      const restarted = new Promise((resolve) => {
+        this._restart = (newSeed, newDifficulty) => {
+          if (newSeed === seed && newDifficulty === difficulty) return;
+          stale = true;
+          resolve(null);
+        };
+      });
+
+      const found = await Promise.race([
+        searchNonce(jobsFor(seed), target, this.workers, () => isAborted() || stale),
+        aborted,
+        restarted,
+      ]);
+      this._restart = null;
+      if (isAborted()) return null;
+      if (!stale) return found && { ...found, seed, difficulty };
+      this.log(`🔄 Round ${round}: seed/difficulty đổi (emergency reset) — tìm lại`);
+    }
+  }
+
+  /** True (and logged) when the round was reset after `found` was searched. */
+  async _seedChanged(round, found) {
+    const [seed, difficulty] = await Promise.all([this.contract.roundSeed(), this.contract.roundDifficulty()]);
+    if (seed === found.seed && difficulty === found.difficulty) return false;
+    this.log(`🔄 Round ${round}: seed/difficulty đổi (emergency reset) — tìm lại`);
+    return true;
+  }
+
+  /** Reuse a persisted commitment if it is still on-chain, otherwise commit a fresh secret. */
+  async _ensureCommitment(round, minerAddress) {
+    const { contract, agentId } = this;
+    const saved = this.store.get(round, agentId);
+
+    if (saved) {
+      const onChain = await contract.commitments(round, agentId);
+      if (onChain.commitHash === saved.commitHash && onChain.committer === minerAddress) {
+        this.log(`♻️  Round ${round}: dùng lại commit đã lưu`);
+        return { ...saved, commitBlock: Number(onChain.commitBlock) };
+      }
+    }
+
+    const secret = BigInt("0x" + crypto.randomBytes(32).toString("hex")).toString();
+    const commitHash = computeCommitHash(agentId, secret, minerAddress);
+
+    // Persist before sending — a crash after broadcast must not lose the secret
+    this.store.set(round, agentId, { secret, commitHash });
+
+    // Pinned to `round`: if it moved on in flight, this reverts instead of committing to the next one
+    const tx = await contract.commitFor(round, agentId, commitHash);
+    const receipt = await tx.wait();
+
+    const entry = { secret, commitHash, commitBlock: receipt.blockNumber };
+    this.store.set(round, agentId, entry);
+    this.log(`📝 Round ${round}: commit tại block ${receipt.blockNumber}`);
+    return entry;
+  }
+
+  /**
+   * Without a reveal window the reveal already closed the round. With one it
+   * only entered the competition: wait for the window to close, finalize
+   * unless someone beat us to it, then see which agent won.
+   * @returns {Promise<object|null>} receipt of the reveal or finalize — null if another agent won
+   */
+  async _settle(round, agentId, receipt, isAborted) {
+    const { contract } = this;
+    const closed = receipt.logs.some((log) => contract.interface.parseLog(log)?.name === "MineSuccess");
+    if (closed) return receipt;
+
+    const { closesAt } = await contract.pendingReveal();
+    this.log(`⏳ Round ${round}: chờ reveal window đóng (block ${closesAt})...`);
+    await this._waitForBlock(closesAt + 1n, isAborted);
+
+    if ((await contract.currentRound()) === round) {
+      try {
+        receipt = await (await contract.finalizeRound()).wait();
+      } catch (err) {
+        if ((await contract.currentRound()) === round) throw err;
+      }
+    }
+
+    const won = await contract.queryFilter(contract.filters.MineSuccess(round, agentId), receipt.blockNumber);
+    return won.length > 0 ? receipt : null;
+  }
+
+  async _waitForBlock(blockNumber, isAborted) {
+    const provider = this.contract.runner.provider;
+    while (!isAborted()) {
+      if (BigInt(await provider.getBlockNumber()) >= blockNumber) return true;
+      await new Promise((r) => setTimeout(r, this.pollInterval));
+    }
+    return false;
+  }
+
+  /** The secret stays in the store — prune() drops it once the round is gone. */
+  _lost(round) {
+    if (!this._stopped) this.log(`↪️  Round ${round} đã kết thúc — bắt đầu lại ở round mới`);
+    return null;
+  }
+}
+
+module.exports = {
+  Miner,
+  SecretStore,
+  searchNonce,
+};
@@ -0,0 +1,272 @@
+const { Contract, id } = require("ethers");
+
+/**
+ * Operator actions on a live aBTC_PoW: status snapshot, precondition checks
+ * and guarded sends for pause / unpause / forceAdvanceRound /
+ * emergencyDifficultyReset. Used by the abtc:* Hardhat tasks (tasks/abtc.js).
+ *
+ * Every check mirrors the contract's own revert condition and reports it
+ * under the contract's custom error name, so a refused action reads the same
+ * whether it was caught here or by the chain.
+ */
+
+const PAUSER_ROLE = id("PAUSER_ROLE");
+const RECOVERY_ROLE = id("RECOVERY_ROLE");
+
+/** Emergency reset unlocks after this many expected epoch durations (aBTC_PoW.emergencyDifficultyReset). */
+const EMERGENCY_FACTOR = 10n;
+
+/**
+ * Readable form of a revert: `Name(arg, ...)` for custom errors and panics,
+ * the reason for require() strings, the provider's message otherwise.
+ */
+function decodeError(contract, err) {
+  let revert = err.revert;
+  if (!revert) {
+    const data = err.data ?? err.error?.data ?? err.info?.error?.data;
+    if (typeof data === "string" && data.length >= 10) {
+      try {
+        revert = contract.interface.parseError(data);
+      } catch {
+        // not one of the contract's errors — fall through
+      }
+    }
+  }
+  if (revert) {
+    if (revert.name === "Error") return String(revert.args[0]);
+    return `${revert.name}(${revert.args.map(String).join(", ")})`;
+  }
+  return err.reason ?? err.shortMessage ?? err.message;
+}
+
+const failure = (error, detail) => ({ ok: false, error, detail });
+
+async function latestBlock(contract) {
+  const provider = contract.runner.provider || contract.runner;
+  const block = await provider.getBlock("latest");
+  return { number: BigInt(block.number), timestamp: BigInt(block.timestamp) };
+}
+
+// ══════════════════════════════════════════════════════════
+//                    STATUS
+// ══════════════════════════════════════════════════════════
+
+/** When forceAdvanceRound and emergencyDifficultyReset become callable, relative to the latest block. */
+async function getTimers(contract) {
+  const [head, roundStartBlock, epochStartTime, params, pendingReveal] = await Promise.all([
+    latestBlock(contract),
+    contract.roundStartBlock(),
+    contract.epochStartTime(),
+    contract.getParams(),
+    contract.pendingReveal(),
+  ]);
+
+  // forceAdvanceRound reverts while block.number <= roundStartBlock + revealDeadline, or
+  // with a reveal pending, <= closesAt + revealDeadline (finalizeRound() never went through)
+  const revealPending = pendingReveal.closesAt !== 0n;
+  const forceAdvanceBlock = (revealPending ? pendingReveal.closesAt : roundStartBlock) + params.revealDeadline + 1n;
+  // emergencyDifficultyReset reverts while elapsed <= targetTime * epochLength * 10
+  const emergencyTime = epochStartTime + params.targetTime * params.epochLength * EMERGENCY_FACTOR + 1n;
+  // Both are judged against the next block, the earliest a transaction can land in
+  const nextBlock = head.number + 1n;
+  const nextTime = head.timestamp + 1n;
+
+  return {
+    head,
+    revealPending,
+    forceAdvanceBlock,
+    blocksUntilForceAdvance: forceAdvanceBlock > nextBlock ? forceAdvanceBlock - nextBlock : 0n,
+    emergencyTime,
+    secondsUntilEmergency: emergencyTime > nextTime ? emergencyTime - nextTime : 0n,
+  };
+}
+
+async function getStatus(contract) {
+  const [
+    round,
+    difficulty,
+    reward,
+    totalMined,
+    tipPool,
+    paused,
+    params,
+    admin,
+    treasury,
+    staking,
+    agentAdapter,
+    seedProvider,
+    timers,
+  ] = await Promise.all([
+    contract.currentRound(),
+    contract.roundDifficulty(),
+    contract.getReward(),
+    contract.totalMined(),
+    contract.tipPool(),
+    contract.paused(),
+    contract.getParams(),
+    contract.admin(),
+    contract.treasury(),
+    contract.staking(),
+    contract.agentAdapter(),
+    contract.seedProvider(),
+    getTimers(contract),
+  ]);
+
+  return {
+    address: contract.target,
+    blockNumber: timers.head.number,
+    round,
+    difficulty,
+    reward,
+    totalMined,
+    tipPool,
+    paused,
+    params: params.toObject(),
+    admin,
+    treasury,
+    staking,
+    agentAdapter,
+    seedProvider,
+    revealPending: timers.revealPending,
+    forceAdvanceBlock: timers.forceAdvanceBlock,
+    blocksUntilForceAdvance: timers.blocksUntilForceAdvance,
+    emergencyTime: timers.emergencyTime,
+    secondsUntilEmergency: timers.secondsUntilEmergency,
+  };
+}
+
+/** agentStats plus owner, payout address and — with an adapter set — eligibility. */
+async function getAgentStats(contract, agentId) {
+  const provider = contract.runner.provider || contract.runner;
+  const registry = new Contract(
+    await contract.agentRegistry(),
+    ["function ownerOf(uint256) view returns (address)"],
+    provider
+  );
+
+  const [owner, payout, stats, adapterAddress, round] = await Promise.all([
+    registry.ownerOf(agentId),
+    contract.payoutAddress(agentId),
+    contract.agentStats(agentId),
+    contract.agentAdapter(),
+    contract.currentRound(),
+  ]);
+  const commitment = await contract.commitments(round, agentId);
+
+  let eligible = true;
+  if (adapterAddress !== "0x0000000000000000000000000000000000000000") {
+    const adapter = new Contract(adapterAddress, ["function isEligible(uint256) view returns (bool)"], provider);
+    eligible = await adapter.isEligible(agentId);
+  }
+
+  return {
+    agentId: BigInt(agentId),
+    owner,
+    payoutAddress: payout,
+    totalWins: stats.totalWins,
+    totalEarned: stats.totalEarned,
+    lastWinRound: stats.lastWinRound,
+    committedThisRound: commitment.committer !== "0x0000000000000000000000000000000000000000",
+    eligible,
+  };
+}
+
+// ══════════════════════════════════════════════════════════
+//                    PRECONDITIONS
+// ══════════════════════════════════════════════════════════
+
+// Each returns null when the action can go ahead, or a failure({ error, detail }).
+
+async function checkRole(contract, account, role, roleName) {
+  if (await contract.hasRole(role, account)) return null;
+  return failure(`AccessControlUnauthorizedAccount(${account}, ${role})`, `${account} không có ${roleName}`);
+}
+
+const CHECKS = {
+  async pause(contract, account) {
+    const denied = await checkRole(contract, account, PAUSER_ROLE, "PAUSER_ROLE");
+    if (denied) return denied;
+    if (await contract.paused()) return failure("EnforcedPause()", "contract đang pause");
+    return null;
+  },
+
+  async unpause(contract, account) {
+    const denied = await checkRole(contract, account, RECOVERY_ROLE, "RECOVERY_ROLE");
+    if (denied) return denied;
+    if (!(await contract.paused())) return failure("ExpectedPause()", "contract không pause");
+    return null;
+  },
+
+  async forceAdvanceRound(contract) {
+    if (await contract.paused()) return failure("EnforcedPause()", "contract đang pause");
+    const timers = await getTimers(contract);
+    if (timers.revealPending && timers.blocksUntilForceAdvance > 0n) {
+      return failure(
+        "RevealPending()",
+        `đã có reveal hợp lệ — dùng finalizeRound(); nếu vẫn kẹt, force advance mở từ block ${timers.forceAdvanceBlock}`
+      );
+    }
+    if (timers.blocksUntilForceAdvance > 0n) {
+      return failure(
+        "DeadlineNotReached()",
+        `REVEAL_DEADLINE chưa qua: còn ${timers.blocksUntilForceAdvance} block (mở từ block ${timers.forceAdvanceBlock})`
+      );
+    }
+    return null;
+  },
+
+  async emergencyDifficultyReset(contract) {
+    const timers = await getTimers(contract);
+    if (timers.revealPending) return failure("RevealPending()", "đã có reveal hợp lệ — dùng finalizeRound()");
+    if (timers.secondsUntilEmergency > 0n) {
+      return failure(
+        "TooEarlyForEmergency()",
+        `chưa tới ngưỡng 10x thời gian epoch: còn ${timers.secondsUntilEmergency} giây`
+      );
+    }
+    return null;
+  },
+};
+
+/** @returns {Promise<object|null>} why `action` would revert for `account` right now, or null */
+async function check(contract, action, account) {
+  const checkFn = CHECKS[action];
+  if (!checkFn) throw new Error(`Unknown action ${action}`);
+  return checkFn(contract, account);
+}
+
+/**
+ * Check, simulate, then send `action` (a method name in CHECKS).
+ * Anything the checks miss is caught by the eth_call simulation and decoded.
+ * @param {Contract} contract aBTC_PoW connected to the sending signer
+ * @param {object}  [overrides] transaction overrides (gas limit, fees, nonce)
+ * @returns {Promise<{ok: true, hash: string, blockNumber: number} | {ok: false, error: string, detail?: string}>}
+ */
+async function execute(contract, action, overrides = {}) {
+  const account = await contract.runner.getAddress();
+  const refused = await check(contract, action, account);
+  if (refused) return refused;
+
+  try {
+    // Simulate against the pending block: at "latest" block.number is one short
+    // of where the transaction lands, so a call right on the deadline would fail
+    await contract[action].staticCall({ ...overrides, blockTag: "pending" });
+  } catch (err) {
+    return failure(decodeError(contract, err));
+  }
+
+  const tx = await contract[action](overrides);
+  const receipt = await tx.wait();
+  return { ok: true, hash: tx.hash, blockNumber: receipt.blockNumber };
+}
+
+module.exports = {
+  PAUSER_ROLE,
+  RECOVERY_ROLE,
+  decodeError,
+  getTimers,
+  getStatus,
+  getAgentStats,
+  check,
+  execute,
+};
@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const { computeCommitHash, computeEnhancedSeed, findNonce } = require("./abtc");
+
+/**
+ * Off-chain side of contracts/MiningPool.sol.
+ *
+ *   PoolOperator — commits for the pool agent each aBTC round, publishes the
+ *                  enhancedSeed as pool work, and reveals when a member's share
+ *                  turns out to be a block solution (BlockFound).
+ *   PoolMember   — searches nonces for the pool agent against the share target
+ *                  and submits them.
+ *
+ * Both are driven by step()/mineShares() so a caller (or a test) decides the pace.
+ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** aBTC_PoW custom error behind a reverted pool call — the pool bubbles aBTC's revert data unchanged. */
+function abtcRevertName(abtc, err) {
+  const data = err.data ?? err.error?.data ?? err.info?.error?.data;
+  if (typeof data !== "string") return null;
+  try {
+    return abtc.interface.parseError(data)?.name ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// ══════════════════════════════════════════════════════════
+//                        OPERATOR
+// ══════════════════════════════════════════════════════════
+
+class PoolOperator {
+  /**
+   * @param {object}      opts
+   * @param {Contract}    opts.pool          MiningPool connected to the operator signer
+   * @param {Contract}    opts.abtc          aBTC_PoW (read-only is enough)
+   * @param {SecretStore} opts.store         lib/miner.js SecretStore — secrets keyed by (round, pool agent)
+   * @param {number}     [opts.pollInterval] ms between steps in run()
+   * @param {Function}   [opts.log]          Logger (default: console.log)
+   */
+  constructor({ pool, abtc, store, pollInterval = 1000, log = console.log }) {
+    this.pool = pool;
+    this.abtc = abtc;
+    this.store = store;
+    this.pollInterval = pollInterval;
+    this.log = log;
+    this._stopped = false;
+  }
+
+  /** Step until stop() is called or `rounds` pool wins were revealed. */
+  async run({ rounds = Infinity } = {}) {
+    let won = 0;
+    this._stopped = false;
+
+    while (!this._stopped && won < rounds) {
+      const result = await this.step();
+      if (result.action === "reveal") won++;
+      else await sleep(this.pollInterval);
+    }
+    return won;
+  }
+
+  stop() {
+    this._stopped = true;
+  }
+
+  /**
+   * One scheduling pass.
+   * @returns {Promise<object>} { action: "commit" | "reveal" | "wait" | "idle", round, ... }
+   *          "wait": a reveal still in COMMIT_COOLDOWN, or a commit refused in the block the round opened
+   */
+  async step() {
+    const { pool, abtc } = this;
+    const agentId = await pool.agentId();
+    const round = await abtc.currentRound();
+    this.store.prune(round);
+
+    const [workRound] = await pool.currentWork();
+    if (workRound !== round) return this._publishWork(round, agentId);
+
+    const entry = this.store.get(round, agentId);
+    if (!entry) {
+      this.log(`⚠️  Round ${round}: không có secret cho work đang chạy — chờ round sau`);
+      return { action: "idle", round };
+    }
+
+    const found = await pool.queryFilter(pool.filters.BlockFound(round), entry.commitBlock);
+    if (found.length === 0) return { action: "idle", round };
+
+    const cooldown = await abtc.COMMIT_COOLDOWN();
+    const head = await pool.runner.provider.getBlockNumber();
+    if (BigInt(head) <= BigInt(entry.commitBlock) + cooldown) return { action: "wait", round };
+
+    const { nonce, member } = found[0].args;
+    let receipt;
+    try {
+      receipt = await (await pool.reveal(nonce, entry.secret)).wait();
+    } catch (err) {
+      if ((await abtc.currentRound()) !== round) {
+        this.log(`↪️  Round ${round} đã kết thúc trước khi reveal`);
+        return { action: "idle", round };
+      }
+      throw err;
+    }
+
+    this.store.delete(round, agentId);
+    this.log(`🏆 Round ${round}: pool thắng với share của ${member} (tx ${receipt.hash})`);
+    return { action: "reveal", round, nonce, member, receipt };
+  }
+
+  async _publishWork(round, agentId) {
+    const poolAddress = await this.pool.getAddress();
+    const secret = BigInt("0x" + crypto.randomBytes(32).toString("hex")).toString();
+    const commitHash = computeCommitHash(agentId, secret, poolAddress);
+    const enhancedSeed = computeEnhancedSeed(await this.abtc.roundSeed(), secret);
+
+    // Persist before sending — a crash after broadcast must not lose the secret
+    this.store.set(round, agentId, { secret, commitHash });
+
+    let receipt;
+    try {
+      receipt = await (await this.pool.commit(commitHash, enhancedSeed)).wait();
+    } catch (err) {
+      // Beacon/oracle seed providers refuse commits in the block a round opens — try again next step
+      if (!(await this._commitTooEarly(err))) throw err;
+      this.store.delete(round, agentId);
+      this.log(`⏳ Round ${round}: aBTC chưa nhận commit (CommitTooEarly) — thử lại ở block sau`);
+      return { action: "wait", round };
+    }
+    this.store.set(round, agentId, { secret, commitHash, commitBlock: receipt.blockNumber });
+    this.log(`📝 Round ${round}: commit + công bố work tại block ${receipt.blockNumber}`);
+    return { action: "commit", round, enhancedSeed, receipt };
+  }
+
+  /**
+   * CommitTooEarly, decoded from the revert data — or, for a commit mined and
+   * reverted (no data), inferred from it landing in the block a round opened.
+   */
+  async _commitTooEarly(err) {
+    if (abtcRevertName(this.abtc, err) === "CommitTooEarly") return true;
+    if (err.receipt?.status !== 0) return false;
+    return BigInt(err.receipt.blockNumber) === (await this.abtc.roundStartBlock());
+  }
+}
+
+// ══════════════════════════════════════════════════════════
+//                         MEMBER
+// ══════════════════════════════════════════════════════════
+
+class PoolMember {
+  /**
+   * @param {object}   opts
+   * @param {Contract} opts.pool  MiningPool connected to the member signer
+   * @param {Contract} opts.abtc  aBTC_PoW (read-only is enough)
+   * @param {Function}[opts.log]  Logger (default: console.log)
+   */
+  constructor({ pool, abtc, log = console.log }) {
+    this.pool = pool;
+    this.abtc = abtc;
+    this.log = log;
+    // Random starting point so members do not race each other for the same nonces
+    this._next = BigInt("0x" + crypto.randomBytes(6).toString("hex"));
+  }
+
+  /**
+   * Search the current work and submit up to `maxShares` shares.
+   * @returns {Promise<object[]>} [{ nonce, hashVal, block }] — `block` when the share beats the network target
+   */
+  async mineShares({ maxShares = 1, maxTries = 1_000_000 } = {}) {
+    const { pool, abtc } = this;
+    const [[workRound, enhancedSeed], round] = await Promise.all([pool.currentWork(), abtc.currentRound()]);
+    if (workRound !== round) return [];
+
+    const [agentId, shareTarget, networkTarget] = await Promise.all([
+      pool.agentId(),
+      pool.getShareTarget(),
+      abtc.getTarget(),
+    ]);
+
+    const submitted = [];
+    let tries = maxTries;
+    while (submitted.length < maxShares && tries > 0) {
+      const start = this._next;
+      const found = findNonce(agentId, enhancedSeed, shareTarget, { start, maxTries: tries });
+      if (!found) {
+        this._next = start + BigInt(tries);
+        break;
+      }
+      tries -= Number(found.nonce - start) + 1;
+      this._next = found.nonce + 1n;
+
+      const receipt = await (await pool.submitShare(found.nonce)).wait();
+      const block = found.hashVal < networkTarget;
+      if (block) this.log(`💎 Round ${round}: share ${found.nonce} là lời giải block`);
+      submitted.push({ nonce: found.nonce, hashVal: found.hashVal, block, receipt });
+    }
+    return submitted;
+  }
+}
+
+module.exports = { PoolOperator, PoolMember };
@@ -0,0 +1,278 @@
+const fs = require("fs");
+const path = require("path");
+const { readJson, writeJsonAtomic } = require("./json-file");
+
+/**
+ * Gasless mining through aBTC_PoW.commitWithSig / revealAndMineWithSig.
+ *
+ *   signCommit / signReveal — the agent owner (e.g. a cold wallet) signs an
+ *                             EIP-712 payload; no transaction, no gas
+ *   RelayQueue              — directory of signed payloads waiting to be sent,
+ *                             one JSON file each, so any process can drop one in
+ *   Relayer                 — sends queued payloads in nonce order once they can
+ *                             succeed; takes the validator share of winning reveals
+ *
+ * A payload that reverts or expires goes to failed/ with its nonce unused —
+ * relayNonces only moves when a call succeeds. Anything the signer pre-signed
+ * with a later nonce then waits on that nonce until it expires too, so the
+ * signer must re-sign those payloads starting from relayNonces(signer).
+ */
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+const TYPES = {
+  Commit: [
+    { name: "round", type: "uint256" },
+    { name: "agentId", type: "uint256" },
+    { name: "commitHash", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+  Reveal: [
+    { name: "agentId", type: "uint256" },
+    { name: "powNonce", type: "uint256" },
+    { name: "secret", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// ══════════════════════════════════════════════════════════
+//                         SIGNING
+// ══════════════════════════════════════════════════════════
+
+/** EIP-712 domain as reported by the contract (name, version, chainId, verifyingContract). */
+async function getDomain(contract) {
+  const domain = await contract.eip712Domain();
+  return { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract };
+}
+
+/**
+ * Next unused nonce of `signer`, or `nonce` if given — lets a signer pre-sign a commit and reveal pair.
+ * If the commit fails, the reveal's nonce is never reached: sign both again from the current nonce.
+ */
+async function resolveNonce(contract, signer, nonce) {
+  return nonce === undefined ? contract.relayNonces(await signer.getAddress()) : BigInt(nonce);
+}
+
+/**
+ * Sign a Commit for the relayer. commitHash must bind the signer's own address.
+ * @returns {Promise<object>} queue payload
+ */
+async function signCommit(signer, contract, { round, agentId, commitHash, nonce, deadline }) {
+  const value = {
+    round: BigInt(round),
+    agentId: BigInt(agentId),
+    commitHash,
+    nonce: await resolveNonce(contract, signer, nonce),
+    deadline: BigInt(deadline),
+  };
+  const signature = await signer.signTypedData(await getDomain(contract), { Commit: TYPES.Commit }, value);
+  return { type: "commit", signer: await signer.getAddress(), ...value, signature };
+}
+
+/**
+ * Sign a Reveal for the relayer.
+ * @returns {Promise<object>} queue payload
+ */
+async function signReveal(signer, contract, { agentId, powNonce, secret, nonce, deadline }) {
+  const value = {
+    agentId: BigInt(agentId),
+    powNonce: BigInt(powNonce),
+    secret: BigInt(secret),
+    nonce: await resolveNonce(contract, signer, nonce),
+    deadline: BigInt(deadline),
+  };
+  const signature = await signer.signTypedData(await getDomain(contract), { Reveal: TYPES.Reveal }, value);
+  return { type: "reveal", signer: await signer.getAddress(), ...value, signature };
+}
+
+// ══════════════════════════════════════════════════════════
+//                          QUEUE
+// ══════════════════════════════════════════════════════════
+
+/**
+ * Signed payloads on disk: pending/ → done/ or failed/.
+ * A file per payload, named after signer and nonce, so producers never
+ * rewrite each other's entries.
+ */
+class RelayQueue {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  static forContract(dir, chainId, contractAddress) {
+    return new RelayQueue(path.join(dir, `${chainId}-${contractAddress.toLowerCase()}`));
+  }
+
+  add(payload) {
+    const name = `${payload.signer.toLowerCase()}-${payload.nonce}.json`;
+    writeJsonAtomic(path.join(this.dir, "pending", name), serialize(payload));
+    return name;
+  }
+
+  /** @returns {object[]} pending payloads (bigints restored), each with its file `name` */
+  pending() {
+    const dir = path.join(this.dir, "pending");
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => ({ ...deserialize(readJson(path.join(dir, name))), name }));
+  }
+
+  /** Move a payload out of pending/, recording what happened to it. */
+  settle(entry, outcome, details) {
+    const { name, ...payload } = entry;
+    writeJsonAtomic(path.join(this.dir, outcome, name), serialize({ ...payload, ...details }));
+    fs.rmSync(path.join(this.dir, "pending", name), { force: true });
+  }
+}
+
+const BIGINT_FIELDS = ["round", "agentId", "nonce", "deadline", "powNonce", "secret"];
+
+function serialize(payload) {
+  return JSON.parse(JSON.stringify(payload, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function deserialize(payload) {
+  const out = { ...payload };
+  for (const field of BIGINT_FIELDS) if (out[field] !== undefined) out[field] = BigInt(out[field]);
+  return out;
+}
+
+// ══════════════════════════════════════════════════════════
+//                         RELAYER
+// ══════════════════════════════════════════════════════════
+
+class Relayer {
+  /**
+   * @param {object}     opts
+   * @param {Contract}   opts.contract      aBTC_PoW connected to the relayer's (funded) signer
+   * @param {RelayQueue} opts.queue
+   * @param {number}    [opts.pollInterval] ms between steps in run()
+   * @param {Function}  [opts.log]          Logger (default: console.log)
+   */
+  constructor({ contract, queue, pollInterval = 1000, log = console.log }) {
+    this.contract = contract;
+    this.queue = queue;
+    this.pollInterval = pollInterval;
+    this.log = log;
+    this._stopped = false;
+  }
+
+  /** Step until stop() is called. */
+  async run() {
+    let sent = 0;
+    this._stopped = false;
+
+    while (!this._stopped) {
+      try {
+        const results = await this.step();
+        sent += results.filter((r) => r.action === "submitted").length;
+      } catch (err) {
+        // RPC hiccups must not kill a long-running relayer; the queue is still on disk
+        this.log(`⚠️ Relayer lỗi: ${err.shortMessage || err.message}`);
+      }
+      await sleep(this.pollInterval);
+    }
+    return sent;
+  }
+
+  stop() {
+    this._stopped = true;
+  }
+
+  /**
+   * Send every payload that can go now. Per signer only the payload carrying
+   * the signer's current nonce is eligible; later ones wait their turn.
+   * Only a decoded contract revert moves a payload to failed/; any other send
+   * error leaves it pending.
+   * @returns {Promise<object[]>} [{ action: "submitted" | "failed" | "waiting", name, ... }]
+   */
+  async step() {
+    const bySigner = new Map();
+    for (const entry of this.queue.pending()) {
+      const key = entry.signer.toLowerCase();
+      if (!bySigner.has(key)) bySigner.set(key, []);
+      bySigner.get(key).push(entry);
+    }
+
+    const results = [];
+    for (const entries of bySigner.values()) {
+      entries.sort((a, b) => (a.nonce < b.nonce ? -1 : 1));
+      for (const entry of entries) {
+        const result = await this._process(entry);
+        results.push(result);
+        if (result.action !== "submitted") break; // nonce order: nothing after this can go yet
+      }
+    }
+    return results;
+  }
+
+  // ──────────────────────────────────────────────────────────
+
+  async _process(entry) {
+    const { contract } = this;
+    const provider = contract.runner.provider;
+    const [expected, head] = await Promise.all([contract.relayNonces(entry.signer), provider.getBlock("latest")]);
+
+    if (entry.nonce < expected) return this._fail(entry, "nonce already used", false);
+    if (entry.nonce > expected) return { action: "waiting", name: entry.name, reason: "earlier nonce pending" };
+    if (entry.deadline < BigInt(head.timestamp) + 1n) return this._fail(entry, "expired");
+
+    if (entry.type === "reveal") {
+      const round = await contract.currentRound();
+      const c = await contract.commitments(round, entry.agentId);
+      const cooldown = await contract.COMMIT_COOLDOWN();
+      // Not yet revealable — the commit may still be in flight or cooling down
+      if (c.committer !== entry.signer || BigInt(head.number) + 1n <= c.commitBlock + cooldown) {
+        return { action: "waiting", name: entry.name, reason: "commitment not ready" };
+      }
+    }
+
+    let receipt;
+    try {
+      const tx =
+        entry.type === "commit"
+          ? await contract.commitWithSig(entry.round, entry.agentId, entry.commitHash, entry.signer, entry.deadline, entry.signature)
+          : await contract.revealAndMineWithSig(entry.agentId, entry.powNonce, entry.secret, entry.signer, entry.deadline, entry.signature);
+      receipt = await tx.wait();
+    } catch (err) {
+      const reverted = revertName(contract, err);
+      if (reverted) return this._fail(entry, reverted);
+      // Timeout, dropped connection, fee trouble... the signed payload is still good — retry next step
+      const reason = err.shortMessage || err.message;
+      this.log(`⚠️ ${entry.type} của ${entry.signer} (nonce ${entry.nonce}) chưa gửi được, thử lại sau: ${reason}`);
+      return { action: "waiting", name: entry.name, reason };
+    }
+
+    this.queue.settle(entry, "done", { txHash: receipt.hash, blockNumber: receipt.blockNumber });
+    this.log(`📨 ${entry.type} của ${entry.signer} (nonce ${entry.nonce}) đã gửi (tx ${receipt.hash})`);
+    return { action: "submitted", name: entry.name, type: entry.type, receipt };
+  }
+
+  /** `nonceUnused`: the entry held the signer's current nonce, so every later payload of the signer is now stuck. */
+  _fail(entry, reason, nonceUnused = true) {
+    this.queue.settle(entry, "failed", { reason });
+    this.log(`❌ ${entry.type} của ${entry.signer} (nonce ${entry.nonce}) bị bỏ: ${reason}`);
+    if (nonceUnused) {
+      this.log(`   nonce ${entry.nonce} chưa được dùng — payload nonce sau của ${entry.signer} phải ký lại từ nonce ${entry.nonce}`);
+    }
+    return { action: "failed", name: entry.name, reason };
+  }
+}
+
+/** Custom error name of a reverted call, decoding the raw data when ethers did not. */
+function revertName(contract, err) {
+  if (err.revert?.name) return err.revert.name;
+  const data = err.data ?? err.error?.data ?? err.info?.error?.data;
+  if (typeof data !== "string") return null;
+  try {
+    return contract.interface.parseError(data)?.name ?? null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { TYPES, getDomain, signCommit, signReveal, RelayQueue, Relayer };
@@ -0,0 +1,346 @@
+const sdk = require("./abtc");
+
+/**
+ * Difficulty & emission simulator for tuning aBTC_PoW's economic constants.
+ *
+ * ChainModel is a bigint re-implementation of the contract's round/epoch state
+ * machine (_finalizeRound, forceAdvanceRound, emergencyDifficultyReset,
+ * _adjustDifficulty, getReward) — same integer division, same clamp order,
+ * same MIN/MAX bounds. simulate() drives it with a stochastic population of
+ * miners; replayOnChain() drives the real contract and the model side by side
+ * to prove they agree.
+ */
+
+const DEFAULT_PARAMS = {
+  targetTime: sdk.TARGET_TIME,
+  epochLength: sdk.EPOCH_LENGTH,
+  maxAdjustmentFactor: sdk.MAX_ADJUSTMENT_FACTOR,
+  halvingInterval: sdk.HALVING_INTERVAL,
+  minDifficulty: sdk.MIN_DIFFICULTY,
+  maxDifficulty: sdk.MAX_DIFFICULTY,
+  initialReward: sdk.INITIAL_REWARD,
+  maxSupply: sdk.MAX_SUPPLY,
+  revealDeadline: sdk.REVEAL_DEADLINE,
+};
+
+function normalizeParams(params = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries({ ...DEFAULT_PARAMS, ...params })) out[key] = BigInt(value);
+  return out;
+}
+
+/**
+ * Mirrors _adjustDifficulty's arithmetic.
+ * @returns {bigint} the new difficulty
+ */
+function adjustDifficulty(oldDifficulty, elapsed, roundsInEpoch, params = DEFAULT_PARAMS) {
+  const p = normalizeParams(params);
+  const expectedTime = BigInt(roundsInEpoch) * p.targetTime;
+  oldDifficulty = BigInt(oldDifficulty);
+  elapsed = BigInt(elapsed);
+
+  let newDifficulty;
+  if (elapsed === 0n) {
+    newDifficulty = oldDifficulty * p.maxAdjustmentFactor;
+  } else {
+    newDifficulty = (oldDifficulty * expectedTime) / elapsed;
+
+    const maxDiff = oldDifficulty * p.maxAdjustmentFactor;
+    const minDiff = oldDifficulty / p.maxAdjustmentFactor;
+    if (newDifficulty > maxDiff) newDifficulty = maxDiff;
+    else if (newDifficulty < minDiff) newDifficulty = minDiff;
+  }
+
+  if (newDifficulty < p.minDifficulty) newDifficulty = p.minDifficulty;
+  if (newDifficulty > p.maxDifficulty) newDifficulty = p.maxDifficulty;
+  return newDifficulty;
+}
+
+// ══════════════════════════════════════════════════════════
+//                       CHAIN MODEL
+// ══════════════════════════════════════════════════════════
+
+class ChainModel {
+  /**
+   * @param {object} [params]        overrides for DEFAULT_PARAMS
+   * @param {bigint} [deployTime]    block.timestamp of the constructor
+   */
+  constructor(params, deployTime = 0n) {
+    this.params = normalizeParams(params);
+    this.currentRound = 1n;
+    this.roundStartTime = BigInt(deployTime);
+    this.epochStartTime = BigInt(deployTime);
+    this.epochStartRound = 1n;
+    this.roundDifficulty = this.params.minDifficulty;
+    this.totalMined = 0n;
+    this.adjustments = [];
+  }
+
+  /** Mirrors getReward() with the model's halving parameters. */
+  getReward() {
+    const era = this.currentRound / this.params.halvingInterval;
+    if (era >= 64n) return 0n;
+    return this.params.initialReward >> era;
+  }
+
+  /**
+   * A reveal landed at `timestamp` — mirrors _finalizeRound.
+   * @returns {bigint} reward minted for the round
+   */
+  finalize(timestamp) {
+    let reward = this.getReward();
+    if (this.totalMined + reward > this.params.maxSupply) reward = this.params.maxSupply - this.totalMined;
+    this.totalMined += reward;
+
+    this._advance(BigInt(timestamp));
+    return reward;
+  }
+
+  /** Mirrors forceAdvanceRound — no reward, but still adjusts at the epoch boundary. */
+  forceAdvance(timestamp) {
+    this._advance(BigInt(timestamp));
+  }
+
+  /** Mirrors emergencyDifficultyReset. */
+  emergencyReset(timestamp) {
+    timestamp = BigInt(timestamp);
+    const elapsed = timestamp - this.epochStartTime;
+    const oldDifficulty = this.roundDifficulty;
+    this.roundDifficulty = this.params.minDifficulty;
+    this.epochStartTime = timestamp;
+    this.epochStartRound = this.currentRound;
+    this.roundStartTime = timestamp;
+    this.adjustments.push({ epoch: 0n, oldDifficulty, newDifficulty: this.roundDifficulty, elapsed, emergency: true });
+  }
+
+  /** True once emergencyDifficultyReset would no longer revert with TooEarlyForEmergency. */
+  canEmergencyReset(timestamp) {
+    return BigInt(timestamp) - this.epochStartTime > this.params.targetTime * this.params.epochLength * 10n;
+  }
+
+  _advance(timestamp) {
+    const roundsInEpoch = this.currentRound - this.epochStartRound;
+    if (roundsInEpoch >= this.params.epochLength) {
+      const elapsed = timestamp - this.epochStartTime;
+      const oldDifficulty = this.roundDifficulty;
+      this.roundDifficulty = adjustDifficulty(oldDifficulty, elapsed, roundsInEpoch, this.params);
+      this.adjustments.push({
+        epoch: this.currentRound / this.params.epochLength,
+        oldDifficulty,
+        newDifficulty: this.roundDifficulty,
+        elapsed,
+        emergency: false,
+      });
+      this.epochStartTime = timestamp;
+      this.epochStartRound = this.currentRound;
+    }
+
+    this.currentRound++;
+    this.roundStartTime = timestamp;
+  }
+}
+
+// ══════════════════════════════════════════════════════════
+//                   STOCHASTIC SIMULATION
+// ══════════════════════════════════════════════════════════
+
+/** mulberry32 — small seeded PRNG so runs are reproducible. */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Simulate `rounds` rounds with a changing miner population.
+ *
+ * A round is a race: each attempt succeeds with probability 1/difficulty, so
+ * with network hash rate H the solve time is exponential with mean difficulty/H.
+ * Rounds nobody solves within revealDeadline blocks are force-advanced (orphaned);
+ * a keeper calls emergencyDifficultyReset as soon as it becomes valid.
+ *
+ * @param {object}   opts
+ * @param {object[]} opts.miners        [{ id, hashRate (H/s), joinAt?, leaveAt? }] — times in seconds from start
+ * @param {number}   opts.rounds        rounds to simulate
+ * @param {object}  [opts.params]       overrides for DEFAULT_PARAMS
+ * @param {number}  [opts.blockTime]    seconds per chain block (for the reveal deadline)
+ * @param {number}  [opts.seed]         PRNG seed
+ * @param {boolean} [opts.emergencyReset] model a keeper calling emergencyDifficultyReset
+ */
+function simulate({ miners, rounds, params, blockTime = 1, seed = 1, emergencyReset = true }) {
+  const model = new ChainModel(params, 0n);
+  const rng = createRng(seed);
+  const deadlineSeconds = Number(model.params.revealDeadline + 1n) * blockTime;
+  const history = [];
+  let now = 0;
+
+  const activeAt = (t) => miners.filter((m) => (m.joinAt ?? 0) <= t && t < (m.leaveAt ?? Infinity));
+
+  for (let i = 0; i < rounds; i++) {
+    if (emergencyReset && model.canEmergencyReset(now)) {
+      model.emergencyReset(now);
+    }
+
+    const active = activeAt(now);
+    const hashRate = active.reduce((sum, m) => sum + m.hashRate, 0);
+    const difficulty = model.roundDifficulty;
+    const round = model.currentRound;
+
+    // Inverse-CDF sample of the exponential solve time (at least 1s — timestamps are integers)
+    const solveTime = hashRate > 0 ? Math.max(1, Math.round((-Math.log(1 - rng()) * Number(difficulty)) / hashRate)) : Infinity;
+
+    if (solveTime <= deadlineSeconds) {
+      now += solveTime;
+      let pick = rng() * hashRate;
+      const winner = active.find((m) => (pick -= m.hashRate) < 0) || active[active.length - 1];
+      const reward = model.finalize(now);
+      history.push({ round, difficulty, time: solveTime, winner: winner.id, orphaned: false, reward });
+    } else {
+      now += deadlineSeconds;
+      model.forceAdvance(now);
+      history.push({ round, difficulty, time: deadlineSeconds, winner: null, orphaned: true, reward: 0n });
+    }
+  }
+
+  return { model, history, report: summarize(model, history) };
+}
+
+function summarize(model, history) {
+  const times = history.map((r) => r.time);
+  const mean = times.reduce((a, b) => a + b, 0) / (times.length || 1);
+  const variance = times.reduce((a, t) => a + (t - mean) ** 2, 0) / (times.length || 1);
+
+  const epochChanges = model.adjustments
+    .filter((a) => !a.emergency && a.oldDifficulty > 0n)
+    .map((a) => Math.abs(Number(a.newDifficulty) / Number(a.oldDifficulty) - 1));
+
+  const difficulties = history.map((r) => r.difficulty);
+  const winsByMiner = {};
+  for (const r of history) if (r.winner !== null) winsByMiner[r.winner] = (winsByMiner[r.winner] || 0) + 1;
+
+  return {
+    rounds: history.length,
+    meanRoundTime: mean,
+    stdDevRoundTime: Math.sqrt(variance),
+    targetTime: Number(model.params.targetTime),
+    minDifficulty: difficulties.reduce((a, b) => (b < a ? b : a), difficulties[0] ?? 0n),
+    maxDifficulty: difficulties.reduce((a, b) => (b > a ? b : a), difficulties[0] ?? 0n),
+    finalDifficulty: model.roundDifficulty,
+    // Mean |new/old - 1| over epoch adjustments — 0 means perfectly stable difficulty
+    difficultyOscillation: epochChanges.length ? epochChanges.reduce((a, b) => a + b, 0) / epochChanges.length : 0,
+    epochAdjustments: epochChanges.length,
+    emergencyResets: model.adjustments.filter((a) => a.emergency).length,
+    orphanRounds: history.filter((r) => r.orphaned).length,
+    totalMined: model.totalMined,
+    maxSupply: model.params.maxSupply,
+    emittedPercent: Number((model.totalMined * 1_000_000n) / model.params.maxSupply) / 10_000,
+    winsByMiner,
+  };
+}
+
+// ══════════════════════════════════════════════════════════
+//                 ON-CHAIN CONFORMANCE REPLAY
+// ══════════════════════════════════════════════════════════
+
+const STATE_FIELDS = ["currentRound", "roundDifficulty", "epochStartTime", "epochStartRound", "roundStartTime", "totalMined"];
+
+/**
+ * Replay a scripted scenario against a deployed aBTC_PoW on a Hardhat network
+ * and against a ChainModel built from the contract's constants, comparing
+ * state after every step.
+ *
+ * @param {object}   opts
+ * @param {object}   opts.hre        Hardhat runtime (needs network helpers: evm_mine / setNextBlockTimestamp)
+ * @param {Contract} opts.contract   aBTC_PoW connected to the agent owner
+ * @param {bigint}   opts.agentId
+ * @param {object[]} opts.steps      [{ action: "mine" | "force" | "emergency", after: seconds since round start }]
+ * @returns {Promise<object[]>} per step: { step, chain, model, match }
+ */
+async function replayOnChain({ hre, contract, agentId, steps }) {
+  const { ethers } = hre;
+  const provider = ethers.provider;
+  const signerAddress = await contract.runner.getAddress();
+
+  const params = {};
+  for (const [key, getter] of Object.entries({
+    targetTime: "TARGET_TIME",
+    epochLength: "EPOCH_LENGTH",
+    maxAdjustmentFactor: "MAX_ADJUSTMENT_FACTOR",
+    halvingInterval: "HALVING_INTERVAL",
+    minDifficulty: "MIN_DIFFICULTY",
+    maxDifficulty: "MAX_DIFFICULTY",
+    initialReward: "INITIAL_REWARD",
+    maxSupply: "MAX_SUPPLY",
+    revealDeadline: "REVEAL_DEADLINE",
+  })) {
+    params[key] = await contract[getter]();
+  }
+
+  const model = new ChainModel(params);
+  for (const field of STATE_FIELDS) model[field] = await contract[field]();
+
+  const mineBlocks = async (n) => provider.send("hardhat_mine", ["0x" + n.toString(16)]);
+  const nextTimestamp = async (after) => {
+    const latest = BigInt((await provider.getBlock("latest")).timestamp);
+    const wanted = model.roundStartTime + BigInt(after);
+    const ts = wanted > latest ? wanted : latest + 1n;
+    await provider.send("evm_setNextBlockTimestamp", [Number(ts)]);
+    return ts;
+  };
+
+  const results = [];
+  let secret = 1n;
+
+  for (const step of steps) {
+    if (step.action === "mine") {
+      secret++;
+      await contract.commit(agentId, sdk.computeCommitHash(agentId, secret, signerAddress));
+      await mineBlocks(2);
+      const enhancedSeed = sdk.computeEnhancedSeed(await contract.roundSeed(), secret);
+      const found = sdk.findNonce(agentId, enhancedSeed, await contract.getTarget());
+      if (!found) throw new Error(`No nonce found in round ${model.currentRound}`);
+
+      const ts = await nextTimestamp(step.after);
+      await contract.revealAndMine(agentId, found.nonce, secret);
+      model.finalize(ts);
+    } else if (step.action === "force") {
+      await mineBlocks(Number(params.revealDeadline) + 1);
+      const ts = await nextTimestamp(step.after);
+      await contract.forceAdvanceRound();
+      model.forceAdvance(ts);
+    } else if (step.action === "emergency") {
+      const ts = await nextTimestamp(step.after);
+      await contract.emergencyDifficultyReset();
+      model.emergencyReset(ts);
+    } else {
+      throw new Error(`Unknown step action: ${step.action}`);
+    }
+
+    const chain = {};
+    const expected = {};
+    let match = true;
+    for (const field of STATE_FIELDS) {
+      chain[field] = await contract[field]();
+      expected[field] = model[field];
+      if (chain[field] !== expected[field]) match = false;
+    }
+    results.push({ step, chain, model: expected, match });
+  }
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_PARAMS,
+  adjustDifficulty,
+  ChainModel,
+  createRng,
+  simulate,
+  summarize,
+  replayOnChain,
+};
@@ -0,0 +1,54 @@
+const hre = require("hardhat");
+const path = require("path");
+const { createApi } = require("../lib/api");
+const { Indexer } = require("../lib/indexer");
+const { readDeployment } = require("../lib/deployments");
+
+// Cấu hình qua biến môi trường:
+//   ABTC_ADDRESS     — địa chỉ aBTC_PoW (mặc định: đọc từ deployments/<chainId>.json)
+//   API_PORT         — cổng HTTP (mặc định: 3000)
+//   INDEXER_DATA_DIR — thư mục store của indexer, dùng chung với scripts/index.js (mặc định: ./.indexer)
+//
+// Ví dụ (local):
+//   npx hardhat node
+//   npx hardhat run scripts/deploy.js --network localhost
+//   npx hardhat run scripts/api.js --network localhost
+//   curl localhost:3000/round
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = readDeployment(chainId);
+  const deployed = manifest && manifest.contracts.aBTC_PoW;
+
+  const address = process.env.ABTC_ADDRESS || (deployed && deployed.address);
+  if (!address) {
+    console.error("❌ Lỗi: Cần đặt ABTC_ADDRESS hoặc chạy scripts/deploy.js trước.");
+    process.exit(1);
+  }
+
+  const abtc = await hre.ethers.getContractAt("aBTC_PoW", address);
+  const dataDir = process.env.INDEXER_DATA_DIR || path.join(process.cwd(), ".indexer");
+  const indexer = new Indexer({
+    contract: abtc,
+    file: path.join(dataDir, `${chainId}-${address.toLowerCase()}.json`),
+    startBlock: deployed && deployed.address.toLowerCase() === address.toLowerCase() ? deployed.blockNumber : 0,
+  });
+
+  const { server } = createApi({ contract: abtc, indexer });
+  const port = Number(process.env.API_PORT || 3000);
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`🌐 aBTC API (${hre.network.name}) đang chạy tại http://localhost:${port}`);
+  console.log("   /round  /epoch  /agents/:id  /leaderboard  /supply");
+
+  await new Promise((resolve) => {
+    process.on("SIGINT", () => server.close(resolve));
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
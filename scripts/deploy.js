@@ -1,62 +1,167 @@
 const hre = require("hardhat");
+const { writeDeployment, verifyDeployment } = require("../lib/deployments");
+
+// Cấu hình qua biến môi trường:
+//   REGISTRY_ADDRESS — ERC-721 agent registry có sẵn, vd. ERC-8004 Identity Registry
+//                      (bỏ trống → deploy MockRegistry, chỉ trên local/testnet)
+//   TREASURY_ADDRESS — ví nhận 5% platform share (mặc định: ví deploy)
+//   ADMIN_ADDRESS    — ví admin pause/unpause (mặc định: ví deploy)
+//   SEED_PROVIDER    — nguồn roundSeed, chọn một lần lúc deploy (mặc định: prevrandao):
+//                        prevrandao — block.prevrandao/blockhash, sequencer L2 có thể điều khiển
+//                        beacon     — chuỗi hash nuôi bằng hashVal của người thắng round trước
+//                        oracle     — oracle kiểu VRF gọi callback, cần ORACLE_ADDRESS
+//                                     (bỏ trống trên hardhat/localhost → deploy MockRandomnessOracle)
+//
+// Luật eligibility (tuổi agent, allow/deny list, reputation) gắn sau khi deploy:
+// deploy AgentRegistryAdapter(registry, owner) + các rule, rồi admin gọi
+// queueAddress(AgentAdapter, adapter) và executeAddress sau PARAMS_TIMELOCK.
+//
+// Ví dụ: npx hardhat run scripts/deploy.js --network sepolia
+// Kết quả được ghi vào deployments/<chainId>.json
+
+// Các network được phép tự deploy MockRegistry
+const MOCK_REGISTRY_NETWORKS = ["hardhat", "localhost", "bscTestnet", "sepolia", "monadTestnet"];
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+const SEED_PROVIDERS = {
+  prevrandao: "PrevrandaoSeedProvider",
+  beacon: "BeaconSeedProvider",
+  oracle: "OracleSeedProvider",
+};
+
+async function deployContract(name, args) {
+  const Factory = await hre.ethers.getContractFactory(name);
+  const contract = await Factory.deploy(...args);
+  await contract.waitForDeployment();
+
+  const tx = contract.deploymentTransaction();
+  const receipt = await tx.wait();
+  return {
+    contract,
+    entry: {
+      address: contract.target,
+      constructorArgs: args,
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+    },
+  };
+}
 
 async function main() {
+  const network = hre.network.name;
+  const isLocal = LOCAL_NETWORKS.includes(network);
   const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  console.log(`🚀 Đang deploy lên ${network} (chainId ${chainId}) với ví:`, deployer.address);
 
-  console.log("🚀 Đang deploy lên MONAD MAINNET với ví:", deployer.address);
-  
   // 1. Kiểm tra số dư ví (An toàn)
   const balance = await hre.ethers.provider.getBalance(deployer.address);
-  console.log("💰 Số dư ví:", hre.ethers.formatEther(balance), "MON");
+  console.log("💰 Số dư ví:", hre.ethers.formatEther(balance));
 
   if (balance === 0n) {
-    console.error("❌ Lỗi: Ví hết tiền (0 MON). Vui lòng nạp MON để làm phí gas.");
+    console.error("❌ Lỗi: Ví hết tiền. Vui lòng nạp coin để làm phí gas.");
+    process.exit(1);
+  }
+
+  const seedSource = process.env.SEED_PROVIDER || "prevrandao";
+  if (!SEED_PROVIDERS[seedSource]) {
+    console.error(`❌ Lỗi: SEED_PROVIDER phải là một trong: ${Object.keys(SEED_PROVIDERS).join(", ")}.`);
+    process.exit(1);
+  }
+  if (seedSource === "oracle" && !process.env.ORACLE_ADDRESS && !isLocal) {
+    console.error("❌ Lỗi: SEED_PROVIDER=oracle cần ORACLE_ADDRESS.");
     process.exit(1);
   }
 
-  // 2. Thiết lập Treasury & Registry
-  // LƯU Ý: Trên Mainnet, nếu bạn chưa có Registry thật thì deploy mới.
-  // Nếu đã có (ví dụ ERC-8004 chuẩn), hãy thay địa chỉ vào biến dưới đây.
-  let registryAddress;
-  
-  // A. Deploy Registry mới (Nếu chưa có)
-  console.log("\n--- [1/2] Deploying AgentIdentityRegistry ---");
-  const Registry = await hre.ethers.getContractFactory("AgentIdentityRegistry");
-  // Nếu contract Registry của bạn cần tham số constructor, điền vào .deploy(...)
-  const registry = await Registry.deploy(); 
-  await registry.waitForDeployment();
-  registryAddress = registry.target;
-  console.log("✅ Registry đã deploy tại:", registryAddress);
-
-  // B. Hoặc dùng Registry có sẵn (Bỏ comment dòng dưới nếu muốn dùng cái cũ)
-  // registryAddress = "0xĐịa_Chỉ_Registry_Của_Bạn";
-
-  // Config Treasury (Lấy từ .env hoặc dùng chính ví deploy)
+  const manifest = {
+    network,
+    chainId: Number(chainId),
+    deployer: deployer.address,
+    contracts: {},
+  };
+
+  // 2. Registry: dùng địa chỉ có sẵn hoặc deploy MockRegistry
+  let registryAddress = process.env.REGISTRY_ADDRESS;
+
+  if (registryAddress) {
+    console.log("\n--- [1/4] Dùng Registry có sẵn ---");
+    console.log("📚 Registry:", registryAddress);
+  } else {
+    if (!MOCK_REGISTRY_NETWORKS.includes(network)) {
+      console.error(`❌ Lỗi: ${network} không phải local/testnet — cần đặt REGISTRY_ADDRESS.`);
+      process.exit(1);
+    }
+
+    console.log("\n--- [1/4] Deploying MockRegistry ---");
+    const { contract: registry, entry } = await deployContract("MockRegistry", []);
+    registryAddress = registry.target;
+    manifest.contracts.MockRegistry = entry;
+    console.log("✅ MockRegistry đã deploy tại:", registryAddress);
+  }
+
+  // 3. Treasury & Admin (tách riêng để admin có thể là multisig khác treasury)
   const treasuryAddress = process.env.TREASURY_ADDRESS || deployer.address;
+  const adminAddress = process.env.ADMIN_ADDRESS || deployer.address;
   console.log("🏦 Treasury Address:", treasuryAddress);
+  console.log("🛡️ Admin Address:", adminAddress);
+
+  // 4. Seed provider (aBTC_PoW gắn với nó vĩnh viễn; beacon/oracle chỉ phục vụ một aBTC_PoW,
+  //    bind ngay sau khi deploy aBTC_PoW ở bước 6)
+  const seedProviderName = SEED_PROVIDERS[seedSource];
+  console.log(`\n--- [2/4] Deploying ${seedProviderName} ---`);
+  let seedProviderArgs = [];
+  if (seedSource === "oracle") {
+    let oracleAddress = process.env.ORACLE_ADDRESS;
+    if (!oracleAddress) {
+      const { contract: oracle, entry: oracleEntry } = await deployContract("MockRandomnessOracle", []);
+      oracleAddress = oracle.target;
+      manifest.contracts.MockRandomnessOracle = oracleEntry;
+      console.log("✅ MockRandomnessOracle đã deploy tại:", oracleAddress);
+    }
+    seedProviderArgs = [oracleAddress];
+  }
+  const { contract: seedProvider, entry: seedProviderEntry } = await deployContract(seedProviderName, seedProviderArgs);
+  manifest.contracts[seedProviderName] = seedProviderEntry;
+  console.log(`✅ ${seedProviderName} đã deploy tại:`, seedProvider.target);
+
+  // 5. Deploy aBTC_PoWExtension (code aBTC_PoW forwards its cold paths to)
+  console.log("\n--- [3/4] Deploying aBTC_PoWExtension ---");
+  const { contract: extension, entry: extensionEntry } = await deployContract("aBTC_PoWExtension", [registryAddress]);
+  manifest.contracts.aBTC_PoWExtension = extensionEntry;
+  console.log("✅ aBTC_PoWExtension đã deploy tại:", extension.target);
+
+  // 6. Deploy aBTC_PoW
+  console.log("\n--- [4/4] Deploying aBTC_PoW ---");
+  const { contract: abtc, entry } = await deployContract("aBTC_PoW", [
+    registryAddress,
+    treasuryAddress,
+    adminAddress,
+    extension.target,
+    seedProvider.target,
+  ]);
+  manifest.contracts.aBTC_PoW = entry;
+  console.log("✅ aBTC_PoW đã deploy tại:", abtc.target);
+
+  if (seedSource !== "prevrandao") {
+    await (await seedProvider.bind(abtc.target)).wait();
+    console.log(`🔗 ${seedProviderName} đã bind vào aBTC_PoW`);
+  }
+
+  const file = writeDeployment(manifest);
+  console.log("📝 Manifest:", file);
 
-  // 3. Deploy aBTC_PoW
-  console.log("\n--- [2/2] Deploying aBTC_PoW ---");
-  const ABTC = await hre.ethers.getContractFactory("aBTC_PoW");
-  const abtc = await ABTC.deploy(registryAddress, treasuryAddress);
-  
-  await abtc.waitForDeployment();
-  const abtcAddress = abtc.target;
-  console.log("✅ aBTC_PoW đã deploy tại:", abtcAddress);
+  if (isLocal) return;
 
   console.log("\n⏳ Đang chờ 5 block để index trên Explorer...");
-  await abtc.deploymentTransaction().wait(5); 
+  await abtc.deploymentTransaction().wait(5);
 
   console.log("🔍 Bắt đầu Verify code...");
-  try {
-    // Verify aBTC
-    await hre.run("verify:verify", {
-      address: abtcAddress,
-      constructorArguments: [registryAddress, treasuryAddress],
-    });
+  const results = await verifyDeployment(hre, manifest);
+  if (Object.values(results).every(Boolean)) {
     console.log("🌟 VERIFY THÀNH CÔNG!");
-  } catch (error) {
-    console.log("⚠️ Lỗi Verify (Có thể tự verify tay sau):", error.message);
+  } else {
+    console.log("⚠️ Một số contract chưa verify được — chạy lại: npx hardhat run scripts/verify.js --network", network);
   }
 }
 
@@ -65,4 +170,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  });
\ No newline at end of file
+  });
@@ -0,0 +1,69 @@
+const hre = require("hardhat");
+const path = require("path");
+const { Indexer } = require("../lib/indexer");
+const { readDeployment } = require("../lib/deployments");
+
+// Cấu hình qua biến môi trường:
+//   ABTC_ADDRESS          — địa chỉ aBTC_PoW (mặc định: đọc từ deployments/<chainId>.json)
+//   INDEXER_START_BLOCK   — block bắt đầu khi chưa có store (mặc định: block deploy trong manifest)
+//   INDEXER_DATA_DIR      — thư mục lưu store (mặc định: ./.indexer)
+//   INDEXER_CONFIRMATIONS — chỉ index các block đã đủ N xác nhận (mặc định: 0)
+//   INDEXER_WATCH         — "true" để chạy liên tục, sync mỗi INDEXER_INTERVAL ms (mặc định: 5000)
+//
+// Ví dụ: INDEXER_WATCH=true npx hardhat run scripts/index.js --network monadTestnet
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = readDeployment(chainId);
+  const deployed = manifest && manifest.contracts.aBTC_PoW;
+
+  const address = process.env.ABTC_ADDRESS || (deployed && deployed.address);
+  if (!address) {
+    console.error("❌ Lỗi: Cần đặt ABTC_ADDRESS hoặc chạy scripts/deploy.js trước.");
+    process.exit(1);
+  }
+
+  const startBlock = process.env.INDEXER_START_BLOCK
+    ? Number(process.env.INDEXER_START_BLOCK)
+    : deployed && deployed.address.toLowerCase() === address.toLowerCase()
+      ? deployed.blockNumber
+      : 0;
+
+  const abtc = await hre.ethers.getContractAt("aBTC_PoW", address);
+  const dataDir = process.env.INDEXER_DATA_DIR || path.join(process.cwd(), ".indexer");
+  const indexer = new Indexer({
+    contract: abtc,
+    file: path.join(dataDir, `${chainId}-${address.toLowerCase()}.json`),
+    startBlock,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+  });
+
+  console.log(`📚 Index aBTC_PoW ${address} trên ${hre.network.name} từ block ${indexer.lastBlock + 1}`);
+
+  const syncOnce = async () => {
+    const count = await indexer.sync();
+    const { finished, orphaned, rate } = indexer.getOrphanRate();
+    console.log(
+      `✅ Block ${indexer.lastBlock}: +${count} log | ${finished} round kết thúc, ${orphaned} orphaned (${(rate * 100).toFixed(1)}%)`
+    );
+  };
+
+  await syncOnce();
+  if (process.env.INDEXER_WATCH !== "true") {
+    console.table(indexer.getLeaderboard(10));
+    return;
+  }
+
+  const interval = Number(process.env.INDEXER_INTERVAL || 5000);
+  for (;;) {
+    await new Promise((r) => setTimeout(r, interval));
+    await syncOnce();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+const hre = require("hardhat");
+const { parseUnits } = require("ethers");
+const { Keeper } = require("../lib/keeper");
+const { getDeployedAddress } = require("../lib/deployments");
+
+// Keeper: gọi forceAdvanceRound khi round kẹt quá REVEAL_DEADLINE và
+// emergencyDifficultyReset khi epoch kéo dài quá 10x. Nhiều keeper chạy song
+// song được — keeper đến sau tự lùi khi round đã được xử lý.
+//
+// Cấu hình qua biến môi trường:
+//   ABTC_ADDRESS          — địa chỉ contract aBTC_PoW (mặc định: đọc từ deployments/<chainId>.json)
+//   KEEPER_MAX_GWEI       — trần maxFeePerGas tính bằng gwei (mặc định: không giới hạn)
+//   KEEPER_GRACE_BLOCKS   — chờ thêm N block sau deadline trước khi force advance (mặc định: 0)
+//   KEEPER_GRACE_SECONDS  — chờ thêm N giây sau ngưỡng khẩn cấp trước khi reset (mặc định: 0)
+//   KEEPER_INTERVAL       — ms giữa các lượt kiểm tra (mặc định: 5000)
+//   KEEPER_CONFIRM_TIMEOUT — ms chờ receipt trước khi gửi lại với phí cao hơn (mặc định: 60000)
+//
+// Ví dụ: KEEPER_MAX_GWEI=50 KEEPER_GRACE_BLOCKS=10 npx hardhat run scripts/keeper.js --network monadTestnet
+
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const abtcAddress = process.env.ABTC_ADDRESS || getDeployedAddress(chainId, "aBTC_PoW");
+  const abtc = await hre.ethers.getContractAt("aBTC_PoW", abtcAddress, signer);
+
+  const keeper = new Keeper({
+    contract: abtc,
+    maxFeePerGas: process.env.KEEPER_MAX_GWEI ? parseUnits(process.env.KEEPER_MAX_GWEI, "gwei") : undefined,
+    graceBlocks: Number(process.env.KEEPER_GRACE_BLOCKS || 0),
+    graceSeconds: Number(process.env.KEEPER_GRACE_SECONDS || 0),
+    pollInterval: Number(process.env.KEEPER_INTERVAL || 5000),
+    confirmTimeout: Number(process.env.KEEPER_CONFIRM_TIMEOUT || 60000),
+  });
+
+  console.log(`🚀 Keeper ${signer.address} trên ${hre.network.name}, contract ${abtcAddress}`);
+
+  process.on("SIGINT", () => {
+    console.log("\n🛑 Đang dừng keeper...");
+    keeper.stop();
+  });
+
+  const sent = await keeper.run();
+  console.log(`📊 Tổng số giao dịch đã gửi: ${sent}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
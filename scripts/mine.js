@@ -0,0 +1,61 @@
+const hre = require("hardhat");
+const path = require("path");
+const { Miner, SecretStore } = require("../lib/miner");
+const { FleetMiner } = require("../lib/fleet");
+const { getDeployedAddress } = require("../lib/deployments");
+
+// Cấu hình qua biến môi trường (hardhat run không nhận tham số CLI):
+//   ABTC_ADDRESS   — địa chỉ contract aBTC_PoW (mặc định: đọc từ deployments/<chainId>.json)
+//   AGENT_ID       — NFT agent ID ví đào sở hữu hoặc được approve (bắt buộc); nhiều agent: "1,2,3" → chạy FleetMiner
+//   MINER_PIPELINE — "false" để tắt pre-commit cho round kế tiếp khi chạy fleet (mặc định: bật)
+//   MINER_WORKERS  — số worker threads (mặc định: số CPU)
+//   MINER_ROUNDS   — dừng sau N round thắng (mặc định: chạy mãi)
+//   MINER_DATA_DIR — thư mục lưu secret (mặc định: ./.miner)
+//
+// Ví dụ: AGENT_ID=1 npx hardhat run scripts/mine.js --network monadTestnet
+
+async function main() {
+  const { AGENT_ID } = process.env;
+  if (!AGENT_ID) {
+    console.error("❌ Lỗi: Cần đặt AGENT_ID.");
+    process.exit(1);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const abtcAddress = process.env.ABTC_ADDRESS || getDeployedAddress(chainId, "aBTC_PoW");
+  const abtc = await hre.ethers.getContractAt("aBTC_PoW", abtcAddress, signer);
+
+  const dataDir = process.env.MINER_DATA_DIR || path.join(process.cwd(), ".miner");
+  const store = SecretStore.forContract(dataDir, chainId, abtcAddress);
+
+  const agentIds = AGENT_ID.split(",").map((id) => BigInt(id.trim()));
+  const opts = {
+    contract: abtc,
+    store,
+    workers: process.env.MINER_WORKERS ? Number(process.env.MINER_WORKERS) : undefined,
+  };
+  const miner =
+    agentIds.length > 1
+      ? new FleetMiner({ ...opts, agentIds, pipeline: process.env.MINER_PIPELINE !== "false" })
+      : new Miner({ ...opts, agentId: agentIds[0] });
+
+  console.log(`🚀 Bắt đầu đào trên ${hre.network.name} với ví ${signer.address}, agent ${agentIds.join(", ")}`);
+  console.log(`🔐 Secret được lưu tại: ${store.file}`);
+
+  process.on("SIGINT", () => {
+    console.log("\n🛑 Đang dừng miner...");
+    miner.stop();
+  });
+
+  const rounds = process.env.MINER_ROUNDS ? Number(process.env.MINER_ROUNDS) : Infinity;
+  const won = await miner.run({ rounds });
+  console.log(`📊 Tổng số round thắng: ${won}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
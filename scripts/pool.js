@@ -0,0 +1,70 @@
+const hre = require("hardhat");
+const path = require("path");
+const { SecretStore } = require("../lib/miner");
+const { PoolOperator, PoolMember } = require("../lib/pool");
+
+// Cấu hình qua biến môi trường:
+//   POOL_ADDRESS   — địa chỉ contract MiningPool (bắt buộc)
+//   POOL_MODE      — "operator" (commit/reveal cho agent của pool) hoặc "member" (nộp share) (mặc định: member)
+//   POOL_INTERVAL  — ms giữa các lượt (mặc định: 1000)
+//   MINER_DATA_DIR — thư mục lưu secret của operator (mặc định: ./.miner)
+//
+// Ví dụ: POOL_ADDRESS=0x... POOL_MODE=operator npx hardhat run scripts/pool.js --network monadTestnet
+
+async function main() {
+  const { POOL_ADDRESS } = process.env;
+  if (!POOL_ADDRESS) {
+    console.error("❌ Lỗi: Cần đặt POOL_ADDRESS.");
+    process.exit(1);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const pool = await hre.ethers.getContractAt("MiningPool", POOL_ADDRESS, signer);
+  const abtc = await hre.ethers.getContractAt("aBTC_PoW", await pool.abtc(), signer);
+  const interval = Number(process.env.POOL_INTERVAL || 1000);
+  const mode = process.env.POOL_MODE || "member";
+
+  let stopped = false;
+  let operator;
+  process.on("SIGINT", () => {
+    console.log("\n🛑 Đang dừng...");
+    stopped = true;
+    if (operator) operator.stop();
+  });
+
+  if (mode === "operator") {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const dataDir = process.env.MINER_DATA_DIR || path.join(process.cwd(), ".miner");
+    const store = SecretStore.forContract(dataDir, chainId, POOL_ADDRESS);
+
+    operator = new PoolOperator({ pool, abtc, store, pollInterval: interval });
+    console.log(`🚀 Operator pool ${POOL_ADDRESS} (agent ${await pool.agentId()}) trên ${hre.network.name}`);
+    console.log(`🔐 Secret được lưu tại: ${store.file}`);
+    const won = await operator.run();
+    console.log(`📊 Tổng số round pool thắng: ${won}`);
+    return;
+  }
+
+  if (mode !== "member") throw new Error(`POOL_MODE không hợp lệ: ${mode}`);
+  if (!(await pool.members(signer.address))) {
+    console.log(`➕ ${signer.address} tham gia pool...`);
+    await (await pool.join()).wait();
+  }
+
+  const member = new PoolMember({ pool, abtc });
+  console.log(`🚀 Member ${signer.address} nộp share cho pool ${POOL_ADDRESS} trên ${hre.network.name}`);
+  let total = 0;
+  while (!stopped) {
+    const submitted = await member.mineShares({ maxShares: 1, maxTries: 200_000 });
+    total += submitted.length;
+    if (submitted.length === 0) await new Promise((r) => setTimeout(r, interval));
+  }
+  console.log(`📊 Tổng số share đã nộp: ${total}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+const hre = require("hardhat");
+const path = require("path");
+const { RelayQueue, Relayer } = require("../lib/relayer");
+const { getDeployedAddress } = require("../lib/deployments");
+
+// Relayer cho commit/reveal ký EIP-712 (chủ agent không cần gas):
+// chủ agent ký payload bằng signCommit/signReveal (lib/relayer.js) rồi thả file JSON
+// vào <RELAY_DATA_DIR>/<chainId>-<contract>/pending/; relayer gửi theo thứ tự nonce
+// và nhận phần validator của reveal thắng.
+//
+// Cấu hình qua biến môi trường:
+//   ABTC_ADDRESS   — địa chỉ contract aBTC_PoW (mặc định: đọc từ deployments/<chainId>.json)
+//   RELAY_DATA_DIR — thư mục hàng đợi (mặc định: ./.relayer)
+//   RELAY_INTERVAL — ms giữa các lượt quét hàng đợi (mặc định: 1000)
+//
+// Ví dụ: npx hardhat run scripts/relay.js --network monadTestnet
+
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const abtcAddress = process.env.ABTC_ADDRESS || getDeployedAddress(chainId, "aBTC_PoW");
+  const abtc = await hre.ethers.getContractAt("aBTC_PoW", abtcAddress, signer);
+
+  const dataDir = process.env.RELAY_DATA_DIR || path.join(process.cwd(), ".relayer");
+  const queue = RelayQueue.forContract(dataDir, chainId, abtcAddress);
+  const relayer = new Relayer({ contract: abtc, queue, pollInterval: Number(process.env.RELAY_INTERVAL || 1000) });
+
+  console.log(`🚀 Relayer ${signer.address} trên ${hre.network.name}`);
+  console.log(`📥 Hàng đợi: ${path.join(queue.dir, "pending")}`);
+
+  process.on("SIGINT", () => {
+    console.log("\n🛑 Đang dừng relayer...");
+    relayer.stop();
+  });
+
+  const sent = await relayer.run();
+  console.log(`📊 Tổng số payload đã gửi: ${sent}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,93 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const { simulate, replayOnChain } = require("../lib/simulator");
+
+// Cấu hình qua biến môi trường:
+//   SIM_CONFIG  — file JSON { rounds, miners, params, blockTime, seed } (mặc định: kịch bản bên dưới)
+//   SIM_SEED    — seed cho PRNG, ghi đè seed trong config
+//   SIM_VERIFY  — "true" để chạy thêm kịch bản ngắn trên contract thật (chỉ mạng hardhat/localhost)
+//                 và so khớp state on-chain với mô hình sau từng bước
+//
+// Hash rate tính theo H/s; joinAt/leaveAt tính theo giây kể từ lúc bắt đầu.
+// Ví dụ: SIM_CONFIG=sim.json SIM_VERIFY=true npx hardhat run scripts/simulate.js
+
+const DEFAULT_SCENARIO = {
+  rounds: 500,
+  blockTime: 1,
+  seed: 1,
+  miners: [
+    { id: "steady", hashRate: 50 },
+    { id: "whale", hashRate: 500, joinAt: 3_600, leaveAt: 10_800 },
+    { id: "late", hashRate: 100, joinAt: 7_200 },
+  ],
+};
+
+// Kịch bản xác minh: epoch nhanh (chạm clamp x4), epoch chậm, force-advance ở biên epoch, emergency reset
+const VERIFY_STEPS = [
+  ...Array(11).fill({ action: "mine", after: 5 }),
+  ...Array(9).fill({ action: "mine", after: 400 }),
+  { action: "force", after: 0 },
+  { action: "mine", after: 30 },
+  { action: "emergency", after: 6_100 },
+  { action: "mine", after: 60 },
+];
+
+async function verify() {
+  if (!["hardhat", "localhost"].includes(hre.network.name)) {
+    throw new Error("SIM_VERIFY chỉ chạy trên mạng hardhat/localhost (cần evm_setNextBlockTimestamp)");
+  }
+  const [deployer] = await hre.ethers.getSigners();
+  const registry = await hre.ethers.deployContract("MockRegistry");
+  const extension = await hre.ethers.deployContract("aBTC_PoWExtension", [registry.target]);
+  const seedProvider = await hre.ethers.deployContract("PrevrandaoSeedProvider");
+  const abtc = await hre.ethers.deployContract("aBTC_PoW", [
+    registry.target,
+    deployer.address,
+    deployer.address,
+    extension.target,
+    seedProvider.target,
+  ]);
+  await registry.mint(deployer.address); // agent 1
+
+  const results = await replayOnChain({ hre, contract: abtc, agentId: 1n, steps: VERIFY_STEPS });
+  for (const [i, r] of results.entries()) {
+    const mark = r.match ? "✅" : "❌";
+    console.log(`${mark} step ${i + 1} ${r.step.action.padEnd(9)} round=${r.chain.currentRound} difficulty=${r.chain.roundDifficulty}`);
+    if (!r.match) console.log("   chain:", r.chain, "\n   model:", r.model);
+  }
+  return results.every((r) => r.match);
+}
+
+async function main() {
+  const config = process.env.SIM_CONFIG
+    ? JSON.parse(fs.readFileSync(process.env.SIM_CONFIG, "utf8"))
+    : DEFAULT_SCENARIO;
+  if (process.env.SIM_SEED) config.seed = Number(process.env.SIM_SEED);
+
+  const { report, model } = simulate(config);
+
+  console.log(`🎲 ${report.rounds} rounds, ${config.miners.length} miners, seed ${config.seed ?? 1}`);
+  console.log(`   Round time:   mean ${report.meanRoundTime.toFixed(1)}s ± ${report.stdDevRoundTime.toFixed(1)}s (target ${report.targetTime}s)`);
+  console.log(`   Difficulty:   ${report.minDifficulty} … ${report.maxDifficulty}, final ${report.finalDifficulty}`);
+  console.log(`   Oscillation:  ${(report.difficultyOscillation * 100).toFixed(1)}% avg change over ${report.epochAdjustments} epochs`);
+  console.log(`   Emergencies:  ${report.emergencyResets}`);
+  console.log(`   Orphaned:     ${report.orphanRounds} rounds`);
+  console.log(`   Emission:     ${hre.ethers.formatUnits(report.totalMined, 8)} / ${hre.ethers.formatUnits(report.maxSupply, 8)} aBTC (${report.emittedPercent}%)`);
+  console.log(`   Wins:         ${JSON.stringify(report.winsByMiner)}`);
+  console.log(`   Next round:   ${model.currentRound}`);
+
+  if (process.env.SIM_VERIFY === "true") {
+    console.log("\n🔍 Replaying verification scenario on-chain...");
+    if (!(await verify())) {
+      console.error("❌ Simulator và contract lệch nhau");
+      process.exitCode = 1;
+    } else {
+      console.log("✅ Simulator khớp contract ở mọi bước");
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
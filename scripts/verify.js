@@ -0,0 +1,30 @@
+const hre = require("hardhat");
+const { readDeployment, manifestPath, verifyDeployment } = require("../lib/deployments");
+
+// Verify lại toàn bộ contract trong deployments/<chainId>.json
+// Ví dụ: npx hardhat run scripts/verify.js --network sepolia
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = readDeployment(chainId);
+
+  if (!manifest) {
+    console.error(`❌ Lỗi: Không tìm thấy manifest ${manifestPath(chainId)}. Chạy scripts/deploy.js trước.`);
+    process.exit(1);
+  }
+
+  console.log(`🔍 Verify ${Object.keys(manifest.contracts).length} contract trên ${hre.network.name}...`);
+  const results = await verifyDeployment(hre, manifest);
+
+  for (const [name, ok] of Object.entries(results)) {
+    console.log(`${ok ? "✅" : "❌"} ${name} @ ${manifest.contracts[name].address}`);
+  }
+  if (!Object.values(results).every(Boolean)) process.exit(1);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
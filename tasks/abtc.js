@@ -0,0 +1,109 @@
+const { task, types } = require("hardhat/config");
+const { formatUnits } = require("ethers");
+const { getDeployedAddress } = require("../lib/deployments");
+const ops = require("../lib/ops");
+
+// Tác vụ vận hành một deployment đang chạy. Địa chỉ aBTC_PoW mặc định đọc từ
+// deployments/<chainId>.json (ghi bởi scripts/deploy.js); --address để ghi đè,
+// --deployments để đọc manifest ở thư mục khác.
+// Mọi tác vụ gửi giao dịch đều kiểm tra điều kiện trước, rồi mô phỏng bằng
+// eth_call; nếu không qua thì in custom error đã decode và không gửi gì.
+//
+// Ví dụ:
+//   npx hardhat abtc:status --network monadTestnet
+//   npx hardhat abtc:force-advance --network monadTestnet
+//   npx hardhat abtc:agent-stats --agent 1 --network monadTestnet
+
+const fmt = (amount) => `${formatUnits(amount, 8)} aBTC`;
+
+/** aBTC_PoW đã connect với ví gửi (--from, mặc định ví đầu tiên của network). */
+async function connect(hre, { address, deployments, from }) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const target = address || getDeployedAddress(chainId, "aBTC_PoW", deployments);
+  const signer = from ? await hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+  return hre.ethers.getContractAt("aBTC_PoW", target, signer);
+}
+
+function abtcTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "Địa chỉ aBTC_PoW (mặc định: deployments/<chainId>.json)")
+    .addOptionalParam("deployments", "Thư mục chứa manifest <chainId>.json (mặc định: deployments/)")
+    .addOptionalParam("from", "Ví gửi giao dịch (mặc định: ví đầu tiên)");
+}
+
+/** Gửi `action` qua lib/ops và in kết quả; lỗi thì đặt exit code 1. */
+async function runAction(hre, args, action, label) {
+  const abtc = await connect(hre, args);
+  const result = await ops.execute(abtc, action);
+  if (result.ok) {
+    console.log(`✅ ${label}: tx ${result.hash} (block ${result.blockNumber})`);
+  } else {
+    console.error(`❌ ${label} bị từ chối: ${result.error}`);
+    if (result.detail) console.error(`   ${result.detail}`);
+    process.exitCode = 1;
+  }
+  return result;
+}
+
+abtcTask("abtc:status", "In trạng thái round, difficulty, emission và các mốc khẩn cấp").setAction(async (args, hre) => {
+  const status = await ops.getStatus(await connect(hre, args));
+
+  console.log(`📊 aBTC_PoW ${status.address} trên ${hre.network.name} (block ${status.blockNumber})`);
+  console.log(`   Round:           ${status.round}${status.paused ? " ⏸️ ĐANG PAUSE" : ""}`);
+  console.log(`   Difficulty:      ${status.difficulty}`);
+  console.log(`   Reward:          ${fmt(status.reward)}`);
+  console.log(`   Đã phát hành:    ${fmt(status.totalMined)}`);
+  console.log(`   Tip pool:        ${fmt(status.tipPool)}`);
+  console.log(`   Reveal pending:  ${status.revealPending ? "có" : "không"}`);
+  console.log(
+    `   Force advance:   ${status.blocksUntilForceAdvance === 0n ? "✅ gọi được" : `còn ${status.blocksUntilForceAdvance} block`}`
+  );
+  console.log(
+    `   Emergency reset: ${status.secondsUntilEmergency === 0n ? "✅ gọi được" : `còn ${status.secondsUntilEmergency} giây`}`
+  );
+  console.log(`   Admin:           ${status.admin}`);
+  console.log(`   Treasury:        ${status.treasury}`);
+  console.log(`   Staking:         ${status.staking}`);
+  console.log(`   Agent adapter:   ${status.agentAdapter}`);
+  console.log(`   Seed provider:   ${status.seedProvider}`);
+  return status;
+});
+
+abtcTask("abtc:pause", "Tạm dừng đào (cần PAUSER_ROLE)").setAction((args, hre) =>
+  runAction(hre, args, "pause", "Pause")
+);
+
+abtcTask("abtc:unpause", "Mở lại đào (cần RECOVERY_ROLE)").setAction((args, hre) =>
+  runAction(hre, args, "unpause", "Unpause")
+);
+
+abtcTask("abtc:force-advance", "Bỏ qua round bị kẹt sau REVEAL_DEADLINE").setAction((args, hre) =>
+  runAction(hre, args, "forceAdvanceRound", "Force advance")
+);
+
+abtcTask("abtc:emergency-reset", "Đưa difficulty về MIN_DIFFICULTY khi epoch kéo dài quá 10x").setAction((args, hre) =>
+  runAction(hre, args, "emergencyDifficultyReset", "Emergency reset")
+);
+
+abtcTask("abtc:agent-stats", "In thống kê đào của một agent")
+  .addParam("agent", "Agent ID", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const abtc = await connect(hre, args);
+    let stats;
+    try {
+      stats = await ops.getAgentStats(abtc, BigInt(args.agent));
+    } catch (err) {
+      console.error(`❌ Không đọc được agent ${args.agent}: ${ops.decodeError(abtc, err)}`);
+      process.exitCode = 1;
+      return null;
+    }
+
+    console.log(`🤖 Agent ${stats.agentId}`);
+    console.log(`   Owner:           ${stats.owner}`);
+    console.log(`   Nhận thưởng tại: ${stats.payoutAddress}`);
+    console.log(`   Số round thắng:  ${stats.totalWins} (gần nhất: round ${stats.lastWinRound})`);
+    console.log(`   Tổng thu nhập:   ${fmt(stats.totalEarned)}`);
+    console.log(`   Commit round này: ${stats.committedThisRound ? "có" : "chưa"}`);
+    console.log(`   Đủ điều kiện:    ${stats.eligible ? "có" : "không"}`);
+    return stats;
+  });
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const sdk = require("../lib/abtc");
+
+describe("aBTC SDK (lib/abtc.js) — conformance với contract", function () {
+  let aBTC, registry;
+  let miner, treasury, admin;
+
+  const SAMPLES = 25;
+
+  function randomUint256() {
+    return BigInt(ethers.hexlify(ethers.randomBytes(32)));
+  }
+
+  async function mineOneRound(secret) {
+    await aBTC.connect(miner).commit(1, sdk.computeCommitHash(1, secret, miner.address));
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_mine", []);
+
+    const enhancedSeed = sdk.computeEnhancedSeed(await aBTC.roundSeed(), secret);
+    const { nonce } = sdk.findNonce(1, enhancedSeed, await aBTC.getTarget());
+    await aBTC.connect(miner).revealAndMine(1, nonce, secret);
+  }
+
+  beforeEach(async function () {
+    [, miner, treasury, admin] = await ethers.getSigners();
+
+    const RegistryFactory = await ethers.getContractFactory("MockRegistry");
+    registry = await RegistryFactory.deploy();
+
+    const extension = await ethers.deployContract("aBTC_PoWExtension", [registry.target]);
+    const seedProvider = await ethers.deployContract("PrevrandaoSeedProvider");
+    const ABTCFactory = await ethers.getContractFactory("aBTC_PoW");
+    aBTC = await ABTCFactory.deploy(registry.target, treasury.address, admin.address, extension.target, seedProvider.target);
+
+    await registry.connect(miner).mint(miner.address);
+  });
+
+  describe("Hashing", function () {
+    it("Test 1: computeHash khớp view computeHash với input ngẫu nhiên", async function () {
+      for (let i = 0; i < SAMPLES; i++) {
+        const [agentId, nonce, seed] = [randomUint256(), randomUint256(), randomUint256()];
+        expect(sdk.computeHash(agentId, nonce, seed)).to.equal(await aBTC.computeHash(agentId, nonce, seed));
+      }
+    });
+
+    it("Test 2: computeCommitHash khớp view computeCommitHash với input ngẫu nhiên", async function () {
+      for (let i = 0; i < SAMPLES; i++) {
+        const agentId = randomUint256();
+        const secret = randomUint256();
+        const minerAddress = ethers.Wallet.createRandom().address;
+        expect(sdk.computeCommitHash(agentId, secret, minerAddress)).to.equal(
+          await aBTC.computeCommitHash(agentId, secret, minerAddress)
+        );
+      }
+    });
+
+    it("Test 3: Nonce tìm bằng SDK được contract chấp nhận", async function () {
+      await mineOneRound(123456789n);
+      expect(await aBTC.currentRound()).to.equal(2);
+    });
+  });
+
+  describe("Difficulty & Reward", function () {
+    it("Test 4: Hằng số SDK khớp hằng số contract", async function () {
+      for (const name of [
+        "MAX_SUPPLY",
+        "INITIAL_REWARD",
+        "HALVING_INTERVAL",
+        "TIP_PAYOUT_DIVISOR",
+        "MIN_DIFFICULTY",
+        "MAX_DIFFICULTY",
+        "TARGET_TIME",
+        "MAX_ADJUSTMENT_FACTOR",
+        "EPOCH_LENGTH",
+        "MINER_SHARE",
+        "VALIDATOR_SHARE",
+        "PLATFORM_SHARE",
+        "COMMIT_COOLDOWN",
+        "REVEAL_DEADLINE",
+        "REVEAL_WINDOW",
+      ]) {
+        expect(await aBTC[name](), name).to.equal(sdk[name]);
+      }
+      expect(await aBTC.decimals()).to.equal(sdk.DECIMALS);
+    });
+
+    it("Test 5: difficultyToTarget khớp getTarget trước và sau khi điều chỉnh difficulty", async function () {
+      expect(sdk.difficultyToTarget(await aBTC.roundDifficulty())).to.equal(await aBTC.getTarget());
+
+      for (let i = 0; i < Number(sdk.EPOCH_LENGTH) + 1; i++) {
+        await mineOneRound(1000n + BigInt(i));
+      }
+
+      const difficulty = await aBTC.roundDifficulty();
+      expect(difficulty).to.be.greaterThan(sdk.MIN_DIFFICULTY);
+      expect(sdk.difficultyToTarget(difficulty)).to.equal(await aBTC.getTarget());
+      // Dưới MIN_DIFFICULTY bị kẹp lại như contract
+      expect(sdk.difficultyToTarget(1n)).to.equal(ethers.MaxUint256 / sdk.MIN_DIFFICULTY);
+    });
+
+    it("Test 6: getReward khớp contract và halving đúng ở biên era", async function () {
+      expect(sdk.getReward(await aBTC.currentRound())).to.equal(await aBTC.getReward());
+
+      const H = sdk.HALVING_INTERVAL;
+      expect(sdk.getReward(H - 1n)).to.equal(sdk.INITIAL_REWARD);
+      expect(sdk.getReward(H)).to.equal(sdk.INITIAL_REWARD / 2n);
+      expect(sdk.getReward(H * 2n)).to.equal(sdk.INITIAL_REWARD / 4n);
+      expect(sdk.getReward(H * 64n - 1n)).to.equal(0n); // 50e8 >> 63 = 0
+      expect(sdk.getReward(H * 64n)).to.equal(0n);
+    });
+
+    it("Test 7: splitReward khớp số dư thực tế sau khi mine (90/5/5)", async function () {
+      const round = await aBTC.currentRound();
+      const { reward, minerAmt, validatorAmt, platformAmt } = sdk.computeRoundPayout(round, await aBTC.totalMined());
+
+      await mineOneRound(42n);
+
+      expect(await aBTC.balanceOf(miner.address)).to.equal(minerAmt);
+      expect(await aBTC.balanceOf(await aBTC.validatorRecipient())).to.equal(validatorAmt);
+      expect(await aBTC.balanceOf(treasury.address)).to.equal(platformAmt);
+      expect((await aBTC.agentStats(1)).totalEarned).to.equal(minerAmt);
+      expect(await aBTC.totalMined()).to.equal(reward);
+    });
+
+    it("Test 8: splitReward không mất phần lẻ, capReward kẹp tại MAX_SUPPLY", function () {
+      for (const reward of [1n, 3n, 19n, 12345n, sdk.INITIAL_REWARD >> 7n]) {
+        const { minerAmt, validatorAmt, platformAmt } = sdk.splitReward(reward);
+        expect(minerAmt + validatorAmt + platformAmt).to.equal(reward);
+      }
+
+      expect(sdk.capReward(sdk.INITIAL_REWARD, 0n)).to.equal(sdk.INITIAL_REWARD);
+      expect(sdk.capReward(sdk.INITIAL_REWARD, sdk.MAX_SUPPLY - 7n)).to.equal(7n);
+      expect(sdk.capReward(sdk.INITIAL_REWARD, sdk.MAX_SUPPLY)).to.equal(0n);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { createApi } = require("../lib/api");
+const { Indexer } = require("../lib/indexer");
+const sdk = require("../lib/abtc");
+
+describe("HTTP API (lib/api.js)", function () {
+  let aBTC;
+  let minerA, minerB;
+  let server, baseUrl, dataDir, indexer;
+
+  async function deployFixture() {
+    const [, _minerA, _treasury, _admin, , _minerB] = await ethers.getSigners();
+    const { abtc, registry } = await ignition.deploy(ABTCWithMockRegistryModule, {
+      parameters: {
+        ABTCWithMockRegistryModule: { treasury: _treasury.address, admin: _admin.address },
+      },
+    });
+    await registry.connect(_minerA).mint(_minerA.address); // agent 1
+    await registry.connect(_minerB).mint(_minerB.address); // agent 2
+    return { abtc, registry };
+  }
+
+  async function mineRound(signer, agentId, secret) {
+    await aBTC.connect(signer).commit(agentId, sdk.computeCommitHash(agentId, secret, signer.address));
+    await mine(2);
+    const enhancedSeed = sdk.computeEnhancedSeed(await aBTC.roundSeed(), secret);
+    const { nonce } = sdk.findNonce(agentId, enhancedSeed, await aBTC.getTarget());
+    await aBTC.connect(signer).revealAndMine(agentId, nonce, secret);
+  }
+
+  async function get(pathname) {
+    const res = await fetch(baseUrl + pathname);
+    return { status: res.status, body: await res.json() };
+  }
+
+  beforeEach(async function () {
+    [, minerA, , , , minerB] = await ethers.getSigners();
+    ({ abtc: aBTC } = await loadFixture(deployFixture));
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "abtc-api-"));
+    indexer = new Indexer({
+      contract: aBTC,
+      file: path.join(dataDir, "index.json"),
+      startBlock: await ethers.provider.getBlockNumber(),
+    });
+
+    ({ server } = createApi({ contract: aBTC, indexer, indexerMaxAge: 0 }));
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("Test 1: /round trả về state round hiện tại khớp các view", async function () {
+    await mineRound(minerA, 1, 1n);
+
+    const { status, body } = await get("/round");
+    expect(status).to.equal(200);
+    expect(body.round).to.equal("2");
+    expect(body.difficulty).to.equal((await aBTC.roundDifficulty()).toString());
+    expect(body.target).to.equal((await aBTC.getTarget()).toString());
+    expect(body.seed).to.equal((await aBTC.roundSeed()).toString());
+    expect(body.reward).to.equal(sdk.INITIAL_REWARD.toString());
+    expect(body.forceAdvanceBlock).to.equal(((await aBTC.roundStartBlock()) + 257n).toString());
+  });
+
+  it("Test 2: /epoch ước lượng hash rate từ difficulty và thời gian round", async function () {
+    let res = await get("/epoch");
+    expect(res.body.roundsCompleted).to.equal("0");
+    expect(res.body.estimatedHashRate).to.equal(null);
+
+    const epochStart = await aBTC.epochStartTime();
+    await mineRound(minerA, 1, 1n);
+    await time.increase(59);
+    await mineRound(minerA, 1, 2n);
+
+    res = await get("/epoch");
+    const elapsed = BigInt(res.body.timestamp) - epochStart;
+    expect(res.body.roundsCompleted).to.equal("2");
+    expect(res.body.roundsUntilAdjustment).to.equal("8");
+    expect(res.body.elapsed).to.equal(elapsed.toString());
+    // 2 round × 1000 hash kỳ vọng / elapsed giây
+    expect(res.body.estimatedHashRate).to.be.closeTo(2000 / Number(elapsed), 1e-9);
+    expect(res.body.averageRoundTime).to.equal(Number(elapsed) / 2);
+  });
+
+  it("Test 3: /agents/:id gộp agentStats, owner và lịch sử thắng", async function () {
+    await mineRound(minerA, 1, 1n);
+    await mineRound(minerB, 2, 2n);
+    await mineRound(minerA, 1, 3n);
+
+    const { status, body } = await get("/agents/1");
+    expect(status).to.equal(200);
+    expect(body.owner).to.equal(minerA.address);
+    expect(body.totalWins).to.equal("2");
+    expect(body.totalEarned).to.equal((sdk.splitReward(sdk.INITIAL_REWARD).minerAmt * 2n).toString());
+    expect(body.lastWinRound).to.equal("3");
+    expect(body.wins).to.deep.equal([1, 3]);
+
+    const missing = await get("/agents/999");
+    expect(missing.body.owner).to.equal(null);
+    expect(missing.body.totalWins).to.equal("0");
+  });
+
+  it("Test 4: /leaderboard xếp hạng theo totalWins", async function () {
+    await mineRound(minerB, 2, 1n);
+    await mineRound(minerA, 1, 2n);
+    await mineRound(minerB, 2, 3n);
+
+    const { body } = await get("/leaderboard");
+    expect(body.map((e) => [e.rank, e.agentId, e.totalWins])).to.deep.equal([
+      [1, "2", "2"],
+      [2, "1", "1"],
+    ]);
+
+    const top1 = await get("/leaderboard?limit=1");
+    expect(top1.body).to.have.length(1);
+  });
+
+  it("Test 5: /supply khớp totalMined và lịch halving", async function () {
+    await mineRound(minerA, 1, 1n);
+
+    const { body } = await get("/supply");
+    expect(body.totalMined).to.equal(sdk.INITIAL_REWARD.toString());
+    expect(body.totalSupply).to.equal(sdk.INITIAL_REWARD.toString());
+    expect(body.remaining).to.equal((sdk.MAX_SUPPLY - sdk.INITIAL_REWARD).toString());
+    expect(body.era).to.equal("0");
+    expect(body.nextHalvingRound).to.equal(sdk.HALVING_INTERVAL.toString());
+    expect(body.roundsUntilHalving).to.equal((sdk.HALVING_INTERVAL - 2n).toString());
+    expect(body.emissionOver).to.equal(false);
+    expect(body.tipPool).to.equal("0");
+  });
+
+  it("Test 6: Route sai và tham số sai trả về lỗi JSON", async function () {
+    expect((await get("/nope")).status).to.equal(404);
+    expect((await get("/agents/abc")).status).to.equal(400);
+    expect((await get("/leaderboard?limit=0")).status).to.equal(400);
+    expect((await get("/rounds?limit=101")).status).to.equal(400);
+    expect((await get("/rounds?from=-1")).status).to.equal(400);
+  });
+
+  it("Test 7: /rounds đọc lịch sử round on-chain, không cần indexer", async function () {
+    await mineRound(minerA, 1, 11n);
+    await mineRound(minerB, 2, 22n);
+    await mine(Number(sdk.REVEAL_DEADLINE) + 1);
+    await aBTC.connect(minerA).forceAdvanceRound();
+
+    const { status, body } = await get("/rounds?limit=2");
+    expect(status).to.equal(200);
+    expect(body.map((r) => r.round)).to.deep.equal(["2", "3"]);
+    const coinbase = await aBTC.validatorRecipient();
+    expect(body[0]).to.include({ agentId: "2", miner: minerB.address, validator: coinbase, forced: false });
+    expect(body[0].reward).to.equal(sdk.INITIAL_REWARD.toString());
+    expect(body[1]).to.include({ agentId: null, miner: null, validator: minerA.address, forced: true, reward: "0" });
+
+    const all = (await get("/rounds?from=1&limit=10")).body;
+    expect(all).to.have.length(3);
+    expect(all[0].difficulty).to.equal(sdk.MIN_DIFFICULTY.toString());
+  });
+  it("Test 8: Request đồng thời khi cache cũ chỉ kích một lần indexer.sync", async function () {
+    await mineRound(minerA, 1, 1n);
+    await mineRound(minerB, 2, 2n);
+
+    // sync chậm để ba request chắc chắn đến trong lúc nó đang chạy
+    const realSync = indexer.sync.bind(indexer);
+    let syncCalls = 0;
+    indexer.sync = async (...args) => {
+      syncCalls++;
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      return realSync(...args);
+    };
+
+    const results = await Promise.all([get("/agents/1"), get("/agents/2"), get("/leaderboard")]);
+    expect(syncCalls).to.equal(1);
+    expect(results[0].body.wins).to.deep.equal([1]);
+    expect(results[1].body.wins).to.deep.equal([2]);
+    expect(results[2].body).to.have.length(2);
+  });
+});
@@ -0,0 +1,221 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const ABTCModule = require("../ignition/modules/ABTC");
+const { computeCommitHash, computeEnhancedSeed, findNonce, ADDRESS_SETTING } = require("../lib/abtc");
+const { setAddress } = require("./fixtures");
+
+describe("Agent Eligibility (AgentRegistryAdapter + rules)", function () {
+  const MIN_AGE = 3n * 24n * 3600n;
+  const TAG = ethers.encodeBytes32String("mining");
+
+  let aBTC, identity, reputation, adapter;
+  let miner, admin, rater, sybil, other;
+
+  /** Commit (không reveal) cho round hiện tại. */
+  function commitAs(signer, agentId, secret) {
+    return aBTC.connect(signer).commit(agentId, computeCommitHash(agentId, secret, signer.address));
+  }
+
+  /** Reveal commit đã gửi bằng `secret`. */
+  async function revealAs(signer, agentId, secret) {
+    const enhancedSeed = computeEnhancedSeed(await aBTC.roundSeed(), secret);
+    const { nonce } = findNonce(agentId, enhancedSeed, await aBTC.getTarget());
+    return aBTC.connect(signer).revealAndMine(agentId, nonce, secret);
+  }
+
+  // aBTC chạy trên một ERC-8004 Identity Registry (qua module ABTC.js như môi trường thật)
+  async function deployFixture() {
+    const [, _miner, _treasury, _admin, _rater, _sybil] = await ethers.getSigners();
+    const identity = await ethers.deployContract("MockIdentityRegistry");
+    const { abtc } = await ignition.deploy(ABTCModule, {
+      parameters: {
+        ABTCModule: {
+          agentRegistry: identity.target,
+          treasury: _treasury.address,
+          admin: _admin.address,
+        },
+      },
+    });
+
+    await identity.connect(_miner).register("ipfs://agent-1"); // agent 1
+    await identity.connect(_sybil).register("ipfs://agent-2"); // agent 2
+
+    const reputation = await ethers.deployContract("MockReputationRegistry");
+    const adapter = await ethers.deployContract("AgentRegistryAdapter", [identity.target, _admin.address]);
+    await setAddress(abtc, _admin, ADDRESS_SETTING.AGENT_ADAPTER, adapter.target);
+    return { abtc, identity, reputation, adapter };
+  }
+
+  beforeEach(async function () {
+    [, miner, , admin, rater, sybil, other] = await ethers.getSigners();
+    ({ abtc: aBTC, identity, reputation, adapter } = await loadFixture(deployFixture));
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  ADAPTER
+  // ═══════════════════════════════════════════════════════
+
+  describe("Adapter", function () {
+    it("Test 1: Agent ERC-8004 đăng ký xong đào được ngay khi adapter chưa có rule nào", async function () {
+      expect(await identity.ownerOf(1)).to.equal(miner.address);
+      expect(await identity.tokenURI(1)).to.equal("ipfs://agent-1");
+      expect(await adapter.registry()).to.equal(identity.target);
+      expect(await adapter.isEligible(1)).to.equal(true);
+
+      await commitAs(miner, 1n, 1n);
+      await mine(2);
+      await revealAs(miner, 1n, 1n);
+      expect(await aBTC.currentRound()).to.equal(2);
+    });
+
+    it("Test 2: enroll ghi thời điểm một lần; agent không tồn tại bị từ chối", async function () {
+      const tx = await adapter.connect(other).enroll(1);
+      const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+      await expect(tx).to.emit(adapter, "AgentEnrolled").withArgs(1, timestamp);
+      const registeredAt = await adapter.registeredAt(1);
+      expect(registeredAt).to.equal(timestamp);
+
+      await expect(adapter.enroll(1)).to.be.revertedWithCustomError(adapter, "AlreadyEnrolled");
+      await expect(adapter.enroll(99)).to.be.revertedWithCustomError(identity, "ERC721NonexistentToken");
+      expect(await adapter.registeredAt(1)).to.equal(registeredAt);
+    });
+
+    it("Test 3: Chỉ owner thêm/bớt rule; không trùng, tối đa MAX_RULES", async function () {
+      const rule = await ethers.deployContract("MinAgeRule", [MIN_AGE]);
+      await expect(adapter.connect(other).addRule(rule.target))
+        .to.be.revertedWithCustomError(adapter, "OwnableUnauthorizedAccount");
+
+      await expect(adapter.connect(admin).addRule(rule.target)).to.emit(adapter, "RuleAdded").withArgs(rule.target);
+      await expect(adapter.connect(admin).addRule(rule.target)).to.be.revertedWithCustomError(adapter, "RuleExists");
+
+      const maxRules = await adapter.MAX_RULES();
+      for (let i = 1n; i < maxRules; i++) {
+        await adapter.connect(admin).addRule((await ethers.deployContract("MinAgeRule", [i])).target);
+      }
+      const extra = await ethers.deployContract("MinAgeRule", [1]);
+      await expect(adapter.connect(admin).addRule(extra.target)).to.be.revertedWithCustomError(adapter, "TooManyRules");
+
+      await expect(adapter.connect(admin).removeRule(rule.target)).to.emit(adapter, "RuleRemoved").withArgs(rule.target);
+      expect(await adapter.getRules()).to.have.length(Number(maxRules) - 1);
+      await expect(adapter.connect(admin).removeRule(rule.target)).to.be.revertedWithCustomError(adapter, "RuleNotFound");
+    });
+
+    it("Test 4: Chỉ PARAMETER_ROLE đặt adapter qua timelock, và adapter phải cùng registry với aBTC", async function () {
+      const { AGENT_ADAPTER } = ADDRESS_SETTING;
+      await expect(aBTC.connect(other).queueAddress(AGENT_ADAPTER, ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(aBTC, "AccessControlUnauthorizedAccount");
+
+      const otherRegistry = await ethers.deployContract("MockRegistry");
+      const wrong = await ethers.deployContract("AgentRegistryAdapter", [otherRegistry.target, admin.address]);
+      await expect(aBTC.connect(admin).queueAddress(AGENT_ADAPTER, wrong.target))
+        .to.be.revertedWithCustomError(aBTC, "AdapterRegistryMismatch");
+
+      // Adapter mới chỉ có hiệu lực sau PARAMS_TIMELOCK
+      await aBTC.connect(admin).queueAddress(AGENT_ADAPTER, ethers.ZeroAddress);
+      await expect(aBTC.connect(admin).executeAddress(AGENT_ADAPTER)).to.be.revertedWithCustomError(
+        aBTC,
+        "TimelockNotExpired"
+      );
+      expect(await aBTC.agentAdapter()).to.equal(adapter.target);
+
+      await expect(setAddress(aBTC, admin, AGENT_ADAPTER, ethers.ZeroAddress))
+        .to.emit(aBTC, "AgentAdapterUpdated")
+        .withArgs(adapter.target, ethers.ZeroAddress);
+      expect(await aBTC.agentAdapter()).to.equal(ethers.ZeroAddress);
+
+      // Registry không phải ERC-721
+      await expect(ethers.deployContract("AgentRegistryAdapter", [reputation.target, admin.address])).to.be.reverted;
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  RULES
+  // ═══════════════════════════════════════════════════════
+
+  describe("Rules", function () {
+    it("Test 5: MinAgeRule — agent mới đăng ký phải chờ đủ tuổi mới commit được", async function () {
+      const rule = await ethers.deployContract("MinAgeRule", [MIN_AGE]);
+      await adapter.connect(admin).addRule(rule.target);
+
+      // Chưa enroll → không đủ điều kiện
+      await expect(commitAs(miner, 1n, 5n)).to.be.revertedWithCustomError(aBTC, "AgentNotEligible");
+
+      await adapter.enroll(1);
+      await time.increase(MIN_AGE - 10n);
+      expect(await adapter.isEligible(1)).to.equal(false);
+      await expect(commitAs(miner, 1n, 5n)).to.be.revertedWithCustomError(aBTC, "AgentNotEligible");
+
+      await time.increase(10n);
+      expect(await adapter.isEligible(1)).to.equal(true);
+      await commitAs(miner, 1n, 5n);
+      await mine(2);
+      await revealAs(miner, 1n, 5n);
+      expect(await aBTC.currentRound()).to.equal(2);
+    });
+
+    it("Test 6: AgentListRule — deny list chặn cả reveal; chế độ allow list chỉ cho agent được duyệt", async function () {
+      const rule = await ethers.deployContract("AgentListRule", [admin.address, false]);
+      await adapter.connect(admin).addRule(rule.target);
+      await expect(rule.connect(other).setDenied([2], true))
+        .to.be.revertedWithCustomError(rule, "OwnableUnauthorizedAccount");
+
+      // Commit xong mới bị deny → reveal cũng bị từ chối
+      await commitAs(sybil, 2n, 6n);
+      await expect(rule.connect(admin).setDenied([2], true)).to.emit(rule, "DeniedUpdated").withArgs(2, true);
+      await mine(2);
+      await expect(revealAs(sybil, 2n, 6n)).to.be.revertedWithCustomError(aBTC, "AgentNotEligible");
+      await expect(commitAs(sybil, 2n, 7n)).to.be.revertedWithCustomError(aBTC, "AgentNotEligible");
+      expect(await adapter.isEligible(1)).to.equal(true);
+
+      await rule.connect(admin).setAllowListOnly(true);
+      expect(await adapter.isEligible(1)).to.equal(false);
+      await rule.connect(admin).setAllowed([1, 2], true);
+      expect(await adapter.isEligible(1)).to.equal(true);
+      expect(await adapter.isEligible(2)).to.equal(false); // deny thắng allow
+    });
+
+    it("Test 7: ReputationRule — cần đủ số feedback và điểm trung bình, chỉ tính client tin cậy", async function () {
+      const rule = await ethers.deployContract("ReputationRule", [reputation.target, [rater.address], 70, 2, TAG]);
+      await adapter.connect(admin).addRule(rule.target);
+
+      // Sybil tự chấm điểm cao cho mình — không được tính
+      await reputation.connect(sybil).giveFeedback(2, 100, TAG, ethers.ZeroHash);
+      await reputation.connect(sybil).giveFeedback(2, 100, TAG, ethers.ZeroHash);
+      expect(await adapter.isEligible(2)).to.equal(false);
+
+      await reputation.connect(rater).giveFeedback(1, 90, TAG, ethers.ZeroHash);
+      expect(await adapter.isEligible(1)).to.equal(false); // mới 1 feedback
+      await reputation.connect(rater).giveFeedback(1, 40, TAG, ethers.ZeroHash);
+      expect(await adapter.isEligible(1)).to.equal(false); // trung bình 65
+      await reputation.connect(rater).giveFeedback(1, 100, ethers.encodeBytes32String("other"), ethers.ZeroHash);
+      expect(await adapter.isEligible(1)).to.equal(false); // sai tag, không tính
+      await reputation.connect(rater).giveFeedback(1, 95, TAG, ethers.ZeroHash);
+      expect(await adapter.isEligible(1)).to.equal(true); // trung bình 75
+
+      await commitAs(miner, 1n, 8n);
+      await expect(commitAs(sybil, 2n, 9n)).to.be.revertedWithCustomError(aBTC, "AgentNotEligible");
+    });
+
+    it("Test 8: Nhiều rule cùng lúc — phải qua tất cả; gỡ adapter thì chỉ cần sở hữu agent", async function () {
+      const age = await ethers.deployContract("MinAgeRule", [MIN_AGE]);
+      const list = await ethers.deployContract("AgentListRule", [admin.address, true]);
+      await adapter.connect(admin).addRule(age.target);
+      await adapter.connect(admin).addRule(list.target);
+
+      await adapter.enroll(1);
+      await adapter.enroll(2);
+      await time.increase(MIN_AGE);
+      await list.connect(admin).setAllowed([1], true);
+      expect(await adapter.isEligible(1)).to.equal(true);
+      expect(await adapter.isEligible(2)).to.equal(false);
+
+      await adapter.connect(admin).removeRule(list.target);
+      expect(await adapter.isEligible(2)).to.equal(true);
+
+      await adapter.connect(admin).addRule(list.target);
+      await setAddress(aBTC, admin, ADDRESS_SETTING.AGENT_ADAPTER, ethers.ZeroAddress);
+      await commitAs(sybil, 2n, 10n);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../lib/abtc");
+const fixtures = require("./fixtures");
+
+describe("Emission & Post-Cap (tip pool)", function () {
+  const H = sdk.HALVING_INTERVAL;
+  const aBTCAmount = (n) => BigInt(n) * 10n ** 8n;
+
+  let aBTC;
+  let miner, treasury, tipper;
+  let secret = 0n;
+
+  /** Commit, chờ cooldown, reveal — agent 1 thắng round hiện tại. */
+  async function mineRound() {
+    secret++;
+    return (await fixtures.mineRound(aBTC, miner, 1n, secret)).tx;
+  }
+
+  // Tua nhanh bằng aBTC_PoWHarness: jumpToRound mở round và epoch mới tại đó,
+  // để lần finalize kế tiếp không điều chỉnh difficulty; setTotalMined không mint.
+  const jumpToRound = (round) => aBTC.jumpToRound(round);
+  const setTotalMined = (amount) => aBTC.setTotalMined(amount);
+
+  async function balances(addresses) {
+    return Promise.all(addresses.map((a) => aBTC.balanceOf(a)));
+  }
+
+  beforeEach(async function () {
+    [, miner, treasury, , tipper] = await ethers.getSigners();
+    ({ abtc: aBTC } = await loadFixture(fixtures.deployHarness));
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  HALVINGS
+  // ═══════════════════════════════════════════════════════
+
+  describe("Halvings", function () {
+    it("Test 1: Round cuối era 0 trả 50, round đầu era 1 trả 25", async function () {
+      await jumpToRound(H - 1n);
+      expect(await aBTC.getReward()).to.equal(sdk.INITIAL_REWARD);
+      await mineRound();
+      expect((await aBTC.getRoundRecord(H - 1n)).reward).to.equal(sdk.INITIAL_REWARD);
+
+      expect(await aBTC.currentRound()).to.equal(H);
+      expect(await aBTC.getReward()).to.equal(sdk.INITIAL_REWARD / 2n);
+      await mineRound();
+      expect((await aBTC.getRoundRecord(H)).reward).to.equal(sdk.INITIAL_REWARD / 2n);
+
+      const { minerAmt } = sdk.splitReward(sdk.INITIAL_REWARD + sdk.INITIAL_REWARD / 2n);
+      expect(await aBTC.balanceOf(miner.address)).to.equal(minerAmt);
+      expect(await aBTC.totalMined()).to.equal((sdk.INITIAL_REWARD * 3n) / 2n);
+    });
+
+    it("Test 2: Era 32 trả 1 đơn vị cho treasury; từ era 33 hết phát hành, round vẫn chạy không mint", async function () {
+      await jumpToRound(H * 32n);
+      expect(await aBTC.getReward()).to.equal(1);
+      await mineRound();
+      expect(await aBTC.balanceOf(treasury.address)).to.equal(1); // 90% và 5% của 1 làm tròn về 0
+
+      await jumpToRound(H * 33n);
+      expect(await aBTC.getReward()).to.equal(0);
+      await expect(mineRound()).not.to.emit(aBTC, "TipsPaid");
+      expect(await aBTC.currentRound()).to.equal(H * 33n + 1n);
+      expect(await aBTC.totalMined()).to.equal(1);
+      expect((await aBTC.getRoundRecord(H * 33n)).miner).to.equal(miner.address);
+    });
+
+    it("Test 3: Reward cuối bị cắt còn MAX_SUPPLY - totalMined; sau đó commit/reveal vẫn chạy", async function () {
+      await setTotalMined(sdk.MAX_SUPPLY - 7n);
+      const { reward } = sdk.computeRoundPayout(await aBTC.currentRound(), sdk.MAX_SUPPLY - 7n);
+      expect(reward).to.equal(7n);
+
+      await mineRound();
+      expect((await aBTC.getRoundRecord(1)).reward).to.equal(7);
+      expect(await aBTC.totalMined()).to.equal(sdk.MAX_SUPPLY);
+      expect(await aBTC.totalSupply()).to.equal(7);
+
+      // Round hậu cap: không revert, không mint
+      await mineRound();
+      expect(await aBTC.currentRound()).to.equal(3);
+      expect(await aBTC.totalMined()).to.equal(sdk.MAX_SUPPLY);
+      expect(await aBTC.totalSupply()).to.equal(7);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  TIP POOL
+  // ═══════════════════════════════════════════════════════
+
+  describe("Tip Pool", function () {
+    beforeEach(async function () {
+      await mineRound(); // miner có 45 aBTC để tip
+      await aBTC.connect(miner).transfer(tipper.address, aBTCAmount(20));
+    });
+
+    it("Test 4: Tip trước cap chỉ tích lũy; sau cap mỗi round trả 1% pool, chia như reward, không mint", async function () {
+      await expect(aBTC.connect(tipper).tip(aBTCAmount(20)))
+        .to.emit(aBTC, "Tipped")
+        .withArgs(tipper.address, aBTCAmount(20));
+      expect(await aBTC.tipPool()).to.equal(aBTCAmount(20));
+      expect(await aBTC.balanceOf(aBTC.target)).to.equal(aBTCAmount(20));
+
+      // Còn phát hành → tip chưa được trả
+      await mineRound();
+      expect(await aBTC.tipPool()).to.equal(aBTCAmount(20));
+
+      await setTotalMined(sdk.MAX_SUPPLY);
+      const round = await aBTC.currentRound();
+      const payout = sdk.computeRoundPayout(round, sdk.MAX_SUPPLY, undefined, aBTCAmount(20));
+      expect(payout.feeOnly).to.equal(true);
+      expect(payout.reward).to.equal(aBTCAmount(20) / 100n);
+
+      const who = [miner.address, treasury.address, await aBTC.validatorRecipient()];
+      const before = await balances(who);
+      const supply = await aBTC.totalSupply();
+      await expect(mineRound()).to.emit(aBTC, "TipsPaid").withArgs(round, payout.reward);
+      const after = await balances(who);
+
+      expect(after.map((b, i) => b - before[i])).to.deep.equal([payout.minerAmt, payout.platformAmt, payout.validatorAmt]);
+      expect(await aBTC.tipPool()).to.equal(aBTCAmount(20) - payout.reward);
+      expect(await aBTC.balanceOf(aBTC.target)).to.equal(await aBTC.tipPool());
+      expect(await aBTC.totalSupply()).to.equal(supply);
+      expect((await aBTC.getRoundRecord(round)).reward).to.equal(payout.reward);
+      expect((await aBTC.agentStats(1)).totalEarned).to.equal(sdk.splitReward(sdk.INITIAL_REWARD).minerAmt * 2n + payout.minerAmt);
+    });
+
+    it("Test 5: Pool chỉ còn bụi (< TIP_PAYOUT_DIVISOR đơn vị) thì round trả hết", async function () {
+      await aBTC.connect(tipper).tip(99);
+      await setTotalMined(sdk.MAX_SUPPLY);
+
+      expect(sdk.tipPayout(99n)).to.equal(99n);
+      await expect(mineRound()).to.emit(aBTC, "TipsPaid").withArgs(2, 99);
+      expect(await aBTC.tipPool()).to.equal(0);
+
+      await expect(mineRound()).not.to.emit(aBTC, "TipsPaid");
+      expect(await aBTC.currentRound()).to.equal(4);
+    });
+
+    it("Test 6: Sau cap difficulty vẫn điều chỉnh theo epoch", async function () {
+      await aBTC.connect(tipper).tip(aBTCAmount(20));
+      await setTotalMined(sdk.MAX_SUPPLY);
+
+      const epochLength = await aBTC.EPOCH_LENGTH();
+      const before = await aBTC.roundDifficulty();
+      let adjusted = false;
+      for (let i = 0n; i <= epochLength && !adjusted; i++) {
+        const receipt = await (await mineRound()).wait();
+        adjusted = receipt.logs.some((l) => aBTC.interface.parseLog(l)?.name === "DifficultyAdjusted");
+      }
+      expect(adjusted).to.equal(true);
+      // Round chỉ vài giây so với TARGET_TIME 60s → difficulty tăng (tối đa 4x)
+      expect(await aBTC.roundDifficulty()).to.be.greaterThan(before);
+      expect(await aBTC.roundDifficulty()).to.be.at.most(before * 4n);
+      expect(await aBTC.totalMined()).to.equal(sdk.MAX_SUPPLY);
+    });
+  });
+});
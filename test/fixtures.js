@@ -0,0 +1,94 @@
+const { ethers, ignition } = require("hardhat");
+const { mine, setBalance, time } = require("@nomicfoundation/hardhat-network-helpers");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { computeCommitHash, computeEnhancedSeed, findNonce } = require("../lib/abtc");
+
+// Fixture dùng chung cho loadFixture (hardhat-network-helpers). loadFixture nhận
+// fixture theo tham chiếu hàm, nên mọi file import cùng một hàm từ đây dùng chung
+// một snapshot thay vì deploy lại.
+//
+// Signer: owner 0, miner 1 (chủ agent 1), treasury 2, admin 3.
+//
+// deployHarness dùng aBTC_PoWHarness (contracts/mock): cùng logic với aBTC_PoW nhưng
+// đặt thẳng được target, difficulty, seed, round và totalMined — kịch bản nhiều
+// epoch, qua các lần halving hay chạm MAX_SUPPLY chạy trong vài giây, và cho cùng
+// kết quả mỗi lần chạy.
+
+const HARNESS_SEED = 0x5eedn;
+const MINER_COUNT = 20;
+
+/** aBTC_PoW thật, deploy qua Ignition module như môi trường thật. */
+async function deployABTC() {
+  const [, miner, treasury, admin] = await ethers.getSigners();
+  const { abtc, registry, extension, seedProvider } = await ignition.deploy(ABTCWithMockRegistryModule, {
+    parameters: { ABTCWithMockRegistryModule: { treasury: treasury.address, admin: admin.address } },
+  });
+  await registry.mint(miner.address); // agent 1
+  return { abtc, registry, extension, seedProvider };
+}
+
+/** aBTC_PoWHarness ở chế độ dễ: mọi nonce đều thắng, seed round 1 cố định. */
+async function deployHarness() {
+  const [, miner, treasury, admin] = await ethers.getSigners();
+  const registry = await ethers.deployContract("MockRegistry");
+  const extension = await ethers.deployContract("aBTC_PoWExtension", [registry.target]);
+  const seedProvider = await ethers.deployContract("PrevrandaoSeedProvider");
+  const abtc = await ethers.deployContract("aBTC_PoWHarness", [
+    registry.target,
+    treasury.address,
+    admin.address,
+    extension.target,
+    seedProvider.target,
+  ]);
+  await registry.mint(miner.address); // agent 1
+  await abtc.setTestTarget(ethers.MaxUint256);
+  await abtc.setSeed(HARNESS_SEED);
+  return { abtc, registry, extension, seedProvider };
+}
+
+/** deployHarness cộng 20 ví miner cố định (agent 2..21), mỗi ví có sẵn ETH trả gas. */
+async function deployHarnessWithMiners() {
+  const fixture = await deployHarness();
+  const miners = [];
+  for (let i = 0; i < MINER_COUNT; i++) {
+    const wallet = new ethers.Wallet(ethers.id(`abtc-test-miner-${i}`), ethers.provider);
+    await setBalance(wallet.address, ethers.parseEther("10"));
+    await fixture.registry.connect(wallet).mint(wallet.address);
+    miners.push(wallet);
+  }
+  return { ...fixture, miners, agentIds: miners.map((_, i) => BigInt(i + 2)) };
+}
+
+/** queueAddress → chờ PARAMS_TIMELOCK → executeAddress, như admin đổi địa chỉ trên chain thật. */
+async function setAddress(abtc, admin, setting, value) {
+  await abtc.connect(admin).queueAddress(setting, value);
+  await time.increase(await abtc.PARAMS_TIMELOCK());
+  return abtc.connect(admin).executeAddress(setting);
+}
+
+/**
+ * Commit, chờ cooldown, tìm nonce và reveal — `agentId` thắng round hiện tại.
+ * Trên harness ở chế độ dễ nonce đầu tiên đã thắng.
+ * @returns {Promise<{ tx, nonce: bigint, hashVal: bigint }>}
+ */
+async function mineRound(abtc, signer, agentId, secret) {
+  await abtc.connect(signer).commit(agentId, computeCommitHash(agentId, secret, signer.address));
+  await mine(2);
+
+  const enhancedSeed = computeEnhancedSeed(await abtc.roundSeed(), secret);
+  const found = findNonce(agentId, enhancedSeed, await abtc.getTarget());
+  if (!found) throw new Error(`No nonce found for agent ${agentId}`);
+
+  const tx = await abtc.connect(signer).revealAndMine(agentId, found.nonce, secret);
+  return { tx, nonce: found.nonce, hashVal: found.hashVal };
+}
+
+module.exports = {
+  HARNESS_SEED,
+  MINER_COUNT,
+  deployABTC,
+  deployHarness,
+  deployHarnessWithMiners,
+  mineRound,
+  setAddress,
+};
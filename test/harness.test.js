@@ -0,0 +1,81 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const sdk = require("../lib/abtc");
+const { ChainModel } = require("../lib/simulator");
+const fixtures = require("./fixtures");
+
+describe("Test Harness (aBTC_PoWHarness + test/fixtures.js)", function () {
+  let aBTC;
+  let miner;
+  let secret = 0n;
+
+  const mineRound = () => fixtures.mineRound(aBTC, miner, 1n, ++secret);
+
+  beforeEach(async function () {
+    [, miner] = await ethers.getSigners();
+    ({ abtc: aBTC } = await loadFixture(fixtures.deployHarness));
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  SETTERS
+  // ═══════════════════════════════════════════════════════
+
+  it("Test 1: Seed và target đặt thẳng — nonce đầu tiên thắng, hashVal đoán trước được", async function () {
+    expect(await aBTC.roundSeed()).to.equal(fixtures.HARNESS_SEED);
+    expect(await aBTC.getTarget()).to.equal(ethers.MaxUint256);
+
+    const expected = sdk.computeHash(1n, 0n, sdk.computeEnhancedSeed(fixtures.HARNESS_SEED, secret + 1n));
+    const { nonce, hashVal } = await mineRound();
+    expect(nonce).to.equal(0n);
+    expect(hashVal).to.equal(expected);
+
+    // setDifficulty là difficulty thật; tắt testTarget thì getTarget tính lại từ nó
+    await aBTC.setDifficulty(5_000);
+    expect(await aBTC.getTarget()).to.equal(ethers.MaxUint256);
+    await aBTC.setTestTarget(0);
+    expect(await aBTC.getTarget()).to.equal(ethers.MaxUint256 / 5_000n);
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  LONG SCENARIOS
+  // ═══════════════════════════════════════════════════════
+
+  it("Test 2: Đi qua mọi era halving tới hết phát hành — reward từng era khớp SDK", async function () {
+    let total = 0n;
+    for (let era = 0n; era <= 34n; era++) {
+      await aBTC.jumpToEra(era);
+      const round = await aBTC.currentRound();
+      expect(round, `era ${era}`).to.equal(era === 0n ? 1n : era * sdk.HALVING_INTERVAL); // không có round 0
+      const { reward } = sdk.computeRoundPayout(round, total);
+      await mineRound();
+
+      expect((await aBTC.getRoundRecord(round)).reward, `era ${era}`).to.equal(reward);
+      expect(reward).to.equal(era < 33n ? sdk.INITIAL_REWARD >> era : 0n);
+      total += reward;
+    }
+    expect(await aBTC.totalMined()).to.equal(total);
+    expect(await aBTC.totalSupply()).to.equal(total);
+  });
+
+  it("Test 3: Năm epoch liên tiếp khớp ChainModel — difficulty x4 mỗi epoch khi round quá nhanh", async function () {
+    const model = new ChainModel({}, 0n);
+    for (const field of ["currentRound", "epochStartTime", "epochStartRound", "roundStartTime", "roundDifficulty"]) {
+      model[field] = await aBTC[field]();
+    }
+
+    const rounds = 5n * sdk.EPOCH_LENGTH + 1n; // epoch đầu điều chỉnh khi đóng round 11
+    for (let i = 0n; i < rounds; i++) {
+      const { tx } = await mineRound();
+      model.finalize((await tx.getBlock()).timestamp);
+    }
+
+    expect(await aBTC.currentRound()).to.equal(rounds + 1n);
+    expect(await aBTC.roundDifficulty()).to.equal(model.roundDifficulty);
+    expect(model.roundDifficulty).to.equal(sdk.MIN_DIFFICULTY * 4n ** 5n);
+    expect(await aBTC.totalMined()).to.equal(model.totalMined);
+    expect(await aBTC.epochStartTime()).to.equal(model.epochStartTime);
+    // testTarget vẫn giữ đào dễ dù difficulty đã lên 1,024,000
+    expect(await aBTC.getTarget()).to.equal(ethers.MaxUint256);
+  });
+});
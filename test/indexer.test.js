@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { Indexer } = require("../lib/indexer");
+const { computeCommitHash, computeEnhancedSeed, findNonce, EPOCH_LENGTH, TARGET_TIME } = require("../lib/abtc");
+
+describe("Event Indexer (lib/indexer.js)", function () {
+  let aBTC;
+  let minerA, minerB, otherAccount;
+  let dataDir, file, startBlock;
+
+  async function deployFixture() {
+    const [, _minerA, _treasury, _admin, , _minerB] = await ethers.getSigners();
+    const { abtc, registry } = await ignition.deploy(ABTCWithMockRegistryModule, {
+      parameters: {
+        ABTCWithMockRegistryModule: { treasury: _treasury.address, admin: _admin.address },
+      },
+    });
+    await registry.connect(_minerA).mint(_minerA.address); // agent 1
+    await registry.connect(_minerB).mint(_minerB.address); // agent 2
+    return { abtc, registry };
+  }
+
+  async function mineRound(signer, agentId, secret) {
+    await aBTC.connect(signer).commit(agentId, computeCommitHash(agentId, secret, signer.address));
+    await mine(2);
+    const enhancedSeed = computeEnhancedSeed(await aBTC.roundSeed(), secret);
+    const { nonce } = findNonce(agentId, enhancedSeed, await aBTC.getTarget());
+    await aBTC.connect(signer).revealAndMine(agentId, nonce, secret);
+  }
+
+  function newIndexer(opts = {}) {
+    return new Indexer({ contract: aBTC, file, startBlock, batchSize: 5, ...opts });
+  }
+
+  beforeEach(async function () {
+    [, minerA, , , otherAccount, minerB] = await ethers.getSigners();
+    ({ abtc: aBTC } = await loadFixture(deployFixture));
+    startBlock = await ethers.provider.getBlockNumber();
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "abtc-indexer-"));
+    file = path.join(dataDir, "index.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("Test 1: Dựng lại winner từng round, round orphaned và tỉ lệ orphan", async function () {
+    await mineRound(minerA, 1, 11n); // round 1
+    await mineRound(minerB, 2, 22n); // round 2
+    await mineRound(minerA, 1, 33n); // round 3
+    await mine(257);
+    await aBTC.connect(otherAccount).forceAdvanceRound(); // round 4 orphaned
+    await mineRound(minerA, 1, 55n); // round 5
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    expect(indexer.getRoundWinner(1).agentId).to.equal("1");
+    expect(indexer.getRoundWinner(2).agentId).to.equal("2");
+    expect(indexer.getRoundWinner(4)).to.equal(null);
+    expect(indexer.getRound(4).forced).to.equal(true);
+    expect(indexer.getRound(4).forcedBy).to.equal(otherAccount.address);
+
+    expect(indexer.getAgentWins(1)).to.deep.equal([1, 3, 5]);
+    expect(indexer.getAgentWins(2)).to.deep.equal([2]);
+    expect(indexer.getLeaderboard()).to.deep.equal([
+      { agentId: "1", wins: 3 },
+      { agentId: "2", wins: 1 },
+    ]);
+
+    const orphan = indexer.getOrphanRate();
+    expect(orphan).to.deep.include({ finished: 5, won: 4, orphaned: 1 });
+    expect(orphan.rate).to.equal(0.2);
+  });
+
+  it("Test 2: Round record khớp state on-chain (difficulty, seed, commits)", async function () {
+    await mineRound(minerA, 1, 1n);
+    await aBTC.connect(minerA).commit(1, computeCommitHash(1, 7n, minerA.address));
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const r2 = indexer.getRound(2);
+    expect(r2.difficulty).to.equal((await aBTC.roundDifficulty()).toString());
+    expect(r2.seed).to.equal((await aBTC.roundSeed()).toString());
+    expect(r2.startBlock).to.equal(Number(await aBTC.roundStartBlock()));
+    expect(r2.commits["1"].committer).to.equal(minerA.address);
+
+    const winner = indexer.getRoundWinner(1);
+    const onChain = (await aBTC.queryFilter(aBTC.filters.MineSuccess(1)))[0];
+    expect(winner.nonce).to.equal(onChain.args.nonce.toString());
+    expect(winner.hashVal).to.equal(onChain.args.hashVal.toString());
+    expect(winner.txHash).to.equal(onChain.transactionHash);
+  });
+
+  it("Test 3: Đường cong difficulty theo epoch và emergency reset", async function () {
+    for (let i = 0; i < Number(EPOCH_LENGTH) + 1; i++) {
+      await mineRound(minerA, 1, 100n + BigInt(i));
+    }
+    await ethers.provider.send("evm_increaseTime", [Number(TARGET_TIME * EPOCH_LENGTH) * 10 + 1]);
+    await aBTC.connect(otherAccount).emergencyDifficultyReset();
+
+    const indexer = newIndexer();
+    await indexer.sync();
+
+    const curve = indexer.getDifficultyCurve();
+    expect(curve).to.have.length(2);
+    expect(curve[0]).to.deep.include({ emergency: false, oldDifficulty: "1000", newDifficulty: "4000" });
+    expect(curve[1]).to.deep.include({ emergency: true, oldDifficulty: "4000", newDifficulty: "1000" });
+  });
+
+  it("Test 4: Restart tiếp tục từ block cuối, không index trùng", async function () {
+    await mineRound(minerA, 1, 1n);
+    await mineRound(minerA, 1, 2n);
+
+    const first = newIndexer();
+    await first.sync();
+    const checkpoint = first.lastBlock;
+    expect(checkpoint).to.equal(await ethers.provider.getBlockNumber());
+
+    await mineRound(minerB, 2, 3n);
+
+    // Indexer mới đọc lại store từ file
+    const second = newIndexer({ startBlock: 0 });
+    expect(second.lastBlock).to.equal(checkpoint);
+    const processed = await second.sync();
+
+    expect(processed).to.equal(3); // Committed + MineSuccess + RoundStarted của round 3
+    expect(second.getAgentWins(1)).to.deep.equal([1, 2]);
+    expect(second.getAgentWins(2)).to.deep.equal([3]);
+  });
+
+  it("Test 5: confirmations giữ indexer đứng sau head", async function () {
+    await mineRound(minerA, 1, 1n);
+    const head = await ethers.provider.getBlockNumber();
+
+    const indexer = newIndexer({ confirmations: 3 });
+    await indexer.sync();
+
+    expect(indexer.lastBlock).to.equal(head - 3);
+    expect(indexer.getRoundWinner(1)).to.equal(null);
+
+    await mine(3);
+    await indexer.sync();
+    expect(indexer.getRoundWinner(1).agentId).to.equal("1");
+  });
+  it("Test 6: sync chạy song song được xếp hàng, không áp log hai lần", async function () {
+    await mineRound(minerA, 1, 1n);
+    await mineRound(minerB, 2, 2n);
+
+    const indexer = newIndexer();
+    const [first, second] = await Promise.all([indexer.sync(), indexer.sync()]);
+
+    expect(first).to.be.greaterThan(0);
+    expect(second).to.equal(0); // lần sau bắt đầu từ chỗ lần trước dừng
+    expect(indexer.getAgentWins(1)).to.deep.equal([1]);
+    expect(indexer.getAgentWins(2)).to.deep.equal([2]);
+    expect(indexer.getLeaderboard()).to.deep.equal([
+      { agentId: "1", wins: 1 },
+      { agentId: "2", wins: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,338 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { computeCommitHash, computeEnhancedSeed, findNonce } = require("../lib/abtc");
+const { decodeError } = require("../lib/ops");
+const { FuzzFailure, fuzz, replay } = require("../lib/fuzz");
+
+// Fuzz có trạng thái cho aBTC_PoW: chuỗi commit / revealAndMine / forceAdvanceRound /
+// emergencyDifficultyReset / pause / unpause / chuyển NFT / tua thời gian ngẫu nhiên,
+// kiểm tra invariant sau từng bước. Khi vỡ, lib/fuzz rút gọn chuỗi và in ra.
+//
+// Biến môi trường:
+//   FUZZ_SEED   — seed PRNG (mặc định 1); run r dùng seed + r
+//   FUZZ_RUNS   — số chuỗi (mặc định 4)
+//   FUZZ_STEPS  — số bước mỗi chuỗi (mặc định 40)
+//
+//   FUZZ_SEED=$RANDOM FUZZ_RUNS=50 npx hardhat test test/invariants.test.js
+
+describe("Invariant Fuzzing (lib/fuzz.js)", function () {
+  this.timeout(600_000);
+
+  const FUZZ_SEED = Number(process.env.FUZZ_SEED || 1);
+  const FUZZ_RUNS = Number(process.env.FUZZ_RUNS || 4);
+  const FUZZ_STEPS = Number(process.env.FUZZ_STEPS || 40);
+
+  const AGENTS = [1n, 2n, 3n];
+  // Giới hạn số hash JS mỗi lần reveal; khó hơn thì gửi nonce sai (InvalidNonce)
+  const MAX_TRIES = 4_000;
+
+  // Epoch ngắn để một chuỗi 40 bước đi qua nhiều lần điều chỉnh difficulty
+  const FUZZ_PARAMS = {
+    targetTime: 10n,
+    epochLength: 5n,
+    revealDeadline: 32n,
+    commitCooldown: 1n,
+    minerShare: 9000n,
+    validatorShare: 500n,
+    platformShare: 500n,
+    revealWindow: 0n,
+  };
+
+  async function deployFixture() {
+    const [, miner, treasury, admin, other, extra] = await ethers.getSigners();
+    const { abtc, registry } = await ignition.deploy(ABTCWithMockRegistryModule, {
+      parameters: { ABTCWithMockRegistryModule: { treasury: treasury.address, admin: admin.address } },
+    });
+    const miners = [miner, other, extra];
+    for (const signer of miners) await registry.mint(signer.address); // agent 1..3
+
+    await abtc.connect(admin).queueParams(FUZZ_PARAMS);
+    await time.increase(await abtc.PARAMS_TIMELOCK());
+    await abtc.connect(admin).executeParams();
+    // Params mới áp dụng ở biên epoch — force-advance cho tới đó rồi đưa difficulty về MIN
+    while ((await abtc.getParams()).epochLength !== FUZZ_PARAMS.epochLength) {
+      await mine((await abtc.REVEAL_DEADLINE()) + 1n);
+      await abtc.forceAdvanceRound();
+    }
+    await time.increase(FUZZ_PARAMS.targetTime * FUZZ_PARAMS.epochLength * 10n + 1n);
+    await abtc.emergencyDifficultyReset();
+
+    const constants = {
+      maxSupply: await abtc.MAX_SUPPLY(),
+      minDifficulty: await abtc.MIN_DIFFICULTY(),
+      maxDifficulty: await abtc.MAX_DIFFICULTY(),
+      factor: await abtc.MAX_ADJUSTMENT_FACTOR(),
+    };
+    return { abtc, registry, admin, miners, constants, startRound: await abtc.currentRound() };
+  }
+
+  // ═══════════════════════════════════════════════════════
+  //  aBTC_PoW SYSTEM
+  // ═══════════════════════════════════════════════════════
+
+  async function setup() {
+    const fixture = await loadFixture(deployFixture);
+    return { ...fixture, secrets: new Map(), nextSecret: 1n };
+  }
+
+  /** Block kế tiếp cách block trước đúng `seconds` giây, để một chuỗi phát lại cho cùng kết quả. */
+  async function tick(seconds = 1) {
+    await time.setNextBlockTimestamp((await time.latest()) + seconds);
+  }
+
+  /** Gửi tx; revert nằm trong `expected` là kết quả hợp lệ, revert khác làm hỏng bước. */
+  async function send(ctx, expected, fn) {
+    await tick();
+    try {
+      await (await fn()).wait();
+      return "ok";
+    } catch (err) {
+      const name = decodeError(ctx.abtc, err).split("(")[0];
+      if (expected.includes(name)) return name;
+      throw err;
+    }
+  }
+
+  const signerOf = (ctx, address) => ctx.miners.find((s) => s.address === address);
+  const pickOf = (list, pick) => list[Math.floor(pick * list.length)];
+  const randInt = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
+
+  const ACTIONS = {
+    commit: {
+      weight: 4,
+      gen: (rng) => ({ agent: randInt(rng, 0, 2), asOwner: rng() < 0.9 }),
+      shrink: ({ agent, asOwner }) => [agent !== 0 && { agent: 0, asOwner }, !asOwner && { agent, asOwner: true }].filter(Boolean),
+      async run(ctx, { agent, asOwner }) {
+        const agentId = AGENTS[agent];
+        const owner = await ctx.registry.ownerOf(agentId);
+        const sender = asOwner ? signerOf(ctx, owner) : ctx.miners.find((s) => s.address !== owner);
+        const round = await ctx.abtc.currentRound();
+        const secret = ctx.nextSecret++;
+
+        const outcome = await send(ctx, ["EnforcedPause", "NotAgentOwner"], () =>
+          ctx.abtc.connect(sender).commit(agentId, computeCommitHash(agentId, secret, sender.address))
+        );
+        if (outcome === "ok") ctx.secrets.set(`${round}:${agentId}`, secret);
+        return outcome;
+      },
+    },
+
+    revealAndMine: {
+      weight: 4,
+      gen: (rng) => ({ pick: rng(), wait: randInt(rng, 0, 2), solve: rng() < 0.9 }),
+      shrink: ({ pick, wait, solve }) => [wait !== 0 && { pick, wait: 0, solve }, pick !== 0 && { pick: 0, wait, solve }].filter(Boolean),
+      async run(ctx, { pick, wait, solve }) {
+        if (wait > 0) {
+          await tick();
+          await mine(wait);
+        }
+        const round = await ctx.abtc.currentRound();
+        const committed = [];
+        for (const agentId of AGENTS) {
+          const { committer } = await ctx.abtc.commitments(round, agentId);
+          if (committer !== ethers.ZeroAddress) committed.push({ agentId, committer });
+        }
+        if (committed.length === 0) {
+          // Không ai commit round này → reveal phải bị từ chối
+          return send(ctx, ["EnforcedPause", "NoValidCommit"], () =>
+            ctx.abtc.connect(ctx.miners[0]).revealAndMine(AGENTS[0], 0, 1)
+          );
+        }
+
+        const { agentId, committer } = pickOf(committed, pick);
+        const secret = ctx.secrets.get(`${round}:${agentId}`);
+        let nonce = 0n;
+        if (solve) {
+          const enhancedSeed = computeEnhancedSeed(await ctx.abtc.roundSeed(), secret);
+          nonce = findNonce(agentId, enhancedSeed, await ctx.abtc.getTarget(), { maxTries: MAX_TRIES })?.nonce ?? 0n;
+        }
+        return send(ctx, ["EnforcedPause", "RevealTooEarly", "InvalidNonce", "NotAgentOwner"], () =>
+          ctx.abtc.connect(signerOf(ctx, committer)).revealAndMine(agentId, nonce, secret)
+        );
+      },
+    },
+
+    forceAdvanceRound: {
+      weight: 1.5,
+      gen: (rng) => ({ toDeadline: rng() < 0.7 }),
+      shrink: ({ toDeadline }) => (toDeadline ? [{ toDeadline: false }] : []),
+      async run(ctx, { toDeadline }) {
+        if (toDeadline) {
+          const due = (await ctx.abtc.roundStartBlock()) + FUZZ_PARAMS.revealDeadline + 1n;
+          const blocks = due - BigInt(await time.latestBlock()) - 1n;
+          if (blocks > 0n) {
+            await tick();
+            await mine(blocks);
+          }
+        }
+        return send(ctx, ["EnforcedPause", "RevealPending", "DeadlineNotReached"], () =>
+          ctx.abtc.connect(ctx.miners[1]).forceAdvanceRound()
+        );
+      },
+    },
+
+    emergencyDifficultyReset: {
+      weight: 1,
+      run: (ctx) =>
+        send(ctx, ["RevealPending", "TooEarlyForEmergency"], () =>
+          ctx.abtc.connect(ctx.miners[2]).emergencyDifficultyReset()
+        ),
+    },
+
+    pause: {
+      weight: 0.5,
+      run: (ctx) => send(ctx, ["EnforcedPause"], () => ctx.abtc.connect(ctx.admin).pause()),
+    },
+
+    unpause: {
+      weight: 1,
+      run: (ctx) => send(ctx, ["ExpectedPause"], () => ctx.abtc.connect(ctx.admin).unpause()),
+    },
+
+    transferAgent: {
+      weight: 1,
+      gen: (rng) => ({ agent: randInt(rng, 0, 2), to: randInt(rng, 0, 2) }),
+      async run(ctx, { agent, to }) {
+        const agentId = AGENTS[agent];
+        const owner = signerOf(ctx, await ctx.registry.ownerOf(agentId));
+        return send(ctx, [], () => ctx.registry.connect(owner).transferFrom(owner.address, ctx.miners[to].address, agentId));
+      },
+    },
+
+    warp: {
+      weight: 2,
+      gen(rng) {
+        const bucket = rng();
+        if (bucket < 0.5) return { seconds: randInt(rng, 1, 20) }; // round nhanh
+        if (bucket < 0.8) return { seconds: randInt(rng, 20, 120) };
+        if (bucket < 0.95) return { seconds: randInt(rng, 120, 500) };
+        return { seconds: randInt(rng, 500, 1_000) }; // quá ngưỡng emergency (10 epoch)
+      },
+      shrink: ({ seconds }) => (seconds > 1 ? [{ seconds: 1 }, { seconds: seconds >> 1 }] : []),
+      async run(ctx, { seconds }) {
+        await time.increaseTo((await time.latest()) + seconds);
+      },
+    },
+  };
+
+  async function snapshot({ abtc }) {
+    const [totalMined, totalSupply, roundDifficulty, currentRound, epochStartTime] = await Promise.all([
+      abtc.totalMined(),
+      abtc.totalSupply(),
+      abtc.roundDifficulty(),
+      abtc.currentRound(),
+      abtc.epochStartTime(),
+    ]);
+    return { totalMined, totalSupply, roundDifficulty, currentRound, epochStartTime };
+  }
+
+  const INVARIANTS = {
+    "totalMined == totalSupply": (s) => expect(s.totalMined).to.equal(s.totalSupply),
+
+    "totalMined <= MAX_SUPPLY": (s, _, { constants }) => expect(s.totalMined <= constants.maxSupply, `${s.totalMined}`).to.equal(true),
+
+    "difficulty trong [MIN, MAX]": (s, _, { constants }) => {
+      expect(s.roundDifficulty >= constants.minDifficulty, `${s.roundDifficulty}`).to.equal(true);
+      expect(s.roundDifficulty <= constants.maxDifficulty, `${s.roundDifficulty}`).to.equal(true);
+    },
+
+    // Chỉ đổi khi mở epoch mới; tối đa x4 mỗi lần, trừ emergency reset về MIN
+    "difficulty đổi tối đa 4x mỗi epoch": (s, prev, { constants }) => {
+      if (!prev || s.roundDifficulty === prev.roundDifficulty) return;
+      const change = `${prev.roundDifficulty} → ${s.roundDifficulty}`;
+      expect(s.epochStartTime, `${change} giữa epoch`).to.not.equal(prev.epochStartTime);
+      expect(s.roundDifficulty <= prev.roundDifficulty * constants.factor, change).to.equal(true);
+      expect(
+        s.roundDifficulty >= prev.roundDifficulty / constants.factor || s.roundDifficulty === constants.minDifficulty,
+        change
+      ).to.equal(true);
+    },
+
+    "round tăng tối đa 1 mỗi bước": (s, prev) => {
+      if (prev) expect(s.currentRound - prev.currentRound).to.be.oneOf([0n, 1n]);
+    },
+  };
+
+  const SYSTEM = { setup, actions: ACTIONS, snapshot, invariants: INVARIANTS };
+
+  // ═══════════════════════════════════════════════════════
+  //  INVARIANTS
+  // ═══════════════════════════════════════════════════════
+
+  it("Test 1: Chuỗi thao tác ngẫu nhiên giữ mọi invariant sau từng bước", async function () {
+    const { outcomes } = await fuzz({ ...SYSTEM, seed: FUZZ_SEED, runs: FUZZ_RUNS, steps: FUZZ_STEPS });
+
+    // Chuỗi thật sự đào và force-advance, không chỉ va vào các nhánh revert
+    expect(outcomes.revealAndMine.ok).to.be.greaterThan(0);
+    expect(outcomes.forceAdvanceRound.ok).to.be.greaterThan(0);
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  SHRINKING
+  // ═══════════════════════════════════════════════════════
+
+  describe("Shrinking", function () {
+    it("Test 2: Hệ JS đơn giản — chuỗi rút gọn là tối thiểu theo từng bước", async function () {
+      const LIMIT = 25;
+      const counter = {
+        setup: async () => ({ value: 0 }),
+        actions: {
+          add: {
+            gen: (rng) => ({ by: 1 + Math.floor(rng() * 10) }),
+            shrink: ({ by }) => (by > 1 ? [{ by: by - 1 }] : []),
+            run: (ctx, { by }) => {
+              ctx.value += by;
+            },
+          },
+          noop: { run: () => {} },
+        },
+        snapshot: async ({ value }) => ({ value }),
+        invariants: { "value < 25": ({ value }) => expect(value).to.be.lessThan(LIMIT) },
+      };
+
+      let failure;
+      try {
+        await fuzz({ ...counter, seed: 3, runs: 5, steps: 30 });
+      } catch (err) {
+        failure = err;
+      }
+      expect(failure).to.be.instanceOf(FuzzFailure);
+      expect(failure.invariant).to.equal("value < 25");
+      expect(failure.originalLength).to.be.greaterThan(failure.sequence.length);
+
+      // Toàn bước add, vượt ngưỡng, và bỏ bất kỳ bước nào hoặc giảm bất kỳ `by` nào thì hết lỗi
+      const total = failure.sequence.reduce((sum, step) => sum + step.args.by, 0);
+      expect(failure.sequence.every((step) => step.action === "add")).to.equal(true);
+      expect(total).to.equal(LIMIT);
+      for (const step of failure.sequence) expect(total - step.args.by).to.be.lessThan(LIMIT);
+      expect(failure.message).to.contain(`seed 3`).and.contain("<-- fails");
+    });
+
+    it("Test 3: Invariant sai cố ý trên aBTC_PoW — báo chuỗi ngắn tái hiện được", async function () {
+      const broken = {
+        ...SYSTEM,
+        invariants: {
+          ...INVARIANTS,
+          "tối đa 2 round (cố ý sai)": (s, _, { startRound }) => expect(s.currentRound - startRound).to.be.lessThan(3n),
+        },
+      };
+
+      let failure;
+      try {
+        await fuzz({ ...broken, seed: FUZZ_SEED, runs: 1, steps: 60, maxShrinks: 80 });
+      } catch (err) {
+        failure = err;
+      }
+      expect(failure).to.be.instanceOf(FuzzFailure);
+      expect(failure.invariant).to.equal("tối đa 2 round (cố ý sai)");
+      expect(failure.sequence.length).to.be.at.most(6);
+
+      // Chuỗi in ra phát lại được từ fixture, vỡ đúng ở bước cuối
+      const { failure: again } = await replay(broken, failure.sequence);
+      expect(again.invariant).to.equal(failure.invariant);
+      expect(again.index).to.equal(failure.sequence.length - 1);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const { expect } = require("chai");
+const { ethers, ignition, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { Keeper } = require("../lib/keeper");
+const ops = require("../lib/ops");
+
+describe("Keeper (lib/keeper.js)", function () {
+  let aBTC;
+  let keeperSigner, rival;
+
+  const silent = () => {};
+
+  /** Tua block/thời gian bằng RPC thô, như trên một node Hardhat chạy riêng. */
+  const evmMine = () => network.provider.send("evm_mine");
+  async function evmMineBlocks(n) {
+    for (let i = 0n; i < BigInt(n); i++) await network.provider.send("evm_mine");
+  }
+  async function evmIncreaseTime(seconds) {
+    await network.provider.send("evm_increaseTime", [Number(seconds)]);
+    await network.provider.send("evm_mine");
+  }
+
+  function makeKeeper(signer, opts = {}) {
+    return new Keeper({ contract: aBTC.connect(signer), pollInterval: 10, retryDelay: 10, log: silent, ...opts });
+  }
+
+  /** Chờ tới khi mempool có đủ `count` giao dịch (automine tắt). */
+  async function waitForPending(count) {
+    for (;;) {
+      const block = await network.provider.send("eth_getBlockByNumber", ["pending", false]);
+      if (block.transactions.length >= count) return block.transactions;
+      await new Promise((r) => setTimeout(r, 10));
+    }
+  }
+
+  async function deployFixture() {
+    const [, , _treasury, _admin] = await ethers.getSigners();
+    const { abtc } = await ignition.deploy(ABTCWithMockRegistryModule, {
+      parameters: {
+        ABTCWithMockRegistryModule: { treasury: _treasury.address, admin: _admin.address },
+      },
+    });
+    return { abtc };
+  }
+
+  beforeEach(async function () {
+    [, , , , keeperSigner, rival] = await ethers.getSigners();
+    ({ abtc: aBTC } = await loadFixture(deployFixture));
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  FORCE ADVANCE & EMERGENCY RESET
+  // ═══════════════════════════════════════════════════════
+
+  describe("Due Calls", function () {
+    it("Test 1: Chờ tới REVEAL_DEADLINE rồi force advance, sau đó chờ round mới", async function () {
+      const keeper = makeKeeper(keeperSigner);
+      let [reset, force] = await keeper.step();
+      expect(reset).to.include({ call: "emergencyDifficultyReset", action: "waiting", reason: "TooEarlyForEmergency()" });
+      expect(force).to.include({ call: "forceAdvanceRound", action: "waiting", reason: "DeadlineNotReached()" });
+
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+      [, force] = await keeper.step();
+      expect(force.action).to.equal("submitted");
+      expect(force.round).to.equal(1);
+      expect(await aBTC.currentRound()).to.equal(2);
+      expect((await aBTC.getRoundRecord(1)).forced).to.equal(true);
+
+      [, force] = await keeper.step();
+      expect(force.reason).to.equal("DeadlineNotReached()");
+    });
+
+    it("Test 2: Epoch quá 10x thì reset difficulty trước, không force advance cùng lượt", async function () {
+      const keeper = makeKeeper(keeperSigner);
+      await evmIncreaseTime((await ops.getTimers(aBTC)).secondsUntilEmergency);
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+
+      const results = await keeper.step();
+      expect(results).to.have.length(1);
+      expect(results[0]).to.include({ call: "emergencyDifficultyReset", action: "submitted" });
+      expect(await aBTC.roundDifficulty()).to.equal(await aBTC.MIN_DIFFICULTY());
+      expect(await aBTC.currentRound()).to.equal(1); // reset khởi động lại round, không cần force advance
+
+      const [, force] = await keeper.step();
+      expect(force.reason).to.equal("DeadlineNotReached()");
+    });
+
+    it("Test 3: Keeper dự phòng chờ thêm graceBlocks, và lùi lại nếu keeper chính đã xử lý", async function () {
+      const primary = makeKeeper(keeperSigner);
+      const backup = makeKeeper(rival, { graceBlocks: 5 });
+      const rivalNonce = await ethers.provider.getTransactionCount(rival.address);
+
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+      expect((await backup.step())[1]).to.include({ action: "waiting", reason: "grace period" });
+      await evmMineBlocks(4);
+      expect((await backup.step())[1].reason).to.equal("grace period");
+      await evmMineBlocks(1);
+
+      // Keeper chính gửi trước nhưng chưa được đào: mô phỏng của keeper dự phòng thấy giao dịch trong mempool
+      await network.provider.send("evm_setAutomine", [false]);
+      const primaryStep = primary.step();
+      await waitForPending(1);
+      const [, late] = await backup.step();
+      expect(late).to.include({ action: "preempted", round: 1n });
+
+      await evmMine();
+      expect((await primaryStep)[1].action).to.equal("submitted");
+      expect(await ethers.provider.getTransactionCount(rival.address)).to.equal(rivalNonce);
+    });
+
+    it("Test 4: Giao dịch bị keeper khác vượt trong cùng block → revert on-chain, keeper báo preempted", async function () {
+      const keeper = makeKeeper(keeperSigner);
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+
+      await network.provider.send("evm_setAutomine", [false]);
+      const step = keeper.step();
+      await waitForPending(1);
+
+      // Đối thủ trả tip cao hơn nên được xếp trước trong block
+      const fee = ethers.parseUnits("100", "gwei");
+      await aBTC.connect(rival).forceAdvanceRound({ gasLimit: 500_000, maxFeePerGas: fee, maxPriorityFeePerGas: fee });
+      await waitForPending(2);
+      await evmMine();
+
+      const [, force] = await step;
+      expect(force).to.include({ action: "preempted", round: 1n });
+      expect((await aBTC.getRoundRecord(1)).validator).to.equal(rival.address);
+      expect(await aBTC.currentRound()).to.equal(2);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  GAS, NONCE, RETRY
+  // ═══════════════════════════════════════════════════════
+
+  describe("Transactions", function () {
+    it("Test 5: Không gửi khi base fee vượt trần; dưới trần thì maxFeePerGas không vượt trần", async function () {
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+      const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+      const nonce = await ethers.provider.getTransactionCount(keeperSigner.address);
+
+      const capped = makeKeeper(keeperSigner, { maxFeePerGas: baseFeePerGas });
+      expect((await capped.step())[1]).to.include({ action: "waiting", reason: "gas price above cap" });
+      expect(await ethers.provider.getTransactionCount(keeperSigner.address)).to.equal(nonce);
+
+      const cap = baseFeePerGas + 1n;
+      const keeper = makeKeeper(keeperSigner, { maxFeePerGas: cap });
+      const [, force] = await keeper.step();
+      expect(force.action).to.equal("submitted");
+      const tx = await ethers.provider.getTransaction(force.receipt.hash);
+      expect(tx.maxFeePerGas).to.equal(cap);
+      expect(tx.maxPriorityFeePerGas).to.be.at.most(cap);
+    });
+
+    it("Test 6: Nonce lệch vì ví được dùng ở nơi khác → đồng bộ lại và gửi tiếp", async function () {
+      const keeper = makeKeeper(keeperSigner);
+      const nonce = await ethers.provider.getTransactionCount(keeperSigner.address);
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+      expect((await keeper.step())[1].action).to.equal("submitted");
+      expect(keeper._nonce).to.equal(nonce + 1);
+
+      // Ví keeper gửi một giao dịch ngoài keeper → nonce keeper đang giữ đã bị dùng
+      await keeperSigner.sendTransaction({ to: keeperSigner.address, value: 0 });
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+
+      const [, force] = await keeper.step();
+      expect(force.action).to.equal("submitted");
+      expect((await ethers.provider.getTransaction(force.receipt.hash)).nonce).to.equal(nonce + 2);
+      expect(await aBTC.currentRound()).to.equal(3);
+    });
+
+    it("Test 7: Giao dịch kẹt quá confirmTimeout được thay bằng phí cao hơn ở cùng nonce", async function () {
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+      await network.provider.send("evm_setAutomine", [false]);
+
+      const sent = [];
+      const keeper = makeKeeper(keeperSigner, {
+        confirmTimeout: 50,
+        log: (msg) => {
+          const hash = msg.match(/^📤 .* tx (0x[0-9a-f]+)$/)?.[1];
+          if (!hash) return;
+          // Lấy ngay khi còn trong mempool — bản bị thay sẽ bị bỏ khỏi mempool
+          sent.push(ethers.provider.getTransaction(hash));
+          if (sent.length === 2) sent[1].then(() => network.provider.send("evm_mine")); // chỉ đào sau lần gửi lại
+        },
+      });
+
+      const [, force] = await keeper.step();
+      expect(force.action).to.equal("submitted");
+      const [first, second] = await Promise.all(sent);
+      expect(sent).to.have.length(2);
+      expect(force.receipt.hash).to.equal(second.hash);
+      expect(await ethers.provider.getTransactionReceipt(first.hash)).to.equal(null);
+
+      expect(second.nonce).to.equal(first.nonce);
+      expect(second.maxFeePerGas).to.be.greaterThan((first.maxFeePerGas * 11n) / 10n);
+      expect(await aBTC.currentRound()).to.equal(2);
+    });
+
+    it("Test 8: Hết số lần thử mà vẫn chưa được đào → trả pending, lượt sau đồng bộ lại nonce", async function () {
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+      await network.provider.send("evm_setAutomine", [false]);
+
+      const nonce = await ethers.provider.getTransactionCount(keeperSigner.address);
+      const keeper = makeKeeper(keeperSigner, { confirmTimeout: 20, maxRetries: 1 });
+      const [, force] = await keeper.step();
+      expect(force.action).to.equal("pending");
+      expect(force.hashes).to.have.length(2);
+      expect(keeper._nonce).to.equal(null);
+
+      // Giao dịch trong mempool đã đẩy round — lượt sau không gửi trùng
+      const [, again] = await keeper.step();
+      expect(again.action).to.equal("preempted");
+      await evmMine();
+      expect(await aBTC.currentRound()).to.equal(2);
+      expect(await ethers.provider.getTransactionCount(keeperSigner.address)).to.equal(nonce + 1);
+    });
+
+    it("Test 9: Bị từ chối vì underpriced/nonce khi chưa có tx nào đang chờ → nghỉ pollInterval trước mỗi lần gửi lại", async function () {
+      await evmMineBlocks((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+      const errors = [
+        Object.assign(new Error("replacement transaction underpriced"), { code: "REPLACEMENT_UNDERPRICED" }),
+        Object.assign(new Error("nonce too low"), { code: "NONCE_EXPIRED" }),
+      ];
+
+      for (const error of errors) {
+        // Mô phỏng vẫn chạy thật, chỉ lần gửi bị node từ chối
+        const real = aBTC.connect(keeperSigner);
+        const sends = [];
+        const contract = new Proxy(real, {
+          get: (target, key) =>
+            key === "forceAdvanceRound"
+              ? Object.assign(
+                  () => {
+                    sends.push(Date.now());
+                    return Promise.reject(error);
+                  },
+                  { staticCall: target.forceAdvanceRound.staticCall }
+                )
+              : target[key],
+        });
+
+        const keeper = new Keeper({ contract, pollInterval: 100, retryDelay: 10, maxRetries: 2, log: silent });
+        const [, force] = await keeper.step();
+        expect(force).to.deep.include({ action: "pending", hashes: [] });
+        expect(sends, error.code).to.have.length(3);
+        for (let i = 1; i < sends.length; i++) expect(sends[i] - sends[i - 1], error.code).to.be.at.least(90);
+      }
+      expect(await aBTC.currentRound()).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Miner, SecretStore } = require("../lib/miner");
+const { FleetMiner } = require("../lib/fleet");
+const { computeCommitHash, computeEnhancedSeed, findNonce } = require("../lib/abtc");
+
+describe("Off-chain Miner (lib/miner.js)", function () {
+  let aBTC, registry;
+  let miner, treasury, admin, otherAccount;
+  let dataDir;
+
+  const silent = () => {};
+
+  function newStore() {
+    return new SecretStore(path.join(dataDir, "secrets.json"));
+  }
+
+  // Hardhat automine chỉ tạo block khi có tx → tự đào block nền cho tới khi miner xong
+  async function mineWhile(promise) {
+    let done = false;
+    promise.finally(() => (done = true)).catch(() => {});
+    while (!done) {
+      await ethers.provider.send("evm_mine", []);
+      await new Promise((r) => setTimeout(r, 20));
+    }
+    return promise;
+  }
+
+  async function waitFor(predicate) {
+    while (!(await predicate())) {
+      await new Promise((r) => setTimeout(r, 20));
+    }
+  }
+
+  beforeEach(async function () {
+    [, miner, treasury, admin, otherAccount] = await ethers.getSigners();
+
+    const RegistryFactory = await ethers.getContractFactory("MockRegistry");
+    registry = await RegistryFactory.deploy();
+
+    const extension = await ethers.deployContract("aBTC_PoWExtension", [registry.target]);
+    const seedProvider = await ethers.deployContract("PrevrandaoSeedProvider");
+    const ABTCFactory = await ethers.getContractFactory("aBTC_PoW");
+    aBTC = await ABTCFactory.deploy(registry.target, treasury.address, admin.address, extension.target, seedProvider.target);
+
+    await registry.connect(miner).mint(miner.address); // agent 1
+    await registry.connect(otherAccount).mint(otherAccount.address); // agent 2
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "abtc-miner-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("Test 1: Miner commit → chờ cooldown → tìm nonce song song → reveal thành công", async function () {
+    const m = new Miner({ contract: aBTC.connect(miner), agentId: 1, store: newStore(), workers: 2, pollInterval: 20, log: silent });
+
+    const result = await mineWhile(m.mineRound());
+
+    expect(result).to.not.equal(null);
+    expect(result.round).to.equal(1n);
+    expect(result.hashVal).to.be.lessThan(ethers.MaxUint256 / 1000n);
+    expect(await aBTC.currentRound()).to.equal(2);
+    expect((await aBTC.agentStats(1)).totalWins).to.equal(1);
+  });
+
+  it("Test 2: Secret được lưu xuống file trước khi gửi commit", async function () {
+    const store = newStore();
+    const m = new Miner({ contract: aBTC.connect(miner), agentId: 1, store, workers: 1, pollInterval: 20, log: silent });
+
+    const pending = m.mineRound();
+    await waitFor(async () => (await aBTC.commitments(1, 1)).committer === miner.address);
+
+    const saved = newStore().get(1n, 1n);
+    expect(saved).to.not.equal(undefined);
+    expect(saved.commitHash).to.equal(computeCommitHash(1, saved.secret, miner.address));
+    expect((await aBTC.commitments(1, 1)).commitHash).to.equal(saved.commitHash);
+
+    await mineWhile(pending);
+    // Secret của round đã thắng được xoá
+    expect(newStore().get(1n, 1n)).to.equal(undefined);
+  });
+
+  it("Test 3: Miner restart dùng lại commit đã lưu thay vì commit lại", async function () {
+    const store = newStore();
+    const secret = 777n;
+    const commitHash = computeCommitHash(1, secret, miner.address);
+    const tx = await aBTC.connect(miner).commit(1, commitHash);
+    const receipt = await tx.wait();
+    store.set(1n, 1n, { secret: secret.toString(), commitHash, commitBlock: receipt.blockNumber });
+
+    const m = new Miner({ contract: aBTC.connect(miner), agentId: 1, store: newStore(), workers: 1, pollInterval: 20, log: silent });
+    const result = await mineWhile(m.mineRound());
+
+    // Reveal chỉ khớp nếu miner dùng đúng secret cũ
+    expect(result).to.not.equal(null);
+    expect(result.receipt.blockNumber).to.be.greaterThan(receipt.blockNumber + 1);
+  });
+
+  it("Test 4: Người khác thắng round → miner bỏ round, không reveal", async function () {
+    // Agent 2 commit trước
+    const otherSecret = 4242n;
+    await aBTC.connect(otherAccount).commit(2, computeCommitHash(2, otherSecret, otherAccount.address));
+
+    const m = new Miner({ contract: aBTC.connect(miner), agentId: 1, store: newStore(), workers: 1, pollInterval: 20, log: silent });
+    const pending = m.mineRound();
+    await waitFor(async () => (await aBTC.commitments(1, 1)).committer === miner.address);
+
+    // Agent 2 reveal ngay khi miner còn đang chờ cooldown
+    const enhancedSeed = computeEnhancedSeed(await aBTC.roundSeed(), otherSecret);
+    const { nonce } = findNonce(2, enhancedSeed, await aBTC.getTarget());
+    await aBTC.connect(otherAccount).revealAndMine(2, nonce, otherSecret);
+
+    const result = await mineWhile(pending);
+
+    expect(result).to.equal(null);
+    expect(await aBTC.currentRound()).to.equal(2);
+    expect(await aBTC.balanceOf(miner.address)).to.equal(0);
+    expect((await aBTC.agentStats(2)).totalWins).to.equal(1);
+  });
+
+  it("Test 5: run() đào liên tiếp nhiều round", async function () {
+    const m = new Miner({ contract: aBTC.connect(miner), agentId: 1, store: newStore(), workers: 2, pollInterval: 20, log: silent });
+
+    const won = await mineWhile(m.run({ rounds: 3 }));
+
+    expect(won).to.equal(3);
+    expect(await aBTC.currentRound()).to.equal(4);
+  });
+
+  it("Test 6: FleetMiner commit cả fleet trong một tx và pre-commit cho round sau", async function () {
+    await registry.connect(miner).mint(miner.address); // agent 3
+    await registry.connect(miner).mint(miner.address); // agent 4
+    const agentIds = [1n, 3n, 4n];
+    const store = newStore();
+    const fleet = new FleetMiner({ contract: aBTC.connect(miner), agentIds, store, workers: 2, pollInterval: 20, log: silent });
+
+    const result = await mineWhile(fleet.mineRound());
+    expect(result.round).to.equal(1n);
+    expect(agentIds).to.include(result.agentId);
+    expect((await aBTC.agentStats(result.agentId)).totalWins).to.equal(1);
+
+    // Một tx commitBatchFor cho round 1, một tx cho round 2 — trước khi round 2 bắt đầu
+    const committed = await aBTC.queryFilter(aBTC.filters.Committed());
+    expect(committed).to.have.length(6);
+    expect(new Set(committed.map((e) => e.transactionHash)).size).to.equal(2);
+    const round2 = committed.filter((e) => e.args.round === 2n);
+    expect(round2.map((e) => e.args.agentId)).to.have.members(agentIds);
+    expect(round2[0].blockNumber).to.be.lessThan(result.receipt.blockNumber);
+
+    for (const agentId of agentIds) {
+      const saved = newStore().get(2n, agentId);
+      expect((await aBTC.commitments(2, agentId)).commitHash).to.equal(saved.commitHash);
+    }
+  });
+
+  it("Test 7: FleetMiner round sau dùng commit đã pre-commit, không commit lại", async function () {
+    await registry.connect(miner).mint(miner.address); // agent 3
+    const fleet = new FleetMiner({ contract: aBTC.connect(miner), agentIds: [1n, 3n], store: newStore(), workers: 2, pollInterval: 20, log: silent });
+
+    await mineWhile(fleet.mineRound());
+    const second = await mineWhile(fleet.mineRound());
+    expect(second.round).to.equal(2n);
+
+    // Round 1 + pre-commit round 2 + pre-commit round 3 — round 2 không có commit riêng
+    const txs = new Set((await aBTC.queryFilter(aBTC.filters.Committed())).map((e) => e.transactionHash));
+    expect(txs.size).to.equal(3);
+    expect((await aBTC.commitments(3, 1)).committer).to.equal(miner.address);
+  });
+
+  describe("Reveal window", function () {
+    beforeEach(async function () {
+      const current = (await aBTC.getParams()).toObject();
+      await aBTC.connect(admin).queueParams({ ...current, revealWindow: 3n });
+      await ethers.provider.send("evm_increaseTime", [Number(await aBTC.PARAMS_TIMELOCK())]);
+      await aBTC.connect(admin).executeParams();
+      await aBTC.emergencyDifficultyReset();
+    });
+
+    it("Test 8: Miner reveal → chờ window đóng → tự finalizeRound", async function () {
+      const m = new Miner({ contract: aBTC.connect(miner), agentId: 1, store: newStore(), workers: 2, pollInterval: 20, log: silent });
+
+      const result = await mineWhile(m.mineRound());
+      expect(result).to.not.equal(null);
+      await expect(result.receipt).to.emit(aBTC, "MineSuccess").withArgs(1, 1, result.nonce, result.hashVal);
+      expect(await aBTC.currentRound()).to.equal(2);
+      expect((await aBTC.agentStats(1)).totalWins).to.equal(1);
+    });
+
+    it("Test 9: Reveal tốt hơn trong window → miner thua, không nhận thưởng", async function () {
+      const secret = 777n;
+      await aBTC.connect(otherAccount).commit(2, computeCommitHash(2, secret, otherAccount.address));
+
+      const m = new Miner({ contract: aBTC.connect(miner), agentId: 1, store: newStore(), workers: 2, pollInterval: 20, log: silent });
+      const pending = m.mineRound();
+      pending.catch(() => {});
+
+      // Đợi miner reveal rồi chen một reveal có hashVal thấp hơn vào window
+      while ((await aBTC.pendingReveal()).closesAt === 0n) {
+        await ethers.provider.send("evm_mine", []);
+        await new Promise((r) => setTimeout(r, 20));
+      }
+      const enhancedSeed = computeEnhancedSeed(await aBTC.roundSeed(), secret);
+      const better = findNonce(2, enhancedSeed, (await aBTC.pendingReveal()).hashVal);
+      await aBTC.connect(otherAccount).revealAndMine(2, better.nonce, secret);
+
+      expect(await mineWhile(pending)).to.equal(null);
+      expect(await aBTC.currentRound()).to.equal(2);
+      expect((await aBTC.agentStats(2)).totalWins).to.equal(1);
+      expect((await aBTC.agentStats(1)).totalWins).to.equal(0);
+    });
+  });
+
+  it("Test 10: FleetMiner bỏ pre-commit khi seed provider dùng hashVal của người thắng", async function () {
+    const beacon = await ethers.deployContract("BeaconSeedProvider");
+    const extension = await aBTC.extension();
+    aBTC = await ethers.deployContract("aBTC_PoW", [registry.target, treasury.address, admin.address, extension, beacon.target]);
+    await beacon.bind(aBTC.target);
+    await registry.connect(miner).mint(miner.address); // agent 3
+
+    const logs = [];
+    const fleet = new FleetMiner({ contract: aBTC.connect(miner), agentIds: [1n, 3n], store: newStore(), workers: 2, pollInterval: 20, log: (msg) => logs.push(msg) });
+    await mineWhile(fleet.mineRound());
+    const second = await mineWhile(fleet.mineRound());
+    expect(second.round).to.equal(2n);
+
+    // Mỗi round một commitBatchFor cho chính round đó, không có commit cho round 3
+    const committed = await aBTC.queryFilter(aBTC.filters.Committed());
+    expect(committed.map((e) => e.args.round)).to.deep.equal([1n, 1n, 2n, 2n]);
+    expect((await aBTC.commitments(3, 1)).committer).to.equal(ethers.ZeroAddress);
+    expect(logs.filter((msg) => msg.includes("không pre-commit"))).to.have.length(1);
+  });
+  it("Test 11: Emergency reset đổi seed giữa round → miner tìm lại theo seed mới, vẫn reveal được", async function () {
+    const logs = [];
+    const m = new Miner({ contract: aBTC.connect(miner), agentId: 1, store: newStore(), workers: 1, pollInterval: 20, log: (msg) => logs.push(msg) });
+    const pending = m.mineRound();
+    pending.catch(() => {});
+
+    // Miner đã có nonce cho seed cũ và đang chờ cooldown (chưa có block mới)
+    await waitFor(async () => logs.some((msg) => msg.startsWith("✅")));
+    const oldSeed = await aBTC.roundSeed();
+
+    const { targetTime, epochLength } = await aBTC.getParams();
+    await ethers.provider.send("evm_increaseTime", [Number(targetTime * epochLength * 10n) + 1]);
+    await aBTC.emergencyDifficultyReset();
+    expect(await aBTC.currentRound()).to.equal(1);
+    expect(await aBTC.roundSeed()).to.not.equal(oldSeed);
+
+    const result = await mineWhile(pending);
+    expect(result).to.not.equal(null);
+    expect(result.round).to.equal(1n);
+    expect(logs.filter((msg) => msg.includes("tìm lại"))).to.have.length(1);
+    expect((await aBTC.agentStats(1)).totalWins).to.equal(1);
+  });
+});
@@ -0,0 +1,322 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { SecretStore } = require("../lib/miner");
+const { PoolOperator, PoolMember } = require("../lib/pool");
+const { computeCommitHash, computeEnhancedSeed, computeHash, findNonce, splitReward, INITIAL_REWARD } = require("../lib/abtc");
+
+describe("Mining Pool (MiningPool.sol + lib/pool.js)", function () {
+  const SHARE_DIFFICULTY = 50n; // network bắt đầu ở 1000 → ~20 share mỗi block
+  const FEE_BPS = 200n;
+  const POOL_AGENT = 1n;
+
+  let aBTC, registry, pool;
+  let operatorSigner, memberA, memberB, soloMiner;
+  let dataDir, operator;
+
+  const silent = () => {};
+
+  async function deployFixture() {
+    const [_operator, _memberA, _treasury, _admin, _memberB, _solo] = await ethers.getSigners();
+    const { abtc, registry } = await ignition.deploy(ABTCWithMockRegistryModule, {
+      parameters: {
+        ABTCWithMockRegistryModule: { treasury: _treasury.address, admin: _admin.address },
+      },
+    });
+
+    await registry.mint(_operator.address); // agent 1 → pool agent
+    await registry.mint(_memberA.address); // agent 2
+    await registry.mint(_memberB.address); // agent 3
+    await registry.mint(_solo.address); // agent 4 — solo miner ngoài pool
+
+    const pool = await ethers.deployContract("MiningPool", [abtc.target, POOL_AGENT, _operator.address, SHARE_DIFFICULTY, FEE_BPS]);
+    await registry["safeTransferFrom(address,address,uint256)"](_operator.address, pool.target, POOL_AGENT);
+
+    await pool.connect(_memberA).join();
+    await pool.connect(_memberB).join();
+    return { abtc, registry, pool };
+  }
+
+  function member(signer) {
+    return new PoolMember({ pool: pool.connect(signer), abtc: aBTC, log: silent });
+  }
+
+  /** Mỗi vòng: mỗi member nộp `n` share theo plan, cho tới khi có share là lời giải block. */
+  async function submitUntilBlock(plan) {
+    for (;;) {
+      for (const [m, n] of plan) {
+        const submitted = await m.mineShares({ maxShares: n });
+        if (submitted.some((s) => s.block)) return;
+      }
+    }
+  }
+
+  /** Operator reveal lời giải, đào thêm block nếu còn trong COMMIT_COOLDOWN. */
+  async function revealWhenReady() {
+    for (;;) {
+      const result = await operator.step();
+      if (result.action !== "wait") return result;
+      await mine(1);
+    }
+  }
+
+  /** Share hợp lệ nhưng không phải lời giải block — để giữ round của pool còn mở. */
+  async function plainShare(start) {
+    const [, enhancedSeed] = await pool.currentWork();
+    const [shareTarget, networkTarget] = [await pool.getShareTarget(), await aBTC.getTarget()];
+    for (let nonce = start; ; nonce++) {
+      const found = findNonce(POOL_AGENT, enhancedSeed, shareTarget, { start: nonce });
+      if (found.hashVal >= networkTarget) return found.nonce;
+      nonce = found.nonce;
+    }
+  }
+
+  beforeEach(async function () {
+    [operatorSigner, memberA, , , memberB, soloMiner] = await ethers.getSigners();
+    ({ abtc: aBTC, registry, pool } = await loadFixture(deployFixture));
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "abtc-pool-"));
+    operator = new PoolOperator({
+      pool: pool.connect(operatorSigner),
+      abtc: aBTC,
+      store: new SecretStore(path.join(dataDir, "secrets.json")),
+      log: silent,
+    });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("Test 1: Operator commit → member nộp share → reveal; pool giữ agent và nhận thưởng", async function () {
+    expect((await operator.step()).action).to.equal("commit");
+    expect((await pool.currentWork()).round).to.equal(1n);
+    expect((await operator.step()).action).to.equal("idle");
+
+    await submitUntilBlock([[member(memberA), 1]]);
+    const result = await revealWhenReady();
+    expect(result.action).to.equal("reveal");
+    expect(result.member).to.equal(memberA.address);
+
+    expect(await aBTC.currentRound()).to.equal(2n);
+    expect((await aBTC.agentStats(POOL_AGENT)).totalWins).to.equal(1n);
+    expect(await pool.poolRound()).to.equal(2n);
+
+    const { minerAmt } = splitReward(INITIAL_REWARD);
+    const distributable = minerAmt - (minerAmt * FEE_BPS) / 10000n;
+    expect(await pool.poolRewards(1)).to.equal(distributable);
+    expect(await pool.operatorBalance()).to.equal(minerAmt - distributable);
+    expect(await aBTC.balanceOf(pool.target)).to.equal(minerAmt);
+  });
+
+  it("Test 2: Chia thưởng tỉ lệ với share — công bằng giữa member đóng góp nhiều/ít", async function () {
+    await operator.step();
+    await submitUntilBlock([
+      [member(memberA), 3],
+      [member(memberB), 1],
+    ]);
+    await revealWhenReady();
+
+    const sharesA = await pool.shares(1, memberA.address);
+    const sharesB = await pool.shares(1, memberB.address);
+    const total = await pool.totalShares(1);
+    const reward = await pool.poolRewards(1);
+    expect(sharesA + sharesB).to.equal(total);
+    expect(sharesA % SHARE_DIFFICULTY).to.equal(0n);
+    expect(sharesA).to.be.greaterThan(sharesB);
+
+    const pendingA = await pool.pendingReward(1, memberA.address);
+    const pendingB = await pool.pendingReward(1, memberB.address);
+    expect(pendingA).to.equal((reward * sharesA) / total);
+    expect(pendingB).to.equal((reward * sharesB) / total);
+    expect(reward - pendingA - pendingB).to.be.lessThan(2n); // chỉ còn bụi làm tròn
+
+    await expect(pool.connect(memberA).claim([1])).to.changeTokenBalances(aBTC, [pool, memberA], [-pendingA, pendingA]);
+    await expect(pool.connect(memberA).claim([1])).to.be.revertedWithCustomError(pool, "NothingToClaim");
+    expect(await pool.pendingReward(1, memberA.address)).to.equal(0n);
+  });
+
+  it("Test 3: Member rời pool giữa round — không nộp thêm được nhưng vẫn nhận phần đã làm", async function () {
+    await operator.step();
+    const b = member(memberB);
+
+    const first = await plainShare(0n);
+    await pool.connect(memberA).submitShare(first);
+    await pool.connect(memberA).submitShare(await plainShare(first + 1n));
+    await expect(pool.connect(memberA).leave()).to.emit(pool, "MemberLeft").withArgs(memberA.address);
+
+    const sharesA = await pool.shares(1, memberA.address);
+    expect(sharesA).to.equal(SHARE_DIFFICULTY * 2n);
+
+    // Không nộp thêm được sau khi rời
+    const [, enhancedSeed] = await pool.currentWork();
+    const { nonce } = findNonce(POOL_AGENT, enhancedSeed, await pool.getShareTarget(), { start: 1n << 60n });
+    await expect(pool.connect(memberA).submitShare(nonce)).to.be.revertedWithCustomError(pool, "NotMember");
+
+    await submitUntilBlock([[b, 1]]);
+    await revealWhenReady();
+
+    expect(await pool.shares(1, memberA.address)).to.equal(sharesA);
+    const total = await pool.totalShares(1);
+    const expected = ((await pool.poolRewards(1)) * sharesA) / total;
+    expect(await pool.pendingReward(1, memberA.address)).to.equal(expected);
+    await expect(pool.connect(memberA).claim([1])).to.changeTokenBalance(aBTC, memberA, expected);
+
+    // Pool round sau: A không còn đóng góp nên không có phần
+    await operator.step();
+    await submitUntilBlock([[b, 1]]);
+    await revealWhenReady();
+    expect(await pool.pendingReward(2, memberA.address)).to.equal(0n);
+    expect(await pool.pendingReward(2, memberB.address)).to.equal(await pool.poolRewards(2));
+  });
+
+  it("Test 4: Solo miner thắng round — work cũ hết hạn, share tích luỹ sang round sau của pool", async function () {
+    await operator.step();
+    await pool.connect(memberA).submitShare(await plainShare(0n));
+
+    // Solo miner (agent 4) thắng round 1
+    const secret = 42n;
+    await aBTC.connect(soloMiner).commit(4, computeCommitHash(4, secret, soloMiner.address));
+    await mine(2);
+    const solo = findNonce(4, computeEnhancedSeed(await aBTC.roundSeed(), secret), await aBTC.getTarget());
+    await aBTC.connect(soloMiner).revealAndMine(4, solo.nonce, secret);
+
+    const [, enhancedSeed] = await pool.currentWork();
+    const { nonce } = findNonce(POOL_AGENT, enhancedSeed, await pool.getShareTarget(), { start: 1n << 60n });
+    await expect(pool.connect(memberA).submitShare(nonce)).to.be.revertedWithCustomError(pool, "StaleWork");
+
+    // Operator công bố work mới cho round 2, pool round vẫn là 1
+    expect((await operator.step()).action).to.equal("commit");
+    expect((await pool.currentWork()).round).to.equal(2n);
+    expect(await pool.poolRound()).to.equal(1n);
+
+    await submitUntilBlock([[member(memberB), 1]]);
+    await revealWhenReady();
+
+    // Share của A ở round 1 (aBTC) vẫn được trả trong pool round 1
+    expect(await pool.shares(1, memberA.address)).to.equal(SHARE_DIFFICULTY);
+    expect(await pool.pendingReward(1, memberA.address)).to.be.greaterThan(0n);
+  });
+
+  it("Test 5: Kiểm tra share — độ khó thấp, trùng, không phải member, round chưa đóng", async function () {
+    await operator.step();
+    const [, enhancedSeed] = await pool.currentWork();
+    const shareTarget = await pool.getShareTarget();
+
+    let weak = 0n;
+    while (computeHash(POOL_AGENT, weak, enhancedSeed) < shareTarget) weak++;
+    await expect(pool.connect(memberA).submitShare(weak)).to.be.revertedWithCustomError(pool, "LowDifficultyShare");
+
+    const { nonce } = findNonce(POOL_AGENT, enhancedSeed, shareTarget);
+    await pool.connect(memberA).submitShare(nonce);
+    await expect(pool.connect(memberB).submitShare(nonce)).to.be.revertedWithCustomError(pool, "DuplicateShare");
+    await expect(pool.connect(soloMiner).submitShare(nonce + 1n)).to.be.revertedWithCustomError(pool, "NotMember");
+
+    await expect(pool.connect(memberA).claim([1])).to.be.revertedWithCustomError(pool, "PoolRoundOpen");
+    await expect(pool.connect(memberA).join()).to.be.revertedWithCustomError(pool, "AlreadyMember");
+
+    const [, , , , , , noAgent] = await ethers.getSigners();
+    await expect(pool.connect(noAgent).join()).to.be.revertedWithCustomError(pool, "NotAgentHolder");
+  });
+
+  it("Test 6: Chỉ operator được commit/reveal/đổi share difficulty/rút phí", async function () {
+    await expect(pool.connect(memberA).commit(ethers.id("x"), 1n)).to.be.revertedWithCustomError(pool, "NotOperator");
+    await expect(pool.connect(memberA).reveal(1n, 1n)).to.be.revertedWithCustomError(pool, "NotOperator");
+    await expect(pool.connect(memberA).setShareDifficulty(10n)).to.be.revertedWithCustomError(pool, "NotOperator");
+    await expect(pool.connect(memberA).withdrawOperatorBalance(memberA.address)).to.be.revertedWithCustomError(pool, "NotOperator");
+    await expect(pool.connect(memberA).releaseAgent(memberA.address)).to.be.revertedWithCustomError(pool, "NotOperator");
+    await expect(pool.setShareDifficulty(0n)).to.be.revertedWithCustomError(pool, "InvalidShareDifficulty");
+
+    await expect(ethers.deployContract("MiningPool", [aBTC.target, POOL_AGENT, operatorSigner.address, 1n, 1001n]))
+      .to.be.revertedWithCustomError(pool, "FeeTooHigh");
+
+    await pool.releaseAgent(operatorSigner.address);
+    expect(await registry.ownerOf(POOL_AGENT)).to.equal(operatorSigner.address);
+  });
+
+  it("Test 7: aBTC bật reveal window — pool từ chối reveal vì không chia thưởng ngay được", async function () {
+    const [, , , admin] = await ethers.getSigners();
+    const current = (await aBTC.getParams()).toObject();
+    await aBTC.connect(admin).queueParams({ ...current, revealWindow: 3n });
+    await ethers.provider.send("evm_increaseTime", [Number(await aBTC.PARAMS_TIMELOCK())]);
+    await aBTC.connect(admin).executeParams();
+    await aBTC.emergencyDifficultyReset();
+
+    await operator.step();
+    await expect(pool.reveal(1n, 1n)).to.be.revertedWithCustomError(pool, "RevealWindowUnsupported");
+  });
+
+  it("Test 8: Operator đổi share difficulty giữa round — chỉ áp dụng từ pool round sau, share đã/đang nộp giữ trọng số cũ", async function () {
+    await operator.step();
+    const first = await plainShare(0n);
+    await pool.connect(memberA).submitShare(first);
+
+    await expect(pool.setShareDifficulty(SHARE_DIFFICULTY * 4n))
+      .to.emit(pool, "ShareDifficultyUpdated").withArgs(SHARE_DIFFICULTY, SHARE_DIFFICULTY * 4n);
+    expect(await pool.roundShareDifficulty(1)).to.equal(SHARE_DIFFICULTY);
+    expect(await pool.getShareTarget()).to.equal(ethers.MaxUint256 / SHARE_DIFFICULTY);
+
+    // Share nộp sau khi đổi vẫn tính theo difficulty của round đang mở
+    await expect(pool.connect(memberB).submitShare(await plainShare(first + 1n)))
+      .to.emit(pool, "ShareAccepted").withArgs(1n, memberB.address, anyValue, SHARE_DIFFICULTY);
+    await submitUntilBlock([[member(memberB), 1]]);
+    await revealWhenReady();
+    expect(await pool.shares(1, memberA.address)).to.equal(SHARE_DIFFICULTY);
+    expect((await pool.totalShares(1)) % SHARE_DIFFICULTY).to.equal(0n);
+
+    // Pool round 2 mở với difficulty mới
+    expect(await pool.roundShareDifficulty(2)).to.equal(SHARE_DIFFICULTY * 4n);
+    expect(await pool.getShareTarget()).to.equal(ethers.MaxUint256 / (SHARE_DIFFICULTY * 4n));
+    await operator.step();
+    await expect(pool.connect(memberA).submitShare(await plainShare(0n)))
+      .to.emit(pool, "ShareAccepted").withArgs(2n, memberA.address, anyValue, SHARE_DIFFICULTY * 4n);
+  });
+  it("Test 9: Seed provider beacon từ chối commit ở block mở round — operator chờ rồi commit lại, không throw", async function () {
+    const [, , treasury, admin] = await ethers.getSigners();
+    const beacon = await ethers.deployContract("BeaconSeedProvider");
+    aBTC = await ethers.deployContract("aBTC_PoW", [registry.target, treasury.address, admin.address, await aBTC.extension(), beacon.target]);
+    await beacon.bind(aBTC.target);
+    await registry.mint(operatorSigner.address); // agent 5 — agent 1 đã thuộc pool cũ
+    pool = await ethers.deployContract("MiningPool", [aBTC.target, 5n, operatorSigner.address, SHARE_DIFFICULTY, FEE_BPS]);
+    await registry["safeTransferFrom(address,address,uint256)"](operatorSigner.address, pool.target, 5n);
+
+    const logs = [];
+    operator = new PoolOperator({
+      pool: pool.connect(operatorSigner),
+      abtc: aBTC,
+      store: new SecretStore(path.join(dataDir, "secrets-beacon.json")),
+      log: (msg) => logs.push(msg),
+    });
+
+    // Solo miner (agent 4) thắng round 1; reveal và commit của pool rơi vào cùng một block
+    const secret = 99n;
+    await aBTC.connect(soloMiner).commit(4, computeCommitHash(4n, secret, soloMiner.address));
+    await mine(2);
+    const { nonce } = findNonce(4n, computeEnhancedSeed(await aBTC.roundSeed(), secret), await aBTC.getTarget());
+
+    await ethers.provider.send("evm_setAutomine", [false]);
+    try {
+      await aBTC.connect(soloMiner).revealAndMine(4, nonce, secret, { gasLimit: 1_000_000 });
+      const pending = operator.step();
+      while ((await ethers.provider.send("eth_getBlockByNumber", ["pending", false])).transactions.length < 2) {
+        await new Promise((r) => setTimeout(r, 20));
+      }
+      await mine(1);
+      expect((await pending).action).to.equal("wait");
+    } finally {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    }
+    expect(await aBTC.currentRound()).to.equal(2n);
+    expect(logs.some((msg) => msg.includes("CommitTooEarly"))).to.equal(true);
+
+    // Block sau: commit được nhận, work của round 2 được công bố
+    const result = await operator.step();
+    expect(result.action).to.equal("commit");
+    expect((await pool.currentWork()).round).to.equal(2n);
+  });
+});
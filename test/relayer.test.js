@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { signCommit, signReveal, RelayQueue, Relayer } = require("../lib/relayer");
+const { computeCommitHash, computeEnhancedSeed, computeHash, findNonce, splitReward, INITIAL_REWARD } = require("../lib/abtc");
+
+describe("Gasless Relayer (lib/relayer.js)", function () {
+  let aBTC, registry;
+  let relayerSigner, coldWallet;
+  let dataDir, queue, relayer;
+
+  const silent = () => {};
+
+  async function deployFixture() {
+    const [, , _treasury, _admin] = await ethers.getSigners();
+    const { abtc, registry } = await ignition.deploy(ABTCWithMockRegistryModule, {
+      parameters: {
+        ABTCWithMockRegistryModule: { treasury: _treasury.address, admin: _admin.address },
+      },
+    });
+    return { abtc, registry };
+  }
+
+  async function deadline(seconds = 3600) {
+    return BigInt((await ethers.provider.getBlock("latest")).timestamp) + BigInt(seconds);
+  }
+
+  /** Ví lạnh ký commit round hiện tại, tìm nonce offline, ký luôn reveal (nonce kế tiếp). */
+  async function signRound(agentId, secret) {
+    const round = await aBTC.currentRound();
+    const commit = await signCommit(coldWallet, aBTC, {
+      round,
+      agentId,
+      commitHash: computeCommitHash(agentId, secret, coldWallet.address),
+      deadline: await deadline(),
+    });
+    const enhancedSeed = computeEnhancedSeed(await aBTC.roundSeed(), secret);
+    const { nonce: powNonce } = findNonce(agentId, enhancedSeed, await aBTC.getTarget());
+    const reveal = await signReveal(coldWallet, aBTC, { agentId, powNonce, secret, nonce: commit.nonce + 1n, deadline: await deadline() });
+    return { commit, reveal };
+  }
+
+  beforeEach(async function () {
+    [, , , , relayerSigner] = await ethers.getSigners();
+    ({ abtc: aBTC, registry } = await loadFixture(deployFixture));
+
+    // Ví lạnh: không có ETH, không bao giờ gửi tx
+    coldWallet = ethers.Wallet.createRandom().connect(ethers.provider);
+    await registry.mint(coldWallet.address); // agent 1
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "abtc-relayer-"));
+    queue = new RelayQueue(dataDir);
+    relayer = new Relayer({ contract: aBTC.connect(relayerSigner), queue, log: silent });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("Test 1: Ví lạnh ký commit + reveal, relayer gửi theo thứ tự nonce và nhận phí validator", async function () {
+    const { commit, reveal } = await signRound(1n, 424242n);
+    // Thả reveal vào trước — relayer vẫn phải gửi commit trước
+    queue.add(reveal);
+    queue.add(commit);
+
+    const first = await relayer.step();
+    expect(first.map((r) => r.action)).to.deep.equal(["submitted", "waiting"]);
+    expect(first[1].reason).to.equal("commitment not ready");
+    expect((await aBTC.commitments(1, 1)).committer).to.equal(coldWallet.address);
+
+    await mine(1);
+    const second = await relayer.step();
+    expect(second.map((r) => r.action)).to.deep.equal(["submitted"]);
+
+    const { minerAmt, validatorAmt } = splitReward(INITIAL_REWARD);
+    expect(await aBTC.currentRound()).to.equal(2);
+    expect(await aBTC.balanceOf(coldWallet.address)).to.equal(minerAmt);
+    expect(await aBTC.balanceOf(relayerSigner.address)).to.equal(validatorAmt);
+    expect(await ethers.provider.getBalance(coldWallet.address)).to.equal(0n);
+
+    expect(queue.pending()).to.have.length(0);
+    expect(fs.readdirSync(path.join(dataDir, "done"))).to.have.length(2);
+    expect(await relayer.step()).to.deep.equal([]);
+  });
+
+  it("Test 2: Payload hết hạn, nonce đã dùng hoặc chữ ký sai bị chuyển sang failed/", async function () {
+    const round = await aBTC.currentRound();
+    const commitHash = computeCommitHash(1n, 7n, coldWallet.address);
+
+    const expired = await signCommit(coldWallet, aBTC, { round, agentId: 1n, commitHash, deadline: await deadline(-1) });
+    queue.add(expired);
+    expect((await relayer.step())[0]).to.include({ action: "failed", reason: "expired" });
+
+    const good = await signCommit(coldWallet, aBTC, { round, agentId: 1n, commitHash, deadline: await deadline() });
+    queue.add(good);
+    expect((await relayer.step())[0].action).to.equal("submitted");
+
+    // Cùng nonce 0 lần nữa → đã dùng
+    queue.add({ ...good, commitHash: computeCommitHash(1n, 8n, coldWallet.address) });
+    expect((await relayer.step())[0]).to.include({ action: "failed", reason: "nonce already used" });
+
+    // Nonce đúng nhưng chữ ký không khớp nội dung → contract revert, lỗi được giải mã
+    const next = await signCommit(coldWallet, aBTC, { round, agentId: 1n, commitHash, deadline: await deadline() });
+    queue.add({ ...next, commitHash: computeCommitHash(1n, 9n, coldWallet.address) });
+    expect((await relayer.step())[0]).to.include({ action: "failed", reason: "InvalidSignature" });
+
+    // failed/ giữ bản cuối cùng cho mỗi (signer, nonce)
+    const signer = coldWallet.address.toLowerCase();
+    const read = (name) => JSON.parse(fs.readFileSync(path.join(dataDir, "failed", name), "utf8"));
+    expect(fs.readdirSync(path.join(dataDir, "failed")).sort()).to.deep.equal([`${signer}-0.json`, `${signer}-1.json`]);
+    expect(read(`${signer}-0.json`).reason).to.equal("nonce already used");
+    expect(read(`${signer}-1.json`).reason).to.equal("InvalidSignature");
+    expect(await aBTC.relayNonces(coldWallet.address)).to.equal(1);
+  });
+
+  it("Test 3: Reveal ký trước cho nonce tương lai chờ tới lượt, rồi thắng nhiều round liên tiếp", async function () {
+    for (let i = 0; i < 3; i++) {
+      const { commit, reveal } = await signRound(1n, 1000n + BigInt(i));
+      queue.add(commit);
+      queue.add(reveal);
+      while (queue.pending().length > 0) {
+        await relayer.step();
+        await mine(1);
+      }
+    }
+
+    expect(await aBTC.currentRound()).to.equal(4);
+    expect(await aBTC.relayNonces(coldWallet.address)).to.equal(6);
+    expect((await aBTC.agentStats(1)).totalWins).to.equal(3);
+    expect(fs.existsSync(path.join(dataDir, "failed"))).to.equal(false);
+  });
+
+  it("Test 4: Lỗi RPC khi gửi giữ payload ở pending/; run() sống sót qua lỗi RPC và gửi lại ở lượt sau", async function () {
+    const round = await aBTC.currentRound();
+    const commit = await signCommit(coldWallet, aBTC, {
+      round,
+      agentId: 1n,
+      commitHash: computeCommitHash(1n, 7n, coldWallet.address),
+      deadline: await deadline(),
+    });
+    queue.add(commit);
+
+    /** aBTC của relayer, nhưng `method` ném lỗi mạng (không phải revert) `times` lần đầu. */
+    function flaky(method, times) {
+      const real = aBTC.connect(relayerSigner);
+      const failure = Object.assign(new Error("request timeout"), { code: "TIMEOUT", shortMessage: "request timeout" });
+      return new Proxy(real, {
+        get: (target, key) =>
+          key === method ? (...args) => (times-- > 0 ? Promise.reject(failure) : target[key](...args)) : target[key],
+      });
+    }
+
+    // Timeout lúc gửi: không phải revert → vẫn pending
+    const logs = [];
+    relayer = new Relayer({ contract: flaky("commitWithSig", 1), queue, log: (m) => logs.push(m) });
+    expect((await relayer.step())[0]).to.include({ action: "waiting", reason: "request timeout" });
+    expect(queue.pending()).to.have.length(1);
+    expect(fs.existsSync(path.join(dataDir, "failed"))).to.equal(false);
+
+    // run(): relayNonces lỗi ở lượt đầu (ném khỏi step) — relayer log lại rồi gửi ở lượt sau
+    relayer = new Relayer({ contract: flaky("relayNonces", 1), queue, pollInterval: 10, log: (m) => logs.push(m) });
+    const running = relayer.run();
+    for (let i = 0; i < 500 && queue.pending().length > 0; i++) await new Promise((r) => setTimeout(r, 10));
+    relayer.stop();
+    expect(await running).to.equal(1);
+
+    expect(logs.some((m) => m.includes("Relayer lỗi: request timeout"))).to.equal(true);
+    expect(await aBTC.relayNonces(coldWallet.address)).to.equal(1);
+    expect(fs.readdirSync(path.join(dataDir, "done"))).to.have.length(1);
+  });
+  it("Test 5: Reveal revert không tiêu nonce — payload ký trước phía sau kẹt, ký lại từ relayNonces thì đi tiếp", async function () {
+    const logs = [];
+    relayer = new Relayer({ contract: aBTC.connect(relayerSigner), queue, log: (msg) => logs.push(msg) });
+
+    const secret = 31337n;
+    const { commit, reveal } = await signRound(1n, secret);
+    const enhancedSeed = computeEnhancedSeed(await aBTC.roundSeed(), secret);
+    let wrong = reveal.powNonce + 1n;
+    while (computeHash(1n, wrong, enhancedSeed) < (await aBTC.getTarget())) wrong++;
+    const bad = await signReveal(coldWallet, aBTC, { ...reveal, powNonce: wrong });
+    const later = await signCommit(coldWallet, aBTC, {
+      round: (await aBTC.currentRound()) + 1n,
+      agentId: 1n,
+      commitHash: computeCommitHash(1n, 5n, coldWallet.address),
+      nonce: 2n,
+      deadline: await deadline(),
+    });
+    queue.add(commit);
+    await relayer.step();
+    await mine(1);
+
+    queue.add(bad);
+    queue.add(later);
+    const failed = await relayer.step();
+    expect(failed[0]).to.include({ action: "failed", reason: "InvalidNonce" });
+    expect(await aBTC.relayNonces(coldWallet.address)).to.equal(1);
+    expect(logs.some((msg) => msg.includes("phải ký lại từ nonce 1"))).to.equal(true);
+    expect((await relayer.step())[0]).to.include({ action: "waiting", reason: "earlier nonce pending" });
+
+    // Ký lại reveal đúng từ nonce hiện tại → đi tiếp, round đóng
+    queue.add(await signReveal(coldWallet, aBTC, { ...reveal, nonce: undefined }));
+    expect((await relayer.step()).map((r) => r.action)).to.deep.equal(["submitted", "submitted"]);
+    expect(await aBTC.currentRound()).to.equal(2);
+  });
+});
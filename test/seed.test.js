@@ -0,0 +1,290 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, mine, time, impersonateAccount, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const ABTCWithBeaconModule = require("../ignition/modules/ABTCWithBeacon");
+const ABTCWithOracleModule = require("../ignition/modules/ABTCWithOracle");
+const { computeCommitHash, computeEnhancedSeed, findNonce } = require("../lib/abtc");
+
+describe("Seed Providers (contracts/seed)", function () {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const chain = (prev, round, input) =>
+    BigInt(ethers.keccak256(coder.encode(["uint256", "uint256", "uint256"], [prev, round, input])));
+
+  let owner, miner, treasury, admin, other;
+  let secret = 0n;
+
+  /** aBTC_PoW đọc seed từ `provider` (chưa bind); agent 1 thuộc về miner. */
+  async function deployWith(provider) {
+    const registry = await ethers.deployContract("MockRegistry");
+    const extension = await ethers.deployContract("aBTC_PoWExtension", [registry.target]);
+    const abtc = await ethers.deployContract("aBTC_PoW", [
+      registry.target,
+      treasury.address,
+      admin.address,
+      extension.target,
+      provider.target,
+    ]);
+    await registry.mint(miner.address); // agent 1
+    return abtc;
+  }
+
+  /** Agent 1 thắng round hiện tại; trả về receipt và hashVal thắng. */
+  async function mineRound(aBTC) {
+    secret++;
+    await aBTC.connect(miner).commit(1, computeCommitHash(1n, secret, miner.address));
+    await mine(2);
+    const enhancedSeed = computeEnhancedSeed(await aBTC.roundSeed(), secret);
+    const { nonce } = findNonce(1n, enhancedSeed, await aBTC.getTarget());
+    const receipt = await (await aBTC.connect(miner).revealAndMine(1, nonce, secret)).wait();
+    const { args } = receipt.logs.map((l) => aBTC.interface.parseLog(l)).find((e) => e?.name === "MineSuccess");
+    return { receipt, hashVal: args.hashVal };
+  }
+
+  /** Deploy qua `module` (ABTCWithBeacon/ABTCWithOracle) trên MockRegistry; agent 1 thuộc về miner. */
+  async function deployModule(module, parameters = {}) {
+    const [, _miner, _treasury, _admin] = await ethers.getSigners();
+    const registry = await ethers.deployContract("MockRegistry");
+    const { abtc, seedProvider } = await ignition.deploy(module, {
+      parameters: {
+        [module.id]: { agentRegistry: registry.target, treasury: _treasury.address, admin: _admin.address, ...parameters },
+      },
+    });
+    await registry.mint(_miner.address); // agent 1
+    return { abtc, seedProvider };
+  }
+
+  async function forceAdvance(aBTC) {
+    await mine(await aBTC.REVEAL_DEADLINE());
+    return (await aBTC.connect(other).forceAdvanceRound()).wait();
+  }
+
+  async function parentHash(receipt) {
+    return BigInt((await ethers.provider.getBlock(receipt.blockNumber - 1)).hash);
+  }
+
+  beforeEach(async function () {
+    [owner, miner, treasury, admin, other] = await ethers.getSigners();
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  PREVRANDAO
+  // ═══════════════════════════════════════════════════════
+
+  describe("PrevrandaoSeedProvider", function () {
+    async function deployFixture() {
+      const [, , _treasury, _admin] = await ethers.getSigners();
+      const { abtc, registry, seedProvider } = await ignition.deploy(ABTCWithMockRegistryModule, {
+        parameters: { ABTCWithMockRegistryModule: { treasury: _treasury.address, admin: _admin.address } },
+      });
+      await registry.mint((await ethers.getSigners())[1].address); // agent 1
+      return { abtc, seedProvider };
+    }
+
+    it("Test 1: Module mặc định dùng prevrandao — roundSeed bằng prevrandao của block mở round", async function () {
+      const { abtc: aBTC, seedProvider } = await loadFixture(deployFixture);
+      expect(await aBTC.seedProvider()).to.equal(seedProvider.target);
+
+      const { receipt } = await mineRound(aBTC);
+      // prevrandao post-merge là trường mixHash của block
+      const block = await ethers.provider.send("eth_getBlockByNumber", [ethers.toQuantity(receipt.blockNumber), false]);
+      expect(await aBTC.roundSeed()).to.equal(BigInt(block.mixHash));
+      expect((await aBTC.getRoundRecord(1)).seed).to.not.equal(await aBTC.roundSeed());
+
+      // Không giữ trạng thái: ai gọi cũng được, không ảnh hưởng aBTC
+      expect(await seedProvider.connect(other).nextSeed(7, 123)).to.be.a("bigint");
+      expect(await seedProvider.winnerKnowsNextSeed()).to.equal(false); // pre-commit vẫn mở
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  BEACON
+  // ═══════════════════════════════════════════════════════
+
+  describe("BeaconSeedProvider", function () {
+    let aBTC, beacon;
+
+    async function deployFixture() {
+      const { abtc, seedProvider } = await deployModule(ABTCWithBeaconModule);
+      return { abtc, beacon: seedProvider };
+    }
+
+    beforeEach(async function () {
+      ({ abtc: aBTC, beacon } = await loadFixture(deployFixture));
+    });
+
+    it("Test 2: Module bind beacon vào aBTC_PoW vừa deploy; chỉ ví deploy bind được, một lần", async function () {
+      expect(await beacon.owner()).to.equal(owner.address);
+      expect(await beacon.consumer()).to.equal(aBTC.target);
+      await expect(beacon.connect(other).nextSeed(2, 1)).to.be.revertedWithCustomError(beacon, "NotConsumer");
+      await expect(beacon.bind(other.address)).to.be.revertedWithCustomError(beacon, "AlreadyBound");
+
+      // Beacon chưa bind: round 1 không đóng được, và không ai ngoài ví deploy chiếm được nó
+      const fresh = await ethers.deployContract("BeaconSeedProvider");
+      const unbound = await deployWith(fresh);
+      await expect(mineRound(unbound)).to.be.revertedWithCustomError(fresh, "NotConsumer");
+      await expect(fresh.connect(other).bind(other.address)).to.be.revertedWithCustomError(fresh, "NotOwner");
+      await expect(fresh.bind(other.address)).to.be.revertedWithCustomError(fresh, "InvalidConsumer");
+
+      await expect(fresh.bind(unbound.target)).to.emit(fresh, "ConsumerBound").withArgs(unbound.target);
+      await mineRound(unbound);
+      expect(await unbound.currentRound()).to.equal(2);
+      expect(await unbound.roundSeed()).to.equal(await fresh.beacon());
+    });
+
+    it("Test 3: Seed round sau = keccak(beacon, round, hashVal thắng round trước)", async function () {
+      const before = await beacon.beacon();
+      const { receipt, hashVal } = await mineRound(aBTC);
+
+      const expected = chain(before, 2n, hashVal);
+      expect(await aBTC.roundSeed()).to.equal(expected);
+      await expect(receipt).to.emit(beacon, "BeaconUpdated").withArgs(2, expected, true);
+
+      // Tiếp tục đào được trên seed mới
+      const next = await mineRound(aBTC);
+      expect(await aBTC.roundSeed()).to.equal(chain(expected, 3n, next.hashVal));
+    });
+
+    it("Test 4: Round không có người thắng (force advance, emergency reset) lấy blockhash cha", async function () {
+      let before = await beacon.beacon();
+      let receipt = await forceAdvance(aBTC);
+      let expected = chain(before, 2n, await parentHash(receipt));
+      expect(await aBTC.roundSeed()).to.equal(expected);
+      await expect(receipt).to.emit(beacon, "BeaconUpdated").withArgs(2, expected, false);
+
+      const params = await aBTC.getParams();
+      await time.increase(params.targetTime * params.epochLength * 10n + 1n);
+      before = await beacon.beacon();
+      receipt = await (await aBTC.connect(other).emergencyDifficultyReset()).wait();
+      expected = chain(before, 2n, await parentHash(receipt)); // cùng round, seed mới
+      expect(await aBTC.currentRound()).to.equal(2);
+      expect(await aBTC.roundSeed()).to.equal(expected);
+    });
+
+    it("Test 5: Người thắng biết trước seed round sau → không pre-commit, không commit cùng block mở round", async function () {
+      expect(await beacon.winnerKnowsNextSeed()).to.equal(true);
+      const commitHash = computeCommitHash(1n, 999n, miner.address);
+      await expect(aBTC.connect(miner).commitFor(2, 1, commitHash)).to.be.revertedWithCustomError(aBTC, "CommitTooEarly");
+      await expect(aBTC.connect(miner).commitBatchFor(2, [1], [commitHash])).to.be.revertedWithCustomError(aBTC, "CommitTooEarly");
+
+      // Reveal round 1 và commit round 2 gói chung một block: commit bị từ chối
+      secret++;
+      await aBTC.connect(miner).commit(1, computeCommitHash(1n, secret, miner.address));
+      await mine(2);
+      const { nonce } = findNonce(1n, computeEnhancedSeed(await aBTC.roundSeed(), secret), await aBTC.getTarget());
+      await ethers.provider.send("evm_setAutomine", [false]);
+      let reveal, bundled;
+      try {
+        reveal = await aBTC.connect(miner).revealAndMine(1, nonce, secret);
+        bundled = await aBTC.connect(miner).commit(1, commitHash, { gasLimit: 500_000 });
+        await mine(1);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+      expect((await ethers.provider.getTransactionReceipt(reveal.hash)).status).to.equal(1);
+      const receipt = await ethers.provider.getTransactionReceipt(bundled.hash);
+      expect(receipt.blockNumber).to.equal(await aBTC.roundStartBlock());
+      expect(receipt.status).to.equal(0);
+
+      // Từ block sau mọi người commit như nhau
+      await expect(aBTC.connect(miner).commit(1, commitHash)).to.emit(aBTC, "Committed").withArgs(2, 1, miner.address);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  ORACLE (VRF-STYLE)
+  // ═══════════════════════════════════════════════════════
+
+  describe("OracleSeedProvider", function () {
+    const WORD = 0x1234567890abcdefn;
+    let aBTC, oracle, provider;
+
+    async function deployFixture() {
+      const oracle = await ethers.deployContract("MockRandomnessOracle");
+      const { abtc, seedProvider } = await deployModule(ABTCWithOracleModule, { oracle: oracle.target });
+      return { abtc, oracle, provider: seedProvider };
+    }
+
+    beforeEach(async function () {
+      ({ abtc: aBTC, oracle, provider } = await loadFixture(deployFixture));
+    });
+
+    it("Test 6: Seed đầu tiên (round 2) dùng fallback và đặt trước yêu cầu cho round sau; oracle trả lời qua callback", async function () {
+      expect(await provider.consumer()).to.equal(aBTC.target);
+      expect(await provider.winnerKnowsNextSeed()).to.equal(true);
+      expect(await provider.pendingRequest()).to.equal(0);
+
+      const before = await provider.lastSeed();
+      const { receipt, hashVal } = await mineRound(aBTC);
+      await expect(receipt).to.emit(provider, "OracleFallback").withArgs(2);
+      await expect(receipt).to.emit(oracle, "RandomnessRequested").withArgs(1, provider.target);
+      expect(await provider.pendingRequest()).to.equal(1);
+      expect(await aBTC.roundSeed()).to.equal(chain(before, 2n, hashVal));
+      expect(await aBTC.roundSeed()).to.equal(await provider.lastSeed());
+
+      await expect(oracle.fulfill(1, WORD)).to.emit(provider, "RandomnessFulfilled").withArgs(1, WORD);
+      expect(await provider.fresh()).to.equal(true);
+      expect(await provider.pendingRequest()).to.equal(0);
+    });
+
+    it("Test 7: Seed round sau = keccak(word oracle, round, hashVal); mỗi word chỉ dùng một lần", async function () {
+      await mineRound(aBTC);
+      await oracle.fulfill(1, WORD);
+
+      const { receipt, hashVal } = await mineRound(aBTC);
+      const seed3 = chain(WORD, 3n, hashVal);
+      expect(await aBTC.roundSeed()).to.equal(seed3);
+      await expect(receipt).to.not.emit(provider, "OracleFallback");
+      await expect(receipt).to.emit(oracle, "RandomnessRequested").withArgs(2, provider.target);
+      expect(await provider.fresh()).to.equal(false);
+
+      // Oracle chưa trả lời request 2 → round không chờ, seed nối tiếp từ seed trước
+      const next = await mineRound(aBTC);
+      expect(await aBTC.roundSeed()).to.equal(chain(seed3, 4n, next.hashVal));
+      await expect(next.receipt).to.emit(provider, "OracleFallback").withArgs(4);
+      expect(await oracle.lastRequestId()).to.equal(2); // không gửi trùng khi request cũ còn treo
+
+      // Trả lời muộn vẫn được dùng cho round kế tiếp
+      await oracle.fulfill(2, WORD + 1n);
+      const late = await mineRound(aBTC);
+      expect(await aBTC.roundSeed()).to.equal(chain(WORD + 1n, 5n, late.hashVal));
+    });
+
+    it("Test 8: Chỉ oracle được gọi callback, và chỉ cho request đang chờ", async function () {
+      await expect(provider.connect(other).fulfillRandomness(1, WORD)).to.be.revertedWithCustomError(provider, "NotOracle");
+
+      await impersonateAccount(oracle.target);
+      await setBalance(oracle.target, ethers.parseEther("1"));
+      const asOracle = await ethers.getSigner(oracle.target);
+      await expect(provider.connect(asOracle).fulfillRandomness(2, WORD)).to.be.revertedWithCustomError(provider, "UnknownRequest");
+      await expect(provider.connect(asOracle).fulfillRandomness(0, WORD)).to.be.revertedWithCustomError(provider, "UnknownRequest");
+
+      await mineRound(aBTC); // gửi request 1
+      await oracle.fulfill(1, WORD);
+      await expect(oracle.fulfill(1, WORD)).to.be.revertedWith("Unknown request");
+      await expect(provider.connect(other).nextSeed(2, 0)).to.be.revertedWithCustomError(provider, "NotConsumer");
+    });
+
+    it("Test 9: Oracle revert khi được yêu cầu → round vẫn đóng bằng fallback, round sau yêu cầu lại", async function () {
+      await oracle.setReverts(true);
+
+      const first = await mineRound(aBTC);
+      await expect(first.receipt).to.emit(provider, "OracleRequestFailed").withArgs(2);
+      await expect(first.receipt).to.emit(provider, "OracleFallback").withArgs(2);
+      expect(await aBTC.currentRound()).to.equal(2);
+      expect(await provider.pendingRequest()).to.equal(0);
+
+      // forceAdvanceRound và emergencyDifficultyReset cũng không bị chặn
+      await expect(forceAdvance(aBTC)).to.emit(provider, "OracleRequestFailed").withArgs(3);
+      const { targetTime, epochLength } = await aBTC.getParams();
+      await time.increase(targetTime * epochLength * 10n + 1n);
+      await expect(aBTC.emergencyDifficultyReset()).to.emit(provider, "OracleRequestFailed").withArgs(3);
+
+      await oracle.setReverts(false);
+      const next = await mineRound(aBTC);
+      await expect(next.receipt).to.emit(oracle, "RandomnessRequested").withArgs(1, provider.target);
+      await expect(next.receipt).to.not.emit(provider, "OracleRequestFailed");
+      expect(await provider.pendingRequest()).to.equal(1);
+    });
+  });
+});
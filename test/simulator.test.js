@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, ignition } = hre;
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { adjustDifficulty, ChainModel, simulate, replayOnChain } = require("../lib/simulator");
+const { MIN_DIFFICULTY, MAX_DIFFICULTY, INITIAL_REWARD, HALVING_INTERVAL, MAX_SUPPLY } = require("../lib/abtc");
+
+describe("Difficulty & Emission Simulator (lib/simulator.js)", function () {
+  async function deployFixture() {
+    const [, miner, treasury, admin] = await ethers.getSigners();
+    const { abtc, registry } = await ignition.deploy(ABTCWithMockRegistryModule, {
+      parameters: {
+        ABTCWithMockRegistryModule: { treasury: treasury.address, admin: admin.address },
+      },
+    });
+    await registry.connect(miner).mint(miner.address); // agent 1
+    return { abtc: abtc.connect(miner) };
+  }
+
+  it("Test 1: adjustDifficulty dùng đúng phép chia nguyên, clamp và biên MIN/MAX", function () {
+    // 10 round, kỳ vọng 600s
+    expect(adjustDifficulty(4000n, 600n, 10n)).to.equal(4000n);
+    expect(adjustDifficulty(4000n, 700n, 10n)).to.equal(3428n); // 4000*600/700 làm tròn xuống
+    expect(adjustDifficulty(4000n, 1n, 10n)).to.equal(16000n); // clamp x4
+    expect(adjustDifficulty(4000n, 0n, 10n)).to.equal(16000n); // elapsed == 0
+    expect(adjustDifficulty(40000n, 100000n, 10n)).to.equal(10000n); // clamp /4
+    expect(adjustDifficulty(MIN_DIFFICULTY, 100000n, 10n)).to.equal(MIN_DIFFICULTY);
+    expect(adjustDifficulty(MAX_DIFFICULTY, 1n, 10n)).to.equal(MAX_DIFFICULTY);
+    // Tham số tuỳ chỉnh
+    expect(adjustDifficulty(4000n, 600n, 10n, { targetTime: 30n })).to.equal(2000n);
+  });
+
+  it("Test 2: ChainModel halving và chặn ở MAX_SUPPLY", function () {
+    const model = new ChainModel();
+    expect(model.finalize(60n)).to.equal(INITIAL_REWARD);
+
+    model.currentRound = HALVING_INTERVAL;
+    expect(model.getReward()).to.equal(INITIAL_REWARD / 2n);
+
+    model.totalMined = MAX_SUPPLY - 100n;
+    expect(model.finalize(120n)).to.equal(100n);
+    expect(model.totalMined).to.equal(MAX_SUPPLY);
+    expect(model.finalize(180n)).to.equal(0n);
+  });
+
+  it("Test 3: Hash rate ổn định — difficulty hội tụ, round time quanh TARGET_TIME", function () {
+    const scenario = { rounds: 400, seed: 7, blockTime: 2, miners: [{ id: "a", hashRate: 50 }] };
+    const { report } = simulate(scenario);
+
+    // Cân bằng ở difficulty ≈ hashRate × TARGET_TIME = 3000
+    expect(Number(report.finalDifficulty)).to.be.within(1500, 6000);
+    expect(report.meanRoundTime).to.be.within(40, 90);
+    expect(report.orphanRounds).to.be.lessThan(4); // deadline 514s ≈ 8.5 × mean round time
+    expect(report.totalMined).to.equal(BigInt(400 - report.orphanRounds) * INITIAL_REWARD);
+
+    // Cùng seed → cùng kết quả
+    expect(simulate(scenario).report).to.deep.equal(report);
+  });
+
+  it("Test 4: Miner lớn rời mạng — round bị orphan, force-advance kéo difficulty về MIN", function () {
+    const { report, history } = simulate({
+      rounds: 200,
+      seed: 3,
+      miners: [
+        { id: "whale", hashRate: 5000, leaveAt: 3_000 },
+        { id: "small", hashRate: 1 },
+      ],
+    });
+
+    expect(report.maxDifficulty).to.be.greaterThan(100_000n);
+    expect(report.orphanRounds).to.be.greaterThan(0);
+    // Force-advance vẫn chạy điều chỉnh ở biên epoch nên không cần emergency reset
+    expect(report.emergencyResets).to.equal(0);
+    expect(report.finalDifficulty).to.equal(MIN_DIFFICULTY);
+    expect(history.filter((r) => r.orphaned).every((r) => r.reward === 0n)).to.equal(true);
+    expect(report.winsByMiner.small).to.be.greaterThan(0);
+  });
+
+  it("Test 5: Kịch bản ngắn trên contract thật khớp mô hình sau từng bước", async function () {
+    const { abtc } = await loadFixture(deployFixture);
+
+    const steps = [
+      ...Array(11).fill({ action: "mine", after: 5 }), // epoch nhanh → clamp x4
+      ...Array(7).fill({ action: "mine", after: 200 }),
+      { action: "mine", after: 61 },
+      { action: "mine", after: 59 },
+      { action: "force", after: 0 }, // force-advance đúng biên epoch vẫn điều chỉnh difficulty
+      { action: "mine", after: 30 },
+      { action: "emergency", after: 6_100 },
+      { action: "mine", after: 60 },
+    ];
+    const results = await replayOnChain({ hre, contract: abtc, agentId: 1n, steps });
+
+    for (const r of results) {
+      expect(r.chain, `${r.step.action} → round ${r.chain.currentRound}`).to.deep.equal(r.model);
+    }
+    const last = results[results.length - 1].chain;
+    expect(last.currentRound).to.equal(24n);
+    expect(last.totalMined).to.equal(await abtc.totalSupply());
+    expect(results[10].chain.roundDifficulty).to.equal(MIN_DIFFICULTY * 4n);
+  });
+});
@@ -0,0 +1,361 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { computeCommitHash, computeEnhancedSeed, findNonce, splitReward, INITIAL_REWARD, ADDRESS_SETTING } = require("../lib/abtc");
+const { setAddress } = require("./fixtures");
+
+describe("Agent Staking (AgentStaking.sol)", function () {
+  const FULL_BONUS_STAKE = 100n * 10n ** 8n; // 100 aBTC → bonus tối đa
+  const UNBONDING_PERIOD = 7n * 24n * 3600n;
+  const AGENT = 1n; // agent được stake, thuộc về miner
+  const aBTCAmount = (n) => BigInt(n) * 10n ** 8n;
+
+  let aBTC, registry, staking;
+  let miner, treasury, admin, stakerA, stakerB;
+
+  /** Commit, chờ cooldown, reveal — thắng round hiện tại với `agentId`. */
+  async function mineRound(signer, agentId, secret) {
+    const commitHash = computeCommitHash(agentId, secret, signer.address);
+    await aBTC.connect(signer).commit(agentId, commitHash);
+    await mine(2);
+
+    const enhancedSeed = computeEnhancedSeed(await aBTC.roundSeed(), secret);
+    const { nonce } = findNonce(agentId, enhancedSeed, await aBTC.getTarget());
+    return aBTC.connect(signer).revealAndMine(agentId, nonce, secret);
+  }
+
+  /** Sang round mới không ai thắng (force advance) — stake nạp ở round trước hết warm-up. */
+  async function nextRound() {
+    await mine(Number(await aBTC.REVEAL_DEADLINE()) + 1);
+    await aBTC.forceAdvanceRound();
+  }
+
+  async function deployFixture() {
+    const [, _miner, _treasury, _admin, _stakerA, _stakerB] = await ethers.getSigners();
+    const { abtc, registry } = await ignition.deploy(ABTCWithMockRegistryModule, {
+      parameters: {
+        ABTCWithMockRegistryModule: { treasury: _treasury.address, admin: _admin.address },
+      },
+    });
+
+    await registry.mint(_miner.address); // agent 1
+    await registry.mint(_stakerA.address); // agent 2
+    await registry.mint(_stakerB.address); // agent 3
+
+    // Staker tự đào lấy aBTC trước khi bật staking: A 90, B 45
+    aBTC = abtc;
+    await mineRound(_stakerA, 2n, 11n);
+    await mineRound(_stakerA, 2n, 12n);
+    await mineRound(_stakerB, 3n, 13n);
+
+    const staking = await ethers.deployContract("AgentStaking", [abtc.target, FULL_BONUS_STAKE, UNBONDING_PERIOD]);
+    await setAddress(abtc, _admin, ADDRESS_SETTING.STAKING, staking.target);
+    await abtc.connect(_stakerA).approve(staking.target, ethers.MaxUint256);
+    await abtc.connect(_stakerB).approve(staking.target, ethers.MaxUint256);
+    return { abtc, registry, staking };
+  }
+
+  beforeEach(async function () {
+    [, miner, treasury, admin, stakerA, stakerB] = await ethers.getSigners();
+    ({ abtc: aBTC, registry, staking } = await loadFixture(deployFixture));
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  STAKE & BONUS
+  // ═══════════════════════════════════════════════════════
+
+  describe("Stake & Bonus", function () {
+    it("Test 1: Stake chuyển aBTC vào contract, bonus tăng tuyến tính từ round sau và bị chặn ở MAX_BONUS_BPS", async function () {
+      const MAX_BONUS_BPS = await staking.MAX_BONUS_BPS();
+      expect(await staking.bonusBps(AGENT)).to.equal(0);
+
+      await expect(staking.connect(stakerA).stake(AGENT, aBTCAmount(40)))
+        .to.emit(staking, "Staked")
+        .withArgs(AGENT, stakerA.address, aBTCAmount(40));
+      expect(await staking.bonusBps(AGENT)).to.equal(0); // còn warm-up
+      await nextRound();
+      expect(await staking.activeStake(AGENT)).to.equal(aBTCAmount(40));
+      expect(await staking.bonusBps(AGENT)).to.equal((MAX_BONUS_BPS * 40n) / 100n);
+
+      await staking.connect(stakerB).stake(AGENT, aBTCAmount(20));
+      expect(await staking.bonusBps(AGENT)).to.equal((MAX_BONUS_BPS * 40n) / 100n);
+      await nextRound();
+      expect(await staking.bonusBps(AGENT)).to.equal((MAX_BONUS_BPS * 60n) / 100n);
+
+      await staking.connect(stakerA).stake(AGENT, aBTCAmount(50));
+      await nextRound();
+      expect(await staking.bonusBps(AGENT)).to.equal(MAX_BONUS_BPS);
+
+      expect((await staking.agents(AGENT)).totalStaked).to.equal(aBTCAmount(110));
+      expect((await staking.positions(AGENT, stakerA.address)).amount).to.equal(aBTCAmount(90));
+      expect(await aBTC.balanceOf(staking.target)).to.equal(aBTCAmount(110));
+      expect(await aBTC.balanceOf(stakerA.address)).to.equal(0);
+    });
+
+    it("Test 2: Stake 0 hoặc vào agent không tồn tại bị từ chối", async function () {
+      await expect(staking.connect(stakerA).stake(AGENT, 0)).to.be.revertedWithCustomError(staking, "ZeroAmount");
+      await expect(staking.connect(stakerA).stake(99, aBTCAmount(1))).to.be.revertedWithCustomError(
+        registry,
+        "ERC721NonexistentToken"
+      );
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  REWARD ACCRUAL
+  // ═══════════════════════════════════════════════════════
+
+  describe("Reward Accrual", function () {
+    it("Test 3: Agent thắng — bonus lấy từ phần platform, delegator nhận phần cắt theo tỉ lệ stake", async function () {
+      await staking.connect(miner).setDelegatorShare(AGENT, 2000);
+      await staking.connect(stakerA).stake(AGENT, aBTCAmount(30));
+      await staking.connect(stakerB).stake(AGENT, aBTCAmount(10));
+      await nextRound();
+
+      const [bonusBps, delegatorShare] = await staking.rewardTerms(AGENT);
+      expect(bonusBps).to.equal(120); // 300 * 40 / 100
+      expect(delegatorShare).to.equal(2000);
+
+      const expected = splitReward(INITIAL_REWARD, { bonusBps, delegatorShare });
+      const base = splitReward(INITIAL_REWARD);
+      expect(expected.minerAmt).to.equal(base.minerAmt + (INITIAL_REWARD * 120n) / 10000n);
+      expect(expected.platformAmt + expected.minerAmt).to.equal(base.platformAmt + base.minerAmt);
+
+      const treasuryBefore = await aBTC.balanceOf(treasury.address);
+      await expect(mineRound(miner, AGENT, 77n))
+        .to.emit(staking, "RewardAccrued")
+        .withArgs(AGENT, expected.delegatorAmt);
+
+      expect(await aBTC.balanceOf(miner.address)).to.equal(expected.minerAmt - expected.delegatorAmt);
+      expect((await aBTC.balanceOf(treasury.address)) - treasuryBefore).to.equal(expected.platformAmt);
+      expect((await aBTC.agentStats(AGENT)).totalEarned).to.equal(expected.minerAmt);
+      expect(await aBTC.totalSupply()).to.equal(await aBTC.totalMined());
+
+      // 3 : 1
+      const pendingA = await staking.pendingRewards(AGENT, stakerA.address);
+      const pendingB = await staking.pendingRewards(AGENT, stakerB.address);
+      expect(pendingA).to.equal((expected.delegatorAmt * 3n) / 4n);
+      expect(pendingB).to.equal(expected.delegatorAmt / 4n);
+      expect((await staking.agents(AGENT)).totalRewarded).to.equal(expected.delegatorAmt);
+
+      await expect(staking.connect(stakerA).claimRewards([AGENT]))
+        .to.emit(staking, "RewardClaimed")
+        .withArgs(AGENT, stakerA.address, pendingA);
+      expect(await aBTC.balanceOf(stakerA.address)).to.equal(aBTCAmount(60) + pendingA);
+      await expect(staking.connect(stakerA).claimRewards([AGENT])).to.be.revertedWithCustomError(staking, "NothingToClaim");
+    });
+
+    it("Test 4: Không ai stake → chia thưởng như cũ 90/5/5, staking không nhận gì", async function () {
+      await staking.connect(miner).setDelegatorShare(AGENT, 5000);
+      expect(await staking.rewardTerms(AGENT)).to.deep.equal([0n, 0n]);
+
+      await mineRound(miner, AGENT, 78n);
+
+      expect(await aBTC.balanceOf(miner.address)).to.equal(splitReward(INITIAL_REWARD).minerAmt);
+      expect(await aBTC.balanceOf(staking.target)).to.equal(0);
+    });
+
+    it("Test 5: Stake vào sau không ăn phần thưởng của những lần thắng trước", async function () {
+      await staking.connect(miner).setDelegatorShare(AGENT, 1000);
+      await staking.connect(stakerA).stake(AGENT, aBTCAmount(20));
+      await nextRound();
+      await mineRound(miner, AGENT, 79n);
+      const firstWin = (await staking.agents(AGENT)).totalRewarded;
+
+      await staking.connect(stakerB).stake(AGENT, aBTCAmount(20));
+      expect(await staking.pendingRewards(AGENT, stakerB.address)).to.equal(0);
+      expect(await staking.pendingRewards(AGENT, stakerA.address)).to.equal(firstWin);
+
+      await nextRound();
+      await mineRound(miner, AGENT, 80n);
+      const secondWin = (await staking.agents(AGENT)).totalRewarded - firstWin;
+      expect(await staking.pendingRewards(AGENT, stakerB.address)).to.equal(secondWin / 2n);
+      expect(await staking.pendingRewards(AGENT, stakerA.address)).to.equal(firstWin + secondWin / 2n);
+    });
+
+    it("Test 11: Stake chen trước reveal thắng trong cùng round không nhận bonus, không nhận phần cắt; rút ra vẫn phải chờ unbonding", async function () {
+      await staking.connect(miner).setDelegatorShare(AGENT, 2000);
+      await staking.connect(stakerA).stake(AGENT, aBTCAmount(20));
+      await nextRound();
+      const [bonusBefore, cutBefore] = await staking.rewardTerms(AGENT);
+
+      // B thấy reveal thắng trong mempool và stake 45 aBTC ngay trước nó
+      await staking.connect(stakerB).stake(AGENT, aBTCAmount(45));
+      expect(await staking.rewardTerms(AGENT)).to.deep.equal([bonusBefore, cutBefore]);
+      expect(await staking.activeStake(AGENT)).to.equal(aBTCAmount(20));
+
+      const expected = splitReward(INITIAL_REWARD, { bonusBps: bonusBefore, delegatorShare: cutBefore });
+      await expect(mineRound(miner, AGENT, 84n)).to.emit(staking, "RewardAccrued").withArgs(AGENT, expected.delegatorAmt);
+      expect(await aBTC.balanceOf(miner.address)).to.equal(expected.minerAmt - expected.delegatorAmt);
+      expect(await staking.pendingRewards(AGENT, stakerB.address)).to.equal(0);
+      expect(await staking.pendingRewards(AGENT, stakerA.address)).to.equal(expected.delegatorAmt);
+
+      // Unstake ngay sau đó: không có gì để claim, aBTC vẫn bị khoá unbondingPeriod
+      await staking.connect(stakerB).unstake(AGENT, aBTCAmount(45));
+      await expect(staking.connect(stakerB).claimRewards([AGENT])).to.be.revertedWithCustomError(staking, "NothingToClaim");
+      await expect(staking.connect(stakerB).withdraw()).to.be.revertedWithCustomError(staking, "NothingToWithdraw");
+
+      // Round sau stake của A vẫn hoạt động bình thường, B đã rời
+      const agentPool = await staking.agents(AGENT);
+      expect(agentPool.totalStaked).to.equal(aBTCAmount(20));
+      expect(agentPool.warmupStake).to.equal(0);
+      await mineRound(miner, AGENT, 85n);
+      expect(await staking.pendingRewards(AGENT, stakerB.address)).to.equal(0);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  UNBONDING
+  // ═══════════════════════════════════════════════════════
+
+  describe("Unbonding", function () {
+    it("Test 6: Unstake mất weight ngay, chỉ rút được sau unbondingPeriod", async function () {
+      await staking.connect(stakerA).stake(AGENT, aBTCAmount(50));
+      await nextRound();
+
+      const tx = await staking.connect(stakerA).unstake(AGENT, aBTCAmount(20));
+      const releaseTime = BigInt(await time.latest()) + UNBONDING_PERIOD;
+      await expect(tx).to.emit(staking, "Unstaked").withArgs(AGENT, stakerA.address, aBTCAmount(20), releaseTime);
+
+      expect((await staking.agents(AGENT)).totalStaked).to.equal(aBTCAmount(30));
+      expect(await staking.bonusBps(AGENT)).to.equal(90);
+      expect(await staking.withdrawable(stakerA.address)).to.equal(0);
+      await expect(staking.connect(stakerA).withdraw()).to.be.revertedWithCustomError(staking, "NothingToWithdraw");
+
+      await time.increaseTo(releaseTime - 10n);
+      await expect(staking.connect(stakerA).withdraw()).to.be.revertedWithCustomError(staking, "NothingToWithdraw");
+
+      await time.increaseTo(releaseTime);
+      expect(await staking.withdrawable(stakerA.address)).to.equal(aBTCAmount(20));
+      const before = await aBTC.balanceOf(stakerA.address);
+      await expect(staking.connect(stakerA).withdraw()).to.emit(staking, "Withdrawn").withArgs(stakerA.address, aBTCAmount(20));
+      expect((await aBTC.balanceOf(stakerA.address)) - before).to.equal(aBTCAmount(20));
+      expect(await staking.getUnbondings(stakerA.address)).to.have.length(0);
+    });
+
+    it("Test 7: Rút từng phần theo thời hạn riêng, không unstake quá số đã stake", async function () {
+      await staking.connect(stakerA).stake(AGENT, aBTCAmount(50));
+      await expect(staking.connect(stakerA).unstake(AGENT, aBTCAmount(51))).to.be.revertedWithCustomError(
+        staking,
+        "InsufficientStake"
+      );
+
+      await staking.connect(stakerA).unstake(AGENT, aBTCAmount(10));
+      await time.increase(UNBONDING_PERIOD / 2n);
+      await staking.connect(stakerA).unstake(AGENT, aBTCAmount(15));
+      expect(await staking.getUnbondings(stakerA.address)).to.have.length(2);
+
+      await time.increase(UNBONDING_PERIOD / 2n);
+      await staking.connect(stakerA).withdraw(); // chỉ entry đầu đã hết hạn
+      const left = await staking.getUnbondings(stakerA.address);
+      expect(left).to.have.length(1);
+      expect(left[0].amount).to.equal(aBTCAmount(15));
+      expect(await aBTC.balanceOf(stakerA.address)).to.equal(aBTCAmount(50));
+    });
+
+    it("Test 8: Phần đang unbonding không nhận thưởng, thưởng đã tích lũy vẫn claim được", async function () {
+      await staking.connect(miner).setDelegatorShare(AGENT, 1000);
+      await staking.connect(stakerA).stake(AGENT, aBTCAmount(20));
+      await staking.connect(stakerB).stake(AGENT, aBTCAmount(20));
+      await nextRound();
+      await mineRound(miner, AGENT, 81n);
+      const earnedA = await staking.pendingRewards(AGENT, stakerA.address);
+
+      await staking.connect(stakerA).unstake(AGENT, aBTCAmount(20));
+      const before = (await staking.agents(AGENT)).totalRewarded;
+      await mineRound(miner, AGENT, 82n);
+
+      expect(await staking.pendingRewards(AGENT, stakerA.address)).to.equal(earnedA);
+      expect(await staking.pendingRewards(AGENT, stakerB.address)).to.equal(
+        earnedA + (await staking.agents(AGENT)).totalRewarded - before
+      );
+      await staking.connect(stakerA).claimRewards([AGENT]);
+      expect(await staking.pendingRewards(AGENT, stakerA.address)).to.equal(0);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  DELEGATOR SHARE & ADMIN
+  // ═══════════════════════════════════════════════════════
+
+  describe("Delegator Share & Admin", function () {
+    it("Test 9: Tăng delegatorShare có hiệu lực ngay, giảm chỉ sau unbondingPeriod", async function () {
+      const tx = await staking.connect(miner).setDelegatorShare(AGENT, 1500);
+      await expect(tx).to.emit(staking, "DelegatorShareQueued").withArgs(AGENT, 1500, await time.latest());
+      expect(await staking.delegatorShare(AGENT)).to.equal(1500);
+
+      await staking.connect(miner).setDelegatorShare(AGENT, 500);
+      const effectiveAt = (await staking.agents(AGENT)).shareEffectiveAt;
+      expect(effectiveAt).to.equal(BigInt(await time.latest()) + UNBONDING_PERIOD);
+      expect(await staking.delegatorShare(AGENT)).to.equal(1500);
+
+      await time.increaseTo(effectiveAt);
+      expect(await staking.delegatorShare(AGENT)).to.equal(500);
+
+      await expect(staking.connect(miner).setDelegatorShare(AGENT, 5001)).to.be.revertedWithCustomError(staking, "ShareTooHigh");
+      await expect(staking.connect(stakerA).setDelegatorShare(AGENT, 100)).to.be.revertedWithCustomError(staking, "NotAgentOwner");
+    });
+
+    it("Test 10: Đổi staking phải qua timelock PARAMS_TIMELOCK; chỉ aBTC gọi được notifyReward", async function () {
+      const { STAKING } = ADDRESS_SETTING;
+      await expect(aBTC.connect(stakerA).queueAddress(STAKING, stakerA.address)).to.be.revertedWithCustomError(
+        aBTC,
+        "AccessControlUnauthorizedAccount"
+      );
+      await expect(staking.connect(stakerA).notifyReward(AGENT, 1)).to.be.revertedWithCustomError(staking, "NotAbtc");
+
+      // Trỏ staking sang ví khác: có thông báo trước, chưa có hiệu lực trước hạn, huỷ được
+      const tx = await aBTC.connect(admin).queueAddress(STAKING, stakerA.address);
+      const eta = BigInt((await tx.getBlock()).timestamp) + (await aBTC.PARAMS_TIMELOCK());
+      await expect(tx).to.emit(aBTC, "AddressQueued").withArgs(STAKING, stakerA.address, eta);
+      expect(await aBTC.pendingAddress(STAKING)).to.deep.equal([stakerA.address, eta]);
+      await expect(aBTC.connect(admin).executeAddress(STAKING)).to.be.revertedWithCustomError(aBTC, "TimelockNotExpired");
+      expect(await aBTC.staking()).to.equal(staking.target);
+      await expect(aBTC.connect(admin).cancelAddress(STAKING)).to.emit(aBTC, "AddressCancelled").withArgs(STAKING);
+      await expect(aBTC.connect(admin).executeAddress(STAKING)).to.be.revertedWithCustomError(aBTC, "NoPendingAddress");
+
+      // Tắt staking: stake vẫn còn nhưng chia thưởng quay về mặc định
+      await staking.connect(miner).setDelegatorShare(AGENT, 2000);
+      await staking.connect(stakerA).stake(AGENT, aBTCAmount(50));
+      await nextRound();
+      await expect(setAddress(aBTC, admin, STAKING, ethers.ZeroAddress))
+        .to.emit(aBTC, "StakingUpdated")
+        .withArgs(staking.target, ethers.ZeroAddress);
+      expect(await aBTC.pendingAddress(STAKING)).to.deep.equal([ethers.ZeroAddress, 0n]);
+
+      await mineRound(miner, AGENT, 83n);
+      expect(await aBTC.balanceOf(miner.address)).to.equal(splitReward(INITIAL_REWARD).minerAmt);
+      expect((await staking.agents(AGENT)).totalRewarded).to.equal(0);
+    });
+
+    it("Test 12: Điều khoản vượt trần bị kẹp; staking revert thì round vẫn đóng và chia 90/5/5", async function () {
+      const broken = await ethers.deployContract("MockStaking");
+      await setAddress(aBTC, admin, ADDRESS_SETTING.STAKING, broken.target);
+
+      // bonus 100% và cắt 200% → kẹp về 3% và 50%
+      await broken.setTerms(10_000, 20_000);
+      await mineRound(miner, AGENT, 91n);
+      const clamped = splitReward(INITIAL_REWARD, { bonusBps: 10_000n, delegatorShare: 20_000n });
+      expect(clamped).to.deep.equal(splitReward(INITIAL_REWARD, { bonusBps: 300n, delegatorShare: 5000n }));
+      let minerBalance = clamped.minerAmt - clamped.delegatorAmt;
+      expect(await aBTC.balanceOf(miner.address)).to.equal(minerBalance);
+      expect(await aBTC.balanceOf(broken.target)).to.equal(clamped.delegatorAmt);
+      expect(await broken.notified()).to.equal(clamped.delegatorAmt);
+
+      // rewardTerms revert → không bonus, không phần cắt
+      await broken.setReverts(true, false);
+      await expect(mineRound(miner, AGENT, 92n)).to.emit(aBTC, "MineSuccess");
+      minerBalance += splitReward(INITIAL_REWARD).minerAmt;
+      expect(await aBTC.balanceOf(miner.address)).to.equal(minerBalance);
+
+      // notifyReward revert → phần cắt trả lại cho miner, staking không nhận token nào
+      await broken.setTerms(0, 5000);
+      await broken.setReverts(false, true);
+      await expect(mineRound(miner, AGENT, 93n)).to.emit(aBTC, "MineSuccess");
+      minerBalance += splitReward(INITIAL_REWARD).minerAmt;
+      expect(await aBTC.balanceOf(miner.address)).to.equal(minerBalance);
+      expect(await aBTC.balanceOf(broken.target)).to.equal(clamped.delegatorAmt);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, ignition } = hre;
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const ABTCWithMockRegistryModule = require("../ignition/modules/ABTCWithMockRegistry");
+const { writeDeployment } = require("../lib/deployments");
+const ops = require("../lib/ops");
+const { computeCommitHash, computeEnhancedSeed, findNonce } = require("../lib/abtc");
+
+describe("Ops Tasks (abtc:*)", function () {
+  let aBTC;
+  let miner, admin, other;
+  let deploymentsDir;
+
+  /** Chạy task với console bị tắt; trả về kết quả task và exit code nó đặt. */
+  async function runTask(name, args = {}) {
+    const { log, error } = console;
+    const prevExitCode = process.exitCode;
+    console.log = console.error = () => {};
+    try {
+      const result = await hre.run(name, { address: aBTC.target, ...args });
+      return { result, exitCode: process.exitCode };
+    } finally {
+      console.log = log;
+      console.error = error;
+      process.exitCode = prevExitCode;
+    }
+  }
+
+  async function deployFixture() {
+    const [, _miner, _treasury, _admin] = await ethers.getSigners();
+    const { abtc, registry } = await ignition.deploy(ABTCWithMockRegistryModule, {
+      parameters: {
+        ABTCWithMockRegistryModule: { treasury: _treasury.address, admin: _admin.address },
+      },
+    });
+    await registry.mint(_miner.address); // agent 1
+    return { abtc };
+  }
+
+  beforeEach(async function () {
+    [, miner, , admin, other] = await ethers.getSigners();
+    ({ abtc: aBTC } = await loadFixture(deployFixture));
+    // Manifest của test nằm ngoài deployments/ của repo
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "abtc-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  STATUS & ĐỊA CHỈ
+  // ═══════════════════════════════════════════════════════
+
+  describe("Status", function () {
+    it("Test 1: abtc:status đọc địa chỉ từ deployments/<chainId>.json và báo các mốc khẩn cấp", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const manifest = { network: "hardhat", chainId: Number(chainId), contracts: { aBTC_PoW: { address: aBTC.target } } };
+      writeDeployment(manifest, deploymentsDir);
+
+      const { result: status } = await runTask("abtc:status", { address: undefined, deployments: deploymentsDir });
+
+      const params = await aBTC.getParams();
+      expect(status.address).to.equal(aBTC.target);
+      expect(status.round).to.equal(1);
+      expect(status.paused).to.equal(false);
+      expect(status.admin).to.equal(admin.address);
+      expect(status.forceAdvanceBlock).to.equal((await aBTC.roundStartBlock()) + params.revealDeadline + 1n);
+      expect(status.blocksUntilForceAdvance).to.be.greaterThan(0);
+      expect(status.secondsUntilEmergency).to.be.greaterThan(0);
+    });
+
+    it("Test 2: Không có manifest thì báo lỗi rõ ràng thay vì gọi địa chỉ rỗng", async function () {
+      await expect(runTask("abtc:status", { address: undefined, deployments: deploymentsDir })).to.be.rejectedWith(
+        /No aBTC_PoW deployment recorded/
+      );
+    });
+
+    it("Test 3: abtc:agent-stats tổng hợp owner, payout, thu nhập và commit round hiện tại", async function () {
+      await aBTC.connect(miner).commit(1, computeCommitHash(1n, 7n, miner.address));
+      let { result: stats } = await runTask("abtc:agent-stats", { agent: "1" });
+      expect(stats.owner).to.equal(miner.address);
+      expect(stats.payoutAddress).to.equal(miner.address);
+      expect(stats.committedThisRound).to.equal(true);
+      expect(stats.totalWins).to.equal(0);
+
+      await mine(2);
+      const { nonce } = findNonce(1n, computeEnhancedSeed(await aBTC.roundSeed(), 7n), await aBTC.getTarget());
+      await aBTC.connect(miner).revealAndMine(1, nonce, 7n);
+      ({ result: stats } = await runTask("abtc:agent-stats", { agent: "1" }));
+      expect(stats.totalWins).to.equal(1);
+      expect(stats.totalEarned).to.equal((await aBTC.agentStats(1)).totalEarned);
+      expect(stats.committedThisRound).to.equal(false);
+      expect(stats.eligible).to.equal(true);
+
+      const missing = await runTask("abtc:agent-stats", { agent: "99" });
+      expect(missing.result).to.equal(null);
+      expect(missing.exitCode).to.equal(1);
+    });
+  });
+
+  // ═══════════════════════════════════════════════════════
+  //  PRECONDITIONS
+  // ═══════════════════════════════════════════════════════
+
+  describe("Preconditions", function () {
+    it("Test 4: abtc:force-advance từ chối trước REVEAL_DEADLINE, không gửi giao dịch; sau deadline thì gửi", async function () {
+      const blockBefore = await ethers.provider.getBlockNumber();
+      const early = await runTask("abtc:force-advance", { from: other.address });
+      expect(early.result.ok).to.equal(false);
+      expect(early.result.error).to.equal("DeadlineNotReached()");
+      expect(early.exitCode).to.equal(1);
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+
+      const { blocksUntilForceAdvance } = await ops.getTimers(aBTC);
+      await mine(blocksUntilForceAdvance - 1n);
+      expect((await ops.check(aBTC, "forceAdvanceRound")).error).to.equal("DeadlineNotReached()");
+      await mine(1);
+      expect(await ops.check(aBTC, "forceAdvanceRound")).to.equal(null);
+
+      const { result, exitCode } = await runTask("abtc:force-advance", { from: other.address });
+      expect(result.ok).to.equal(true);
+      expect(exitCode).to.equal(undefined);
+      expect(await aBTC.currentRound()).to.equal(2);
+      expect((await aBTC.getRoundRecord(1)).validator).to.equal(other.address);
+    });
+
+    it("Test 5: abtc:emergency-reset chỉ chạy khi epoch đã kéo dài quá 10x", async function () {
+      const early = await runTask("abtc:emergency-reset");
+      expect(early.result.error).to.equal("TooEarlyForEmergency()");
+      expect(early.result.detail).to.match(/còn \d+ giây/);
+
+      const { secondsUntilEmergency } = await ops.getTimers(aBTC);
+      await time.increase(secondsUntilEmergency - 1n);
+      expect((await ops.check(aBTC, "emergencyDifficultyReset")).error).to.equal("TooEarlyForEmergency()");
+      await time.increase(1);
+
+      const { result } = await runTask("abtc:emergency-reset");
+      expect(result.ok).to.equal(true);
+      expect(await aBTC.roundDifficulty()).to.equal(await aBTC.MIN_DIFFICULTY());
+    });
+
+    it("Test 6: abtc:pause kiểm tra role trước khi gửi; pause rồi thì force-advance báo EnforcedPause", async function () {
+      const denied = await runTask("abtc:pause", { from: other.address });
+      expect(denied.result.error).to.equal(`AccessControlUnauthorizedAccount(${other.address}, ${ops.PAUSER_ROLE})`);
+      expect(await aBTC.paused()).to.equal(false);
+
+      expect((await runTask("abtc:pause", { from: admin.address })).result.ok).to.equal(true);
+      expect(await aBTC.paused()).to.equal(true);
+      expect((await runTask("abtc:pause", { from: admin.address })).result.error).to.equal("EnforcedPause()");
+
+      await mine((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+      expect((await runTask("abtc:force-advance")).result.error).to.equal("EnforcedPause()");
+
+      expect((await runTask("abtc:unpause", { from: other.address })).result.error).to.match(
+        /^AccessControlUnauthorizedAccount/
+      );
+      expect((await runTask("abtc:unpause", { from: admin.address })).result.ok).to.equal(true);
+      expect((await runTask("abtc:unpause", { from: admin.address })).result.error).to.equal("ExpectedPause()");
+    });
+
+    it("Test 7: Revert mà bước kiểm tra bỏ sót vẫn được decode thành tên custom error", async function () {
+      // Lỗi từ chính contract, kể cả khi đi qua extension (delegatecall)
+      const err = await aBTC.connect(other).forceAdvanceRound.staticCall().catch((e) => e);
+      expect(ops.decodeError(aBTC, err)).to.equal("DeadlineNotReached()");
+
+      // Chỉ có raw revert data (như một số RPC trả về)
+      const data = aBTC.interface.encodeErrorResult("AccessControlUnauthorizedAccount", [other.address, ops.PAUSER_ROLE]);
+      expect(ops.decodeError(aBTC, { info: { error: { data } } })).to.equal(
+        `AccessControlUnauthorizedAccount(${other.address}, ${ops.PAUSER_ROLE})`
+      );
+      expect(ops.decodeError(aBTC, { data: "0xdeadbeef", shortMessage: "execution reverted" })).to.equal("execution reverted");
+
+      // Hết precondition nhưng eth_call vẫn revert → execute trả lỗi đã decode, không gửi
+      await mine((await ops.getTimers(aBTC)).blocksUntilForceAdvance);
+      const stub = Object.create(aBTC.connect(other));
+      stub.forceAdvanceRound = Object.assign(() => expect.fail("không được gửi"), {
+        staticCall: () => aBTC.connect(other).emergencyDifficultyReset.staticCall(),
+      });
+      expect(await ops.execute(stub, "forceAdvanceRound")).to.deep.equal({
+        ok: false,
+        error: "TooEarlyForEmergency()",
+        detail: undefined,
+      });
+    });
+  });
+});